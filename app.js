@@ -0,0 +1,136 @@
+// Express app factory: shared middleware, then one router per domain
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+const { setEmailTransporter } = require('./services/email');
+const { setOpenAIClient } = require('./services/llm');
+const { setRazorpay } = require('./services/payments');
+const { azureSpeech } = require('./services/speech');
+const { authLimiter, generalLimiter } = require('./middleware/rate-limit');
+
+// One router per domain, each declaring its full paths. Loading them also registers the sections'
+// content generators with the generation queue, which worker.js relies on.
+const routers = [
+    require('./routes/speech'),
+    require('./routes/auth'),
+    require('./routes/admin'),
+    require('./routes/organizations'),
+    require('./routes/invites'),
+    require('./routes/question-bank'),
+    require('./routes/assessment-templates'),
+    require('./routes/payment'),
+    require('./routes/pages'),
+    require('./routes/assessment'),
+    require('./routes/proctoring'),
+    require('./routes/recordings'),
+    require('./routes/reading'),
+    require('./routes/listening'),
+    require('./routes/story'),
+    require('./routes/personal'),
+    require('./routes/comprehension'),
+    require('./routes/fillblanks'),
+    require('./routes/email-writing'),
+    require('./routes/dictation'),
+    require('./routes/roleplay'),
+    require('./routes/jumbled')
+];
+
+// Build a new Express app: shared middleware, then the routers. Each call returns its own app, but the
+// routers and the services behind them are shared, and so are the database connection (connectDatabase)
+// and the external clients (setExternalClients).
+const createApp = () => {
+    const app = express();
+
+    app.set('trust proxy', 1);
+
+    // Apply rate limiting with logout exception
+    app.use('/api/auth', (req, res, next) => {
+        // Apply rate limiting ONLY to authentication-sensitive endpoints
+        if (req.path === '/login' || req.path === '/signup' || req.path === '/resend-verification') {
+            return authLimiter(req, res, next);
+        }
+        // All other /api/auth/* endpoints bypass auth rate limiting
+        return next();
+    });
+
+    // Exclude certain routes from general rate limiting
+    app.use((req, res, next) => {
+        // Skip rate limiting for:
+        // - Admin login page and static assets
+        // - User info endpoint (dashboard needs this frequently)
+        // - Health check endpoint
+        if (req.path.startsWith('/admin/login') ||
+            req.path.endsWith('.css') ||
+            req.path.endsWith('.js') ||
+            req.path.endsWith('.png') ||
+            req.path.endsWith('.jpg') ||
+            req.path.endsWith('.ico') ||
+            req.path === '/api/auth/me' ||
+            req.path === '/api/health') {
+            return next();
+        }
+        return generalLimiter(req, res, next);
+    });
+
+    // Session configuration with MongoDB store
+    app.use(session({
+        secret: process.env.SESSION_SECRET,
+        resave: false,
+        saveUninitialized: false,
+        // Sessions share the app's MongoDB connection, whichever database connectDatabase opened
+        store: MongoStore.create({
+            clientPromise: mongoose.connection.readyState === 1
+                ? Promise.resolve(mongoose.connection.getClient())
+                : new Promise(resolve => {
+                    mongoose.connection.once('open', () => resolve(mongoose.connection.getClient()));
+                }),
+            touchAfter: 24 * 3600, // lazy session update
+            ttl: 24 * 60 * 60 // session TTL in seconds (24 hours)
+        }),
+        cookie: {
+            secure: process.env.NODE_ENV === 'production',
+            httpOnly: true,
+            maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        }
+    }));
+
+    // Razorpay signs the exact request bytes, so the webhook keeps the raw body for verification
+    app.use(bodyParser.json({
+        verify: (req, res, buffer) => {
+            if (req.originalUrl === '/api/payment/webhook') {
+                req.rawBody = buffer;
+            }
+        }
+    }));
+    app.use(express.static('public'));
+
+    routers.forEach(router => app.use(router));
+
+    return app;
+};
+
+// Replace the external clients the services use, e.g. with clients pointed at the local stand-ins in
+// test/fakes. They are module state, so the change applies to every app in the process and to the
+// background jobs. Omitted clients keep the ones built from the environment.
+//   openai          an OpenAI client; becomes the only LLM provider
+//   azureSpeech     { key, region, sttEndpoint, ttsEndpoint, tokenEndpoint }, merged over the defaults
+//   razorpay        a Razorpay instance
+//   emailTransporter a nodemailer transport
+const setExternalClients = (clients = {}) => {
+    if (clients.openai) {
+        setOpenAIClient(clients.openai);
+    }
+    if (clients.azureSpeech) {
+        Object.assign(azureSpeech, clients.azureSpeech);
+    }
+    if (clients.razorpay) {
+        setRazorpay(clients.razorpay);
+    }
+    if (clients.emailTransporter) {
+        setEmailTransporter(clients.emailTransporter);
+    }
+};
+
+module.exports = { createApp, setExternalClients };
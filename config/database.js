@@ -0,0 +1,49 @@
+// MongoDB connection settings and the GridFS bucket audio is stored in
+const mongoose = require('mongoose');
+const Grid = require('gridfs-stream');
+const logger = require('./logger');
+
+// GridFS setup for audio file storage
+let gfs, gridfsBucket;
+
+// Initialize GridFS after MongoDB connection
+const initializeGridFS = () => {
+    gridfsBucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+        bucketName: 'audioFiles'
+    });
+    gfs = Grid(mongoose.connection.db, mongoose.mongo);
+    gfs.collection('audioFiles');
+    logger.info('GridFS initialized for audio storage');
+};
+
+// The bucket audio files and recordings are stored in; set once the database is connected
+const getGridFSBucket = () => gridfsBucket;
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/communication-assessment';
+
+// MongoDB connection options for Cloud Run compatibility
+const mongoOptions = {
+    // TLS/SSL options for Atlas compatibility
+    tls: true,
+    tlsInsecure: false,
+
+    // Connection pool options
+    maxPoolSize: 20,
+    minPoolSize: 2,
+    maxIdleTimeMS: 60000,
+
+    // Timeout options
+    serverSelectionTimeoutMS: 30000,
+    socketTimeoutMS: 45000,
+    connectTimeoutMS: 10000,
+
+    // Retry options
+    retryWrites: true,
+    retryReads: true,
+
+    // Buffering options
+
+};
+
+module.exports = { initializeGridFS, MONGODB_URI, mongoOptions, getGridFSBucket };
@@ -0,0 +1,34 @@
+// Winston logger shared by every module
+const winston = require('winston');
+
+// Configure Winston Logger
+const logger = winston.createLogger({
+    level: process.env.NODE_ENV === 'production' ? 'warn' : 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'communication-assessment' },
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.combine(
+                winston.format.colorize(),
+                winston.format.simple()
+            )
+        })
+    ]
+});
+
+// In production, also log to files
+if (process.env.NODE_ENV === 'production') {
+    logger.add(new winston.transports.File({ 
+        filename: 'logs/error.log', 
+        level: 'error' 
+    }));
+    logger.add(new winston.transports.File({ 
+        filename: 'logs/combined.log' 
+    }));
+}
+
+module.exports = logger;
@@ -0,0 +1,46 @@
+// Guards section submissions with the assessment time limit
+const logger = require('../config/logger');
+const { AssessmentSession } = require('../models');
+const { getActiveAssessmentAttempt } = require('../services/assessment-session');
+const { isAssessmentSessionExpired, expireAssessmentSession } = require('../services/assessment-timer');
+
+const TIME_EXPIRED_RESPONSE = {
+    error: 'The time limit for this assessment has passed. Your completed sections have been submitted.',
+    code: 'ASSESSMENT_TIME_EXPIRED'
+};
+
+// Reject section submissions unless an assessment is in progress and its time limit has not passed.
+// Results are saved to the candidate's active attempt whichever browser session sends them, so the
+// deadline checked is that attempt's, not the one of the session making the request.
+const requireAssessmentTimeRemaining = async (req, res, next) => {
+    try {
+        const attempt = await getActiveAssessmentAttempt(req.user._id);
+        const session = attempt
+            ? await AssessmentSession.findOne({ userId: req.user._id, attemptId: attempt._id })
+            : null;
+
+        if (!session) {
+            // An attempt the deadline job already closed still answers as expired, so the page ends the test
+            const ownSession = await AssessmentSession.findOne({ userId: req.user._id, sessionId: req.session.id });
+            if (ownSession && ownSession.expiredAt) {
+                return res.status(410).json(TIME_EXPIRED_RESPONSE);
+            }
+            return res.status(409).json({
+                error: 'There is no assessment in progress. Please start a new assessment.',
+                code: 'NO_ASSESSMENT_IN_PROGRESS'
+            });
+        }
+
+        if (isAssessmentSessionExpired(session)) {
+            await expireAssessmentSession(session);
+            return res.status(410).json(TIME_EXPIRED_RESPONSE);
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Error checking assessment deadline:', error);
+        res.status(500).json({ error: 'Failed to check assessment time limit' });
+    }
+};
+
+module.exports = { requireAssessmentTimeRemaining };
@@ -0,0 +1,132 @@
+// Candidate and admin authentication, and the recruiter scoping helpers that go with it
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { Admin, User } = require('../models');
+
+// Middleware to check if user is authenticated
+const requireAuth = async (req, res, next) => {
+    try {
+        const token = req.session.userId;
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        // Add timeout to database query
+        const user = await Promise.race([
+            User.findById(token),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Database query timeout')), 5000)
+            )
+        ]);
+
+        if (!user) {
+            req.session.destroy();
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        if (!user.isEmailVerified) {
+            return res.status(401).json({
+                error: 'Email verification required. Please check your email and verify your account.'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Auth middleware error:', error);
+
+        // More specific error handling
+        if (error.message === 'Database query timeout') {
+            return res.status(503).json({ error: 'Service temporarily unavailable. Please try again.' });
+        }
+
+        if (error.name === 'MongoNetworkError' || error.name === 'MongoTimeoutError') {
+            return res.status(503).json({ error: 'Database connection issue. Please try again.' });
+        }
+
+        return res.status(500).json({ error: 'Authentication error' });
+    }
+};
+
+// Middleware to redirect unauthenticated users
+const redirectIfNotAuth = async (req, res, next) => {
+    try {
+        const token = req.session.userId;
+        if (!token) {
+            return res.redirect('/login?message=Please%20log%20in%20to%20access%20assessments&type=info');
+        }
+
+        const user = await User.findById(token);
+        if (!user) {
+            req.session.destroy();
+            return res.redirect('/login?message=Session%20expired.%20Please%20log%20in%20again&type=warning');
+        }
+
+        if (!user.isEmailVerified) {
+            return res.redirect('/?message=Please%20verify%20your%20email%20before%20accessing%20assessments&type=warning');
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Redirect auth middleware error:', error);
+        return res.redirect('/login?message=Authentication%20error&type=error');
+    }
+};
+
+// Middleware to check if admin is authenticated
+const requireAdminAuth = async (req, res, next) => {
+    try {
+        const adminId = req.session.adminId;
+        if (!adminId) {
+            return res.status(401).json({ error: 'Admin authentication required' });
+        }
+
+        const admin = await Admin.findById(adminId);
+        if (!admin) {
+            req.session.adminId = null;
+            return res.status(401).json({ error: 'Admin not found' });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        logger.error('Admin auth middleware error:', error);
+        return res.status(500).json({ error: 'Admin authentication error' });
+    }
+};
+
+// Restrict a route to the global administrator (use after requireAdminAuth)
+const requireSuperAdmin = (req, res, next) => {
+    if (req.admin.role !== 'admin') {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+};
+
+const isRecruiter = (admin) => admin.role === 'recruiter';
+
+// User query filter limiting recruiters to their own organization's candidates
+const getAdminUserScope = (admin) => {
+    return isRecruiter(admin) ? { organizationId: admin.organizationId } : {};
+};
+
+// Resolve which organization an admin request acts on: recruiters always use their own
+const resolveAdminOrganizationId = (req, requestedOrganizationId) => {
+    if (isRecruiter(req.admin)) {
+        return req.admin.organizationId;
+    }
+    return requestedOrganizationId && mongoose.Types.ObjectId.isValid(requestedOrganizationId)
+        ? requestedOrganizationId
+        : null;
+};
+
+module.exports = {
+    requireAuth,
+    redirectIfNotAuth,
+    requireAdminAuth,
+    requireSuperAdmin,
+    isRecruiter,
+    getAdminUserScope,
+    resolveAdminOrganizationId
+};
@@ -0,0 +1,29 @@
+// Rate limiters; app.js decides which paths they apply to
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // 5 attempts per window
+    message: { error: 'Too many authentication attempts. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const generalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // Increased from 100 to 300 requests per window
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Rate limiting for Azure config requests
+const azureConfigLimiter = rateLimit({
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 20, // 20 token requests per 5 minutes
+    message: { error: 'Too many token requests. Please wait before trying again.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+module.exports = { authLimiter, generalLimiter, azureConfigLimiter };
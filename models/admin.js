@@ -0,0 +1,53 @@
+// Administrator and recruiter accounts for the admin panel
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Admin Schema
+const adminSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: true
+    },
+    // 'admin' is the global administrator; 'recruiter' is limited to one organization
+    role: {
+        type: String,
+        enum: ['admin', 'recruiter'],
+        default: 'admin'
+    },
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Hash password before saving
+adminSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare password method
+adminSchema.methods.comparePassword = async function (candidatePassword) {
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+const Admin = mongoose.model('Admin', adminSchema);
+
+module.exports = { Admin };
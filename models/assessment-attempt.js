@@ -0,0 +1,101 @@
+// One sitting of the assessment, from start to its final scores
+const mongoose = require('mongoose');
+const AssessmentScoring = require('../public/js/scoring');
+const AssessmentLocales = require('../public/js/locales');
+
+// Assessment Attempt Schema - permanent record of one full test, grouping its section results
+const assessmentAttemptSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true
+    },
+    testNumber: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed', 'abandoned'],
+        default: 'in_progress'
+    },
+    selectedTopics: { type: mongoose.Schema.Types.Mixed, default: {} },
+    selectedDifficulties: { type: mongoose.Schema.Types.Mixed, default: {} },
+    sectionScores: {
+        readingAbility: { type: Number, default: 0 },
+        listeningAbility: { type: Number, default: 0 },
+        jumbledSentences: { type: Number, default: 0 },
+        storySummarization: { type: Number, default: 0 },
+        personalQuestions: { type: Number, default: 0 },
+        readingComprehension: { type: Number, default: 0 },
+        fillInTheBlanks: { type: Number, default: 0 },
+        emailWriting: { type: Number, default: 0 },
+        dictationAccuracy: { type: Number, default: 0 },
+        rolePlayConversation: { type: Number, default: 0 }
+    },
+    completedSections: [{
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay']
+    }],
+    overallScore: {
+        type: Number,
+        default: 0
+    },
+    // Weights and pass thresholds copied from the template when the attempt started
+    scoringConfig: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    passed: {
+        type: Boolean,
+        default: null
+    },
+    cefrLevel: {
+        type: String,
+        enum: [...AssessmentScoring.CEFR_BANDS.map(band => band.level), null],
+        default: null
+    },
+    consolidatedFeedback: {
+        type: String,
+        default: null
+    },
+    inviteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentInvite',
+        default: null
+    },
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentTemplate',
+        default: null
+    },
+    // Locale of the template when the attempt started
+    locale: {
+        type: String,
+        enum: AssessmentLocales.LOCALE_CODES,
+        default: AssessmentLocales.DEFAULT_LOCALE
+    },
+    // Sections the attempt's template included, in order; the overall score averages over these
+    sections: [{
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay']
+    }],
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+assessmentAttemptSchema.index({ userId: 1, startedAt: -1 });
+
+const AssessmentAttempt = mongoose.model('AssessmentAttempt', assessmentAttemptSchema);
+
+module.exports = { AssessmentAttempt };
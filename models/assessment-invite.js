@@ -0,0 +1,91 @@
+// One-time assessments recruiters send to candidates
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Assessment Invite Schema - a one-time assessment a recruiter sends to a candidate, paid from the organization pool
+const assessmentInviteSchema = new mongoose.Schema({
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        validate: [validator.isEmail, 'Invalid email address']
+    },
+    candidateName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    assessmentConfig: {
+        difficulty: {
+            type: String,
+            enum: ['mixed', 'beginner', 'intermediate', 'advanced'],
+            default: 'mixed'
+        },
+        // Falls back to the default template when not set
+        templateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AssessmentTemplate',
+            default: null
+        }
+    },
+    // pending -> accepted (account linked) -> used (assessment started); expired/revoked refund the credit
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'used', 'expired', 'revoked'],
+        default: 'pending'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        default: null
+    },
+    // Origin the invite was created from, so reminder links point at the same host
+    baseUrl: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+assessmentInviteSchema.index({ organizationId: 1, createdAt: -1 });
+assessmentInviteSchema.index({ status: 1, expiresAt: 1 });
+assessmentInviteSchema.index({ userId: 1, status: 1 });
+
+const AssessmentInvite = mongoose.model('AssessmentInvite', assessmentInviteSchema);
+
+module.exports = { AssessmentInvite };
@@ -0,0 +1,112 @@
+// Per-browser-session state of an assessment in progress
+const mongoose = require('mongoose');
+
+// Assessment Session Schema for persistent storage
+const assessmentSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    currentAssessment: {
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay'],
+        default: null
+    },
+    assessmentProgress: {
+        reading: { type: Boolean, default: false },
+        listening: { type: Boolean, default: false },
+        jumbled: { type: Boolean, default: false },
+        story: { type: Boolean, default: false },
+        personal: { type: Boolean, default: false },
+        comprehension: { type: Boolean, default: false },
+        fillblanks: { type: Boolean, default: false },
+        email: { type: Boolean, default: false },
+        dictation: { type: Boolean, default: false },
+        roleplay: { type: Boolean, default: false }
+    },
+    temporaryData: {
+        jumbledQuestions: [mongoose.Schema.Types.Mixed],
+        currentJumbledIndex: { type: Number, default: 0 },
+        currentStory: { type: String, default: null },
+        // Voice, rate and noise the story was spoken with, from describeTtsAudio
+        currentStoryAudio: { type: mongoose.Schema.Types.Mixed, default: null },
+        currentQuestion: { type: String, default: null },
+        currentComprehension: { type: mongoose.Schema.Types.Mixed, default: null },
+        currentFillBlanks: [mongoose.Schema.Types.Mixed],
+        // Email writing scenario with its word and time limits
+        currentEmailScenario: { type: mongoose.Schema.Types.Mixed, default: null },
+        // Dictation sentences with their audio; the text never goes to the client before scoring
+        dictationSentences: [mongoose.Schema.Types.Mixed],
+        // Role-play scenario, its TTS voice and the dialogue so far: { scenario, difficulty, voice, turns: [{ speaker, text }], complete }
+        rolePlay: { type: mongoose.Schema.Types.Mixed, default: null },
+        // New fields for multiple sentences
+        readingSentences: [{ type: String }],
+        currentReadingIndex: { type: Number, default: 0 },
+        // Each sentence with its audio URL and, under tts, the voice and rate it was spoken with
+        listeningSentences: [mongoose.Schema.Types.Mixed],
+        currentListeningIndex: { type: Number, default: 0 },
+        // Store individual sentence results temporarily
+        readingResults: [mongoose.Schema.Types.Mixed],
+        listeningResults: [mongoose.Schema.Types.Mixed],
+        // Store individual jumbled sentence answers and results
+        jumbledAnswers: [mongoose.Schema.Types.Mixed],
+        // Topic and difficulty chosen for each section
+        selectedTopics: { type: mongoose.Schema.Types.Mixed, default: {} },
+        selectedDifficulties: { type: mongoose.Schema.Types.Mixed, default: {} },
+        // Sections generated on demand during this attempt, e.g. { reading: true }; queued content arriving later is discarded
+        generatedOnDemand: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    // Assessment attempt this session is recording into
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        default: null
+    },
+    // Template the generators and scoring read section settings from
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentTemplate',
+        default: null
+    },
+    // Server-side clock for the test: set by create-session from the template's time limit
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    deadlineAt: {
+        type: Date,
+        default: null
+    },
+    // When the deadline was enforced (by a late submission or the sweeper)
+    expiredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 86400 // Auto-delete after 24 hours
+    },
+    lastActivity: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update lastActivity on save
+assessmentSessionSchema.pre('save', function (next) {
+    this.lastActivity = new Date();
+    next();
+});
+
+assessmentSessionSchema.index({ deadlineAt: 1, expiredAt: 1 });
+
+const AssessmentSession = mongoose.model('AssessmentSession', assessmentSessionSchema);
+
+module.exports = { AssessmentSession };
@@ -0,0 +1,101 @@
+// Configurable assessments: sections, item counts, weights, time limit and locale
+const mongoose = require('mongoose');
+const AssessmentScoring = require('../public/js/scoring');
+const AssessmentLocales = require('../public/js/locales');
+const { QUESTION_BANK_DIFFICULTIES } = require('./question-bank');
+
+// Assessment Template Schema - which sections a test includes, in what order, with how many items and how long
+const ASSESSMENT_SECTION_KEYS = [...AssessmentScoring.STANDARD_SECTIONS, 'email', 'dictation', 'roleplay'];
+
+const assessmentTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Array order is the order candidates take the sections in
+    sections: [{
+        _id: false,
+        key: {
+            type: String,
+            enum: ASSESSMENT_SECTION_KEYS,
+            required: true
+        },
+        itemCount: {
+            type: Number,
+            required: true
+        },
+        difficulty: {
+            type: String,
+            enum: ['mixed', ...QUESTION_BANK_DIFFICULTIES],
+            default: 'mixed'
+        },
+        // Topics to pick from at random; empty means the section's own default pool
+        topics: [{ type: String, trim: true }],
+        // Relative weight in the overall score
+        weight: {
+            type: Number,
+            min: 0.1,
+            max: 10,
+            default: AssessmentScoring.DEFAULT_SECTION_WEIGHT
+        },
+        // Minimum section score needed to pass the assessment
+        passScore: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: AssessmentScoring.DEFAULT_SECTION_PASS_SCORE
+        }
+    }],
+    // Minimum overall score needed to pass the assessment
+    passScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: AssessmentScoring.DEFAULT_OVERALL_PASS_SCORE
+    },
+    timeLimitMinutes: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 180
+    },
+    // Language and accent of the test: speech recognition, TTS voices, generated content and page strings
+    locale: {
+        type: String,
+        enum: AssessmentLocales.LOCALE_CODES,
+        default: AssessmentLocales.DEFAULT_LOCALE
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['active', 'archived'],
+        default: 'active'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const AssessmentTemplate = mongoose.model('AssessmentTemplate', assessmentTemplateSchema);
+
+module.exports = { ASSESSMENT_SECTION_KEYS, AssessmentTemplate };
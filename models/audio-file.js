@@ -0,0 +1,87 @@
+// Tracking records for generated TTS audio; deleting one removes its GridFS file
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { getGridFSBucket } = require('../config/database');
+
+// Audio File Schema for tracking temporary files
+const audioFileSchema = new mongoose.Schema({
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    assessmentType: {
+        type: String,
+        enum: ['listening', 'story', 'dictation', 'roleplay'],
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + 3600 * 1000), // 1 hour from now
+        expires: 0 // MongoDB will delete the document when expiresAt is reached
+    }
+});
+
+// Pre-remove middleware to cleanup GridFS files when tracking record is deleted
+audioFileSchema.pre('deleteOne', { document: false, query: true }, async function() {
+    try {
+        const doc = await this.model.findOne(this.getQuery());
+        if (doc && doc.fileId) {
+            logger.info(`Cleaning up GridFS file ${doc.fileId} for tracking record deletion`);
+            try {
+                await getGridFSBucket().delete(new mongoose.Types.ObjectId(doc.fileId));
+                logger.info(`Successfully deleted GridFS file ${doc.fileId}`);
+            } catch (gridfsError) {
+                // Handle the case where file is already deleted - this is expected in some scenarios
+                if (gridfsError.message && gridfsError.message.includes('File not found')) {
+                    logger.info(`GridFS file ${doc.fileId} was already deleted - skipping cleanup`);
+                } else {
+                    logger.error(`Error deleting GridFS file ${doc.fileId}:`, gridfsError);
+                }
+            }
+        }
+    } catch (error) {
+        logger.error('Error in pre-deleteOne middleware:', error);
+    }
+});
+
+// Pre-deleteMany middleware for bulk deletions
+audioFileSchema.pre('deleteMany', { document: false, query: true }, async function() {
+    try {
+        const docs = await this.model.find(this.getQuery());
+        for (const doc of docs) {
+            if (doc && doc.fileId) {
+                logger.info(`Cleaning up GridFS file ${doc.fileId} for bulk deletion`);
+                try {
+                    await getGridFSBucket().delete(new mongoose.Types.ObjectId(doc.fileId));
+                    logger.info(`Successfully deleted GridFS file ${doc.fileId}`);
+                } catch (gridfsError) {
+                    // Handle the case where file is already deleted - this is expected in some scenarios
+                    if (gridfsError.message && gridfsError.message.includes('File not found')) {
+                        logger.info(`GridFS file ${doc.fileId} was already deleted - skipping cleanup`);
+                    } else {
+                        logger.error(`Error deleting GridFS file ${doc.fileId}:`, gridfsError);
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        logger.error('Error in pre-deleteMany middleware:', error);
+    }
+});
+
+const AudioFile = mongoose.model('AudioFile', audioFileSchema);
+
+module.exports = { AudioFile };
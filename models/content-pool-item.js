@@ -0,0 +1,63 @@
+// Pre-generated content waiting to be served, with its TTS audio
+const mongoose = require('mongoose');
+const AssessmentLocales = require('../public/js/locales');
+const { QUESTION_BANK_DIFFICULTIES, QUESTION_BANK_TYPES } = require('./question-bank');
+
+// Content Pool Item Schema - one validated unit (a sentence, a story, a passage...) generated ahead of any test
+const contentPoolItemSchema = new mongoose.Schema({
+    assessmentType: {
+        type: String,
+        enum: QUESTION_BANK_TYPES,
+        required: true
+    },
+    topic: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    difficulty: {
+        type: String,
+        enum: QUESTION_BANK_DIFFICULTIES,
+        required: true
+    },
+    // The locale it was written and spoken for
+    locale: {
+        type: String,
+        enum: AssessmentLocales.LOCALE_CODES,
+        required: true
+    },
+    // Same shape as question bank content, see normalizeQuestionBankContent
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // { fileId, voice, prosody, noiseAmplitude } for sections served with audio. Pooled audio lives in
+    // GridFS without an AudioFile record; candidates are served a copy of their own.
+    audio: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Candidates it has been served to; it is never served to the same candidate twice
+    servedTo: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    useCount: {
+        type: Number,
+        default: 0
+    },
+    lastServedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+contentPoolItemSchema.index({ assessmentType: 1, locale: 1, topic: 1, difficulty: 1, useCount: 1 });
+
+const ContentPoolItem = mongoose.model('ContentPoolItem', contentPoolItemSchema);
+
+module.exports = { ContentPoolItem };
@@ -0,0 +1,71 @@
+// Discount coupons
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'flat'],
+        required: true
+    },
+    // Percentage off, or INR off for flat coupons
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Caps on paid orders using the coupon; null means unlimited
+    maxRedemptions: {
+        type: Number,
+        default: null
+    },
+    maxRedemptionsPerAccount: {
+        type: Number,
+        default: null
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    // Restrict the coupon to these organizations' recruiters and candidates; empty means anyone
+    organizationIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    }],
+    status: {
+        type: String,
+        enum: ['active', 'disabled'],
+        default: 'active'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = { Coupon };
@@ -0,0 +1,111 @@
+// Per-section results shown on the results page and in reports
+const mongoose = require('mongoose');
+const PronunciationDetail = require('../public/js/pronunciation');
+
+// Detailed Assessment Results Schema for individual section results
+// One word of an Azure pronunciation assessment, trimmed by PronunciationDetail.normalizeWords
+const pronunciationWordSchema = new mongoose.Schema({
+    word: String,
+    accuracyScore: Number,
+    errorType: {
+        type: String,
+        enum: PronunciationDetail.WORD_ERROR_TYPES,
+        default: 'none'
+    },
+    phonemes: [{
+        _id: false,
+        phoneme: String,
+        accuracyScore: Number
+    }]
+}, { _id: false });
+
+const detailedResultsSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        default: null
+    },
+    assessmentType: {
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay'],
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Specific data for each assessment type
+    pronunciationData: {
+        pronunciationScore: Number,
+        accuracyScore: Number,
+        fluencyScore: Number,
+        completenessScore: Number,
+        prosodyScore: Number,
+        recognizedText: String,
+        referenceText: String,
+        // Unscripted answers (personal) keep their words here rather than per sentence
+        words: [pronunciationWordSchema],
+        // For multiple sentences (reading/listening assessments)
+        sentences: [{
+            sentenceIndex: Number,
+            pronunciationScore: Number,
+            accuracyScore: Number,
+            fluencyScore: Number,
+            completenessScore: Number,
+            prosodyScore: Number,
+            recognizedText: String,
+            referenceText: String,
+            words: [pronunciationWordSchema]
+        }]
+    },
+    aiEvaluation: {
+        feedback: String,
+        originalContent: String, // Original story or question
+        userResponse: String
+    },
+    answerComparison: {
+        questions: [{
+            questionIndex: Number,
+            question: String,
+            userAnswer: String,
+            correctAnswer: String,
+            isCorrect: Boolean,
+            options: [String],
+            // Word-level alignment of a typed answer against the reference (dictation)
+            wordDiff: [{
+                _id: false,
+                type: { type: String, enum: ['correct', 'spelling', 'substitution', 'omission', 'insertion'] },
+                expected: String,
+                actual: String
+            }]
+        }],
+        passageText: String // For comprehension
+    },
+    // How each listening sentence or story was spoken, so scores can be compared across voices and rates
+    audioItems: [{
+        _id: false,
+        itemIndex: Number,
+        voice: String,
+        voiceLocale: String,
+        gender: String,
+        rate: String,
+        backgroundNoise: Number // amplitude of the mixed-in noise, 0 for clean audio
+    }]
+});
+
+// Index for efficient queries
+detailedResultsSchema.index({ userId: 1, assessmentType: 1 });
+detailedResultsSchema.index({ attemptId: 1, assessmentType: 1 });
+
+const DetailedResults = mongoose.model('DetailedResults', detailedResultsSchema);
+
+module.exports = { DetailedResults };
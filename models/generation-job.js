@@ -0,0 +1,84 @@
+// Queued content generation for a section of an assessment about to start
+const mongoose = require('mongoose');
+
+// Generation Job Schema - one section's content (LLM text, TTS audio) generated by the worker
+// cancelled: the section was generated on demand before the job stored its content
+const GENERATION_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const generationJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true
+    },
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        default: null
+    },
+    section: {
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay'],
+        required: true
+    },
+    // What the client would have posted to the section's generate endpoint, e.g. topic and difficulty
+    options: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: GENERATION_JOB_STATUSES,
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 4
+    },
+    // Not picked up before this time; pushed back after each failure
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    // The generate endpoint's response body, handed to the client once the job completes
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 86400 // Auto-delete after 24 hours, like the session it belongs to
+    }
+});
+
+generationJobSchema.index({ status: 1, runAt: 1 });
+generationJobSchema.index({ userId: 1, sessionId: 1 });
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+module.exports = { GENERATION_JOB_STATUSES, GenerationJob };
@@ -0,0 +1,21 @@
+// Every Mongoose model, plus the enum constants other modules validate against
+module.exports = {
+    ...require('./user'),
+    ...require('./admin'),
+    ...require('./organization'),
+    ...require('./assessment-invite'),
+    ...require('./audio-file'),
+    ...require('./assessment-session'),
+    ...require('./detailed-results'),
+    ...require('./assessment-attempt'),
+    ...require('./generation-job'),
+    ...require('./proctor-event'),
+    ...require('./speech-recording'),
+    ...require('./question-bank'),
+    ...require('./content-pool-item'),
+    ...require('./assessment-template'),
+    ...require('./payment'),
+    ...require('./plan'),
+    ...require('./coupon'),
+    ...require('./invoice-counter')
+};
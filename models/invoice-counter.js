@@ -0,0 +1,22 @@
+// Invoice number sequences
+const mongoose = require('mongoose');
+
+// One sequence per financial year so invoice numbers are consecutive and restart each April
+const invoiceCounterSchema = new mongoose.Schema({
+    _id: String,
+    seq: {
+        type: Number,
+        default: 0
+    },
+    // The payment the last number was taken for, until the number is recorded on it. The next number is
+    // not taken while this is set, so a request that stops in between cannot leave a gap.
+    reservedFor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    }
+});
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+module.exports = { InvoiceCounter };
@@ -0,0 +1,38 @@
+// Hiring teams and their pool of test credits
+const mongoose = require('mongoose');
+
+// Organization Schema - a hiring team with a shared pool of test credits
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    creditBalance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    creditTransactions: [{
+        type: {
+            type: String,
+            enum: ['purchase', 'grant', 'assign', 'invite', 'refund', 'payment_refund'],
+            required: true
+        },
+        tests: { type: Number, required: true },
+        amount: { type: Number, default: 0 },
+        paymentId: { type: String, default: null },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+        timestamp: { type: Date, default: Date.now }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = { Organization };
@@ -0,0 +1,163 @@
+// Payment ledger for candidate and organization orders
+const mongoose = require('mongoose');
+
+// Payment Schema - permanent ledger of orders; records are never deleted
+const paymentSchema = new mongoose.Schema({
+    // Candidate purchases set userId; organization credit purchases set organizationId and adminId
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    razorpayOrderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    razorpayPaymentId: {
+        type: String,
+        default: null
+    },
+    razorpaySignature: {
+        type: String,
+        default: null
+    },
+    // Amount charged in INR, after any coupon and inclusive of GST
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Price before the coupon
+    listAmount: {
+        type: Number,
+        default: null
+    },
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null
+    },
+    couponCode: {
+        type: String,
+        default: null
+    },
+    // Whether the order holds one of the coupon's uses (its redemptionCount)
+    couponReserved: {
+        type: Boolean,
+        default: false
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    planName: {
+        type: String,
+        required: true
+    },
+    // Candidate purchases record the plan they were priced from
+    planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        default: null
+    },
+    testsCount: {
+        type: Number,
+        required: true
+    },
+    customerName: {
+        type: String,
+        required: true
+    },
+    customerEmail: {
+        type: String,
+        required: true
+    },
+    // GST place of supply (state code) and the buyer's GSTIN for business purchases
+    billingState: {
+        type: String,
+        default: null
+    },
+    customerGstin: {
+        type: String,
+        default: null
+    },
+    // Tax invoice, numbered when the payment is captured
+    invoice: {
+        number: { type: String, default: null },
+        issuedAt: { type: Date, default: null },
+        taxableValue: { type: Number, default: null },
+        gstRate: { type: Number, default: null },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 }
+    },
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'partially_refunded', 'refunded'],
+        default: 'created'
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    refunds: [{
+        _id: false,
+        refundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        // Tests actually taken back; tests already used cannot be
+        testsDeducted: { type: Number, default: 0 },
+        processedAt: { type: Date, default: Date.now }
+    }],
+    // Every state change, from checkout, /verify or a webhook, in order
+    ledger: [{
+        _id: false,
+        event: {
+            type: String,
+            enum: ['created', 'captured', 'failed', 'refunded'],
+            required: true
+        },
+        source: {
+            type: String,
+            enum: ['checkout', 'verify', 'webhook'],
+            required: true
+        },
+        // Razorpay's x-razorpay-event-id, used to skip redelivered webhooks
+        eventId: { type: String, default: null },
+        amount: { type: Number, default: null },
+        note: { type: String, default: null },
+        at: { type: Date, default: Date.now }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    }
+});
+
+paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = { Payment };
@@ -0,0 +1,53 @@
+// Pricing plans
+const mongoose = require('mongoose');
+
+// Plans candidates can buy; orders are priced from these, never from the request
+const planSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    testsCount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // INR, inclusive of GST
+    price: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Struck-through price shown on the purchase page
+    originalPrice: {
+        type: Number,
+        default: null
+    },
+    badge: {
+        type: String,
+        default: ''
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'archived'],
+        default: 'active'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Plan = mongoose.model('Plan', planSchema);
+
+module.exports = { Plan };
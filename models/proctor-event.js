@@ -0,0 +1,53 @@
+// Integrity signals reported while a test is in progress
+const mongoose = require('mongoose');
+
+// Proctor Event Schema - integrity signals the assessment page reports while a test is in progress
+const PROCTOR_EVENT_TYPES = ['tab_hidden', 'window_blur', 'paste', 'devtools_open', 'fullscreen_exit'];
+
+const proctorEventSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: PROCTOR_EVENT_TYPES,
+        required: true
+    },
+    // Section on screen when the event happened
+    section: {
+        type: String,
+        enum: ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay', null],
+        default: null
+    },
+    // Browser time of the event; receivedAt is the server's
+    occurredAt: {
+        type: Date,
+        required: true
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Event specifics, e.g. the pasted length or the field pasted into
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+});
+
+proctorEventSchema.index({ attemptId: 1, occurredAt: 1 });
+
+const ProctorEvent = mongoose.model('ProctorEvent', proctorEventSchema);
+
+module.exports = { PROCTOR_EVENT_TYPES, ProctorEvent };
@@ -0,0 +1,108 @@
+// Admin-curated fallback content and the per-section bank settings
+const mongoose = require('mongoose');
+const AssessmentLocales = require('../public/js/locales');
+
+// Question Bank Schema - admin-curated content used when the LLM is unavailable or a section is pinned to the bank
+const QUESTION_BANK_TYPES = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay'];
+const QUESTION_BANK_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const questionBankSchema = new mongoose.Schema({
+    assessmentType: {
+        type: String,
+        required: true,
+        enum: QUESTION_BANK_TYPES
+    },
+    topic: {
+        type: String,
+        required: true,
+        trim: true,
+        default: 'general'
+    },
+    difficulty: {
+        type: String,
+        enum: QUESTION_BANK_DIFFICULTIES,
+        default: 'intermediate'
+    },
+    // Language the content is written in; served only to tests whose locale speaks it
+    language: {
+        type: String,
+        enum: AssessmentLocales.LANGUAGES,
+        default: 'en'
+    },
+    // Shape depends on assessmentType, see normalizeQuestionBankContent
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active'
+    },
+    source: {
+        type: String,
+        enum: ['seed', 'admin', 'import'],
+        default: 'admin'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    retiredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+questionBankSchema.index({ assessmentType: 1, status: 1, language: 1, topic: 1, difficulty: 1 });
+
+const QuestionBank = mongoose.model('QuestionBank', questionBankSchema);
+
+// Per-section question bank settings (bank-only mode skips the LLM entirely)
+const questionBankSettingSchema = new mongoose.Schema({
+    assessmentType: {
+        type: String,
+        required: true,
+        unique: true,
+        enum: QUESTION_BANK_TYPES
+    },
+    bankOnly: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const QuestionBankSetting = mongoose.model('QuestionBankSetting', questionBankSettingSchema);
+
+module.exports = {
+    QUESTION_BANK_TYPES,
+    QUESTION_BANK_DIFFICULTIES,
+    QuestionBank,
+    QuestionBankSetting
+};
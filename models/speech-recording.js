@@ -0,0 +1,64 @@
+// Candidates' own recordings of spoken items
+const mongoose = require('mongoose');
+
+// Speech Recording Schema - the candidate's own audio for spoken items, kept for reviewers.
+// Stored in the audioFiles GridFS bucket but with its own retention, separate from the 1-hour TTS files.
+const RECORDED_SECTION_TYPES = ['reading', 'listening', 'story', 'personal', 'roleplay'];
+const RECORDING_RETENTION_DAYS = parseInt(process.env.RECORDING_RETENTION_DAYS) || 90;
+
+const speechRecordingSchema = new mongoose.Schema({
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    attemptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentAttempt',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true
+    },
+    assessmentType: {
+        type: String,
+        enum: RECORDED_SECTION_TYPES,
+        required: true
+    },
+    // 1-based item within the section, matching sentenceIndex in the stored results
+    itemIndex: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Format the browser uploaded before transcoding to MP3
+    sourceMimeType: {
+        type: String,
+        default: null
+    },
+    sizeBytes: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Removed by cleanupExpiredRecordings, which deletes the GridFS file first
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + RECORDING_RETENTION_DAYS * 24 * 3600 * 1000)
+    }
+});
+
+speechRecordingSchema.index({ attemptId: 1, assessmentType: 1, itemIndex: 1 });
+speechRecordingSchema.index({ expiresAt: 1 });
+
+const SpeechRecording = mongoose.model('SpeechRecording', speechRecordingSchema);
+
+module.exports = { RECORDED_SECTION_TYPES, SpeechRecording };
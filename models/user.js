@@ -0,0 +1,139 @@
+// Candidate accounts, their test balance and latest section scores
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const crypto = require('crypto');
+
+// User Schema
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        validate: [validator.isEmail, 'Invalid email address']
+    },
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        minlength: 3,
+        maxlength: 30,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: true,
+        minlength: 8
+    },
+    number_of_tests: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    testsTaken: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        default: null
+    },
+    emailVerificationExpires: {
+        type: Date,
+        default: null
+    },
+    passwordResetToken: {
+        type: String,
+        default: null
+    },
+    passwordResetExpires: {
+        type: Date,
+        default: null
+    },
+    assessmentScores: {
+        readingAbility: { type: Number, default: 0 },
+        listeningAbility: { type: Number, default: 0 },
+        jumbledSentences: { type: Number, default: 0 },
+        storySummarization: { type: Number, default: 0 },
+        personalQuestions: { type: Number, default: 0 },
+        readingComprehension: { type: Number, default: 0 },
+        fillInTheBlanks: { type: Number, default: 0 },
+        emailWriting: { type: Number, default: 0 },
+        dictationAccuracy: { type: Number, default: 0 },
+        rolePlayConversation: { type: Number, default: 0 },
+        overallScore: { type: Number, default: 0 }
+    },
+    tests_timestamps: [{
+        timestamp: { type: Date, required: true },
+        testNumber: { type: Number, required: true }
+    }],
+    payments_timestamps: [{
+        timestamp: { type: Date, required: true },
+        amount: { type: Number, required: true },
+        testsCount: { type: Number, required: true },
+        paymentId: { type: String, required: true }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastLoginAt: {
+        type: Date,
+        default: null
+    },
+    lastAssessmentCompletedAt: {
+        type: Date,
+        default: null
+    },
+    // Hiring organization whose recruiters can see this candidate's results
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    }
+});
+
+userSchema.index({ organizationId: 1, createdAt: -1 });
+
+// Hash password before saving
+userSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare password method
+userSchema.methods.comparePassword = async function (candidatePassword) {
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Generate email verification token
+userSchema.methods.generateEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = token;
+    this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    return token;
+};
+
+// Generate password reset token
+userSchema.methods.generatePasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = token;
+    this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+    return token;
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = { User };
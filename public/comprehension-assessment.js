@@ -291,6 +291,10 @@ class ComprehensionAssessment {
                 })
             });
 
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`Evaluation failed: ${response.status}`);
             }
@@ -25,6 +25,9 @@ class DashboardController {
             // Load activity metrics
             await this.loadActivityMetrics();
 
+            // Load past assessment attempts
+            await this.loadAttemptHistory();
+
         } catch (error) {
             console.error('Error loading dashboard data:', error);
             this.showMessage('Error loading dashboard data. Please refresh the page.', 'error');
@@ -82,7 +85,7 @@ class DashboardController {
                 document.getElementById('user-last-login').textContent = userData.lastLoginAt ? this.formatDate(userData.lastLoginAt) : 'Never';
 
                 // Update test count
-                this.updateTestCount(userData.number_of_tests);
+                this.updateTestCount(userData.number_of_tests + (userData.pendingInvite ? 1 : 0));
 
             } catch (error) {
                 console.error(`Error loading user info (attempt ${retryCount + 1}):`, error);
@@ -131,6 +134,9 @@ class DashboardController {
             this.updateScoreDisplay('personal', scoresData.personalQuestions || 0);
             this.updateScoreDisplay('comprehension', scoresData.readingComprehension || 0);
             this.updateScoreDisplay('fillblanks', scoresData.fillInTheBlanks || 0);
+            this.updateScoreDisplay('email', scoresData.emailWriting || 0);
+            this.updateScoreDisplay('dictation', scoresData.dictationAccuracy || 0);
+            this.updateScoreDisplay('roleplay', scoresData.rolePlayConversation || 0);
 
         } catch (error) {
             console.error('Error loading assessment scores:', error);
@@ -197,6 +203,58 @@ class DashboardController {
         }
     }
 
+    async loadAttemptHistory() {
+        try {
+            const response = await fetch('/api/assessment/attempts');
+            if (!response.ok) {
+                throw new Error('Failed to load past attempts');
+            }
+
+            const data = await response.json();
+            const attempts = data.attempts || [];
+
+            // Hide loading and show content
+            document.getElementById('attempts-loading').style.display = 'none';
+            document.getElementById('attempts-history').style.display = 'block';
+
+            const attemptsList = document.getElementById('attempts-list');
+            if (attempts.length === 0) {
+                attemptsList.innerHTML = `
+                    <div class="metric-item empty">
+                        <p>No assessment attempts recorded yet</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const statusLabels = {
+                in_progress: 'In progress',
+                completed: 'Completed',
+                abandoned: 'Not finished'
+            };
+
+            attemptsList.innerHTML = attempts.map(attempt => `
+                <div class="metric-item">
+                    <div class="metric-item-content">
+                        <span class="metric-item-title">Test #${attempt.testNumber} &middot; ${Math.round(attempt.overallScore || 0)}/100${attempt.cefrLevel ? ` &middot; ${attempt.cefrLevel} &middot; ${attempt.passed ? 'Passed' : 'Not passed'}` : ''}</span>
+                        <span class="metric-item-date">${this.formatDate(attempt.startedAt)}</span>
+                    </div>
+                    <div class="metric-item-content">
+                        <span class="metric-item-id">${statusLabels[attempt.status] || attempt.status} &middot; ${(attempt.completedSections || []).length} of ${(attempt.sections || []).length} sections</span>
+                        ${attempt.status !== 'in_progress' ? `<a class="metric-item-link" href="/result.html?attemptId=${attempt.id}">View results</a>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Error loading past attempts:', error);
+            document.getElementById('attempts-loading').innerHTML = `
+                <div class="error-message">
+                    <p>⚠️ Failed to load past attempts</p>
+                </div>
+            `;
+        }
+    }
 
     updateTestCount(testCount) {
         const testCountElement = document.getElementById('test-count');
@@ -0,0 +1,333 @@
+// Dictation Assessment Module
+
+class DictationAssessment {
+    constructor() {
+        this.isInitialized = false;
+        this.items = [];
+        this.answers = [];
+        this.currentIndex = 0;
+        this.maxPlays = 3;
+        this.playCount = this.maxPlays;
+        this.hasPlayed = false;
+        this.isPlaying = false;
+        this.isSubmitting = false;
+
+        // Random selection arrays, used when the audio was not pre-generated
+        this.topics = [
+            'Office announcements',
+            'Customer service',
+            'Travel and transport',
+            'Health and safety',
+            'Schedules and appointments',
+            'Product information',
+            'Workplace instructions',
+            'Everyday errands'
+        ];
+        this.difficulties = ['beginner', 'intermediate', 'advanced'];
+
+        this.initializeElements();
+        this.initializeEventListeners();
+    }
+
+    initializeElements() {
+        this.elements = {
+            loading: document.getElementById('dictation-loading'),
+            task: document.getElementById('dictation-task'),
+            difficultyBadge: document.getElementById('dictation-difficulty-badge'),
+            topicBadge: document.getElementById('dictation-topic-badge'),
+            progress: document.getElementById('dictation-progress'),
+            audio: document.getElementById('dictation-audio'),
+            playBtn: document.getElementById('dictation-play-btn'),
+            playCount: document.getElementById('dictation-play-count'),
+            answer: document.getElementById('dictation-answer'),
+            nextBtn: document.getElementById('dictation-next-btn'),
+            status: document.getElementById('dictation-status'),
+            results: document.getElementById('dictation-results')
+        };
+    }
+
+    initializeEventListeners() {
+        if (this.elements.playBtn) {
+            this.elements.playBtn.addEventListener('click', () => this.playSentence());
+        }
+
+        if (this.elements.nextBtn) {
+            this.elements.nextBtn.addEventListener('click', () => this.nextSentence());
+        }
+
+        if (this.elements.audio) {
+            this.elements.audio.addEventListener('ended', () => {
+                this.isPlaying = false;
+                this.updateControls();
+                this.elements.answer.focus();
+            });
+
+            this.elements.audio.addEventListener('error', (e) => {
+                console.error('Dictation audio playback error:', e);
+                // A failed play does not use up one of the candidate's plays
+                if (this.isPlaying) {
+                    this.isPlaying = false;
+                    this.playCount = Math.min(this.maxPlays, this.playCount + 1);
+                    this.updateControls();
+                    this.showError('Audio playback failed. Please try playing the sentence again.');
+                }
+            });
+        }
+    }
+
+    // Helper method to randomly select from array
+    getRandomSelection(array) {
+        return array[Math.floor(Math.random() * array.length)];
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.resetUI();
+
+        // Use the pre-generated audio instead of generating new sentences
+        if (window.assessmentController && window.assessmentController.preGeneratedQuestions.dictation) {
+            this.usePreGeneratedDictation(window.assessmentController.preGeneratedQuestions.dictation);
+        } else {
+            // Fallback to generating sentences if pre-generation failed
+            this.generateDictation();
+        }
+
+        this.isInitialized = true;
+    }
+
+    resetUI() {
+        this.elements.loading.style.display = 'block';
+        this.elements.task.style.display = 'none';
+        this.elements.results.style.display = 'none';
+
+        this.items = [];
+        this.answers = [];
+        this.currentIndex = 0;
+        this.isSubmitting = false;
+        this.elements.answer.value = '';
+        this.elements.answer.readOnly = false;
+        this.elements.status.textContent = '';
+        this.elements.status.className = 'dictation-status';
+        this.resetPlays();
+    }
+
+    resetPlays() {
+        this.stopAudio();
+        this.playCount = this.maxPlays;
+        this.hasPlayed = false;
+        this.updateControls();
+    }
+
+    async generateDictation() {
+        try {
+            const topic = this.getRandomSelection(this.topics);
+            const difficulty = this.getRandomSelection(this.difficulties);
+
+            console.log('Generating dictation with random selection...', { topic, difficulty });
+
+            const response = await fetch('/api/dictation/generate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ topic, difficulty })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.success && data.items && data.items.length > 0) {
+                this.displayDictation(data);
+            } else {
+                throw new Error('Failed to generate dictation');
+            }
+
+        } catch (error) {
+            console.error('Error generating dictation:', error);
+            this.showError('Failed to generate the dictation audio. Please refresh the page.');
+        }
+    }
+
+    usePreGeneratedDictation(data) {
+        console.log('Using pre-generated dictation:', data);
+
+        if (data.success && data.items && data.items.length > 0) {
+            this.displayDictation(data);
+        } else {
+            console.error('No dictation audio found in pre-generated data:', data);
+            // Fallback to generating new sentences
+            this.generateDictation();
+        }
+    }
+
+    displayDictation(data) {
+        this.items = data.items;
+        this.answers = new Array(this.items.length).fill('');
+
+        this.elements.difficultyBadge.textContent = data.difficulty || '';
+        this.elements.topicBadge.textContent = data.topic || '';
+
+        this.elements.loading.style.display = 'none';
+        this.elements.task.style.display = 'block';
+        this.showSentence(0);
+
+        console.log(`Dictation displayed: ${this.items.length} sentences`);
+    }
+
+    showSentence(index) {
+        this.currentIndex = index;
+        this.elements.progress.textContent = `Sentence ${index + 1} of ${this.items.length}`;
+        this.elements.audio.src = this.items[index].audioUrl;
+        this.elements.audio.load();
+        this.elements.answer.value = this.answers[index] || '';
+        this.elements.nextBtn.textContent = index === this.items.length - 1 ? 'Submit Dictation' : 'Next Sentence';
+        this.elements.status.textContent = '';
+        this.elements.status.className = 'dictation-status';
+        this.resetPlays();
+    }
+
+    playSentence() {
+        if (this.isPlaying || this.playCount <= 0 || this.isSubmitting) {
+            return;
+        }
+
+        this.playCount--;
+        this.isPlaying = true;
+        this.hasPlayed = true;
+        this.updateControls();
+
+        this.elements.audio.currentTime = 0;
+        this.elements.audio.play().catch(error => {
+            console.error('Error playing dictation audio:', error);
+            // The error listener may already have given the play back
+            if (!this.isPlaying) {
+                return;
+            }
+            this.isPlaying = false;
+            this.playCount = Math.min(this.maxPlays, this.playCount + 1);
+            this.updateControls();
+            this.showError('Audio playback failed. Please try playing the sentence again.');
+        });
+    }
+
+    stopAudio() {
+        this.isPlaying = false;
+        if (this.elements.audio) {
+            this.elements.audio.pause();
+        }
+    }
+
+    updateControls() {
+        this.elements.playCount.textContent = this.playCount;
+        this.elements.playBtn.disabled = this.isPlaying || this.playCount <= 0 || this.isSubmitting;
+        this.elements.playBtn.textContent = this.isPlaying ? '🔊 Playing...' : '🔊 Play Sentence';
+        // The sentence has to be heard at least once before moving on
+        this.elements.nextBtn.disabled = !this.hasPlayed || this.isPlaying || this.isSubmitting;
+    }
+
+    nextSentence() {
+        if (!this.hasPlayed || this.isSubmitting) {
+            return;
+        }
+
+        this.answers[this.currentIndex] = this.elements.answer.value.trim();
+
+        if (this.currentIndex < this.items.length - 1) {
+            this.showSentence(this.currentIndex + 1);
+            return;
+        }
+
+        this.submitDictation();
+    }
+
+    async submitDictation() {
+        this.isSubmitting = true;
+        this.stopAudio();
+        this.updateControls();
+        this.elements.answer.readOnly = true;
+        this.elements.status.textContent = '🔄 Checking your answers...';
+        this.elements.status.className = 'dictation-status';
+
+        try {
+            const response = await fetch('/api/dictation/submit', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ answers: this.answers })
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Submission failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log('Dictation result:', result);
+
+            this.displayResults(result);
+
+        } catch (error) {
+            console.error('Error submitting dictation:', error);
+            this.isSubmitting = false;
+            this.elements.answer.readOnly = false;
+            this.updateControls();
+            this.showError('Failed to submit your answers. Please try again.');
+        }
+    }
+
+    displayResults(result) {
+        // Hide the task and clear status; results are shown at the end
+        this.elements.task.style.display = 'none';
+        this.elements.status.textContent = '';
+
+        // Notify main controller that assessment is complete and auto-advance
+        if (window.assessmentController) {
+            window.assessmentController.onAssessmentComplete('dictation', result.score);
+            setTimeout(() => {
+                window.assessmentController.nextStep();
+            }, 500);
+        }
+
+        console.log('Dictation assessment completed - results stored for final analysis');
+    }
+
+    showError(message) {
+        this.elements.loading.style.display = 'none';
+        this.elements.status.textContent = `❌ ${message}`;
+        this.elements.status.className = 'dictation-status error';
+    }
+
+    cleanup() {
+        this.stopAudio();
+    }
+
+    // Reset the assessment for retrying
+    reset() {
+        this.cleanup();
+        this.isInitialized = false;
+        this.items = [];
+        this.answers = [];
+        this.currentIndex = 0;
+        this.isSubmitting = false;
+    }
+
+    // Cleanup on page unload
+    onPageUnload() {
+        this.cleanup();
+    }
+}
+
+// Initialize the dictation assessment when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.DictationAssessment = new DictationAssessment();
+});
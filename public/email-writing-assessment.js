@@ -0,0 +1,375 @@
+// Email Writing Assessment Module
+
+class EmailWritingAssessment {
+    constructor() {
+        this.isInitialized = false;
+        this.scenario = null;
+        this.isSubmitting = false;
+        this.timeIsUp = false;
+        this.deadline = null;
+        this.timerInterval = null;
+
+        // Random selection arrays, used when the task was not pre-generated
+        this.topics = [
+            'Project updates',
+            'Customer complaints',
+            'Meeting requests',
+            'Deadline extensions',
+            'Team announcements',
+            'Vendor negotiations',
+            'Onboarding',
+            'Incident reports'
+        ];
+        this.difficulties = ['beginner', 'intermediate', 'advanced'];
+
+        this.initializeElements();
+        this.initializeEventListeners();
+    }
+
+    initializeElements() {
+        this.elements = {
+            loading: document.getElementById('email-loading'),
+            task: document.getElementById('email-task'),
+            difficultyBadge: document.getElementById('email-difficulty-badge'),
+            topicBadge: document.getElementById('email-topic-badge'),
+            situation: document.getElementById('email-situation'),
+            recipient: document.getElementById('email-recipient'),
+            incoming: document.getElementById('email-incoming'),
+            incomingFrom: document.getElementById('email-incoming-from'),
+            incomingSubject: document.getElementById('email-incoming-subject'),
+            incomingBody: document.getElementById('email-incoming-body'),
+            requirements: document.getElementById('email-requirements'),
+            timer: document.getElementById('email-timer'),
+            wordCount: document.getElementById('email-word-count'),
+            subject: document.getElementById('email-subject'),
+            body: document.getElementById('email-body'),
+            limitHint: document.getElementById('email-limit-hint'),
+            submitBtn: document.getElementById('email-submit-btn'),
+            status: document.getElementById('email-status'),
+            results: document.getElementById('email-results')
+        };
+    }
+
+    initializeEventListeners() {
+        if (this.elements.body) {
+            this.elements.body.addEventListener('input', () => this.updateWordCount());
+        }
+
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.addEventListener('click', () => this.submitEmail());
+        }
+    }
+
+    // Helper method to randomly select from array
+    getRandomSelection(array) {
+        return array[Math.floor(Math.random() * array.length)];
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.resetUI();
+
+        // Use the pre-generated task instead of generating a new one
+        if (window.assessmentController && window.assessmentController.preGeneratedQuestions.email) {
+            this.usePreGeneratedTask(window.assessmentController.preGeneratedQuestions.email);
+        } else {
+            // Fallback to generating a task if pre-generation failed
+            this.generateTask();
+        }
+
+        this.isInitialized = true;
+    }
+
+    resetUI() {
+        this.elements.loading.style.display = 'block';
+        this.elements.task.style.display = 'none';
+        this.elements.results.style.display = 'none';
+
+        this.scenario = null;
+        this.isSubmitting = false;
+        this.timeIsUp = false;
+        this.elements.subject.value = '';
+        this.elements.body.value = '';
+        this.elements.subject.readOnly = false;
+        this.elements.body.readOnly = false;
+        this.elements.status.textContent = '';
+        this.elements.status.className = 'email-status';
+        this.elements.timer.textContent = '';
+        this.elements.timer.classList.remove('warning');
+        this.stopTimer();
+        this.updateWordCount();
+    }
+
+    async generateTask() {
+        try {
+            const topic = this.getRandomSelection(this.topics);
+            const difficulty = this.getRandomSelection(this.difficulties);
+
+            console.log('Generating email writing task with random selection...', { topic, difficulty });
+
+            const response = await fetch('/api/email-writing/generate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ topic, difficulty })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.success && data.scenario) {
+                this.displayTask(data);
+            } else {
+                throw new Error('Failed to generate email task');
+            }
+
+        } catch (error) {
+            console.error('Error generating email task:', error);
+            this.showError('Failed to generate the email writing task. Please refresh the page.');
+        }
+    }
+
+    async usePreGeneratedTask(data) {
+        console.log('Using pre-generated email writing task:', data);
+
+        if (!data.success || !data.scenario) {
+            console.error('No scenario found in pre-generated data:', data);
+            // Fallback to generating a new task
+            this.generateTask();
+            return;
+        }
+
+        try {
+            // The server times the reply from now, when the task is shown
+            const response = await fetch('/api/email-writing/start', { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { scenario, serverTime } = await response.json();
+            this.displayTask({ ...data, scenario, timestamp: serverTime });
+        } catch (error) {
+            console.error('Error starting pre-generated email task:', error);
+            this.generateTask();
+        }
+    }
+
+    displayTask(data) {
+        const scenario = data.scenario;
+        this.scenario = scenario;
+
+        this.elements.difficultyBadge.textContent = scenario.difficulty;
+        this.elements.topicBadge.textContent = data.topic || '';
+        this.elements.situation.textContent = scenario.situation;
+        this.elements.recipient.textContent = scenario.recipient || 'The person described above';
+
+        if (scenario.incomingEmail) {
+            this.elements.incomingFrom.textContent = `From: ${scenario.incomingEmail.from || 'Unknown sender'}`;
+            this.elements.incomingSubject.textContent = `Subject: ${scenario.incomingEmail.subject || '(no subject)'}`;
+            this.elements.incomingBody.textContent = scenario.incomingEmail.body;
+            this.elements.incoming.style.display = 'block';
+        } else {
+            this.elements.incoming.style.display = 'none';
+        }
+
+        this.elements.requirements.innerHTML = '';
+        scenario.requirements.forEach(requirement => {
+            const item = document.createElement('li');
+            item.textContent = requirement;
+            this.elements.requirements.appendChild(item);
+        });
+
+        this.elements.limitHint.textContent = `Write ${scenario.minWords}-${scenario.maxWords} words. You have ${scenario.timeLimitMinutes} minutes; whatever you have written is sent when the time runs out.`;
+
+        this.elements.loading.style.display = 'none';
+        this.elements.task.style.display = 'block';
+        this.updateWordCount();
+        // Count down from when the server started the task, which may be before this page showed it
+        const elapsedMs = scenario.issuedAt && data.timestamp ? Math.max(0, new Date(data.timestamp) - new Date(scenario.issuedAt)) : 0;
+        this.startTimer(scenario.timeLimitMinutes - elapsedMs / 60000);
+        this.elements.subject.focus();
+
+        console.log(`Email task displayed: ${scenario.difficulty}, ${scenario.minWords}-${scenario.maxWords} words, ${scenario.timeLimitMinutes} minutes`);
+    }
+
+    countWords(text) {
+        return text.trim().split(/\s+/).filter(Boolean).length;
+    }
+
+    updateWordCount() {
+        const words = this.countWords(this.elements.body.value);
+        const maxWords = this.scenario ? this.scenario.maxWords : null;
+        const minWords = this.scenario ? this.scenario.minWords : null;
+
+        this.elements.wordCount.textContent = maxWords ? `${words} / ${maxWords} words` : `${words} words`;
+        this.elements.wordCount.classList.toggle('over-limit', Boolean(maxWords) && words > maxWords);
+        this.elements.wordCount.classList.toggle('under-limit', Boolean(minWords) && words > 0 && words < minWords);
+
+        // Over the limit the candidate has to cut the email down before sending it, unless time is already up
+        const overLimit = Boolean(maxWords) && words > maxWords && !this.timeIsUp;
+        this.elements.submitBtn.disabled = this.isSubmitting || !this.scenario || words === 0 || overLimit;
+    }
+
+    startTimer(minutes) {
+        this.stopTimer();
+        this.deadline = Date.now() + minutes * 60 * 1000;
+        this.updateTimer();
+        this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+    }
+
+    updateTimer() {
+        const remaining = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+        const minutes = Math.floor(remaining / 60);
+        const seconds = remaining % 60;
+        this.elements.timer.textContent = `⏱️ ${minutes}:${seconds.toString().padStart(2, '0')} left`;
+        this.elements.timer.classList.toggle('warning', remaining <= 60);
+
+        if (remaining === 0) {
+            this.handleTimeUp();
+        }
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    handleTimeUp() {
+        this.stopTimer();
+        if (this.timeIsUp || this.isSubmitting) {
+            return;
+        }
+        this.timeIsUp = true;
+        this.elements.subject.readOnly = true;
+        this.elements.body.readOnly = true;
+
+        if (this.countWords(this.elements.body.value) > 0) {
+            this.elements.status.textContent = '⏰ Time is up - sending what you have written...';
+            this.submitEmail();
+            return;
+        }
+
+        // Nothing to grade: the section stays unattempted and scores 0
+        this.elements.status.textContent = '⏰ Time is up - no email was written.';
+        if (window.assessmentController) {
+            setTimeout(() => {
+                window.assessmentController.nextStep();
+            }, 1500);
+        }
+    }
+
+    async submitEmail() {
+        const emailText = this.elements.body.value.trim();
+        if (this.isSubmitting || !emailText || !this.scenario) {
+            return;
+        }
+
+        // Once time is up the email is sent as it is, even if it runs over the word limit
+        if (!this.timeIsUp && this.countWords(emailText) > this.scenario.maxWords) {
+            this.showError(`Your email is over the ${this.scenario.maxWords}-word limit. Please shorten it.`);
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.stopTimer();
+        this.elements.timer.textContent = '';
+        this.updateWordCount();
+        this.elements.subject.readOnly = true;
+        this.elements.body.readOnly = true;
+        this.elements.status.textContent = '🔄 Grading your email...';
+        this.elements.status.className = 'email-status';
+
+        try {
+            const response = await fetch('/api/email-writing/evaluate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    subject: this.elements.subject.value.trim(),
+                    emailText
+                })
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Evaluation failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log('Email writing evaluation result:', result);
+
+            this.displayResults(result);
+
+        } catch (error) {
+            console.error('Error evaluating email:', error);
+            this.isSubmitting = false;
+            this.elements.subject.readOnly = this.timeIsUp;
+            this.elements.body.readOnly = this.timeIsUp;
+            this.updateWordCount();
+            this.showError('Failed to grade your email. Please try sending it again.');
+
+            // The original deadline still applies while the candidate retries
+            if (!this.timeIsUp) {
+                this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+            }
+        }
+    }
+
+    displayResults(result) {
+        // Hide the task and clear status; results are shown at the end
+        this.elements.task.style.display = 'none';
+        this.elements.status.textContent = '';
+
+        // Notify main controller that assessment is complete and auto-advance
+        if (window.assessmentController) {
+            window.assessmentController.onAssessmentComplete('email', result.score);
+            setTimeout(() => {
+                window.assessmentController.nextStep();
+            }, 500);
+        }
+
+        console.log('Email writing assessment completed - results stored for final analysis');
+    }
+
+    showError(message) {
+        this.elements.loading.style.display = 'none';
+        this.elements.status.textContent = `❌ ${message}`;
+        this.elements.status.className = 'email-status error';
+    }
+
+    cleanup() {
+        this.stopTimer();
+    }
+
+    // Reset the assessment for retrying
+    reset() {
+        this.cleanup();
+        this.isInitialized = false;
+        this.scenario = null;
+        this.isSubmitting = false;
+        this.timeIsUp = false;
+    }
+
+    // Cleanup on page unload
+    onPageUnload() {
+        this.cleanup();
+    }
+}
+
+// Initialize the email writing assessment when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.EmailWritingAssessment = new EmailWritingAssessment();
+});
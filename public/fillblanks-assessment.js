@@ -317,6 +317,10 @@ class FillBlanksAssessment {
                 })
             });
 
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`Evaluation failed: ${response.status}`);
             }
@@ -353,16 +357,15 @@ class FillBlanksAssessment {
         // Store results for final display but don't show individual results
         // Results section remains hidden
         
-        // Notify main controller that assessment is complete (last assessment)
+        // Notify main controller that assessment is complete and move on (ends the test when this is the last section)
         if (window.assessmentController) {
             window.assessmentController.onAssessmentComplete('fillblanks', result.score);
-            // Show end of assessment section instead of auto-advancing
             setTimeout(() => {
-                window.assessmentController.showEndOfAssessment();
+                window.assessmentController.nextStep();
             }, 500);
         }
 
-        console.log('Fill-in-the-blanks assessment completed - showing end of assessment section');
+        console.log('Fill-in-the-blanks assessment completed - continuing to next section');
     }
 
     colorCodeScore(score) {
@@ -0,0 +1,239 @@
+// Assessment locales shared by the server (required from server.js) and the browser pages.
+// A template's locale decides the speech recognition language, the TTS voices, the language
+// prompts ask the LLM to write in, and the strings of the assessment page.
+(function (root) {
+    const DEFAULT_LOCALE = 'en-US';
+
+    // Azure neural voices per locale; every locale has at least one female and one male voice
+    const LOCALES = {
+        'en-US': {
+            label: 'English (United States)',
+            language: 'en',
+            languageName: 'English',
+            variety: 'American English',
+            voices: [
+                { name: 'en-US-JennyNeural', gender: 'Female' },
+                { name: 'en-US-GuyNeural', gender: 'Male' },
+                { name: 'en-US-AriaNeural', gender: 'Female' }
+            ]
+        },
+        'en-GB': {
+            label: 'English (United Kingdom)',
+            language: 'en',
+            languageName: 'English',
+            variety: 'British English',
+            voices: [
+                { name: 'en-GB-SoniaNeural', gender: 'Female' },
+                { name: 'en-GB-RyanNeural', gender: 'Male' },
+                { name: 'en-GB-LibbyNeural', gender: 'Female' }
+            ]
+        },
+        'en-IN': {
+            label: 'English (India)',
+            language: 'en',
+            languageName: 'English',
+            variety: 'Indian English',
+            voices: [
+                { name: 'en-IN-NeerjaNeural', gender: 'Female' },
+                { name: 'en-IN-PrabhatNeural', gender: 'Male' }
+            ]
+        },
+        'en-AU': {
+            label: 'English (Australia)',
+            language: 'en',
+            languageName: 'English',
+            variety: 'Australian English',
+            voices: [
+                { name: 'en-AU-NatashaNeural', gender: 'Female' },
+                { name: 'en-AU-WilliamNeural', gender: 'Male' }
+            ]
+        },
+        'es-ES': {
+            label: 'Spanish (Spain)',
+            language: 'es',
+            languageName: 'Spanish',
+            variety: 'Spanish as spoken in Spain',
+            voices: [
+                { name: 'es-ES-ElviraNeural', gender: 'Female' },
+                { name: 'es-ES-AlvaroNeural', gender: 'Male' }
+            ]
+        },
+        'fr-FR': {
+            label: 'French (France)',
+            language: 'fr',
+            languageName: 'French',
+            variety: 'French as spoken in France',
+            voices: [
+                { name: 'fr-FR-DeniseNeural', gender: 'Female' },
+                { name: 'fr-FR-HenriNeural', gender: 'Male' }
+            ]
+        }
+    };
+
+    const LOCALE_CODES = Object.keys(LOCALES);
+
+    // Question bank items are written in a language, not a locale; English items serve every English locale
+    const LANGUAGES = [...new Set(LOCALE_CODES.map(code => LOCALES[code].language))];
+
+    // Strings of the assessment page, keyed by the data-i18n attribute of the element that shows them.
+    // English is the markup itself; languages missing a key keep the English text.
+    const UI_STRINGS = {
+        es: {
+            'nav.submit': 'Enviar',
+            'common.startRecording': '🎙 Empezar a grabar',
+            'common.stop': 'Detener',
+            'common.submitAnswer': 'Enviar respuesta',
+            'common.previous': '← Anterior',
+            'common.next': 'Siguiente →',
+            'common.playAudio': 'Reproducir audio',
+            'reading.title': 'Evaluación de lectura en voz alta',
+            'reading.subtitle': 'Lee la frase en voz alta para evaluar tu pronunciación',
+            'reading.loading': 'Generando frase...',
+            'listening.title': 'Evaluación de comprensión auditiva',
+            'listening.subtitle': 'Escucha el audio y repite lo que oigas',
+            'listening.loading': 'Generando audio...',
+            'jumbled.title': 'Evaluación de frases desordenadas',
+            'jumbled.subtitle': 'Ordena las palabras para formar frases correctas',
+            'jumbled.loading': 'Generando frases desordenadas...',
+            'story.title': 'Evaluación de resumen de historia',
+            'story.subtitle': 'Escucha una historia y haz un resumen claro',
+            'story.loading': 'Generando historia y audio...',
+            'story.listenTitle': 'Escucha el audio',
+            'story.listenHint': 'Puedes reproducir el audio hasta 2 veces.',
+            'story.recordTitle': 'Graba tu resumen',
+            'story.recordHint': 'Resume la historia con tus propias palabras.',
+            'personal.title': 'Evaluación de preguntas personales',
+            'personal.subtitle': 'Responde preguntas de entrevista y recibe comentarios detallados',
+            'personal.loading': 'Generando pregunta de entrevista...',
+            'personal.record': 'Empezar a grabar',
+            'personal.hint': 'Tómate un momento para pensar y luego graba tu respuesta. Intenta hablar entre 30 y 90 segundos.',
+            'comprehension.title': 'Evaluación de comprensión lectora',
+            'comprehension.subtitle': 'Lee los textos y responde las preguntas de comprensión',
+            'comprehension.loading': 'Generando contenido de comprensión lectora...',
+            'comprehension.passage': 'Texto',
+            'comprehension.questions': 'Preguntas de comprensión',
+            'fillblanks.title': 'Evaluación de completar huecos',
+            'fillblanks.subtitle': 'Completa las frases con la gramática y el vocabulario adecuados',
+            'fillblanks.loading': 'Generando preguntas para completar...',
+            'email.title': 'Evaluación de redacción de correos',
+            'email.subtitle': 'Responde a una situación laboral con un correo profesional',
+            'email.loading': 'Generando la tarea de correo...',
+            'email.send': 'Enviar correo',
+            'dictation.title': 'Evaluación de dictado',
+            'dictation.subtitle': 'Escucha cada frase y escribe exactamente lo que oigas',
+            'dictation.loading': 'Generando el audio del dictado...',
+            'roleplay.title': 'Evaluación de conversación de rol',
+            'roleplay.subtitle': 'Mantén una conversación hablada con un cliente o un responsable',
+            'roleplay.loading': 'Preparando la conversación...',
+            'roleplay.done': 'Terminar'
+        },
+        fr: {
+            'nav.submit': 'Envoyer',
+            'common.startRecording': '🎙 Commencer l\'enregistrement',
+            'common.stop': 'Arrêter',
+            'common.submitAnswer': 'Valider la réponse',
+            'common.previous': '← Précédent',
+            'common.next': 'Suivant →',
+            'common.playAudio': 'Écouter l\'audio',
+            'reading.title': 'Évaluation de la lecture à voix haute',
+            'reading.subtitle': 'Lisez la phrase à voix haute pour évaluer votre prononciation',
+            'reading.loading': 'Génération de la phrase...',
+            'listening.title': 'Évaluation de la compréhension orale',
+            'listening.subtitle': 'Écoutez l\'audio et répétez ce que vous entendez',
+            'listening.loading': 'Génération de l\'audio...',
+            'jumbled.title': 'Évaluation des phrases en désordre',
+            'jumbled.subtitle': 'Remettez les mots dans l\'ordre pour former des phrases correctes',
+            'jumbled.loading': 'Génération des phrases en désordre...',
+            'story.title': 'Évaluation du résumé d\'histoire',
+            'story.subtitle': 'Écoutez une histoire et faites-en un résumé clair',
+            'story.loading': 'Génération de l\'histoire et de l\'audio...',
+            'story.listenTitle': 'Écoutez l\'audio',
+            'story.listenHint': 'Vous pouvez écouter l\'audio 2 fois au maximum.',
+            'story.recordTitle': 'Enregistrez votre résumé',
+            'story.recordHint': 'Résumez l\'histoire avec vos propres mots.',
+            'personal.title': 'Évaluation des questions personnelles',
+            'personal.subtitle': 'Répondez à des questions d\'entretien et recevez un retour détaillé',
+            'personal.loading': 'Génération de la question d\'entretien...',
+            'personal.record': 'Commencer l\'enregistrement',
+            'personal.hint': 'Prenez un moment pour réfléchir, puis enregistrez votre réponse. Visez 30 à 90 secondes.',
+            'comprehension.title': 'Évaluation de la compréhension écrite',
+            'comprehension.subtitle': 'Lisez les textes et répondez aux questions de compréhension',
+            'comprehension.loading': 'Génération du contenu de compréhension écrite...',
+            'comprehension.passage': 'Texte',
+            'comprehension.questions': 'Questions de compréhension',
+            'fillblanks.title': 'Évaluation des textes à trous',
+            'fillblanks.subtitle': 'Complétez les phrases avec la grammaire et le vocabulaire appropriés',
+            'fillblanks.loading': 'Génération des questions à trous...',
+            'email.title': 'Évaluation de la rédaction d\'e-mails',
+            'email.subtitle': 'Répondez à une situation professionnelle par un e-mail soigné',
+            'email.loading': 'Génération de la tâche d\'e-mail...',
+            'email.send': 'Envoyer l\'e-mail',
+            'dictation.title': 'Évaluation de la dictée',
+            'dictation.subtitle': 'Écoutez chaque phrase et écrivez exactement ce que vous entendez',
+            'dictation.loading': 'Génération de l\'audio de la dictée...',
+            'roleplay.title': 'Évaluation de la conversation en jeu de rôle',
+            'roleplay.subtitle': 'Menez une conversation orale avec un client ou un responsable',
+            'roleplay.loading': 'Préparation de la conversation...',
+            'roleplay.done': 'Terminé'
+        }
+    };
+
+    const isLocale = (code) => Object.prototype.hasOwnProperty.call(LOCALES, code);
+
+    // Display name of a question bank language, e.g. 'es' -> 'Spanish'
+    const getLanguageName = (language) => {
+        const code = LOCALE_CODES.find(localeCode => LOCALES[localeCode].language === language);
+        return code ? LOCALES[code].languageName : language;
+    };
+
+    // Locale definition with its code; unknown or missing codes fall back to the default
+    const getLocale = (code) => {
+        const localeCode = isLocale(code) ? code : DEFAULT_LOCALE;
+        return { code: localeCode, ...LOCALES[localeCode] };
+    };
+
+    // Every voice of the locale's language, each tagged with its own locale, so listening audio can
+    // mix accents (an en-US test also hears British, Indian and Australian speakers)
+    const getAccentVoices = (code) => {
+        const { language } = getLocale(code);
+        return LOCALE_CODES
+            .filter(localeCode => LOCALES[localeCode].language === language)
+            .flatMap(localeCode => LOCALES[localeCode].voices.map(voice => ({ ...voice, locale: localeCode })));
+    };
+
+    // UI string for a key, or the fallback (the English markup) when the locale's language has none
+    const translate = (code, key, fallback) => {
+        const strings = UI_STRINGS[getLocale(code).language] || {};
+        return strings[key] || fallback;
+    };
+
+    // Replace the text of every [data-i18n] element under root; English text is kept so switching back works
+    const applyTranslations = (rootElement, code) => {
+        rootElement.querySelectorAll('[data-i18n]').forEach(element => {
+            if (element.dataset.i18nDefault === undefined) {
+                element.dataset.i18nDefault = element.textContent;
+            }
+            element.textContent = translate(code, element.dataset.i18n, element.dataset.i18nDefault);
+        });
+    };
+
+    const AssessmentLocales = {
+        DEFAULT_LOCALE,
+        LOCALES,
+        LOCALE_CODES,
+        LANGUAGES,
+        UI_STRINGS,
+        isLocale,
+        getLanguageName,
+        getLocale,
+        getAccentVoices,
+        translate,
+        applyTranslations
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AssessmentLocales;
+    } else {
+        root.AssessmentLocales = AssessmentLocales;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,116 @@
+// Word- and phoneme-level pronunciation detail shared by the server (required from server.js), which trims what the
+// Azure Speech SDK reports down to what is stored, and the result pages, which colour the words and list weak sounds
+(function (root) {
+    // Azure reports "None", "Omission", "Insertion" and "Mispronunciation"; prosody-only types count as "none"
+    const WORD_ERROR_TYPES = ['none', 'omission', 'insertion', 'mispronunciation'];
+
+    const MAX_WORDS = 400;
+    const MAX_PHONEMES_PER_WORD = 30;
+    // A phoneme scoring below this is counted as mispronounced in the summary
+    const MISPRONOUNCED_PHONEME_SCORE = 60;
+
+    const toScore = (value) => {
+        const number = Number(value);
+        return isFinite(number) ? Math.max(0, Math.min(100, Math.round(number))) : 0;
+    };
+
+    const toErrorType = (value) => {
+        const errorType = String(value || 'none').toLowerCase();
+        return WORD_ERROR_TYPES.includes(errorType) ? errorType : 'none';
+    };
+
+    // Azure's Words array (NBest[0].Words from the SDK's detailResult or the REST response) ->
+    // [{ word, accuracyScore, errorType, phonemes }]. Scores may be nested under PronunciationAssessment or flat,
+    // depending on the API version. Words already in the stored shape pass through the same checks.
+    const normalizeWords = (words) => {
+        if (!Array.isArray(words)) return [];
+
+        return words
+            .filter(word => word && typeof (word.Word || word.word) === 'string' && (word.Word || word.word).trim())
+            .slice(0, MAX_WORDS)
+            .map(word => {
+                const assessment = word.PronunciationAssessment || word;
+                const phonemes = word.Phonemes || word.phonemes;
+                return {
+                    word: (word.Word || word.word).trim().slice(0, 50),
+                    accuracyScore: toScore(word.Word ? assessment.AccuracyScore : word.accuracyScore),
+                    errorType: toErrorType(word.Word ? assessment.ErrorType : word.errorType),
+                    phonemes: (Array.isArray(phonemes) ? phonemes : [])
+                        .map(phoneme => phoneme && (phoneme.Phoneme
+                            ? { phoneme: phoneme.Phoneme, accuracyScore: (phoneme.PronunciationAssessment || phoneme).AccuracyScore }
+                            : phoneme))
+                        .filter(phoneme => phoneme && typeof phoneme.phoneme === 'string' && phoneme.phoneme)
+                        .slice(0, MAX_PHONEMES_PER_WORD)
+                        .map(phoneme => ({
+                            phoneme: phoneme.phoneme.slice(0, 10),
+                            accuracyScore: toScore(phoneme.accuracyScore)
+                        }))
+                };
+            });
+    };
+
+    // Every stored word of an attempt's results (as returned by detailed-results), across sentences and sections
+    const collectWords = (results) => {
+        const words = [];
+        Object.values(results || {}).forEach(result => {
+            const data = result && result.pronunciationData;
+            if (!data) return;
+
+            (data.sentences || []).forEach(sentence => {
+                words.push(...(sentence.words || []));
+            });
+            words.push(...(data.words || []));
+        });
+        return words;
+    };
+
+    // Sounds the candidate got wrong most often: [{ phoneme, count, mispronouncedCount, averageScore, examples }]
+    const summarizeMispronouncedSounds = (words, limit = 5) => {
+        const byPhoneme = new Map();
+
+        (words || []).forEach(word => {
+            // Omitted and inserted words say nothing about how a sound was produced
+            if (word.errorType === 'omission' || word.errorType === 'insertion') return;
+
+            (word.phonemes || []).forEach(({ phoneme, accuracyScore }) => {
+                const entry = byPhoneme.get(phoneme) || { phoneme, count: 0, mispronouncedCount: 0, totalScore: 0, examples: [] };
+                entry.count++;
+                entry.totalScore += accuracyScore;
+                if (accuracyScore < MISPRONOUNCED_PHONEME_SCORE) {
+                    entry.mispronouncedCount++;
+                    const example = word.word.toLowerCase();
+                    if (entry.examples.length < 3 && !entry.examples.includes(example)) {
+                        entry.examples.push(example);
+                    }
+                }
+                byPhoneme.set(phoneme, entry);
+            });
+        });
+
+        return Array.from(byPhoneme.values())
+            .filter(entry => entry.mispronouncedCount > 0)
+            .map(entry => ({
+                phoneme: entry.phoneme,
+                count: entry.count,
+                mispronouncedCount: entry.mispronouncedCount,
+                averageScore: Math.round(entry.totalScore / entry.count),
+                examples: entry.examples
+            }))
+            .sort((a, b) => b.mispronouncedCount - a.mispronouncedCount || a.averageScore - b.averageScore)
+            .slice(0, limit);
+    };
+
+    const PronunciationDetail = {
+        WORD_ERROR_TYPES,
+        MISPRONOUNCED_PHONEME_SCORE,
+        normalizeWords,
+        collectWords,
+        summarizeMispronouncedSounds
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PronunciationDetail;
+    } else {
+        root.PronunciationDetail = PronunciationDetail;
+    }
+})(typeof window !== 'undefined' ? window : this);
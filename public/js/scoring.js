@@ -0,0 +1,129 @@
+// Assessment scoring shared by the server (required from models/, services/ and routes/) and the assessment/result pages,
+// so the API, the result page and the email report all compute the same overall score, pass/fail and band
+(function (root) {
+    // Section key -> field name used in assessmentScores and attempt.sectionScores
+    const SECTION_SCORE_FIELDS = {
+        reading: 'readingAbility',
+        listening: 'listeningAbility',
+        jumbled: 'jumbledSentences',
+        story: 'storySummarization',
+        personal: 'personalQuestions',
+        comprehension: 'readingComprehension',
+        fillblanks: 'fillInTheBlanks',
+        email: 'emailWriting',
+        dictation: 'dictationAccuracy',
+        roleplay: 'rolePlayConversation'
+    };
+
+    // Sections of the standard test, scored when no template says otherwise; email writing, dictation and role-play are opt-in per template
+    const STANDARD_SECTIONS = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks'];
+
+    const DEFAULT_SECTION_WEIGHT = 1;
+    const DEFAULT_SECTION_PASS_SCORE = 40;
+    const DEFAULT_OVERALL_PASS_SCORE = 60;
+
+    // CEFR-style bands, highest first; a score falls in the first band whose minimum it reaches
+    const CEFR_BANDS = [
+        { level: 'C2', label: 'Proficient', minScore: 90 },
+        { level: 'C1', label: 'Advanced', minScore: 80 },
+        { level: 'B2', label: 'Upper Intermediate', minScore: 65 },
+        { level: 'B1', label: 'Intermediate', minScore: 50 },
+        { level: 'A2', label: 'Elementary', minScore: 35 },
+        { level: 'A1', label: 'Beginner', minScore: 0 }
+    ];
+
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+    // Accepts a template/attempt scoring config ({ sections, passScore }) or a plain list of section keys
+    // and fills in default weights and thresholds
+    const normalizeConfig = (config) => {
+        const source = Array.isArray(config) ? { sections: config } : (config || {});
+        const sections = (source.sections && source.sections.length > 0 ? source.sections : STANDARD_SECTIONS)
+            .map(section => (typeof section === 'string' ? { key: section } : section))
+            .map(section => ({
+                key: section.key,
+                weight: isNumber(section.weight) && section.weight > 0 ? section.weight : DEFAULT_SECTION_WEIGHT,
+                passScore: isNumber(section.passScore) ? section.passScore : DEFAULT_SECTION_PASS_SCORE
+            }));
+
+        return {
+            sections,
+            passScore: isNumber(source.passScore) ? source.passScore : DEFAULT_OVERALL_PASS_SCORE
+        };
+    };
+
+    // Convert { readingAbility: 80, ... } into { reading: 80, ... }
+    const fromScoreFields = (scoreFields) => {
+        const scores = {};
+        Object.keys(SECTION_SCORE_FIELDS).forEach(key => {
+            scores[key] = (scoreFields && scoreFields[SECTION_SCORE_FIELDS[key]]) || 0;
+        });
+        return scores;
+    };
+
+    const getCefrBand = (score) => {
+        return CEFR_BANDS.find(band => (score || 0) >= band.minScore) || CEFR_BANDS[CEFR_BANDS.length - 1];
+    };
+
+    // Weighted average over the configured sections, rounded; sections without a score count as 0
+    const computeOverallScore = (scores, config) => {
+        const { sections } = normalizeConfig(config);
+        const totalWeight = sections.reduce((sum, section) => sum + section.weight, 0);
+        if (totalWeight === 0) {
+            return 0;
+        }
+
+        const weightedTotal = sections.reduce((sum, section) => {
+            return sum + ((scores && scores[section.key]) || 0) * section.weight;
+        }, 0);
+        return Math.round(weightedTotal / totalWeight);
+    };
+
+    // Full result for a set of section scores (keyed by section key): overall score, band and pass/fail.
+    // Passing needs the overall threshold and every section's threshold.
+    const evaluateAssessment = (scores, config) => {
+        const normalized = normalizeConfig(config);
+        const overallScore = computeOverallScore(scores, normalized);
+        const band = getCefrBand(overallScore);
+
+        const sections = normalized.sections.map(section => {
+            const score = Math.round((scores && scores[section.key]) || 0);
+            return {
+                key: section.key,
+                score,
+                weight: section.weight,
+                passScore: section.passScore,
+                passed: score >= section.passScore
+            };
+        });
+
+        return {
+            overallScore,
+            passScore: normalized.passScore,
+            passed: overallScore >= normalized.passScore && sections.every(section => section.passed),
+            cefrLevel: band.level,
+            cefrLabel: band.label,
+            sections
+        };
+    };
+
+    const AssessmentScoring = {
+        SECTION_SCORE_FIELDS,
+        STANDARD_SECTIONS,
+        DEFAULT_SECTION_WEIGHT,
+        DEFAULT_SECTION_PASS_SCORE,
+        DEFAULT_OVERALL_PASS_SCORE,
+        CEFR_BANDS,
+        normalizeConfig,
+        fromScoreFields,
+        getCefrBand,
+        computeOverallScore,
+        evaluateAssessment
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AssessmentScoring;
+    } else {
+        root.AssessmentScoring = AssessmentScoring;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -227,6 +227,10 @@ class JumbledAssessment {
                 })
             });
 
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
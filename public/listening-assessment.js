@@ -5,6 +5,7 @@ class ListeningAssessment {
         this.currentText = '';
         this.audioUrl = '';
         this.recognizer = null;
+        this.speechRecorder = new SpeechRecorder();
         this.isRecording = false;
         this.isInitialized = false;
         this.azureConfig = null;
@@ -279,7 +280,7 @@ class ListeningAssessment {
                 this.azureConfig.token, 
                 this.azureConfig.region
             );
-            speechConfig.speechRecognitionLanguage = 'en-US';
+            speechConfig.speechRecognitionLanguage = window.assessmentController.locale.code;
 
             // Create audio configuration
             const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
@@ -288,15 +289,20 @@ class ListeningAssessment {
             const pronunciationAssessmentConfig = new SpeechSDK.PronunciationAssessmentConfig(
                 this.currentText,
                 SpeechSDK.PronunciationAssessmentGradingSystem.HundredMark,
-                SpeechSDK.PronunciationAssessmentGranularity.Word,
+                SpeechSDK.PronunciationAssessmentGranularity.Phoneme,
                 true
             );
+            // IPA symbols are what candidates see in the per-word breakdown on the result page
+            pronunciationAssessmentConfig.phonemeAlphabet = 'IPA';
 
             // Create speech recognizer
             this.recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
             pronunciationAssessmentConfig.applyTo(this.recognizer);
 
             this.isRecording = true;
+
+            // The server scores this audio; the SDK's own result is only a preview
+            this.speechRecorder.start();
             
             // Update UI
             this.elements.recordBtn.style.display = 'none';
@@ -315,8 +321,9 @@ class ListeningAssessment {
 
                 if (result.reason === SpeechSDK.ResultReason.RecognizedSpeech) {
                     const paResult = SpeechSDK.PronunciationAssessmentResult.fromResult(result);
-                    this.processResults(paResult, result.text);
+                    this.speechRecorder.stop().then(audio => this.processResults(paResult, result.text, audio));
                 } else {
+                    this.speechRecorder.cancel();
                     this.elements.status.textContent = 'No speech detected. Please try again.';
                     console.error('Listening speech recognition failed:', result);
                 }
@@ -325,6 +332,7 @@ class ListeningAssessment {
         } catch (error) {
             console.error('Error starting listening recording:', error);
             this.showError('Could not start recording. Please check your microphone permissions.');
+            this.speechRecorder.cancel();
             this.isRecording = false;
             this.elements.recordBtn.style.display = 'inline-block';
             this.elements.stopBtn.style.display = 'none';
@@ -343,14 +351,19 @@ class ListeningAssessment {
         }
     }
 
-    async processResults(paResult, recognizedText) {
+    async processResults(paResult, recognizedText, audio) {
         console.log('Processing listening results:', paResult);
         
-        this.elements.status.textContent = '⏳ Analyzing listening performance...';
+        if (!audio) {
+            this.showError('Your answer could not be recorded. Please allow microphone access and try again.');
+            return;
+        }
+
+        this.elements.status.textContent = `⏳ Scoring your recording... (preview: ${Math.round(paResult.pronunciationScore || 0)})`;
         
         try {
-            // Prepare result data
-            const resultData = {
+            // Browser-side preview; the stored scores come from the server's assessment of the uploaded audio
+            const previewData = {
                 pronunciationScore: paResult.pronunciationScore || 0,
                 accuracyScore: paResult.accuracyScore || 0,
                 fluencyScore: paResult.fluencyScore || 0,
@@ -360,22 +373,29 @@ class ListeningAssessment {
                 referenceText: this.currentText
             };
 
+            const formData = new FormData();
+            formData.append('audio', audio, SpeechRecorder.getFilename(audio, 'listening-answer'));
+
+            const storeResponse = await fetch('/api/listening/store-result', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(storeResponse)) {
+                return;
+            }
+
+            const storeData = await storeResponse.json();
+            if (!storeResponse.ok) {
+                this.showError(storeData.error || 'Could not score your recording. Please try again.');
+                return;
+            }
+
             // Store result in local array for final score calculation
+            const resultData = { ...previewData, ...storeData.result };
             this.allResults.push(resultData);
             console.log(`Stored listening result ${this.allResults.length}:`, resultData);
 
-            // Store results on server for logging
-            await fetch('/api/listening/store-result', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    result: resultData,
-                    referenceText: this.currentText
-                })
-            });
-            
             this.displayResults(resultData);
             
         } catch (error) {
@@ -416,6 +436,13 @@ class ListeningAssessment {
                 }
             });
 
+            // The current sentence has no stored result yet; stay on it
+            if (response.status === 409) {
+                const data = await response.json();
+                this.showError(data.error);
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -630,6 +657,8 @@ class ListeningAssessment {
             }
             this.recognizer = null;
         }
+
+        this.speechRecorder.cancel();
         
         if (this.elements.audio) {
             this.elements.audio.pause();
@@ -3,6 +3,9 @@
 class AssessmentController {
     constructor() {
         this.currentStep = 0;
+        // Defaults until the assessment template is loaded from the server
+        this.template = null;
+        this.locale = AssessmentLocales.getLocale();
         this.totalSteps = 7; // Reading, Listening, Jumbled Sentences, Story, Personal, Comprehension, Fill Blanks
         this.assessmentSections = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks'];
         this.completedAssessments = [];
@@ -14,6 +17,9 @@ class AssessmentController {
             personal: 0,
             comprehension: 0,
             fillblanks: 0,
+            email: 0,
+            dictation: 0,
+            roleplay: 0,
             overall: 0
         };
 
@@ -25,7 +31,10 @@ class AssessmentController {
             story: null,
             personal: null,
             comprehension: null,
-            fillblanks: null
+            fillblanks: null,
+            email: null,
+            dictation: null,
+            roleplay: null
         };
 
         // Timer properties
@@ -33,6 +42,9 @@ class AssessmentController {
         this.timeRemaining = this.timerDuration;
         this.timerInterval = null;
         this.timerElement = document.getElementById('timer-value');
+        // Deadline from the server, in this browser's clock; the countdown is derived from it
+        this.deadlineAt = null;
+        this.isTimeUp = false;
 
         // Flag to prevent double assessment generation
         this.isGeneratingAssessment = false;
@@ -63,16 +75,20 @@ class AssessmentController {
             const savedState = localStorage.getItem('assessmentProgress');
             if (savedState) {
                 const state = JSON.parse(savedState);
+                if (state.template) {
+                    this.applyTemplate(state.template);
+                }
                 this.currentStep = state.currentStep || 0;
                 this.completedAssessments = state.completedAssessments || [];
                 this.scores = { ...this.scores, ...(state.scores || {}) };
 
-                // Restore timer state if available
+                // The saved countdown is only a placeholder; the server's deadline replaces it
                 if (state.timeRemaining && state.timeRemaining > 0) {
                     this.timeRemaining = state.timeRemaining;
                     // If assessment was in progress, resume timer
                     if (this.currentStep > 0 && this.currentStep < this.totalSteps) {
                         this.updateTimerDisplay();
+                        this.syncTimerWithServer();
                     }
                 }
             }
@@ -90,6 +106,7 @@ class AssessmentController {
                 completedAssessments: this.completedAssessments,
                 scores: this.scores,
                 timeRemaining: this.timeRemaining,
+                template: this.template,
                 timestamp: Date.now()
             };
             localStorage.setItem('assessmentProgress', JSON.stringify(state));
@@ -107,9 +124,39 @@ class AssessmentController {
     }
 
     // Timer Methods
+    // Adopt the server's deadline, correcting for the difference between the server clock and this browser's
+    setDeadline(timer) {
+        if (!timer || !timer.deadlineAt) {
+            return;
+        }
+
+        const clockOffset = Date.now() - new Date(timer.serverTime).getTime();
+        this.deadlineAt = new Date(timer.deadlineAt).getTime() + clockOffset;
+        this.timeRemaining = this.getSecondsToDeadline();
+    }
+
+    getSecondsToDeadline() {
+        return Math.max(0, Math.ceil((this.deadlineAt - Date.now()) / 1000));
+    }
+
+    async syncTimerWithServer() {
+        try {
+            const response = await fetch('/api/assessment/timer');
+            if (!response.ok) {
+                return;
+            }
+
+            const { timer } = await response.json();
+            this.setDeadline(timer);
+            this.updateTimerDisplay();
+        } catch (error) {
+            console.error('Error syncing timer with server:', error);
+        }
+    }
+
     startTimer() {
         // Reset timer if starting fresh
-        if (this.currentStep === 0) {
+        if (this.currentStep === 0 && !this.deadlineAt) {
             this.timeRemaining = this.timerDuration;
         }
 
@@ -120,9 +167,10 @@ class AssessmentController {
             clearInterval(this.timerInterval);
         }
 
-        // Start countdown
+        // Start countdown; with a server deadline the remaining time is recomputed each tick rather than decremented
         this.timerInterval = setInterval(() => {
-            this.timeRemaining--;
+            const previousRemaining = this.timeRemaining;
+            this.timeRemaining = this.deadlineAt ? this.getSecondsToDeadline() : this.timeRemaining - 1;
             this.updateTimerDisplay();
 
             // Save state periodically
@@ -133,15 +181,16 @@ class AssessmentController {
             // Check if time is up
             if (this.timeRemaining <= 0) {
                 this.handleTimeUp();
+                return;
             }
 
             // Warning at 5 minutes remaining
-            if (this.timeRemaining === 300) {
+            if (previousRemaining > 300 && this.timeRemaining <= 300) {
                 this.showMessage('⚠️ 5 minutes remaining!', 'warning');
             }
 
             // Warning at 1 minute remaining
-            if (this.timeRemaining === 60) {
+            if (previousRemaining > 60 && this.timeRemaining <= 60) {
                 this.showMessage('⚠️ 1 minute remaining!', 'warning');
             }
         }, 1000);
@@ -181,6 +230,10 @@ class AssessmentController {
     }
 
     handleTimeUp() {
+        if (this.isTimeUp) {
+            return;
+        }
+        this.isTimeUp = true;
         this.stopTimer();
 
         // Show timeout message
@@ -196,6 +249,18 @@ class AssessmentController {
         }, 2000);
     }
 
+    // Section modules pass their submission responses here; the server answers 410 once the deadline has passed
+    handleExpiredResponse(response) {
+        if (response.status !== 410) {
+            return false;
+        }
+
+        this.timeRemaining = 0;
+        this.updateTimerDisplay();
+        this.handleTimeUp();
+        return true;
+    }
+
     showWelcomeSection() {
         this.hideAllSections();
         document.getElementById('welcome-section').style.display = 'block';
@@ -217,7 +282,9 @@ class AssessmentController {
             const response = await fetch('/api/auth/me');
             if (response.ok) {
                 const userData = await response.json();
-                this.displayTestCount(userData.number_of_tests);
+                this.pendingInvite = userData.pendingInvite;
+                // An accepted invitation counts as one available test
+                this.displayTestCount(userData.number_of_tests + (userData.pendingInvite ? 1 : 0));
             } else {
                 console.error('Failed to load user info');
                 this.displayTestCount(0);
@@ -251,6 +318,26 @@ class AssessmentController {
         }
     }
 
+    // Options are ordered beginner -> advanced; an invitation or the template section can fix the level,
+    // otherwise pick at random
+    pickDifficulty(section, options, fallback = null) {
+        const levels = ['beginner', 'intermediate', 'advanced'];
+        const invitedDifficulty = this.pendingInvite ? this.pendingInvite.assessmentConfig.difficulty : null;
+        const fixedIndex = levels.indexOf(invitedDifficulty) !== -1
+            ? levels.indexOf(invitedDifficulty)
+            : levels.indexOf(section.difficulty);
+
+        if (fixedIndex !== -1) {
+            return options[fixedIndex];
+        }
+
+        return fallback || options[Math.floor(Math.random() * options.length)];
+    }
+
+    pickTopic(section) {
+        return section.topics[Math.floor(Math.random() * section.topics.length)];
+    }
+
     async startAssessment() {
         // Prevent double generation
         if (this.isGeneratingAssessment) {
@@ -264,19 +351,24 @@ class AssessmentController {
         this.showGlobalLoading();
 
         try {
-            // Pre-generate all questions first
-            await this.preloadAllQuestions();
+            // Load the template that decides which sections are generated and the time limit
+            await this.loadAssessmentTemplate();
 
             this.currentStep = 0;
             this.completedAssessments = [];
-            this.scores = { reading: 0, listening: 0, jumbled: 0, story: 0, personal: 0, comprehension: 0, fillblanks: 0, overall: 0 };
+            this.scores = { reading: 0, listening: 0, jumbled: 0, story: 0, personal: 0, comprehension: 0, fillblanks: 0, email: 0, dictation: 0, roleplay: 0, overall: 0 };
 
-            // Reset and start timer
-            this.timeRemaining = this.timerDuration;
-            this.startTimer();
+            // Create new assessment session on server; it queues every section's questions for the worker
+            this.deadlineAt = null;
+            this.isTimeUp = false;
+            await this.createAssessmentSession(this.pickSectionContent());
 
-            // Create new assessment session on server
-            await this.createAssessmentSession();
+            // The server-side clock starts once the questions are ready
+            await this.waitForQueuedContent();
+
+            // Start the countdown against the server's deadline
+            this.timeRemaining = this.deadlineAt ? this.getSecondsToDeadline() : this.timerDuration;
+            this.startTimer();
 
             // Save initial state
             this.saveState();
@@ -305,11 +397,39 @@ class AssessmentController {
         }
     }
 
-    async createAssessmentSession() {
+    async loadAssessmentTemplate() {
+        const response = await fetch('/api/assessment/prepare', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load assessment template');
+        }
+
+        this.applyTemplate(data.template);
+        console.log(`Assessment template "${data.template.name}": ${this.assessmentSections.join(', ')} in ${data.template.timeLimitMinutes} minutes`);
+    }
+
+    applyTemplate(template) {
+        this.template = template;
+        this.assessmentSections = template.sections.map(section => section.key);
+        this.totalSteps = this.assessmentSections.length;
+        this.timerDuration = template.timeLimitMinutes * 60;
+
+        // The locale sets the recognition language of every recorder and the language of the page
+        this.locale = AssessmentLocales.getLocale(template.locale);
+        document.documentElement.lang = this.locale.code;
+        AssessmentLocales.applyTranslations(document, this.locale.code);
+    }
+
+    async createAssessmentSession(sections) {
         try {
             const response = await fetch('/api/assessment/create-session', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sections })
             });
 
             const data = await response.json();
@@ -321,6 +441,7 @@ class AssessmentController {
                 throw new Error(data.error || 'Failed to create assessment session');
             }
 
+            this.setDeadline(data.timer);
             console.log('Assessment session created successfully');
             if (data.testsRemaining !== undefined) {
                 console.log(`Tests remaining: ${data.testsRemaining}`);
@@ -354,202 +475,63 @@ class AssessmentController {
         }
     }
 
-    async preloadAllQuestions() {
-        console.log('Starting pre-generation of all assessment questions...');
+    // Topic and difficulty of every template section, queued with the session
+    pickSectionContent() {
+        const difficulties = ['beginner', 'intermediate', 'advanced'];
+
+        return this.template.sections.map(section => {
+            const topic = this.pickTopic(section);
+            let options;
+
+            switch (section.key) {
+                case 'personal':
+                    // Personal topics are interview question categories
+                    options = { difficulty: this.pickDifficulty(section, ['Easy', 'Medium', 'Hard']), category: topic };
+                    break;
+                case 'comprehension':
+                    options = { topic, difficulty: this.pickDifficulty(section, ['Beginner', 'Intermediate', 'Advanced'], 'Intermediate') };
+                    break;
+                default:
+                    options = { topic, difficulty: this.pickDifficulty(section, difficulties) };
+            }
 
-        const loadingStatus = document.getElementById('global-loading-status');
+            console.log(`${this.formatAssessmentName(section.key)} pre-generation: ${JSON.stringify(options)}, ${section.itemCount} item(s)`);
+            return { key: section.key, options };
+        });
+    }
 
-        try {
-            // Pre-generate reading questions with random topic and difficulty
-            loadingStatus.textContent = 'Generating reading assessment questions...';
-
-            // Select random topic and difficulty for reading assessment
-            const readingTopics = [
-                'Daily conversations',
-                'Business communication',
-                'Academic presentations',
-                'News and current events',
-                'Travel and culture',
-                'Health and wellness',
-                'Technology and innovation',
-                'Environmental topics'
-            ];
-            const difficulties = ['beginner', 'intermediate', 'advanced'];
-            const selectedTopic = readingTopics[Math.floor(Math.random() * readingTopics.length)];
-            const selectedDifficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-
-            const readingResponse = await fetch('/api/reading/generate-sentence', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: selectedTopic,
-                    difficulty: selectedDifficulty
-                })
-            });
-            this.preGeneratedQuestions.reading = await readingResponse.json();
-
-            // Pre-generate listening questions with random topic and difficulty
-            loadingStatus.textContent = 'Generating listening assessment questions...';
-
-            // Select random topic and difficulty for listening assessment
-            const listeningTopics = [
-                'Interviews and dialogues',
-                'News broadcasts',
-                'Educational lectures',
-                'Travel announcements',
-                'Business meetings',
-                'Cultural discussions',
-                'Scientific explanations',
-                'Entertainment content'
-            ];
-            const listeningSelectedTopic = listeningTopics[Math.floor(Math.random() * listeningTopics.length)];
-            const listeningSelectedDifficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-
-            const listeningResponse = await fetch('/api/listening/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: listeningSelectedTopic,
-                    difficulty: listeningSelectedDifficulty
-                })
-            });
-            this.preGeneratedQuestions.listening = await listeningResponse.json();
-
-            // Pre-generate jumbled sentences with random topic and difficulty
-            loadingStatus.textContent = 'Generating jumbled sentences...';
-
-            // Select random topic and difficulty for jumbled sentences assessment
-            const jumbledTopics = [
-                'Everyday activities',
-                'Work and career',
-                'Education and learning',
-                'Family and relationships',
-                'Hobbies and interests',
-                'Food and cooking',
-                'Transportation',
-                'Social situations'
-            ];
-            const jumbledSelectedTopic = jumbledTopics[Math.floor(Math.random() * jumbledTopics.length)];
-            const jumbledSelectedDifficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-
-            const jumbledResponse = await fetch('/api/jumbled/start', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: jumbledSelectedTopic,
-                    difficulty: jumbledSelectedDifficulty
-                })
-            });
-            this.preGeneratedQuestions.jumbled = await jumbledResponse.json();
-
-            // Pre-generate story with random topic and difficulty
-            loadingStatus.textContent = 'Generating story assessment...';
-
-            // Select random topic and difficulty for story assessment
-            const storyTopics = [
-                'Adventure stories',
-                'Historical tales',
-                'Science fiction',
-                'Mystery and detective',
-                'Biographical stories',
-                'Folklore and legends',
-                'Contemporary fiction',
-                'Educational narratives'
-            ];
-            const storySelectedTopic = storyTopics[Math.floor(Math.random() * storyTopics.length)];
-            const storySelectedDifficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-
-            const storyResponse = await fetch('/api/story/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: storySelectedTopic,
-                    difficulty: storySelectedDifficulty
-                })
-            });
-            this.preGeneratedQuestions.story = await storyResponse.json();
-
-            // Pre-generate personal question with random selection
-            loadingStatus.textContent = 'Generating personal interview question...';
-
-            // Random selection arrays for personal questions
-            const personalDifficulties = ['Easy', 'Medium', 'Hard'];
-            const personalCategories = [
-                'General',
-                'Technical Communication',
-                'Problem Solving',
-                'Teamwork',
-                'Leadership',
-                'Failure/Learning',
-                'Innovation'
-            ];
-
-            // Randomly select difficulty and category for personal questions
-            const personalSelectedDifficulty = personalDifficulties[Math.floor(Math.random() * personalDifficulties.length)];
-            const personalSelectedCategory = personalCategories[Math.floor(Math.random() * personalCategories.length)];
-
-            console.log(`Personal assessment pre-generation: ${personalSelectedDifficulty} difficulty, ${personalSelectedCategory} category`);
-
-            const personalResponse = await fetch('/api/personal/generate-question', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    difficulty: personalSelectedDifficulty,
-                    category: personalSelectedCategory
-                })
-            });
-            this.preGeneratedQuestions.personal = await personalResponse.json();
+    // Poll the worker's progress until every section is ready. A section that failed is generated
+    // by its module when the candidate reaches it.
+    async waitForQueuedContent() {
+        const loadingStatus = document.getElementById('global-loading-status');
 
-            // Pre-generate comprehension questions
-            loadingStatus.textContent = 'Generating reading comprehension content...';
-            const comprehensionResponse = await fetch('/api/comprehension/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: 'Technology',
-                    difficulty: 'Intermediate'
-                })
-            });
-            this.preGeneratedQuestions.comprehension = await comprehensionResponse.json();
-
-            // Pre-generate fill-in-the-blanks questions
-            loadingStatus.textContent = 'Generating fill-in-the-blanks questions...';
-
-            // Select random topic and difficulty for fill-in-the-blanks assessment
-            const fillblanksTopics = [
-                'Grammar patterns',
-                'Vocabulary building',
-                'Idiomatic expressions',
-                'Academic writing',
-                'Business correspondence',
-                'Conversational English',
-                'Technical terminology',
-                'Cultural contexts'
-            ];
-            const fillblanksSelectedTopic = fillblanksTopics[Math.floor(Math.random() * fillblanksTopics.length)];
-            const fillblanksSelectedDifficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-
-            console.log(`Fill-in-the-blanks pre-generation: Selected topic "${fillblanksSelectedTopic}" with difficulty "${fillblanksSelectedDifficulty}"`);
-
-            const fillblanksResponse = await fetch('/api/fillblanks/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    topic: fillblanksSelectedTopic,
-                    difficulty: fillblanksSelectedDifficulty
-                })
-            });
-            this.preGeneratedQuestions.fillblanks = await fillblanksResponse.json();
+        while (true) {
+            const response = await fetch('/api/assessment/content');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to generate assessment questions');
+            }
 
-            console.log(`✅ Fill-in-the-blanks pre-generation completed: Received ${this.preGeneratedQuestions.fillblanks.questions?.length || 0} questions`);
+            const sections = Object.entries(data.sections);
+            const readyCount = sections.filter(([, section]) => section.status === 'completed').length;
+            loadingStatus.textContent = `Generating assessment questions... ${readyCount} of ${sections.length} sections ready`;
 
-            loadingStatus.textContent = 'All questions generated successfully! Starting assessment...';
+            if (data.ready) {
+                sections.forEach(([key, section]) => {
+                    if (section.content) {
+                        this.preGeneratedQuestions[key] = section.content;
+                    } else {
+                        console.warn(`${this.formatAssessmentName(key)} questions were not pre-generated; they will be generated when the section starts`);
+                    }
+                });
+                this.setDeadline(data.timer);
 
-            console.log('All questions pre-generated successfully');
+                loadingStatus.textContent = 'All questions generated successfully! Starting assessment...';
+                console.log('All questions pre-generated successfully');
+                return;
+            }
 
-        } catch (error) {
-            console.error('Error pre-generating questions:', error);
-            throw new Error('Failed to generate assessment questions');
+            await new Promise(resolve => setTimeout(resolve, 1500));
         }
     }
 
@@ -632,6 +614,9 @@ class AssessmentController {
         document.getElementById('personal-assessment').style.display = 'none';
         document.getElementById('comprehension-assessment').style.display = 'none';
         document.getElementById('fillblanks-assessment').style.display = 'none';
+        document.getElementById('email-assessment').style.display = 'none';
+        document.getElementById('dictation-assessment').style.display = 'none';
+        document.getElementById('roleplay-assessment').style.display = 'none';
     }
 
     showCurrentAssessment() {
@@ -690,6 +675,21 @@ class AssessmentController {
                     window.FillBlanksAssessment.initialize();
                 }
                 break;
+            case 'email':
+                if (window.EmailWritingAssessment) {
+                    window.EmailWritingAssessment.initialize();
+                }
+                break;
+            case 'dictation':
+                if (window.DictationAssessment) {
+                    window.DictationAssessment.initialize();
+                }
+                break;
+            case 'roleplay':
+                if (window.RolePlayAssessment) {
+                    window.RolePlayAssessment.initialize();
+                }
+                break;
         }
     }
 
@@ -699,27 +699,32 @@ class AssessmentController {
         if (indicator) {
             indicator.innerHTML = '';
             // Determine per-round total questions
-            // Always target full 32 dots from the start; fall back to defaults if data not yet loaded
+            // Target the full number of dots from the start; fall back to template counts if data not yet loaded
             const comprehensionCount = (window.ComprehensionAssessment
                 && Array.isArray(window.ComprehensionAssessment.currentQuestions)
                 && window.ComprehensionAssessment.currentQuestions.length > 0)
                 ? window.ComprehensionAssessment.currentQuestions.length
-                : 5;
+                : null;
             const fillBlanksCount = (window.FillBlanksAssessment
                 && Array.isArray(window.FillBlanksAssessment.questions)
                 && window.FillBlanksAssessment.questions.length > 0)
                 ? window.FillBlanksAssessment.questions.length
-                : 10;
-
-            const perRoundTotals = [
-                (window.ReadingAssessment ? (window.ReadingAssessment.totalSentences || 5) : 5),
-                (window.ListeningAssessment ? (window.ListeningAssessment.totalSentences || 5) : 5),
-                5,
-                1,
-                1,
-                comprehensionCount,
-                fillBlanksCount
-            ];
+                : null;
+
+            // Counts of the generated content when available, otherwise the template's item counts
+            const templateCounts = {};
+            (this.template ? this.template.sections : []).forEach(section => {
+                templateCounts[section.key] = section.itemCount;
+            });
+            const preGenerated = this.preGeneratedQuestions;
+            const liveCounts = {
+                reading: preGenerated.reading && preGenerated.reading.totalSentences,
+                listening: preGenerated.listening && preGenerated.listening.totalSentences,
+                jumbled: preGenerated.jumbled && preGenerated.jumbled.totalQuestions,
+                comprehension: comprehensionCount,
+                fillblanks: fillBlanksCount
+            };
+            const perRoundTotals = this.assessmentSections.map(key => liveCounts[key] || templateCounts[key] || 1);
             const totalQuestions = perRoundTotals.reduce((a, b) => a + b, 0);
             // Compute absolute index
             let offset = 0;
@@ -750,13 +755,15 @@ class AssessmentController {
     // Navigation methods removed - assessment flow is now completely linear and automatic
 
     nextStep() {
-        // Only used internally for automatic progression
+        // Only used internally for automatic progression; the template's last section ends the test
         if (this.currentStep < this.totalSteps - 1) {
             this.currentStep++;
             this.saveState();
             this.hideAllSections();
             this.showCurrentAssessment();
             this.updateNavigation();
+        } else {
+            this.showEndOfAssessment();
         }
     }
 
@@ -783,7 +790,10 @@ class AssessmentController {
             'story': 'Story Summarization',
             'personal': 'Personal Questions',
             'comprehension': 'Reading Comprehension',
-            'fillblanks': 'Fill in the Blanks'
+            'fillblanks': 'Fill in the Blanks',
+            'email': 'Email Writing',
+            'dictation': 'Dictation',
+            'roleplay': 'Role-Play Conversation'
         };
         return names[assessmentType] || assessmentType;
     }
@@ -834,6 +844,9 @@ class AssessmentController {
             this.scores.personal = this.completedAssessments.includes('personal') ? (scoresData.personalQuestions || 0) : 0;
             this.scores.comprehension = this.completedAssessments.includes('comprehension') ? (scoresData.readingComprehension || 0) : 0;
             this.scores.fillblanks = this.completedAssessments.includes('fillblanks') ? (scoresData.fillInTheBlanks || 0) : 0;
+            this.scores.email = this.completedAssessments.includes('email') ? (scoresData.emailWriting || 0) : 0;
+            this.scores.dictation = this.completedAssessments.includes('dictation') ? (scoresData.dictationAccuracy || 0) : 0;
+            this.scores.roleplay = this.completedAssessments.includes('roleplay') ? (scoresData.rolePlayConversation || 0) : 0;
 
             // Calculate overall score based only on completed assessments
             this.calculateOverallScore();
@@ -856,33 +869,13 @@ class AssessmentController {
     }
 
     calculateOverallScore() {
-        // Calculate overall score including unattempted sections as 0
-        let totalScore = 0;
-        let completedCount = 0;
-        const totalAssessments = 7; // Total number of assessment types
-
-        const assessmentScores = {
-            reading: this.scores.reading || 0,
-            listening: this.scores.listening || 0,
-            jumbled: this.scores.jumbled || 0,
-            story: this.scores.story || 0,
-            personal: this.scores.personal || 0,
-            comprehension: this.scores.comprehension || 0,
-            fillblanks: this.scores.fillblanks || 0
-        };
-
-        // Include all assessment scores, treating unattempted as 0
-        for (const [assessmentType, score] of Object.entries(assessmentScores)) {
-            totalScore += score;
-            if (this.completedAssessments.includes(assessmentType) && score > 0) {
-                completedCount++;
-            }
-        }
+        // Shared scoring module: the template's section weights, unattempted sections count as 0
+        const evaluation = AssessmentScoring.evaluateAssessment(this.scores, this.template || this.assessmentSections);
+        this.scores.overall = evaluation.overallScore;
 
-        // Calculate average score including unattempted sections as 0
-        this.scores.overall = Math.round(totalScore / totalAssessments);
-
-        console.log(`Overall score calculated: ${this.scores.overall} (including ${totalAssessments - completedCount} unattempted sections as 0, ${completedCount} completed assessments)`);
+        const completedCount = this.assessmentSections
+            .filter(assessmentType => this.completedAssessments.includes(assessmentType) && this.scores[assessmentType] > 0).length;
+        console.log(`Overall score calculated: ${this.scores.overall} (${evaluation.cefrLevel}, ${evaluation.passed ? 'passed' : 'not passed'}; ${this.assessmentSections.length - completedCount} unattempted sections counted as 0)`);
     }
 
     renderIndividualSections(detailedData) {
@@ -890,7 +883,8 @@ class AssessmentController {
         sectionsContainer.innerHTML = '';
 
         // Define section order and names
-        const sectionOrder = ['reading', 'listening', 'personal', 'story', 'jumbled', 'comprehension', 'fillblanks'];
+        const sectionOrder = ['reading', 'listening', 'personal', 'story', 'jumbled', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay']
+            .filter(sectionType => this.assessmentSections.includes(sectionType));
         const sectionNames = {
             reading: '📖 Reading Ability Assessment',
             listening: '👂 Listening Ability Assessment',
@@ -898,7 +892,10 @@ class AssessmentController {
             story: '📚 Story Summarization Assessment',
             jumbled: '🔤 Jumbled Sentences Assessment',
             comprehension: '📝 Reading Comprehension Assessment',
-            fillblanks: '⚫ Fill in the Blanks Assessment'
+            fillblanks: '⚫ Fill in the Blanks Assessment',
+            email: '✉️ Email Writing Assessment',
+            dictation: '⌨️ Dictation Assessment',
+            roleplay: '🎭 Role-Play Conversation Assessment'
         };
 
         // Show summary of completed vs total assessments
@@ -918,6 +915,11 @@ class AssessmentController {
             sectionsContainer.appendChild(summaryDiv);
         }
 
+        const soundsSummary = this.createMispronouncedSoundsDisplay(detailedData);
+        if (soundsSummary) {
+            sectionsContainer.appendChild(soundsSummary);
+        }
+
         // Only render sections for completed assessments
         sectionOrder.forEach(sectionType => {
             if (this.completedAssessments.includes(sectionType)) {
@@ -961,8 +963,14 @@ class AssessmentController {
         body.className = 'section-result-body';
 
         // Add appropriate content based on section type
+        const recordings = sectionData.recordings || [];
         if (sectionData.pronunciationData) {
-            body.appendChild(this.createPronunciationDisplay(sectionData.pronunciationData));
+            body.appendChild(this.createPronunciationDisplay(sectionData.pronunciationData, recordings));
+        }
+
+        // Sections without per-sentence results (e.g. story) list their recordings on their own
+        if (!sectionData.pronunciationData && recordings.length > 0) {
+            body.appendChild(this.createRecordingsDisplay(recordings));
         }
 
         if (sectionData.aiEvaluation) {
@@ -979,7 +987,7 @@ class AssessmentController {
         return section;
     }
 
-    createPronunciationDisplay(pronunciationData) {
+    createPronunciationDisplay(pronunciationData, recordings = []) {
         const container = document.createElement('div');
 
         // Overall average scores
@@ -1040,6 +1048,15 @@ class AssessmentController {
                         </div>
                     </div>
                 `;
+
+                if (sentence.words && sentence.words.length > 0) {
+                    sentenceDiv.querySelector('.sentence-recognized').after(this.createWordBreakdown(sentence.words));
+                }
+
+                const recording = recordings.find(r => r.itemIndex === (sentence.sentenceIndex || index + 1));
+                if (recording) {
+                    sentenceDiv.querySelector('.sentence-content').appendChild(this.createRecordingPlayer(recording));
+                }
                 sentencesDiv.appendChild(sentenceDiv);
             });
 
@@ -1056,6 +1073,14 @@ class AssessmentController {
                 container.appendChild(recognizedDiv);
             }
 
+            if (pronunciationData.words && pronunciationData.words.length > 0) {
+                container.appendChild(this.createWordBreakdown(pronunciationData.words));
+            }
+
+            if (recordings.length > 0) {
+                container.appendChild(this.createRecordingPlayer(recordings[0]));
+            }
+
             if (pronunciationData.referenceText) {
                 const referenceDiv = document.createElement('div');
                 referenceDiv.className = 'original-content';
@@ -1070,6 +1095,99 @@ class AssessmentController {
         return container;
     }
 
+    // Colour-coded words of one answer; hovering (or focusing) a word shows its phoneme scores
+    createWordBreakdown(words) {
+        const errorLabels = { omission: 'Omitted', insertion: 'Inserted', mispronunciation: 'Mispronounced' };
+        const container = document.createElement('div');
+        container.className = 'word-breakdown';
+
+        words.forEach(word => {
+            const chip = document.createElement('span');
+            chip.className = `word-chip word-${word.errorType} ${this.getScoreClass(word.accuracyScore)}`;
+            chip.tabIndex = 0;
+            chip.textContent = word.word;
+
+            const details = document.createElement('span');
+            details.className = 'phoneme-breakdown';
+
+            const title = document.createElement('strong');
+            title.textContent = `${errorLabels[word.errorType] || 'Accuracy'}: ${word.accuracyScore}`;
+            details.appendChild(title);
+
+            (word.phonemes || []).forEach(phoneme => {
+                const item = document.createElement('span');
+                item.className = `phoneme-item ${this.getScoreClass(phoneme.accuracyScore)}`;
+                item.textContent = `/${phoneme.phoneme}/ ${phoneme.accuracyScore}`;
+                details.appendChild(item);
+            });
+
+            chip.appendChild(details);
+            container.appendChild(chip);
+            container.appendChild(document.createTextNode(' '));
+        });
+
+        return container;
+    }
+
+    // "Most mispronounced sounds" across every spoken section of the attempt; null when there is no phoneme data
+    createMispronouncedSoundsDisplay(detailedData) {
+        const sounds = PronunciationDetail.summarizeMispronouncedSounds(PronunciationDetail.collectWords(detailedData));
+        if (sounds.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'mispronounced-sounds';
+        container.innerHTML = '<h3>🗣️ Most Mispronounced Sounds</h3>';
+
+        const list = document.createElement('ul');
+        sounds.forEach(sound => {
+            const item = document.createElement('li');
+            const symbol = document.createElement('span');
+            symbol.className = `phoneme-symbol ${this.getScoreClass(sound.averageScore)}`;
+            symbol.textContent = `/${sound.phoneme}/`;
+
+            const detail = document.createElement('span');
+            detail.textContent = ` missed ${sound.mispronouncedCount} of ${sound.count} times (average ${sound.averageScore})`
+                + (sound.examples.length > 0 ? `, e.g. ${sound.examples.join(', ')}` : '');
+
+            item.appendChild(symbol);
+            item.appendChild(detail);
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+        return container;
+    }
+
+    createRecordingPlayer(recording, label = '🎧 Your recording') {
+        const player = document.createElement('div');
+        player.className = 'recording-player';
+
+        const caption = document.createElement('span');
+        caption.className = 'recording-label';
+        caption.textContent = label;
+
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = recording.url;
+
+        player.appendChild(caption);
+        player.appendChild(audio);
+        return player;
+    }
+
+    createRecordingsDisplay(recordings) {
+        const container = document.createElement('div');
+        container.className = 'recordings-list';
+        container.innerHTML = '<h4>🎧 Your Recordings</h4>';
+
+        recordings.forEach(recording => {
+            const label = recordings.length > 1 ? `Response ${recording.itemIndex}` : 'Your response';
+            container.appendChild(this.createRecordingPlayer(recording, label));
+        });
+        return container;
+    }
+
     createAIEvaluationDisplay(aiEvaluation) {
         const container = document.createElement('div');
         container.className = 'ai-evaluation';
@@ -1084,8 +1202,10 @@ class AssessmentController {
             originalDiv.className = 'original-content';
             originalDiv.innerHTML = `
                 <h4>Original Question/Story:</h4>
-                <p>${aiEvaluation.originalContent}</p>
+                <p></p>
             `;
+            // Set as text so prompts and answers (e.g. a written email) show exactly as written
+            originalDiv.querySelector('p').textContent = aiEvaluation.originalContent;
             container.appendChild(originalDiv);
         }
 
@@ -1094,8 +1214,9 @@ class AssessmentController {
             responseDiv.className = 'user-response';
             responseDiv.innerHTML = `
                 <h4>Your Response:</h4>
-                <p>${aiEvaluation.userResponse}</p>
+                <p></p>
             `;
+            responseDiv.querySelector('p').textContent = aiEvaluation.userResponse;
             container.appendChild(responseDiv);
         }
 
@@ -1152,12 +1273,51 @@ class AssessmentController {
                 </div>
             `;
 
+            // Dictation answers are shown word by word with each error marked
+            if (question.wordDiff && question.wordDiff.length > 0 && question.userAnswer) {
+                const answerText = questionDiv.querySelector('.user-answer .answer-text');
+                answerText.innerHTML = '';
+                answerText.appendChild(this.createWordDiffDisplay(question.wordDiff));
+            }
+
             container.appendChild(questionDiv);
         });
 
         return container;
     }
 
+    createWordDiffDisplay(wordDiff) {
+        const labels = {
+            spelling: 'Spelling error',
+            substitution: 'Wrong word',
+            omission: 'Missed word',
+            insertion: 'Extra word'
+        };
+        const diff = document.createElement('span');
+        diff.className = 'word-diff';
+
+        wordDiff.forEach(operation => {
+            const word = document.createElement('span');
+            word.className = `diff-word diff-${operation.type}`;
+            if (operation.type === 'correct') {
+                word.textContent = operation.actual;
+            } else if (operation.type === 'omission') {
+                word.textContent = `[${operation.expected}]`;
+            } else if (operation.type === 'insertion') {
+                word.textContent = operation.actual;
+            } else {
+                word.textContent = `${operation.actual} → ${operation.expected}`;
+            }
+            if (labels[operation.type]) {
+                word.title = labels[operation.type];
+            }
+            diff.appendChild(word);
+            diff.appendChild(document.createTextNode(' '));
+        });
+
+        return diff;
+    }
+
     getScoreClass(score) {
         if (score >= 80) return 'excellent';
         if (score >= 70) return 'good';
@@ -1304,10 +1464,11 @@ class AssessmentController {
 
         this.currentStep = 0;
         this.completedAssessments = [];
-        this.scores = { reading: 0, listening: 0, jumbled: 0, story: 0, personal: 0, comprehension: 0, fillblanks: 0, overall: 0 };
+        this.scores = { reading: 0, listening: 0, jumbled: 0, story: 0, personal: 0, comprehension: 0, fillblanks: 0, email: 0, dictation: 0, roleplay: 0, overall: 0 };
 
         // Reset timer
         this.timeRemaining = this.timerDuration;
+        this.deadlineAt = null;
 
         this.clearSavedState(); // Clear localStorage
         this.resetServerState();
@@ -1429,7 +1590,10 @@ class AssessmentController {
             'StoryAssessment',
             'JumbledAssessment',
             'ComprehensionAssessment',
-            'FillBlanksAssessment'
+            'FillBlanksAssessment',
+            'EmailWritingAssessment',
+            'DictationAssessment',
+            'RolePlayAssessment'
         ];
 
         assessmentModules.forEach(moduleName => {
@@ -1761,9 +1925,17 @@ async function submitAssessment() {
 function initializePageReloadWarning() {
     let assessmentInProgress = false;
 
-    // Track when assessment starts
+    // Track when assessment starts; proctoring runs only while it is in progress
     window.setAssessmentInProgress = function (inProgress) {
         assessmentInProgress = inProgress;
+
+        if (window.proctoringMonitor) {
+            if (inProgress) {
+                window.proctoringMonitor.start();
+            } else {
+                window.proctoringMonitor.stop();
+            }
+        }
     };
 
     // Handle page reload/navigation attempts with simple browser warning
@@ -1780,6 +1952,10 @@ function initializePageReloadWarning() {
     // Handle actual page unload (when user confirms reload/navigation)
     window.addEventListener('unload', () => {
         if (assessmentInProgress) {
+            if (window.proctoringMonitor) {
+                window.proctoringMonitor.flushOnUnload();
+            }
+
             // Force submit the assessment when user actually leaves
             navigator.sendBeacon('/api/assessment/force-submit', JSON.stringify({
                 reason: 'page_reload_or_navigation',
@@ -4,6 +4,7 @@ class PersonalAssessment {
     constructor() {
         this.currentQuestion = '';
         this.recognizer = null;
+        this.speechRecorder = new SpeechRecorder();
         this.isRecording = false;
         this.isInitialized = false;
         this.azureConfig = null;
@@ -216,7 +217,7 @@ class PersonalAssessment {
                 this.azureConfig.token, 
                 this.azureConfig.region
             );
-            speechConfig.speechRecognitionLanguage = 'en-US';
+            speechConfig.speechRecognitionLanguage = window.assessmentController.locale.code;
             
             // Enable detailed recognition results for better prosody assessment
             speechConfig.setProperty(SpeechSDK.PropertyId.Speech_SegmentationSilenceTimeoutMs, "5000");
@@ -232,6 +233,7 @@ class PersonalAssessment {
                 SpeechSDK.PronunciationAssessmentGranularity.Phoneme,
                 true // Enable miscue assessment
             );
+            pronunciationAssessmentConfig.phonemeAlphabet = 'IPA';
             
             // Enable prosody assessment if available
             try {
@@ -250,6 +252,7 @@ class PersonalAssessment {
             this.pronunciationResults = [];
             this.isRecording = true;
             this.recordingStartTime = Date.now();
+            this.speechRecorder.start();
             
             // Update UI
             this.elements.recordBtn.style.display = 'none';
@@ -286,7 +289,11 @@ class PersonalAssessment {
                                 accuracyScore: pronunciationResult.accuracyScore || 0,
                                 fluencyScore: pronunciationResult.fluencyScore || 0,
                                 completenessScore: pronunciationResult.completenessScore || 0,
-                                prosodyScore: pronunciationResult.prosodyScore || 0
+                                prosodyScore: pronunciationResult.prosodyScore || 0,
+                                // Trimmed here so a two-minute answer stays well under the request size limit
+                                words: PronunciationDetail.normalizeWords(
+                                    pronunciationResult.detailResult && pronunciationResult.detailResult.Words
+                                )
                             };
                             
                             // Debug logging for prosody
@@ -320,6 +327,7 @@ class PersonalAssessment {
                 (err) => {
                     console.error('Failed to start recognition:', err);
                     this.showError('Failed to start recording. Please check microphone permissions.');
+                    this.speechRecorder.cancel();
                     this.isRecording = false;
                     this.elements.recordBtn.style.display = 'inline-block';
                     this.elements.stopBtn.style.display = 'none';
@@ -330,6 +338,7 @@ class PersonalAssessment {
         } catch (error) {
             console.error('Error starting personal recording:', error);
             this.showError('Could not start recording. Please check your microphone permissions.');
+            this.speechRecorder.cancel();
             this.isRecording = false;
             this.elements.recordBtn.style.display = 'inline-block';
             this.elements.stopBtn.style.display = 'none';
@@ -368,6 +377,13 @@ class PersonalAssessment {
                         clearInterval(this.timerInterval);
                         this.timerInterval = null;
                     }
+
+                    // A single question, so its recording is item 1
+                    if (this.spokenResponse.trim()) {
+                        this.speechRecorder.stopAndUpload('personal', 1);
+                    } else {
+                        this.speechRecorder.cancel();
+                    }
                     
                     // Process the response
                     this.processResponse();
@@ -469,10 +485,15 @@ class PersonalAssessment {
                 },
                 body: JSON.stringify({
                     spokenResponse: this.spokenResponse.trim(),
-                    azureResults: azureResults
+                    azureResults: azureResults,
+                    words: this.pronunciationResults.flatMap(result => result.words || [])
                 })
             });
 
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`Evaluation failed: ${response.status}`);
             }
@@ -556,7 +577,8 @@ class PersonalAssessment {
             }
             this.recognizer = null;
         }
-        
+
+        this.speechRecorder.cancel();
         this.isRecording = false;
         this.recordingStartTime = null;
         this.pronunciationResults = [];
@@ -0,0 +1,174 @@
+// Proctoring Monitor - records integrity signals while an assessment is in progress
+// (tab switches, focus loss, paste, developer tools, fullscreen exits) and sends them to the server in batches
+
+class ProctoringMonitor {
+    constructor() {
+        this.active = false;
+        this.queue = [];
+        this.flushInterval = null;
+        this.devtoolsInterval = null;
+        this.devtoolsOpen = false;
+        this.wasFullscreen = false;
+
+        // Docked developer tools shrink the page by at least this many pixels
+        this.devtoolsThreshold = 160;
+        this.batchSize = 20;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.handlePaste = this.handlePaste.bind(this);
+        this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+        this.checkDevtools = this.checkDevtools.bind(this);
+    }
+
+    start() {
+        if (this.active) return;
+
+        this.active = true;
+        this.queue = [];
+        this.devtoolsOpen = this.isDevtoolsOpen();
+        this.wasFullscreen = Boolean(document.fullscreenElement);
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('blur', this.handleBlur);
+        document.addEventListener('paste', this.handlePaste, true);
+        document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.addEventListener('resize', this.checkDevtools);
+
+        this.devtoolsInterval = setInterval(this.checkDevtools, 2000);
+        this.flushInterval = setInterval(() => this.flush(), 15000);
+
+        // Developer tools already open when the test starts count too
+        if (this.devtoolsOpen) {
+            this.record('devtools_open', { atStart: true });
+        }
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        this.flush();
+        this.active = false;
+
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('blur', this.handleBlur);
+        document.removeEventListener('paste', this.handlePaste, true);
+        document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.removeEventListener('resize', this.checkDevtools);
+
+        clearInterval(this.devtoolsInterval);
+        clearInterval(this.flushInterval);
+        this.devtoolsInterval = null;
+        this.flushInterval = null;
+    }
+
+    // Ask for fullscreen; must be called from a click handler, and candidates may decline
+    requestFullscreen() {
+        const root = document.documentElement;
+        if (root.requestFullscreen && !document.fullscreenElement) {
+            root.requestFullscreen().catch(error => {
+                console.warn('Fullscreen request was declined:', error.message);
+            });
+        }
+    }
+
+    getCurrentSection() {
+        const controller = window.assessmentController;
+        if (!controller) return null;
+        return controller.assessmentSections[controller.currentStep] || null;
+    }
+
+    record(type, details = {}) {
+        if (!this.active) return;
+
+        this.queue.push({
+            type,
+            section: this.getCurrentSection(),
+            occurredAt: new Date().toISOString(),
+            details
+        });
+        console.log(`Proctoring event recorded: ${type}`);
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        const events = this.queue.splice(0, this.queue.length);
+        try {
+            const response = await fetch('/api/assessment/proctor-events', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ events })
+            });
+
+            if (!response.ok) {
+                console.warn('Proctoring events were not recorded:', response.status);
+            }
+        } catch (error) {
+            console.error('Error sending proctoring events:', error);
+        }
+    }
+
+    // Last chance to send queued events when the page is closing; fetch may not finish, a beacon does
+    flushOnUnload() {
+        if (this.queue.length === 0 || !navigator.sendBeacon) return;
+
+        const events = this.queue.splice(0, this.queue.length);
+        navigator.sendBeacon(
+            '/api/assessment/proctor-events',
+            new Blob([JSON.stringify({ events })], { type: 'application/json' })
+        );
+    }
+
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.record('tab_hidden');
+        }
+    }
+
+    handleBlur() {
+        // Switching tabs also blurs the window; leave that to the visibility event so it is counted once
+        setTimeout(() => {
+            if (!document.hidden) {
+                this.record('window_blur');
+            }
+        }, 100);
+    }
+
+    handlePaste(event) {
+        const target = event.target || {};
+        const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+        this.record('paste', {
+            field: target.id || (target.tagName ? target.tagName.toLowerCase() : null),
+            length: text.length
+        });
+    }
+
+    handleFullscreenChange() {
+        if (document.fullscreenElement) {
+            this.wasFullscreen = true;
+        } else if (this.wasFullscreen) {
+            this.wasFullscreen = false;
+            this.record('fullscreen_exit');
+        }
+    }
+
+    isDevtoolsOpen() {
+        return window.outerWidth - window.innerWidth > this.devtoolsThreshold ||
+            window.outerHeight - window.innerHeight > this.devtoolsThreshold;
+    }
+
+    checkDevtools() {
+        const open = this.isDevtoolsOpen();
+        if (open && !this.devtoolsOpen) {
+            this.record('devtools_open');
+        }
+        this.devtoolsOpen = open;
+    }
+}
+
+window.proctoringMonitor = new ProctoringMonitor();
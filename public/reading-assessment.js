@@ -4,6 +4,7 @@ class ReadingAssessment {
     constructor() {
         this.currentSentence = '';
         this.recognizer = null;
+        this.speechRecorder = new SpeechRecorder();
         this.isRecording = false;
         this.isInitialized = false;
         this.azureConfig = null;
@@ -241,7 +242,7 @@ class ReadingAssessment {
                 this.azureConfig.token, 
                 this.azureConfig.region
             );
-            speechConfig.speechRecognitionLanguage = 'en-US';
+            speechConfig.speechRecognitionLanguage = window.assessmentController.locale.code;
 
             // Create audio configuration
             const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
@@ -250,15 +251,20 @@ class ReadingAssessment {
             const pronunciationAssessmentConfig = new SpeechSDK.PronunciationAssessmentConfig(
                 this.currentSentence,
                 SpeechSDK.PronunciationAssessmentGradingSystem.HundredMark,
-                SpeechSDK.PronunciationAssessmentGranularity.Word,
+                SpeechSDK.PronunciationAssessmentGranularity.Phoneme,
                 true
             );
+            // IPA symbols are what candidates see in the per-word breakdown on the result page
+            pronunciationAssessmentConfig.phonemeAlphabet = 'IPA';
 
             // Create speech recognizer
             this.recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
             pronunciationAssessmentConfig.applyTo(this.recognizer);
 
             this.isRecording = true;
+
+            // The server scores this audio; the SDK's own result is only a preview
+            this.speechRecorder.start();
             
             // Update UI
             this.elements.recordBtn.style.display = 'none';
@@ -277,8 +283,9 @@ class ReadingAssessment {
 
                 if (result.reason === SpeechSDK.ResultReason.RecognizedSpeech) {
                     const paResult = SpeechSDK.PronunciationAssessmentResult.fromResult(result);
-                    this.processResults(paResult, result.text);
+                    this.speechRecorder.stop().then(audio => this.processResults(paResult, result.text, audio));
                 } else {
+                    this.speechRecorder.cancel();
                     this.elements.status.textContent = 'No speech detected. Please try again.';
                     console.error('Speech recognition failed:', result);
                 }
@@ -287,6 +294,7 @@ class ReadingAssessment {
         } catch (error) {
             console.error('Error starting recording:', error);
             this.showError('Could not start recording. Please check your microphone permissions.');
+            this.speechRecorder.cancel();
             this.isRecording = false;
             this.elements.recordBtn.style.display = 'inline-block';
             this.elements.stopBtn.style.display = 'none';
@@ -306,14 +314,19 @@ class ReadingAssessment {
         }
     }
 
-    async processResults(paResult, recognizedText) {
+    async processResults(paResult, recognizedText, audio) {
         console.log('Processing pronunciation results:', paResult);
         
-        this.elements.status.textContent = '⏳ Processing results...';
+        if (!audio) {
+            this.showError('Your answer could not be recorded. Please allow microphone access and try again.');
+            return;
+        }
+
+        this.elements.status.textContent = `⏳ Scoring your recording... (preview: ${Math.round(paResult.pronunciationScore || 0)})`;
         
         try {
-            // Prepare result data
-            const resultData = {
+            // Browser-side preview; the stored scores come from the server's assessment of the uploaded audio
+            const previewData = {
                 pronunciationScore: paResult.pronunciationScore || 0,
                 accuracyScore: paResult.accuracyScore || 0,
                 fluencyScore: paResult.fluencyScore || 0,
@@ -323,22 +336,29 @@ class ReadingAssessment {
                 referenceText: this.currentSentence
             };
 
+            const formData = new FormData();
+            formData.append('audio', audio, SpeechRecorder.getFilename(audio, 'reading-answer'));
+
+            const storeResponse = await fetch('/api/reading/store-result', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(storeResponse)) {
+                return;
+            }
+
+            const storeData = await storeResponse.json();
+            if (!storeResponse.ok) {
+                this.showError(storeData.error || 'Could not score your recording. Please try again.');
+                return;
+            }
+
             // Store result in local array for final score calculation
+            const resultData = { ...previewData, ...storeData.result };
             this.allResults.push(resultData);
             console.log(`Stored reading result ${this.allResults.length}:`, resultData);
 
-            // Store results on server for logging
-            await fetch('/api/reading/store-result', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    result: resultData,
-                    referenceText: this.currentSentence
-                })
-            });
-            
             this.displayResults(resultData);
             
         } catch (error) {
@@ -377,6 +397,13 @@ class ReadingAssessment {
                 }
             });
 
+            // The current sentence has no stored result yet; stay on it
+            if (response.status === 409) {
+                const data = await response.json();
+                this.showError(data.error);
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -572,7 +599,8 @@ class ReadingAssessment {
             }
             this.recognizer = null;
         }
-        
+
+        this.speechRecorder.cancel();
         this.isRecording = false;
     }
 
@@ -9,9 +9,19 @@ class ResultController {
             personal: 0,
             comprehension: 0,
             fillblanks: 0,
+            email: 0,
+            dictation: 0,
+            roleplay: 0,
             overall: 0
         };
         this.completedAssessments = [];
+        // Sections the assessment template included; replaced by the server's list once loaded
+        this.sections = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks'];
+        this.scoringConfig = null; // Section weights and pass marks; null scores the sections with defaults
+        this.evaluation = null;
+
+        // When opened from the dashboard history, show that attempt instead of the current one
+        this.attemptId = new URLSearchParams(window.location.search).get('attemptId');
 
         this.initializeEventListeners();
         this.loadSavedState();
@@ -34,6 +44,13 @@ class ResultController {
             });
         }
 
+        // Download PDF Report Button
+        const downloadReportBtn = document.getElementById('download-report-btn');
+        if (downloadReportBtn) {
+            downloadReportBtn.addEventListener('click', () => {
+                this.downloadReport();
+            });
+        }
 
         // View Results Button (from end of assessment section)
         const viewResultsBtn = document.getElementById('view-results-btn');
@@ -67,6 +84,10 @@ class ResultController {
                 const state = JSON.parse(savedState);
                 this.scores = { ...this.scores, ...(state.scores || {}) };
                 this.completedAssessments = state.completedAssessments || [];
+                if (state.template) {
+                    this.sections = state.template.sections.map(section => section.key);
+                    this.scoringConfig = state.template;
+                }
             }
         } catch (error) {
             console.error('Error loading saved state:', error);
@@ -78,6 +99,7 @@ class ResultController {
             // Show the end of assessment section first
             this.hideAllResultSections();
             document.getElementById('end-assessment-section').style.display = 'block';
+            this.applySectionVisibility();
 
         } catch (error) {
             console.error('Error showing final results:', error);
@@ -85,16 +107,33 @@ class ResultController {
         }
     }
 
+    async loadAttempt() {
+        const response = await fetch(`/api/assessment/attempts/${encodeURIComponent(this.attemptId)}`);
+        if (!response.ok) {
+            throw new Error('Failed to load assessment attempt');
+        }
+
+        const { attempt } = await response.json();
+        this.completedAssessments = attempt.completedSections || [];
+        return { ...attempt.sectionScores, overallScore: attempt.overallScore, sections: attempt.sections, scoring: attempt.scoring };
+    }
+
     async showIndividualResults() {
         try {
             // Get both scores and detailed results
-            const [scoresResponse, detailedResponse] = await Promise.all([
-                fetch('/api/assessment/scores'),
-                fetch('/api/assessment/detailed-results')
+            const attemptQuery = this.attemptId ? `?attemptId=${encodeURIComponent(this.attemptId)}` : '';
+            const [scoresData, detailedResponse] = await Promise.all([
+                this.attemptId ? this.loadAttempt() : fetch('/api/assessment/scores').then(response => response.json()),
+                fetch(`/api/assessment/detailed-results${attemptQuery}`)
             ]);
 
-            const scoresData = await scoresResponse.json();
             const detailedData = await detailedResponse.json();
+            if (scoresData.sections) {
+                this.sections = scoresData.sections;
+            }
+            if (scoresData.scoring) {
+                this.scoringConfig = scoresData.scoring;
+            }
 
             // Only use server scores for completed assessments, otherwise set to 0
             this.scores.reading = this.completedAssessments.includes('reading') ? (scoresData.readingAbility || 0) : 0;
@@ -104,6 +143,9 @@ class ResultController {
             this.scores.personal = this.completedAssessments.includes('personal') ? (scoresData.personalQuestions || 0) : 0;
             this.scores.comprehension = this.completedAssessments.includes('comprehension') ? (scoresData.readingComprehension || 0) : 0;
             this.scores.fillblanks = this.completedAssessments.includes('fillblanks') ? (scoresData.fillInTheBlanks || 0) : 0;
+            this.scores.email = this.completedAssessments.includes('email') ? (scoresData.emailWriting || 0) : 0;
+            this.scores.dictation = this.completedAssessments.includes('dictation') ? (scoresData.dictationAccuracy || 0) : 0;
+            this.scores.roleplay = this.completedAssessments.includes('roleplay') ? (scoresData.rolePlayConversation || 0) : 0;
 
             // Calculate overall score based only on completed assessments
             this.calculateOverallScore();
@@ -125,33 +167,13 @@ class ResultController {
     }
 
     calculateOverallScore() {
-        // Calculate overall score including unattempted sections as 0
-        let totalScore = 0;
-        let completedCount = 0;
-        const totalAssessments = 7; // Total number of assessment types
-
-        const assessmentScores = {
-            reading: this.scores.reading || 0,
-            listening: this.scores.listening || 0,
-            jumbled: this.scores.jumbled || 0,
-            story: this.scores.story || 0,
-            personal: this.scores.personal || 0,
-            comprehension: this.scores.comprehension || 0,
-            fillblanks: this.scores.fillblanks || 0
-        };
+        // Shared scoring module, so this matches the score the server stores and emails; unattempted sections count as 0
+        this.evaluation = AssessmentScoring.evaluateAssessment(this.scores, this.scoringConfig || this.sections);
+        this.scores.overall = this.evaluation.overallScore;
 
-        // Include all assessment scores, treating unattempted as 0
-        for (const [assessmentType, score] of Object.entries(assessmentScores)) {
-            totalScore += score;
-            if (this.completedAssessments.includes(assessmentType) && score > 0) {
-                completedCount++;
-            }
-        }
-
-        // Calculate average score including unattempted sections as 0
-        this.scores.overall = Math.round(totalScore / totalAssessments);
-
-        console.log(`Overall score calculated: ${this.scores.overall} (including ${totalAssessments - completedCount} unattempted sections as 0, ${completedCount} completed assessments)`);
+        const completedCount = this.sections
+            .filter(assessmentType => this.completedAssessments.includes(assessmentType) && this.scores[assessmentType] > 0).length;
+        console.log(`Overall score calculated: ${this.scores.overall} (${this.evaluation.cefrLevel}, ${this.evaluation.passed ? 'passed' : 'not passed'}; ${this.sections.length - completedCount} unattempted sections counted as 0)`);
     }
 
     hideAllResultSections() {
@@ -165,7 +187,7 @@ class ResultController {
         sectionsContainer.innerHTML = '';
 
         // Define section order and names (match assessment flow)
-        const sectionOrder = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks'];
+        const sectionOrder = this.sections;
         const sectionNames = {
             reading: 'Reading Ability Assessment',
             listening: 'Listening Ability Assessment',
@@ -173,12 +195,15 @@ class ResultController {
             story: 'Story Summarization Assessment',
             jumbled: 'Jumbled Sentences Assessment',
             comprehension: 'Reading Comprehension Assessment',
-            fillblanks: 'Fill in the Blanks Assessment'
+            fillblanks: 'Fill in the Blanks Assessment',
+            email: 'Email Writing Assessment',
+            dictation: 'Dictation Assessment',
+            roleplay: 'Role-Play Conversation Assessment'
         };
 
         // Show summary of completed vs total assessments
         const completedCount = this.completedAssessments.length;
-        const totalCount = 7; // Total assessments
+        const totalCount = this.sections.length;
 
         if (completedCount < totalCount) {
             const summaryDiv = document.createElement('div');
@@ -193,6 +218,11 @@ class ResultController {
             sectionsContainer.appendChild(summaryDiv);
         }
 
+        const soundsSummary = this.createMispronouncedSoundsDisplay(detailedData);
+        if (soundsSummary) {
+            sectionsContainer.appendChild(soundsSummary);
+        }
+
         // Render all sections; show results for completed, placeholder for not attempted
         sectionOrder.forEach(sectionType => {
             const sectionData = detailedData[sectionType];
@@ -248,8 +278,20 @@ class ResultController {
 
         // Add appropriate content based on section type
         const isSpeakingRound = (sectionType === 'reading' || sectionType === 'listening' || sectionType === 'personal' || sectionType === 'story');
+        const recordings = sectionData.recordings || [];
+        const audioItems = sectionData.audioItems || [];
         if (isSpeakingRound && sectionData.pronunciationData) {
-            body.appendChild(this.createPronunciationDisplay(sectionData.pronunciationData));
+            body.appendChild(this.createPronunciationDisplay(sectionData.pronunciationData, recordings, audioItems));
+        }
+
+        // Per-sentence results show their own voice; the story's single audio is described here
+        if (!sectionData.pronunciationData && audioItems.length > 0) {
+            body.appendChild(this.createAudioItemsDisplay(audioItems));
+        }
+
+        // Sections without per-sentence results (e.g. story) list their recordings on their own
+        if (!sectionData.pronunciationData && recordings.length > 0) {
+            body.appendChild(this.createRecordingsDisplay(recordings));
         }
 
         if (sectionData.aiEvaluation) {
@@ -266,7 +308,7 @@ class ResultController {
         return section;
     }
 
-    createPronunciationDisplay(pronunciationData) {
+    createPronunciationDisplay(pronunciationData, recordings = [], audioItems = []) {
         const container = document.createElement('div');
 
         // Overall average scores
@@ -329,6 +371,23 @@ class ResultController {
                         </div>
                     </div>
                 `;
+
+                if (sentence.words && sentence.words.length > 0) {
+                    sentenceDiv.querySelector('.sentence-recognized').after(this.createWordBreakdown(sentence.words));
+                }
+
+                const audioItem = audioItems.find(item => item.itemIndex === (sentence.sentenceIndex || index + 1));
+                if (audioItem) {
+                    const audioDiv = document.createElement('div');
+                    audioDiv.className = 'sentence-audio';
+                    audioDiv.textContent = `🔊 ${this.describeAudioItem(audioItem)}`;
+                    sentenceDiv.querySelector('.sentence-content').appendChild(audioDiv);
+                }
+
+                const recording = recordings.find(r => r.itemIndex === (sentence.sentenceIndex || index + 1));
+                if (recording) {
+                    sentenceDiv.querySelector('.sentence-content').appendChild(this.createRecordingPlayer(recording));
+                }
                 sentencesDiv.appendChild(sentenceDiv);
             });
 
@@ -345,6 +404,14 @@ class ResultController {
                 container.appendChild(recognizedDiv);
             }
 
+            if (pronunciationData.words && pronunciationData.words.length > 0) {
+                container.appendChild(this.createWordBreakdown(pronunciationData.words));
+            }
+
+            if (recordings.length > 0) {
+                container.appendChild(this.createRecordingPlayer(recordings[0]));
+            }
+
             if (pronunciationData.referenceText) {
                 const referenceDiv = document.createElement('div');
                 referenceDiv.className = 'original-content';
@@ -359,6 +426,120 @@ class ResultController {
         return container;
     }
 
+    // Colour-coded words of one answer; hovering (or focusing) a word shows its phoneme scores
+    createWordBreakdown(words) {
+        const errorLabels = { omission: 'Omitted', insertion: 'Inserted', mispronunciation: 'Mispronounced' };
+        const container = document.createElement('div');
+        container.className = 'word-breakdown';
+
+        words.forEach(word => {
+            const chip = document.createElement('span');
+            chip.className = `word-chip word-${word.errorType} ${this.getScoreClass(word.accuracyScore)}`;
+            chip.tabIndex = 0;
+            chip.textContent = word.word;
+
+            const details = document.createElement('span');
+            details.className = 'phoneme-breakdown';
+
+            const title = document.createElement('strong');
+            title.textContent = `${errorLabels[word.errorType] || 'Accuracy'}: ${word.accuracyScore}`;
+            details.appendChild(title);
+
+            (word.phonemes || []).forEach(phoneme => {
+                const item = document.createElement('span');
+                item.className = `phoneme-item ${this.getScoreClass(phoneme.accuracyScore)}`;
+                item.textContent = `/${phoneme.phoneme}/ ${phoneme.accuracyScore}`;
+                details.appendChild(item);
+            });
+
+            chip.appendChild(details);
+            container.appendChild(chip);
+            container.appendChild(document.createTextNode(' '));
+        });
+
+        return container;
+    }
+
+    // "Most mispronounced sounds" across every spoken section of the attempt; null when there is no phoneme data
+    createMispronouncedSoundsDisplay(detailedData) {
+        const sounds = PronunciationDetail.summarizeMispronouncedSounds(PronunciationDetail.collectWords(detailedData));
+        if (sounds.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'mispronounced-sounds';
+        container.innerHTML = '<h3>🗣️ Most Mispronounced Sounds</h3>';
+
+        const list = document.createElement('ul');
+        sounds.forEach(sound => {
+            const item = document.createElement('li');
+            const symbol = document.createElement('span');
+            symbol.className = `phoneme-symbol ${this.getScoreClass(sound.averageScore)}`;
+            symbol.textContent = `/${sound.phoneme}/`;
+
+            const detail = document.createElement('span');
+            detail.textContent = ` missed ${sound.mispronouncedCount} of ${sound.count} times (average ${sound.averageScore})`
+                + (sound.examples.length > 0 ? `, e.g. ${sound.examples.join(', ')}` : '');
+
+            item.appendChild(symbol);
+            item.appendChild(detail);
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+        return container;
+    }
+
+    createRecordingPlayer(recording, label = '🎧 Your recording') {
+        const player = document.createElement('div');
+        player.className = 'recording-player';
+
+        const caption = document.createElement('span');
+        caption.className = 'recording-label';
+        caption.textContent = label;
+
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = recording.url;
+
+        player.appendChild(caption);
+        player.appendChild(audio);
+        return player;
+    }
+
+    createRecordingsDisplay(recordings) {
+        const container = document.createElement('div');
+        container.className = 'recordings-list';
+        container.innerHTML = '<h4>🎧 Your Recordings</h4>';
+
+        recordings.forEach(recording => {
+            const label = recordings.length > 1 ? `Response ${recording.itemIndex}` : 'Your response';
+            container.appendChild(this.createRecordingPlayer(recording, label));
+        });
+        return container;
+    }
+
+    // e.g. "en-GB-RyanNeural (Male, en-GB), rate +15%, background noise"
+    describeAudioItem(audioItem) {
+        const details = [`${audioItem.voice} (${audioItem.gender}, ${audioItem.voiceLocale})`, `rate ${audioItem.rate}`];
+        if (audioItem.backgroundNoise > 0) {
+            details.push('background noise');
+        }
+        return details.join(', ');
+    }
+
+    createAudioItemsDisplay(audioItems) {
+        const container = document.createElement('div');
+        container.className = 'audio-items';
+        container.innerHTML = '<h4>Audio Played</h4>';
+        audioItems.forEach(audioItem => {
+            const item = document.createElement('p');
+            item.textContent = `🔊 ${this.describeAudioItem(audioItem)}`;
+            container.appendChild(item);
+        });
+        return container;
+    }
+
     createAIEvaluationDisplay(aiEvaluation) {
         const container = document.createElement('div');
         container.className = 'ai-evaluation';
@@ -373,8 +554,10 @@ class ResultController {
             originalDiv.className = 'original-content';
             originalDiv.innerHTML = `
                 <h4>Original Question/Story</h4>
-                <p>${aiEvaluation.originalContent}</p>
+                <p></p>
             `;
+            // Set as text so prompts and answers (e.g. a written email) show exactly as written
+            originalDiv.querySelector('p').textContent = aiEvaluation.originalContent;
             container.appendChild(originalDiv);
         }
 
@@ -383,8 +566,9 @@ class ResultController {
             responseDiv.className = 'user-response';
             responseDiv.innerHTML = `
                 <h4>Your Response</h4>
-                <p>${aiEvaluation.userResponse}</p>
+                <p></p>
             `;
+            responseDiv.querySelector('p').textContent = aiEvaluation.userResponse;
             container.appendChild(responseDiv);
         }
 
@@ -441,12 +625,51 @@ class ResultController {
                 </div>
             `;
 
+            // Dictation answers are shown word by word with each error marked
+            if (question.wordDiff && question.wordDiff.length > 0 && question.userAnswer) {
+                const answerText = questionDiv.querySelector('.user-answer .answer-text');
+                answerText.innerHTML = '';
+                answerText.appendChild(this.createWordDiffDisplay(question.wordDiff));
+            }
+
             container.appendChild(questionDiv);
         });
 
         return container;
     }
 
+    createWordDiffDisplay(wordDiff) {
+        const labels = {
+            spelling: 'Spelling error',
+            substitution: 'Wrong word',
+            omission: 'Missed word',
+            insertion: 'Extra word'
+        };
+        const diff = document.createElement('span');
+        diff.className = 'word-diff';
+
+        wordDiff.forEach(operation => {
+            const word = document.createElement('span');
+            word.className = `diff-word diff-${operation.type}`;
+            if (operation.type === 'correct') {
+                word.textContent = operation.actual;
+            } else if (operation.type === 'omission') {
+                word.textContent = `[${operation.expected}]`;
+            } else if (operation.type === 'insertion') {
+                word.textContent = operation.actual;
+            } else {
+                word.textContent = `${operation.actual} → ${operation.expected}`;
+            }
+            if (labels[operation.type]) {
+                word.title = labels[operation.type];
+            }
+            diff.appendChild(word);
+            diff.appendChild(document.createTextNode(' '));
+        });
+
+        return diff;
+    }
+
     getScoreClass(score) {
         if (score >= 80) return 'excellent';
         if (score >= 70) return 'good';
@@ -467,6 +690,8 @@ class ResultController {
 
             // Update overall score
             document.getElementById('overall-score').textContent = Math.round(this.scores.overall);
+            this.updateOverallVerdict();
+            this.applySectionVisibility();
 
             // Update detailed scores
             this.updateDetailedScores();
@@ -496,20 +721,22 @@ class ResultController {
 
         try {
             // Get consolidated critical feedback from server
-            const response = await fetch('/api/assessment/consolidated-feedback');
+            const attemptQuery = this.attemptId ? `?attemptId=${encodeURIComponent(this.attemptId)}` : '';
+            const response = await fetch(`/api/assessment/consolidated-feedback${attemptQuery}`);
 
             if (!response.ok) {
                 throw new Error(`Failed to fetch feedback: ${response.status}`);
             }
 
             const feedbackData = await response.json();
+            this.reportAttemptId = feedbackData.attemptId;
 
             // Display the critical feedback
             feedbackContent.innerHTML = `
                 <div class="critical-feedback">
                     <div class="feedback-text">${feedbackData.feedback.replace(/\n/g, '<br>').replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')}</div>
                     <div class="feedback-footer">
-                        <p><em>This analysis is based on your performance across all 7 assessment sections.</em></p>
+                        <p><em>This analysis is based on your performance across all ${this.sections.length} assessment sections.</em></p>
                     </div>
                 </div>
             `;
@@ -525,6 +752,46 @@ class ResultController {
         }
     }
 
+    // CEFR band and pass/fail under the overall score
+    updateOverallVerdict() {
+        const verdict = document.getElementById('overall-verdict');
+        if (!verdict || !this.evaluation) return;
+
+        const failedSections = this.evaluation.sections.filter(section => !section.passed).length;
+        verdict.className = `score-verdict ${this.evaluation.passed ? 'passed' : 'failed'}`;
+        verdict.innerHTML = `
+            <span class="cefr-level">CEFR ${this.evaluation.cefrLevel} &middot; ${this.evaluation.cefrLabel}</span>
+            <span class="pass-status">${this.evaluation.passed ? 'Passed' : 'Not passed'}</span>
+            <span class="pass-detail">Pass mark ${this.evaluation.passScore}/100${failedSections > 0 ? ` &middot; ${failedSections} section${failedSections === 1 ? '' : 's'} below the section pass mark` : ''}</span>
+        `;
+    }
+
+    // Hide the summary rows and score bars of sections the template left out
+    applySectionVisibility() {
+        const allSections = ['reading', 'listening', 'jumbled', 'story', 'personal', 'comprehension', 'fillblanks', 'email', 'dictation', 'roleplay'];
+
+        allSections.forEach(sectionType => {
+            const display = this.sections.includes(sectionType) ? '' : 'none';
+            const completedItem = document.querySelector(`.completed-item[data-section="${sectionType}"]`);
+            const scoreElement = document.getElementById(`${sectionType}-final-score`);
+
+            if (completedItem) completedItem.style.display = display;
+            if (scoreElement) scoreElement.closest('.score-item').style.display = display;
+        });
+
+        const completionMessage = document.getElementById('completion-message');
+        if (completionMessage) {
+            completionMessage.textContent = `You’ve successfully finished all ${this.sections.length} communication assessment sections.`;
+        }
+    }
+
+    downloadReport() {
+        // The server falls back to the latest attempt when no attempt is known yet
+        const attemptId = this.attemptId || this.reportAttemptId;
+        const attemptQuery = attemptId ? `?attemptId=${encodeURIComponent(attemptId)}` : '';
+        window.location.href = `/api/assessment/report.pdf${attemptQuery}`;
+    }
+
     updateDetailedScores() {
         // Reading score
         document.getElementById('reading-final-score').textContent = Math.round(this.scores.reading);
@@ -553,6 +820,18 @@ class ResultController {
         // Fill Blanks score
         document.getElementById('fillblanks-final-score').textContent = Math.round(this.scores.fillblanks);
         document.getElementById('fillblanks-score-bar').style.width = `${this.scores.fillblanks}%`;
+
+        // Email Writing score
+        document.getElementById('email-final-score').textContent = Math.round(this.scores.email);
+        document.getElementById('email-score-bar').style.width = `${this.scores.email}%`;
+
+        // Dictation score
+        document.getElementById('dictation-final-score').textContent = Math.round(this.scores.dictation);
+        document.getElementById('dictation-score-bar').style.width = `${this.scores.dictation}%`;
+
+        // Role-play score
+        document.getElementById('roleplay-final-score').textContent = Math.round(this.scores.roleplay);
+        document.getElementById('roleplay-score-bar').style.width = `${this.scores.roleplay}%`;
     }
 
     animateScoreBars() {
@@ -584,6 +863,18 @@ class ResultController {
         setTimeout(() => {
             document.getElementById('fillblanks-score-bar').style.width = `${this.scores.fillblanks}%`;
         }, 1400);
+
+        setTimeout(() => {
+            document.getElementById('email-score-bar').style.width = `${this.scores.email}%`;
+        }, 1600);
+
+        setTimeout(() => {
+            document.getElementById('dictation-score-bar').style.width = `${this.scores.dictation}%`;
+        }, 1800);
+
+        setTimeout(() => {
+            document.getElementById('roleplay-score-bar').style.width = `${this.scores.roleplay}%`;
+        }, 2000);
     }
 
     restartAssessment() {
@@ -0,0 +1,532 @@
+// Role-Play Conversation Assessment Module - Azure TTS for the AI's lines, Azure Speech SDK for the answers
+
+class RolePlayAssessment {
+    constructor() {
+        this.isInitialized = false;
+        this.azureConfig = null;
+        this.recognizer = null;
+        this.speechRecorder = new SpeechRecorder();
+        this.scenario = null;
+        this.exchange = 1;
+        this.maxExchanges = 6;
+        this.spokenResponse = '';
+        this.isRecording = false;
+        this.isSending = false;
+        this.isComplete = false;
+        this.recordingStartTime = null;
+        this.timerInterval = null;
+
+        // Longest single answer; the recording stops by itself after this
+        this.maxAnswerSeconds = 90;
+
+        // Random selection arrays, used when the conversation was not pre-generated
+        this.topics = [
+            'Billing disputes',
+            'Delayed orders',
+            'Service outages',
+            'Product returns',
+            'Escalated complaints',
+            'Missed deadlines',
+            'Workload and priorities',
+            'Performance feedback'
+        ];
+        this.difficulties = ['beginner', 'intermediate', 'advanced'];
+
+        this.initializeElements();
+        this.initializeEventListeners();
+    }
+
+    initializeElements() {
+        this.elements = {
+            loading: document.getElementById('roleplay-loading'),
+            task: document.getElementById('roleplay-task'),
+            difficultyBadge: document.getElementById('roleplay-difficulty-badge'),
+            topicBadge: document.getElementById('roleplay-topic-badge'),
+            situation: document.getElementById('roleplay-situation'),
+            candidateRole: document.getElementById('roleplay-candidate-role'),
+            persona: document.getElementById('roleplay-persona'),
+            hint: document.getElementById('roleplay-hint'),
+            progress: document.getElementById('roleplay-progress'),
+            transcript: document.getElementById('roleplay-transcript'),
+            audio: document.getElementById('roleplay-audio'),
+            recordBtn: document.getElementById('roleplay-record-btn'),
+            stopBtn: document.getElementById('roleplay-stop-btn'),
+            status: document.getElementById('roleplay-status'),
+            timer: document.getElementById('roleplay-timer'),
+            results: document.getElementById('roleplay-results')
+        };
+    }
+
+    initializeEventListeners() {
+        if (this.elements.recordBtn) {
+            this.elements.recordBtn.addEventListener('click', () => {
+                // After the last line the button only retries a failed grading
+                if (this.isComplete) {
+                    this.evaluateConversation();
+                } else {
+                    this.startRecording();
+                }
+            });
+        }
+
+        if (this.elements.stopBtn) {
+            this.elements.stopBtn.addEventListener('click', () => this.stopRecording());
+        }
+
+        if (this.elements.audio) {
+            this.elements.audio.addEventListener('ended', () => this.onLineFinished());
+            this.elements.audio.addEventListener('error', (e) => {
+                console.error('Role-play audio playback error:', e);
+                if (this.elements.audio.getAttribute('src')) {
+                    this.onLineFinished('The audio could not be played. Read the line above and answer it.');
+                }
+            });
+        }
+    }
+
+    // Helper method to randomly select from array
+    getRandomSelection(array) {
+        return array[Math.floor(Math.random() * array.length)];
+    }
+
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        // Check if Speech SDK is available
+        if (!window.SpeechSDK) {
+            this.showError('Speech recognition is not supported in this browser. Please use Chrome or Edge.');
+            return;
+        }
+
+        this.resetUI();
+        this.isInitialized = true;
+        await this.loadAzureConfig();
+
+        // Use the pre-generated conversation instead of starting a new one
+        if (window.assessmentController && window.assessmentController.preGeneratedQuestions.roleplay) {
+            this.usePreGeneratedConversation(window.assessmentController.preGeneratedQuestions.roleplay);
+        } else {
+            // Fallback to starting a conversation if pre-generation failed
+            this.startConversation();
+        }
+    }
+
+    async loadAzureConfig() {
+        try {
+            const response = await fetch('/api/azure-config');
+            this.azureConfig = await response.json();
+        } catch (error) {
+            console.error('Failed to load Azure configuration:', error);
+            this.showError('Failed to load speech configuration. Please refresh the page.');
+        }
+    }
+
+    resetUI() {
+        this.elements.loading.style.display = 'block';
+        this.elements.task.style.display = 'none';
+        this.elements.results.style.display = 'none';
+
+        this.scenario = null;
+        this.exchange = 1;
+        this.spokenResponse = '';
+        this.isRecording = false;
+        this.isSending = false;
+        this.isComplete = false;
+        this.elements.transcript.innerHTML = '';
+        this.elements.recordBtn.style.display = 'inline-block';
+        this.elements.recordBtn.disabled = true;
+        this.elements.recordBtn.textContent = 'Start Answering';
+        this.elements.stopBtn.style.display = 'none';
+        this.elements.status.textContent = '';
+        this.elements.status.className = 'recording-status';
+        this.elements.timer.textContent = '';
+        this.stopTimer();
+    }
+
+    async startConversation() {
+        try {
+            const topic = this.getRandomSelection(this.topics);
+            const difficulty = this.getRandomSelection(this.difficulties);
+
+            console.log('Starting role-play with random selection...', { topic, difficulty });
+
+            const response = await fetch('/api/roleplay/start', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ topic, difficulty })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.success && data.scenario && data.turn) {
+                this.displayConversation(data);
+            } else {
+                throw new Error('Failed to start role-play');
+            }
+
+        } catch (error) {
+            console.error('Error starting role-play:', error);
+            this.showError('Failed to set up the role-play conversation. Please refresh the page.');
+        }
+    }
+
+    usePreGeneratedConversation(data) {
+        console.log('Using pre-generated role-play:', data);
+
+        if (data.success && data.scenario && data.turn) {
+            this.displayConversation(data);
+        } else {
+            console.error('No role-play scenario found in pre-generated data:', data);
+            // Fallback to starting a new conversation
+            this.startConversation();
+        }
+    }
+
+    displayConversation(data) {
+        const scenario = data.scenario;
+        this.scenario = scenario;
+        this.maxExchanges = data.maxExchanges || this.maxExchanges;
+
+        this.elements.difficultyBadge.textContent = data.difficulty || '';
+        this.elements.topicBadge.textContent = data.topic || '';
+        this.elements.situation.textContent = scenario.situation;
+        this.elements.candidateRole.textContent = scenario.candidateRole || 'The person responsible';
+        this.elements.persona.textContent = `${scenario.personaName} (${scenario.aiRole})`;
+        this.elements.hint.textContent = `Listen to each line, then answer out loud. The conversation lasts ${data.minExchanges || 4}-${this.maxExchanges} exchanges, and each answer can be up to ${this.maxAnswerSeconds} seconds.`;
+
+        this.elements.loading.style.display = 'none';
+        this.elements.task.style.display = 'block';
+
+        this.playLine(data.turn, data.exchange || 1);
+        console.log(`Role-play displayed: ${scenario.aiRole} "${scenario.personaName}"`);
+    }
+
+    addTurn(speaker, text) {
+        const turn = document.createElement('div');
+        turn.className = `roleplay-turn roleplay-turn-${speaker}`;
+
+        const label = document.createElement('span');
+        label.className = 'roleplay-speaker';
+        label.textContent = speaker === 'ai' ? this.scenario.personaName : 'You';
+
+        const line = document.createElement('p');
+        line.textContent = text;
+
+        turn.appendChild(label);
+        turn.appendChild(line);
+        this.elements.transcript.appendChild(turn);
+        this.elements.transcript.scrollTop = this.elements.transcript.scrollHeight;
+        return turn;
+    }
+
+    // Show and speak one of the AI's lines; answering is possible once it has finished
+    playLine(turn, exchange) {
+        this.exchange = exchange;
+        this.elements.progress.textContent = this.isComplete
+            ? 'Conversation finished'
+            : `Exchange ${exchange} of up to ${this.maxExchanges}`;
+        this.addTurn('ai', turn.text);
+
+        this.elements.recordBtn.disabled = true;
+        this.elements.status.textContent = `🔊 ${this.scenario.personaName} is speaking...`;
+        this.elements.status.className = 'recording-status';
+
+        this.elements.audio.src = turn.audioUrl;
+        this.elements.audio.play().catch(error => {
+            console.error('Error playing role-play line:', error);
+            this.onLineFinished('The audio could not be played. Read the line above and answer it.');
+        });
+    }
+
+    onLineFinished(message) {
+        // The error and ended events can both arrive for one line
+        if (!this.elements.recordBtn.disabled || this.isRecording || this.isSending) {
+            return;
+        }
+
+        if (this.isComplete) {
+            this.evaluateConversation();
+            return;
+        }
+
+        this.elements.recordBtn.disabled = false;
+        this.elements.status.textContent = message || '🎤 Your turn - press Start Answering and reply.';
+    }
+
+    async startRecording() {
+        if (this.isRecording || this.isSending || !this.azureConfig) return;
+
+        try {
+            const SpeechSDK = window.SpeechSDK;
+
+            // Create speech configuration
+            const speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(
+                this.azureConfig.token,
+                this.azureConfig.region
+            );
+            speechConfig.speechRecognitionLanguage = window.assessmentController.locale.code;
+            speechConfig.setProperty(SpeechSDK.PropertyId.Speech_SegmentationSilenceTimeoutMs, "3000");
+
+            const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
+            this.recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+
+            this.spokenResponse = '';
+            this.isRecording = true;
+            this.recordingStartTime = Date.now();
+            this.speechRecorder.start();
+
+            // Update UI
+            this.elements.recordBtn.style.display = 'none';
+            this.elements.stopBtn.style.display = 'inline-block';
+            this.elements.stopBtn.classList.add('recording');
+            this.elements.status.innerHTML = '<span class="audio-wave"><span></span><span></span><span></span><span></span><span></span><span></span><span></span></span>Recording... Answer as you would in a real conversation';
+            this.elements.status.className = 'recording-status recording';
+
+            this.startTimer();
+
+            this.recognizer.recognized = (s, e) => {
+                if (e.result.reason === SpeechSDK.ResultReason.RecognizedSpeech && e.result.text.trim()) {
+                    this.spokenResponse += e.result.text + ' ';
+                }
+            };
+
+            this.recognizer.canceled = (s, e) => {
+                console.log('Recognition canceled:', e.reason);
+                this.stopRecording();
+            };
+
+            this.recognizer.startContinuousRecognitionAsync(
+                () => {
+                    console.log('Role-play answer recognition started');
+                },
+                (err) => {
+                    console.error('Failed to start recognition:', err);
+                    this.showError('Failed to start recording. Please check microphone permissions.');
+                    this.resetRecordingControls();
+                }
+            );
+
+        } catch (error) {
+            console.error('Error starting role-play recording:', error);
+            this.showError('Could not start recording. Please check your microphone permissions.');
+            this.resetRecordingControls();
+        }
+    }
+
+    resetRecordingControls() {
+        this.speechRecorder.cancel();
+        this.isRecording = false;
+        this.stopTimer();
+        this.elements.recordBtn.style.display = 'inline-block';
+        this.elements.recordBtn.disabled = false;
+        this.elements.stopBtn.style.display = 'none';
+        this.elements.stopBtn.classList.remove('recording');
+    }
+
+    startTimer() {
+        this.stopTimer();
+        this.timerInterval = setInterval(() => {
+            const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
+            const minutes = Math.floor(elapsed / 60);
+            const seconds = elapsed % 60;
+            this.elements.timer.textContent = `⏱️ ${minutes}:${seconds.toString().padStart(2, '0')}`;
+
+            if (elapsed >= this.maxAnswerSeconds) {
+                this.stopRecording();
+            }
+        }, 1000);
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    stopRecording() {
+        if (!this.recognizer || !this.isRecording) {
+            return;
+        }
+
+        const recognizer = this.recognizer;
+        this.recognizer = null;
+
+        recognizer.stopContinuousRecognitionAsync(
+            () => {
+                recognizer.close();
+                this.isRecording = false;
+                this.stopTimer();
+                this.elements.timer.textContent = '';
+                this.elements.stopBtn.style.display = 'none';
+                this.elements.stopBtn.classList.remove('recording');
+                this.elements.recordBtn.style.display = 'inline-block';
+
+                const answer = this.spokenResponse.trim();
+                if (!answer) {
+                    this.speechRecorder.cancel();
+                    this.elements.recordBtn.disabled = false;
+                    this.showError('No speech was detected. Please answer again.');
+                    return;
+                }
+
+                // One recording per exchange; answering the same exchange again replaces it
+                this.speechRecorder.stopAndUpload('roleplay', this.exchange);
+                this.sendResponse(answer);
+            },
+            (err) => {
+                console.error('Error stopping recognition:', err);
+                this.isRecording = false;
+            }
+        );
+    }
+
+    async sendResponse(answer) {
+        this.isSending = true;
+        this.elements.recordBtn.disabled = true;
+        const turn = this.addTurn('candidate', answer);
+        this.elements.status.textContent = `💬 ${this.scenario.personaName} is replying...`;
+        this.elements.status.className = 'recording-status';
+
+        try {
+            const response = await fetch('/api/roleplay/respond', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ spokenResponse: answer })
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Response failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.isSending = false;
+            this.isComplete = Boolean(data.complete);
+            this.playLine(data.turn, data.exchange);
+
+        } catch (error) {
+            console.error('Error sending role-play answer:', error);
+            // The server did not keep the answer, so the candidate gives it again
+            turn.remove();
+            this.isSending = false;
+            this.elements.recordBtn.disabled = false;
+            this.showError('Your answer could not be sent. Please answer again.');
+        }
+    }
+
+    async evaluateConversation() {
+        this.isSending = true;
+        this.elements.recordBtn.disabled = true;
+        this.elements.recordBtn.style.display = 'none';
+        this.elements.status.textContent = '🔄 Grading the conversation...';
+        this.elements.status.className = 'recording-status';
+
+        try {
+            const response = await fetch('/api/roleplay/evaluate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Evaluation failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log('Role-play evaluation result:', result);
+
+            this.displayResults(result);
+
+        } catch (error) {
+            console.error('Error evaluating role-play:', error);
+            this.isSending = false;
+            this.elements.recordBtn.textContent = 'Retry Grading';
+            this.elements.recordBtn.style.display = 'inline-block';
+            this.elements.recordBtn.disabled = false;
+            this.showError('Failed to grade the conversation. Please try again.');
+        }
+    }
+
+    displayResults(result) {
+        // Hide the task and clear status; results are shown at the end
+        this.elements.task.style.display = 'none';
+        this.elements.status.textContent = '';
+
+        // Notify main controller that assessment is complete and auto-advance
+        if (window.assessmentController) {
+            window.assessmentController.onAssessmentComplete('roleplay', result.score);
+            setTimeout(() => {
+                window.assessmentController.nextStep();
+            }, 500);
+        }
+
+        console.log('Role-play assessment completed - results stored for final analysis');
+    }
+
+    showError(message) {
+        this.elements.loading.style.display = 'none';
+        this.elements.status.textContent = `❌ ${message}`;
+        this.elements.status.className = 'recording-status error';
+    }
+
+    cleanup() {
+        this.stopTimer();
+
+        if (this.recognizer) {
+            try {
+                if (this.isRecording) {
+                    this.recognizer.stopContinuousRecognitionAsync();
+                }
+                this.recognizer.close();
+            } catch (e) {
+                console.log('Error closing role-play recognizer:', e);
+            }
+            this.recognizer = null;
+        }
+
+        if (this.elements.audio) {
+            this.elements.audio.pause();
+        }
+        this.speechRecorder.cancel();
+        this.isRecording = false;
+        this.recordingStartTime = null;
+    }
+
+    // Reset the assessment for retrying
+    reset() {
+        this.cleanup();
+        this.isInitialized = false;
+        this.scenario = null;
+        this.isSending = false;
+        this.isComplete = false;
+    }
+
+    // Cleanup on page unload
+    onPageUnload() {
+        this.cleanup();
+    }
+}
+
+// Initialize the role-play assessment when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.RolePlayAssessment = new RolePlayAssessment();
+});
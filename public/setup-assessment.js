@@ -467,6 +467,11 @@ class SetupAssessment {
 
         this.isStartingAssessment = true;
 
+        // Fullscreen needs this click; leaving it later is recorded as a proctoring event
+        if (window.proctoringMonitor) {
+            window.proctoringMonitor.requestFullscreen();
+        }
+
         // Disable the start button to prevent multiple clicks
         const startButton = document.getElementById('start-assessment-final');
         if (startButton) {
@@ -482,7 +487,8 @@ class SetupAssessment {
 
                 // Update the main assessment controller's test count
                 if (window.assessmentController) {
-                    window.assessmentController.displayTestCount(userData.number_of_tests);
+                    window.assessmentController.pendingInvite = userData.pendingInvite;
+                    window.assessmentController.displayTestCount(userData.number_of_tests + (userData.pendingInvite ? 1 : 0));
                 }
             }
 
@@ -527,7 +533,7 @@ class SetupAssessment {
                 const userData = await response.json();
                 const testCountElement = document.getElementById('test-count-setup');
                 if (testCountElement) {
-                    testCountElement.textContent = userData.number_of_tests;
+                    testCountElement.textContent = userData.number_of_tests + (userData.pendingInvite ? 1 : 0);
                 }
             }
         } catch (error) {
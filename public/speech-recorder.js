@@ -0,0 +1,154 @@
+// Speech Recorder - captures what the candidate says with MediaRecorder, alongside the Azure SDK's own microphone stream.
+// Reading and listening answers are sent with their store-result request and scored by the server;
+// story and personal answers are uploaded on their own, for reviewers only.
+
+class SpeechRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.starting = null;
+        this.startToken = null;
+    }
+
+    static isSupported() {
+        return Boolean(window.MediaRecorder && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    // Chrome and Firefox record webm/opus, Safari only mp4
+    static getMimeType() {
+        const candidates = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    static getFilename(blob, baseName) {
+        const extension = blob.type.includes('mp4') ? 'm4a' : blob.type.includes('ogg') ? 'ogg' : 'webm';
+        return `${baseName}.${extension}`;
+    }
+
+    start() {
+        this.cancel();
+        if (!SpeechRecorder.isSupported()) {
+            console.warn('MediaRecorder is not available; speech will not be recorded');
+            return Promise.resolve(false);
+        }
+
+        // A cancel while the microphone prompt is open must not leave a recorder running afterwards
+        const token = {};
+        this.startToken = token;
+        this.starting = navigator.mediaDevices.getUserMedia({ audio: { channelCount: 1, echoCancellation: true } })
+            .then(stream => {
+                if (this.startToken !== token) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return false;
+                }
+                const chunks = [];
+                this.stream = stream;
+                this.chunks = chunks;
+
+                const mimeType = SpeechRecorder.getMimeType();
+                this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+                this.mediaRecorder.ondataavailable = (event) => {
+                    if (event.data && event.data.size > 0) {
+                        chunks.push(event.data);
+                    }
+                };
+                this.mediaRecorder.start(1000);
+                return true;
+            })
+            .catch(error => {
+                console.warn('Could not start speech recording:', error);
+                if (this.startToken === token) {
+                    this.releaseStream();
+                }
+                return false;
+            });
+
+        return this.starting;
+    }
+
+    // Resolves with the recorded audio, or null when nothing was captured
+    async stop() {
+        if (this.starting) {
+            await this.starting;
+        }
+
+        // Detach first so a cancel or a new start while the last chunk is flushed cannot drop this recording
+        const recorder = this.mediaRecorder;
+        const stream = this.stream;
+        const chunks = this.chunks;
+        this.mediaRecorder = null;
+        this.stream = null;
+        this.releaseStream();
+
+        if (recorder && recorder.state !== 'inactive') {
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+            recorder.stop();
+            await stopped;
+        }
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+
+        return recorder && chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }) : null;
+    }
+
+    // Drop the current recording, e.g. when recognition heard nothing or the section is left
+    cancel() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.ondataavailable = null;
+            try {
+                this.mediaRecorder.stop();
+            } catch (error) {
+                console.log('Error stopping speech recorder:', error);
+            }
+        }
+        this.releaseStream();
+    }
+
+    async upload(blob, assessmentType, itemIndex) {
+        const formData = new FormData();
+        formData.append('assessmentType', assessmentType);
+        formData.append('itemIndex', String(itemIndex));
+        formData.append('audio', blob, SpeechRecorder.getFilename(blob, `${assessmentType}-${itemIndex}`));
+
+        try {
+            const response = await fetch('/api/assessment/recordings', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (!response.ok) {
+                console.warn(`Recording for ${assessmentType} item ${itemIndex} was not stored:`, response.status);
+                return null;
+            }
+
+            const data = await response.json();
+            return data.recording;
+        } catch (error) {
+            console.error('Error uploading speech recording:', error);
+            return null;
+        }
+    }
+
+    async stopAndUpload(assessmentType, itemIndex) {
+        const blob = await this.stop();
+        if (!blob) return null;
+        return this.upload(blob, assessmentType, itemIndex);
+    }
+
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.starting = null;
+        this.startToken = null;
+    }
+}
+
+window.SpeechRecorder = SpeechRecorder;
@@ -5,6 +5,7 @@ class StoryAssessment {
         this.currentStory = '';
         this.audioUrl = '';
         this.recognizer = null;
+        this.speechRecorder = new SpeechRecorder();
         this.isRecording = false;
         this.isInitialized = false;
         this.azureConfig = null;
@@ -387,7 +388,7 @@ class StoryAssessment {
                 this.azureConfig.token, 
                 this.azureConfig.region
             );
-            speechConfig.speechRecognitionLanguage = 'en-US';
+            speechConfig.speechRecognitionLanguage = window.assessmentController.locale.code;
 
             // Create audio configuration
             const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
@@ -397,6 +398,7 @@ class StoryAssessment {
 
             this.userSummary = '';
             this.isRecording = true;
+            this.speechRecorder.start();
             
             // Update UI
             this.elements.recordBtn.style.display = 'none';
@@ -431,6 +433,7 @@ class StoryAssessment {
                 (err) => {
                     console.error('Failed to start recognition:', err);
                     this.showError('Failed to start recording. Please check microphone permissions.');
+                    this.speechRecorder.cancel();
                     this.isRecording = false;
                     this.elements.recordBtn.style.display = 'inline-block';
                     this.elements.stopBtn.style.display = 'none';
@@ -440,6 +443,7 @@ class StoryAssessment {
         } catch (error) {
             console.error('Error starting story recording:', error);
             this.showError('Could not start recording. Please check your microphone permissions.');
+            this.speechRecorder.cancel();
             this.isRecording = false;
             this.elements.recordBtn.style.display = 'inline-block';
             this.elements.stopBtn.style.display = 'none';
@@ -457,6 +461,13 @@ class StoryAssessment {
                     this.elements.stopBtn.style.display = 'none';
                     this.elements.status.textContent = 'Processing your summary...';
                     this.elements.status.className = 'recording-status';
+
+                    // The story section has a single summary, so its recording is item 1
+                    if (this.userSummary.trim()) {
+                        this.speechRecorder.stopAndUpload('story', 1);
+                    } else {
+                        this.speechRecorder.cancel();
+                    }
                     
                     // Process the recorded summary
                     this.processSummary();
@@ -491,6 +502,10 @@ class StoryAssessment {
                 })
             });
 
+            if (window.assessmentController && window.assessmentController.handleExpiredResponse(response)) {
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`Evaluation failed: ${response.status}`);
             }
@@ -569,6 +584,8 @@ class StoryAssessment {
              }
              this.recognizer = null;
          }
+
+         this.speechRecorder.cancel();
          
          if (this.elements.audio) {
              this.elements.audio.pause();
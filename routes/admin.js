@@ -0,0 +1,256 @@
+// Admin login and candidate management
+const express = require('express');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { Admin, AssessmentAttempt, DetailedResults, Organization, User } = require('../models');
+const { escapeRegExp } = require('../utils/text');
+const { deductOrganizationCredits } = require('../services/accounts');
+const { summarizeProctorEvents, getAttemptProctorEvents } = require('../services/proctoring');
+const { getAttemptRecordings } = require('../services/storage');
+const { getAttemptSections } = require('../services/templates');
+const { requireAdminAuth, isRecruiter, getAdminUserScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admin login route
+router.post('/api/admin/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        // Validation
+        if (!username || !password) {
+            return res.status(400).json({
+                error: 'Username and password are required'
+            });
+        }
+
+        // Find admin
+        const admin = await Admin.findOne({ username: username.trim() });
+        if (!admin) {
+            return res.status(400).json({
+                error: 'Invalid username or password'
+            });
+        }
+
+        // Check password
+        const isValidPassword = await admin.comparePassword(password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                error: 'Invalid username or password'
+            });
+        }
+
+        // Set admin session
+        req.session.adminId = admin._id;
+
+        res.json({
+            success: true,
+            message: 'Admin login successful'
+        });
+
+    } catch (error) {
+        logger.error('Admin login error:', error);
+        res.status(500).json({ error: 'Server error during admin login' });
+    }
+});
+
+// Admin logout route
+router.post('/api/admin/logout', (req, res) => {
+    req.session.adminId = null;
+    res.json({ success: true, message: 'Admin logged out successfully' });
+});
+
+// Check admin authentication status
+router.get('/api/admin/me', requireAdminAuth, async (req, res) => {
+    try {
+        const organization = req.admin.organizationId
+            ? await Organization.findById(req.admin.organizationId).select('name creditBalance')
+            : null;
+
+        res.json({
+            id: req.admin._id,
+            username: req.admin.username,
+            role: req.admin.role,
+            organization: organization ? {
+                id: organization._id,
+                name: organization.name,
+                creditBalance: organization.creditBalance
+            } : null,
+            createdAt: req.admin.createdAt
+        });
+    } catch (error) {
+        logger.error('Error fetching admin profile:', error);
+        res.status(500).json({ error: 'Failed to fetch admin profile' });
+    }
+});
+
+// Add tests to a user (requires admin authentication)
+// Recruiters can only top up their own candidates, paid for from the organization's credit pool
+router.post('/api/admin/add-tests', requireAdminAuth, async (req, res) => {
+    try {
+        const { email, username } = req.body;
+        const tests = parseInt(req.body.tests);
+
+        if (!tests || tests <= 0) {
+            return res.status(400).json({ error: 'Number of tests must be greater than 0' });
+        }
+
+        if (!email && !username) {
+            return res.status(400).json({ error: 'Either email or username is required' });
+        }
+
+        // Find user by email or username
+        const query = email ? { email: email.toLowerCase() } : { username: { $regex: new RegExp(`^${escapeRegExp(username)}$`, 'i') } };
+        const user = await User.findOne({ ...query, ...getAdminUserScope(req.admin) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (isRecruiter(req.admin)) {
+            const organization = await deductOrganizationCredits(req.admin.organizationId, tests, [{
+                type: 'assign',
+                tests: -tests,
+                userId: user._id,
+                adminId: req.admin._id
+            }]);
+
+            if (!organization) {
+                return res.status(400).json({ error: 'Not enough credits in your organization pool' });
+            }
+        }
+
+        // Add tests to user
+        user.number_of_tests += tests;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: `Added ${tests} tests to user ${user.email}`,
+            user: {
+                email: user.email,
+                username: user.username,
+                number_of_tests: user.number_of_tests,
+                testsTaken: user.testsTaken || 0
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error adding tests to user:', error);
+        res.status(500).json({ error: 'Failed to add tests to user' });
+    }
+});
+
+// Get all users with their test counts (requires admin authentication)
+router.get('/api/admin/users', requireAdminAuth, async (req, res) => {
+    try {
+        const users = await User.find(getAdminUserScope(req.admin), {
+            email: 1,
+            username: 1,
+            number_of_tests: 1,
+            testsTaken: 1,
+            isEmailVerified: 1,
+            createdAt: 1,
+            lastLoginAt: 1,
+            lastAssessmentCompletedAt: 1,
+            assessmentScores: 1,
+            organizationId: 1
+        }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            users: users
+        });
+
+    } catch (error) {
+        logger.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Get a candidate's attempts and the detailed results of one attempt (latest by default)
+router.get('/api/admin/users/:userId/results', requireAdminAuth, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { attemptId } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const user = await User.findOne({ _id: userId, ...getAdminUserScope(req.admin) })
+            .select('email username assessmentScores');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const attempts = await AssessmentAttempt.find({ userId: user._id }).sort({ startedAt: -1 });
+
+        let attempt = attempts[0] || null;
+        if (attemptId) {
+            attempt = attempts.find(a => a._id.equals(attemptId));
+            if (!attempt) {
+                return res.status(404).json({ error: 'Assessment attempt not found' });
+            }
+        }
+
+        const detailedResults = attempt
+            ? await DetailedResults.find({ userId: user._id, attemptId: attempt._id }).sort({ completedAt: 1 })
+            : [];
+        const proctorEvents = attempt ? await getAttemptProctorEvents(attempt._id) : [];
+        const recordings = await getAttemptRecordings(attempt && attempt._id, '/api/admin/recordings');
+
+        const organizedResults = {};
+        detailedResults.forEach(result => {
+            organizedResults[result.assessmentType] = {
+                assessmentType: result.assessmentType,
+                score: result.score,
+                completedAt: result.completedAt,
+                pronunciationData: result.pronunciationData,
+                aiEvaluation: result.aiEvaluation,
+                answerComparison: result.answerComparison,
+                audioItems: result.audioItems,
+                recordings: recordings[result.assessmentType] || []
+            };
+        });
+
+        res.json({
+            success: true,
+            user: {
+                id: user._id,
+                email: user.email,
+                username: user.username,
+                assessmentScores: user.assessmentScores
+            },
+            attempts: attempts.map(a => ({
+                id: a._id,
+                testNumber: a.testNumber,
+                status: a.status,
+                overallScore: a.overallScore,
+                passed: a.passed,
+                cefrLevel: a.cefrLevel,
+                sectionScores: a.sectionScores,
+                completedSections: a.completedSections,
+                sections: getAttemptSections(a),
+                startedAt: a.startedAt,
+                completedAt: a.completedAt
+            })),
+            attemptId: attempt ? attempt._id : null,
+            consolidatedFeedback: attempt ? attempt.consolidatedFeedback : null,
+            results: organizedResults,
+            integrity: attempt ? summarizeProctorEvents(proctorEvents) : null,
+            proctorEvents: proctorEvents.map(event => ({
+                type: event.type,
+                section: event.section,
+                occurredAt: event.occurredAt,
+                details: event.details
+            }))
+        });
+
+    } catch (error) {
+        logger.error('Error fetching candidate results:', error);
+        res.status(500).json({ error: 'Failed to fetch candidate results' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+// Admin management of assessment templates
+const express = require('express');
+const mongoose = require('mongoose');
+const AssessmentScoring = require('../public/js/scoring');
+const logger = require('../config/logger');
+const { AssessmentTemplate } = require('../models');
+const { SECTION_ITEM_COUNTS, buildAssessmentTemplate } = require('../services/templates');
+const { requireAdminAuth, requireSuperAdmin, isRecruiter } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List templates; recruiters only see active ones to choose from when inviting
+router.get('/api/admin/assessment-templates', requireAdminAuth, async (req, res) => {
+    try {
+        const query = isRecruiter(req.admin) ? { status: 'active' } : {};
+        const templates = await AssessmentTemplate.find(query).sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            success: true,
+            templates: templates,
+            sectionLimits: SECTION_ITEM_COUNTS,
+            scoringDefaults: {
+                weight: AssessmentScoring.DEFAULT_SECTION_WEIGHT,
+                sectionPassScore: AssessmentScoring.DEFAULT_SECTION_PASS_SCORE,
+                passScore: AssessmentScoring.DEFAULT_OVERALL_PASS_SCORE
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error fetching assessment templates:', error);
+        res.status(500).json({ error: 'Failed to fetch assessment templates' });
+    }
+});
+
+// Create an assessment template
+router.post('/api/admin/assessment-templates', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        let templateData;
+        try {
+            templateData = buildAssessmentTemplate(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const template = await AssessmentTemplate.create({
+            ...templateData,
+            createdBy: req.admin._id
+        });
+
+        res.json({
+            success: true,
+            message: `Created template "${template.name}"`,
+            template: template
+        });
+
+    } catch (error) {
+        logger.error('Error creating assessment template:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A template with this name already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to create assessment template' });
+    }
+});
+
+// Update an assessment template; sessions already bound to it pick up the change for sections not yet generated
+router.put('/api/admin/assessment-templates/:templateId', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(400).json({ error: 'Invalid template ID' });
+        }
+
+        let templateData;
+        try {
+            templateData = buildAssessmentTemplate(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const template = await AssessmentTemplate.findByIdAndUpdate(
+            templateId,
+            { $set: { ...templateData, updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Updated template "${template.name}"`,
+            template: template
+        });
+
+    } catch (error) {
+        logger.error('Error updating assessment template:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A template with this name already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to update assessment template' });
+    }
+});
+
+// Make a template the one candidates get by default
+router.post('/api/admin/assessment-templates/:templateId/default', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(400).json({ error: 'Invalid template ID' });
+        }
+
+        const template = await AssessmentTemplate.findOne({ _id: templateId, status: 'active' });
+        if (!template) {
+            return res.status(404).json({ error: 'Active template not found' });
+        }
+
+        await AssessmentTemplate.updateMany({ _id: { $ne: template._id } }, { $set: { isDefault: false } });
+        template.isDefault = true;
+        template.updatedAt = new Date();
+        await template.save();
+
+        res.json({
+            success: true,
+            message: `"${template.name}" is now the default template`
+        });
+
+    } catch (error) {
+        logger.error('Error setting default assessment template:', error);
+        res.status(500).json({ error: 'Failed to set default template' });
+    }
+});
+
+// Archive a template so it can no longer be assigned; past attempts keep their sections
+router.post('/api/admin/assessment-templates/:templateId/archive', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(400).json({ error: 'Invalid template ID' });
+        }
+
+        const template = await AssessmentTemplate.findById(templateId);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.isDefault) {
+            return res.status(400).json({ error: 'Choose another default template before archiving this one' });
+        }
+
+        template.status = 'archived';
+        template.updatedAt = new Date();
+        await template.save();
+
+        res.json({
+            success: true,
+            message: `Archived template "${template.name}"`
+        });
+
+    } catch (error) {
+        logger.error('Error archiving assessment template:', error);
+        res.status(500).json({ error: 'Failed to archive assessment template' });
+    }
+});
+
+module.exports = router;
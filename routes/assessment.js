@@ -0,0 +1,699 @@
+// Assessment lifecycle: preparing and starting a session, scores, attempt history and final feedback
+const express = require('express');
+const mongoose = require('mongoose');
+const AssessmentScoring = require('../public/js/scoring');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const { AssessmentAttempt, AssessmentSession, DetailedResults, User } = require('../models');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    clearAssessmentSession,
+    getActiveAssessmentAttempt,
+    startAssessmentAttempt,
+    finalizeAssessmentAttempt,
+    getSessionTemplate,
+    resetUnattemptedSectionsToZero
+} = require('../services/assessment-session');
+const {
+    isAssessmentSessionExpired,
+    serializeAssessmentTimer,
+    startAssessmentClock,
+    reserveAssessmentDeadline
+} = require('../services/assessment-timer');
+const { sendAssessmentReportEmail } = require('../services/email');
+const { GENERATION_WAIT_LIMIT_MS, enqueueSectionContent, getSessionContentStatus } = require('../services/generation-jobs');
+const { claimUsableInvite, releaseInviteClaim } = require('../services/invites');
+const { callLLMWithRetry } = require('../services/llm');
+const { generateAssessmentReportPdf } = require('../services/report');
+const { cleanupUserAudioFiles, getAttemptRecordings } = require('../services/storage');
+const {
+    resolveAssessmentTemplate,
+    serializeAssessmentTemplate,
+    getAttemptSections,
+    getAttemptScoringConfig,
+    evaluateAttemptScores
+} = require('../services/templates');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Current timer of the candidate's assessment session, for resuming the countdown after a reload
+router.get('/api/assessment/timer', requireAuth, async (req, res) => {
+    try {
+        const session = await AssessmentSession.findOne({ userId: req.user._id, sessionId: req.session.id });
+
+        res.json({
+            success: true,
+            timer: serializeAssessmentTimer(session)
+        });
+    } catch (error) {
+        logger.error('Error getting assessment timer:', error);
+        res.status(500).json({ error: 'Failed to get assessment timer' });
+    }
+});
+
+// Get current assessment scores
+router.get('/api/assessment/scores', requireAuth, async (req, res) => {
+    try {
+        // Get fresh user data with latest scores
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Latest scores belong to the latest attempt, so score them with its template's sections and weights
+        const latestAttempt = await AssessmentAttempt.findOne({ userId: req.user._id }).sort({ startedAt: -1 });
+        const sections = getAttemptSections(latestAttempt);
+        const scoring = getAttemptScoringConfig(latestAttempt);
+
+        // Weighted overall score of the template's sections, treating unattempted as 0
+        const scores = user.assessmentScores;
+        const evaluation = evaluateAttemptScores(latestAttempt, scores);
+        const completedAssessments = evaluation.sections.filter(section => section.score > 0).length;
+        const { overallScore } = evaluation;
+
+        // Update overall score in database
+        if (overallScore !== scores.overallScore) {
+            await User.findByIdAndUpdate(req.user._id, {
+                'assessmentScores.overallScore': overallScore
+            });
+        }
+
+        res.json({
+            ...scores,
+            completedAssessments,
+            overallScore,
+            passed: evaluation.passed,
+            passScore: evaluation.passScore,
+            cefrLevel: evaluation.cefrLevel,
+            cefrLabel: evaluation.cefrLabel,
+            sectionResults: evaluation.sections,
+            sections,
+            scoring
+        });
+    } catch (error) {
+        logger.error('Error getting assessment scores:', error);
+        res.status(500).json({ error: 'Failed to get assessment scores' });
+    }
+});
+
+// Get detailed assessment results for individual sections
+// Defaults to the most recent attempt; pass ?attemptId= to view an earlier one
+router.get('/api/assessment/detailed-results', requireAuth, async (req, res) => {
+    try {
+        const { attemptId } = req.query;
+
+        let attempt;
+        if (attemptId) {
+            if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+                return res.status(400).json({ error: 'Invalid attempt ID' });
+            }
+            attempt = await AssessmentAttempt.findOne({ _id: attemptId, userId: req.user._id });
+            if (!attempt) {
+                return res.status(404).json({ error: 'Assessment attempt not found' });
+            }
+        } else {
+            attempt = await AssessmentAttempt.findOne({ userId: req.user._id }).sort({ startedAt: -1 });
+        }
+
+        // Results saved before attempts were recorded have no attemptId
+        const query = attempt
+            ? { userId: req.user._id, attemptId: attempt._id }
+            : { userId: req.user._id };
+
+        const detailedResults = await DetailedResults.find(query)
+            .sort({ completedAt: 1 }); // Sort by completion time
+        const recordings = await getAttemptRecordings(attempt && attempt._id, '/api/assessment/recordings');
+
+        // Transform results into organized format
+        const organizedResults = {};
+
+        detailedResults.forEach(result => {
+            organizedResults[result.assessmentType] = {
+                assessmentType: result.assessmentType,
+                score: result.score,
+                completedAt: result.completedAt,
+                pronunciationData: result.pronunciationData,
+                aiEvaluation: result.aiEvaluation,
+                answerComparison: result.answerComparison,
+                audioItems: result.audioItems,
+                recordings: recordings[result.assessmentType] || []
+            };
+        });
+
+        res.json(organizedResults);
+    } catch (error) {
+        logger.error('Error getting detailed assessment results:', error);
+        res.status(500).json({ error: 'Failed to get detailed assessment results' });
+    }
+});
+
+// List the user's assessment attempts, most recent first
+router.get('/api/assessment/attempts', requireAuth, async (req, res) => {
+    try {
+        const attempts = await AssessmentAttempt.find({ userId: req.user._id })
+            .select('-consolidatedFeedback')
+            .sort({ startedAt: -1 });
+
+        res.json({
+            success: true,
+            attempts: attempts.map(attempt => ({
+                id: attempt._id,
+                testNumber: attempt.testNumber,
+                status: attempt.status,
+                overallScore: attempt.overallScore,
+                passed: attempt.passed,
+                cefrLevel: attempt.cefrLevel,
+                sectionScores: attempt.sectionScores,
+                completedSections: attempt.completedSections,
+                sections: getAttemptSections(attempt),
+                selectedTopics: attempt.selectedTopics,
+                selectedDifficulties: attempt.selectedDifficulties,
+                startedAt: attempt.startedAt,
+                completedAt: attempt.completedAt
+            }))
+        });
+    } catch (error) {
+        logger.error('Error listing assessment attempts:', error);
+        res.status(500).json({ error: 'Failed to list assessment attempts' });
+    }
+});
+
+// Get a single assessment attempt
+router.get('/api/assessment/attempts/:attemptId', requireAuth, async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+            return res.status(400).json({ error: 'Invalid attempt ID' });
+        }
+
+        const attempt = await AssessmentAttempt.findOne({ _id: attemptId, userId: req.user._id });
+        if (!attempt) {
+            return res.status(404).json({ error: 'Assessment attempt not found' });
+        }
+
+        res.json({
+            success: true,
+            attempt: {
+                id: attempt._id,
+                testNumber: attempt.testNumber,
+                status: attempt.status,
+                overallScore: attempt.overallScore,
+                passed: attempt.passed,
+                cefrLevel: attempt.cefrLevel,
+                sectionScores: attempt.sectionScores,
+                completedSections: attempt.completedSections,
+                sections: getAttemptSections(attempt),
+                scoring: getAttemptScoringConfig(attempt),
+                selectedTopics: attempt.selectedTopics,
+                selectedDifficulties: attempt.selectedDifficulties,
+                consolidatedFeedback: attempt.consolidatedFeedback,
+                startedAt: attempt.startedAt,
+                completedAt: attempt.completedAt
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting assessment attempt:', error);
+        res.status(500).json({ error: 'Failed to get assessment attempt' });
+    }
+});
+
+// Download a branded PDF report for an assessment attempt (defaults to the latest)
+router.get('/api/assessment/report.pdf', requireAuth, async (req, res) => {
+    try {
+        const { attemptId } = req.query;
+        let attempt;
+
+        if (attemptId) {
+            if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+                return res.status(400).json({ error: 'Invalid attempt ID' });
+            }
+            attempt = await AssessmentAttempt.findOne({ _id: attemptId, userId: req.user._id });
+        } else {
+            attempt = await AssessmentAttempt.findOne({ userId: req.user._id }).sort({ startedAt: -1 });
+        }
+
+        if (!attempt) {
+            return res.status(404).json({ error: 'Assessment attempt not found' });
+        }
+
+        const pdf = await generateAssessmentReportPdf(req.user, attempt);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="assessment-report-test-${attempt.testNumber}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        logger.error('Error generating assessment report PDF:', error);
+        res.status(500).json({ error: 'Failed to generate assessment report' });
+    }
+});
+
+// Create new assessment session
+// Bind the template for the assessment about to start so questions are pre-generated from it
+router.post('/api/assessment/prepare', requireAuth, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+        await getOrCreateAssessmentSession(req.user._id, sessionId);
+
+        // Re-resolve on every start so a new invitation or default template takes effect
+        const template = await resolveAssessmentTemplate(req.user._id);
+        await updateAssessmentSession(req.user._id, sessionId, {
+            templateId: template._id || null
+        });
+
+        res.json({
+            success: true,
+            template: serializeAssessmentTemplate(template)
+        });
+    } catch (error) {
+        logger.error('Error preparing assessment:', error);
+        res.status(500).json({ error: 'Failed to prepare assessment' });
+    }
+});
+
+router.post('/api/assessment/create-session', requireAuth, async (req, res) => {
+    let invite = null;
+    try {
+        // An accepted invitation was paid for from the organization pool and takes precedence over own tests.
+        // It is claimed up front so two concurrent starts cannot both spend it; the loser uses own tests.
+        invite = await claimUsableInvite(req.user._id);
+
+        // Check if user has available tests
+        if (!invite && req.user.number_of_tests <= 0) {
+            return res.status(403).json({
+                error: 'No tests available. Please contact administrator to get more tests.',
+                code: 'NO_TESTS_AVAILABLE'
+            });
+        }
+
+        const sessionId = req.session.id;
+
+        // Create or get existing assessment session
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const template = await getSessionTemplate(req.user._id, sessionId);
+
+        // Decrement the number of tests available and increment tests taken
+        // Also record the assessment completion timestamp
+        const currentUser = await User.findById(req.user._id);
+        const newTestNumber = (currentUser.testsTaken || 0) + 1;
+
+        // Previous attempts and their detailed results are kept; new results are recorded against this attempt
+        const attempt = await startAssessmentAttempt(req.user._id, sessionId, newTestNumber, {
+            inviteId: invite ? invite._id : null,
+            template
+        });
+
+        let timedSession = await updateAssessmentSession(req.user._id, sessionId, {
+            attemptId: attempt._id,
+            startedAt: null,
+            deadlineAt: null,
+            expiredAt: null,
+            'temporaryData.generatedOnDemand': {},
+            'temporaryData.currentEmailScenario': null
+        });
+
+        // Sections the client asked to be generated in the background, e.g. [{ key: 'listening', options: { topic, difficulty } }]
+        const templateSections = template.sections.map(section => section.key);
+        const queuedSections = (Array.isArray(req.body.sections) ? req.body.sections : [])
+            .filter(section => section && templateSections.includes(section.key))
+            .map(section => {
+                const { topic, difficulty, category } = section.options || {};
+                return { key: section.key, options: { topic, difficulty, category } };
+            });
+
+        // With queued content the clock starts once it is ready (see /api/assessment/content); otherwise now.
+        // Until then the session gets a deadline that allows for the wait, so a client that never asks still runs out of time.
+        // Submissions after deadlineAt are rejected and the sweeper closes the session.
+        if (queuedSections.length > 0) {
+            await enqueueSectionContent(req.user._id, sessionId, attempt._id, queuedSections);
+            timedSession = await reserveAssessmentDeadline(req.user._id, sessionId, template.timeLimitMinutes, GENERATION_WAIT_LIMIT_MS);
+        } else {
+            timedSession = await startAssessmentClock(req.user._id, sessionId, template.timeLimitMinutes);
+        }
+
+        if (invite) {
+            invite.attemptId = attempt._id;
+            await invite.save();
+        }
+
+        const testsRemaining = invite ? req.user.number_of_tests : req.user.number_of_tests - 1;
+
+        await User.findByIdAndUpdate(req.user._id, {
+            $inc: {
+                number_of_tests: invite ? 0 : -1,
+                testsTaken: 1
+            },
+            $set: {
+                lastAssessmentCompletedAt: new Date()
+            },
+            $push: {
+                tests_timestamps: {
+                    timestamp: new Date(),
+                    testNumber: newTestNumber
+                }
+            }
+        });
+
+        logger.info(`Assessment session created/retrieved for user ${req.user._id} (testsTaken incremented, tests remaining: ${testsRemaining}${invite ? `, invite ${invite._id} used` : ''})`);
+
+        res.json({
+            success: true,
+            message: 'Assessment session created successfully',
+            sessionId: session.sessionId,
+            attemptId: attempt._id,
+            testsRemaining,
+            assessmentConfig: invite ? invite.assessmentConfig : null,
+            template: serializeAssessmentTemplate(template),
+            queuedSections: queuedSections.map(section => section.key),
+            timer: serializeAssessmentTimer(timedSession)
+        });
+    } catch (error) {
+        logger.error('Error creating assessment session:', error);
+        // An invite already tied to an attempt stays used
+        if (invite && !invite.attemptId) {
+            await releaseInviteClaim(invite).catch(releaseError => logger.error('Error releasing invite claim:', releaseError));
+        }
+        res.status(500).json({ error: 'Failed to create assessment session' });
+    }
+});
+
+// Progress of the content create-session queued; the clock starts when it is all ready
+router.get('/api/assessment/content', requireAuth, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+        const status = await getSessionContentStatus(req.user._id, sessionId);
+
+        let session = await AssessmentSession.findOne({ userId: req.user._id, sessionId });
+        if (status.ready && session && session.attemptId && !session.startedAt) {
+            const template = await getSessionTemplate(req.user._id, sessionId);
+            session = await startAssessmentClock(req.user._id, sessionId, template.timeLimitMinutes);
+        }
+
+        res.json({
+            ...status,
+            timer: serializeAssessmentTimer(session)
+        });
+    } catch (error) {
+        logger.error('Error checking assessment content:', error);
+        res.status(500).json({ error: 'Failed to check assessment content' });
+    }
+});
+
+// Clear assessment session (keep overall scores in user profile and detailed results in attempt history)
+router.post('/api/assessment/clear-session', requireAuth, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+
+        // Close the attempt before its session is removed so topics/difficulties are captured
+        const attempt = await getActiveAssessmentAttempt(req.user._id);
+        await finalizeAssessmentAttempt(attempt);
+
+        // Clear assessment session
+        await clearAssessmentSession(req.user._id, sessionId);
+
+        // Cleanup user's audio files
+        await cleanupUserAudioFiles(req.user._id);
+
+        logger.info(`Assessment session cleared for user ${req.user._id}`);
+
+        res.json({
+            success: true,
+            message: 'Assessment session cleared successfully'
+        });
+    } catch (error) {
+        logger.error('Error clearing assessment session:', error);
+        res.status(500).json({ error: 'Failed to clear assessment session' });
+    }
+});
+
+// Get consolidated critical feedback based on all assessment scores
+router.get('/api/assessment/consolidated-feedback', requireAuth, async (req, res) => {
+    try {
+        // Get user with all scores
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Get assessment session to check which assessments were actually completed
+        const session = await AssessmentSession.findOne({ userId: req.user._id }).sort({ lastActivity: -1 });
+
+        // Feedback is generated for the requested attempt, or else the one the latest session recorded into
+        const { attemptId } = req.query;
+        let attempt;
+        if (attemptId) {
+            if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+                return res.status(400).json({ error: 'Invalid attempt ID' });
+            }
+            attempt = await AssessmentAttempt.findOne({ _id: attemptId, userId: req.user._id });
+            if (!attempt) {
+                return res.status(404).json({ error: 'Assessment attempt not found' });
+            }
+        } else if (session && session.attemptId) {
+            attempt = await AssessmentAttempt.findById(session.attemptId);
+        } else {
+            attempt = await AssessmentAttempt.findOne({ userId: req.user._id }).sort({ startedAt: -1 });
+        }
+
+        // Past attempts return the feedback generated when they were finished
+        if (attemptId && attempt.consolidatedFeedback) {
+            return res.json({
+                success: true,
+                feedback: attempt.consolidatedFeedback,
+                scores: { ...attempt.sectionScores.toObject(), overallScore: attempt.overallScore },
+                overallScore: attempt.overallScore,
+                passed: attempt.passed,
+                cefrLevel: attempt.cefrLevel,
+                cefrLabel: attempt.cefrLevel ? AssessmentScoring.CEFR_BANDS.find(band => band.level === attempt.cefrLevel).label : null,
+                attemptId: attempt._id,
+                emailSent: false,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const scores = attemptId ? attempt.sectionScores : user.assessmentScores;
+
+        // Determine which assessments were actually completed
+        const completedAssessments = [];
+        let assessmentScoresList = '';
+        let completedCount = 0;
+
+        // Check each assessment and only include if completed (either from session progress or DetailedResults)
+        const assessmentChecks = [
+            { key: 'reading', name: 'Reading Ability (Pronunciation)', score: scores.readingAbility },
+            { key: 'listening', name: 'Listening Ability (Comprehension & Repetition)', score: scores.listeningAbility },
+            { key: 'jumbled', name: 'Jumbled Sentences (Grammar & Construction)', score: scores.jumbledSentences },
+            { key: 'story', name: 'Story Summarization (Comprehension & Storytelling)', score: scores.storySummarization },
+            { key: 'personal', name: 'Personal Questions (Interview Skills)', score: scores.personalQuestions },
+            { key: 'comprehension', name: 'Reading Comprehension (Text Analysis)', score: scores.readingComprehension },
+            { key: 'fillblanks', name: 'Fill in the Blanks (Grammar Mastery)', score: scores.fillInTheBlanks },
+            { key: 'email', name: 'Email Writing (Professional Correspondence)', score: scores.emailWriting },
+            { key: 'dictation', name: 'Dictation (Listening & Spelling Accuracy)', score: scores.dictationAccuracy },
+            { key: 'roleplay', name: 'Role-Play Conversation (Customer & Workplace Dialogue)', score: scores.rolePlayConversation }
+        ].filter(assessment => getAttemptSections(attempt).includes(assessment.key));
+
+        for (const assessment of assessmentChecks) {
+            // Check if assessment was completed (either in session progress or has detailed results)
+            const isCompleted = (!attemptId && session && session.assessmentProgress && session.assessmentProgress[assessment.key]) ||
+                (attempt && attempt.completedSections.includes(assessment.key));
+
+            if (isCompleted && assessment.score > 0) {
+                assessmentScoresList += `- ${assessment.name}: ${assessment.score}/100\n`;
+                completedAssessments.push(assessment.key);
+                completedCount++;
+            } else {
+                assessmentScoresList += `- ${assessment.name}: Not Attempted\n`;
+            }
+        }
+
+        // Weighted overall score; unattempted assessments contribute 0
+        const totalAssessments = assessmentChecks.length;
+        const completedScores = {};
+        assessmentChecks.forEach(assessment => {
+            completedScores[assessment.key] = completedAssessments.includes(assessment.key) ? assessment.score : 0;
+        });
+        const evaluation = AssessmentScoring.evaluateAssessment(completedScores, getAttemptScoringConfig(attempt));
+        const actualOverallScore = evaluation.overallScore;
+
+        // Prepare the comprehensive analysis prompt
+        const analysisPrompt = `You are a brutally honest communication skills evaluator. Analyze these assessment scores and provide critical, no-nonsense feedback. Do not sugar-coat anything.
+
+ASSESSMENT SCORES (${completedCount} out of ${totalAssessments} assessments completed):
+${assessmentScoresList}- Overall Score: ${actualOverallScore}/100
+- Level: CEFR ${evaluation.cefrLevel} (${evaluation.cefrLabel})
+- Result: ${evaluation.passed ? 'Passed' : 'Did not pass'} (overall pass mark ${evaluation.passScore}/100)
+- Test language: ${AssessmentLocales.getLocale(attempt && attempt.locale).label}
+
+IMPORTANT CONTEXT:
+- Only ${completedCount} out of ${totalAssessments} assessments were completed
+- "Not Attempted" assessments should be mentioned as incomplete/missed opportunities
+- Base your analysis only on completed assessments but note the incomplete ones as a significant issue
+
+INSTRUCTIONS:
+1. Be brutally honest and critical - no sugar-coating or false encouragement
+2. Identify specific weaknesses and failure points across completed sections
+3. Point out patterns of poor performance and skill gaps
+4. Be direct about what needs immediate improvement
+5. Mention which skills are below professional standards
+6. Compare performance to what employers/professionals expect
+7. Provide harsh but constructive criticism
+8. Use a professional but unforgiving tone
+9. Don't provide generic advice - be specific to their actual scores
+10. Address the incomplete assessments as a serious concern about commitment/time management
+11. End with a reality check about their current communication level
+
+Format your response with clear sections and be thorough in your critique. This person needs to understand exactly where they stand and what they must fix.`;
+
+        logger.info('Generating consolidated critical feedback for user:', req.user._id);
+
+        // Generate critical feedback using the configured LLM providers
+        const completion = await callLLMWithRetry('consolidatedFeedback', [
+            { role: "user", content: analysisPrompt }
+        ], 1500, 0.3);
+
+        const feedback = completion.choices[0]?.message?.content || 'Unable to generate feedback at this time.';
+
+        // Record the feedback and close the attempt so it can be revisited from history
+        if (attempt) {
+            attempt.consolidatedFeedback = feedback;
+            await finalizeAssessmentAttempt(attempt);
+        }
+
+        // Send email report to user
+        let emailSent = false;
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            try {
+                const assessmentData = {
+                    scores: scores,
+                    feedback: feedback,
+                    completedCount: completedCount,
+                    totalCount: totalAssessments,
+                    overallScore: actualOverallScore,
+                    evaluation,
+                    sections: getAttemptSections(attempt)
+                };
+
+                // The PDF is a nice-to-have; the email still goes out without it
+                if (attempt) {
+                    try {
+                        assessmentData.reportPdf = await generateAssessmentReportPdf(user, attempt);
+                    } catch (pdfError) {
+                        logger.error('Error generating PDF report for email:', pdfError);
+                    }
+                }
+                
+                emailSent = await sendAssessmentReportEmail(user.email, user.username, assessmentData);
+            } catch (emailError) {
+                logger.error('Error sending assessment report email:', emailError);
+            }
+        }
+
+        res.json({
+            success: true,
+            feedback: feedback,
+            scores: scores,
+            overallScore: actualOverallScore,
+            passed: evaluation.passed,
+            cefrLevel: evaluation.cefrLevel,
+            cefrLabel: evaluation.cefrLabel,
+            attemptId: attempt ? attempt._id : null,
+            emailSent: emailSent,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error generating consolidated feedback:', error);
+        res.status(500).json({ error: 'Failed to generate consolidated feedback' });
+    }
+});
+
+// Reset assessment
+router.post('/api/assessment/reset', requireAuth, async (req, res) => {
+    try {
+        // Reset user's scores in the database
+        const resetScores = {
+            readingAbility: 0,
+            listeningAbility: 0,
+            jumbledSentences: 0,
+            storySummarization: 0,
+            personalQuestions: 0,
+            readingComprehension: 0,
+            fillInTheBlanks: 0,
+            emailWriting: 0,
+            dictationAccuracy: 0,
+            rolePlayConversation: 0,
+            overallScore: 0
+        };
+
+        await User.findByIdAndUpdate(req.user._id, {
+            $set: { assessmentScores: resetScores }
+        });
+
+        // Close any unfinished attempt; its detailed results stay in the attempt history
+        const attempt = await getActiveAssessmentAttempt(req.user._id);
+        await finalizeAssessmentAttempt(attempt, 'abandoned');
+
+        // Cleanup all user's audio files
+        await cleanupUserAudioFiles(req.user._id);
+
+        // Clear assessment session
+        const sessionId = req.session.id;
+        await clearAssessmentSession(req.user._id, sessionId);
+
+        logger.info(`Assessment completely reset for user ${req.user._id} (scores and session cleared)`);
+
+        res.json({ message: 'Assessment reset successfully' });
+    } catch (error) {
+        logger.error('Error resetting assessment:', error);
+        res.status(500).json({ error: 'Failed to reset assessment' });
+    }
+});
+
+// Force submit assessment (for page reload/navigation)
+router.post('/api/assessment/force-submit', requireAuth, async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        // Get assessment session to check which sections were completed
+        const session = await AssessmentSession.findOne({ userId: req.user._id }).sort({ lastActivity: -1 });
+
+        // Timing comes from the session's server-side clock; the client's own timestamp is not trusted
+        const submittedAt = new Date();
+        const elapsedSeconds = session && session.startedAt ? Math.round((submittedAt - session.startedAt) / 1000) : null;
+        logger.info(`Force submit triggered for user ${req.user._id}, reason: ${reason}, elapsed: ${elapsedSeconds === null ? 'unknown' : `${elapsedSeconds}s`}${isAssessmentSessionExpired(session) ? ' (after deadline)' : ''}`);
+
+        // Get current user scores
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Reset unattempted sections to 0 in database
+        await resetUnattemptedSectionsToZero(req.user._id, session);
+
+        // Close the attempt with whatever sections were finished
+        const attempt = await getActiveAssessmentAttempt(req.user._id);
+        await finalizeAssessmentAttempt(attempt);
+
+        // Already submitted, so the sweeper has nothing left to do for this session
+        if (session && !session.expiredAt) {
+            await AssessmentSession.updateOne({ _id: session._id }, { $set: { expiredAt: submittedAt } });
+        }
+
+        res.json({
+            message: 'Force submit acknowledged and unattempted sections reset to 0',
+            reason: reason,
+            timestamp: submittedAt.toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error handling force submit:', error);
+        res.status(500).json({ error: 'Failed to handle force submit' });
+    }
+});
+
+module.exports = router;
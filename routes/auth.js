@@ -0,0 +1,465 @@
+// Candidate signup, email verification, login and password reset
+const express = require('express');
+const validator = require('validator');
+const logger = require('../config/logger');
+const { User } = require('../models');
+const { validateAccountCredentials } = require('../services/accounts');
+const { sendMail } = require('../services/email');
+const { getUsableInvite } = require('../services/invites');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Signup route
+router.post('/api/auth/signup', async (req, res) => {
+    try {
+        const { email, username, password } = req.body;
+
+        // Validation
+        if (!email || !username || !password) {
+            return res.status(400).json({
+                error: 'Email, username and password are required',
+                field: !email ? 'email' : (!username ? 'username' : 'password')
+            });
+        }
+
+        if (!validator.isEmail(email)) {
+            return res.status(400).json({
+                error: 'Please enter a valid email address',
+                field: 'email'
+            });
+        }
+
+        const credentialError = validateAccountCredentials(username, password);
+        if (credentialError) {
+            return res.status(400).json(credentialError);
+        }
+
+        // Check if user already exists (email or username)
+        const existingUser = await User.findOne({
+            $or: [
+                { email: email.toLowerCase() },
+                { username: { $regex: new RegExp(`^${username}$`, 'i') } } // Case-insensitive username check
+            ]
+        });
+
+        if (existingUser) {
+            if (existingUser.email === email.toLowerCase()) {
+                return res.status(400).json({
+                    error: 'An account with this email already exists',
+                    field: 'email'
+                });
+            } else {
+                return res.status(400).json({
+                    error: 'This username is already taken',
+                    field: 'username'
+                });
+            }
+        }
+
+        // Create new user
+        const user = new User({
+            email: email.toLowerCase(),
+            username: username, // Keep original case for username
+            password,
+            number_of_tests: 0,
+            testsTaken: 0
+        });
+
+        // Generate verification token
+        const verificationToken = user.generateEmailVerificationToken();
+        await user.save();
+
+        // Send verification email
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email?token=${verificationToken}`;
+
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: 'Verify Your Email - Communication Assessment Suite',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff; border: 1px solid #e6eef2; border-radius: 12px; padding: 24px;">
+                        <h2 style="color: #1f4e5f; margin-top: 0;">Welcome to Communication Assessment Suite! 🎯</h2>
+                        <p>Thank you for signing up! Please verify your email address to activate your account.</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${verificationUrl}" 
+                               style="background: linear-gradient(135deg, #1f4e5f, #163a46); color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+                                Verify Email Address
+                            </a>
+                        </div>
+                        <p>Or copy and paste this link in your browser:</p>
+                        <p style="word-break: break-all; color: #1f4e5f;">${verificationUrl}</p>
+                        <p style="color: #666; font-size: 14px;">This link will expire in 24 hours.</p>
+                        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e6eef2;">
+                        <p style="color: #666; font-size: 12px;">
+                            If you didn't create an account, please ignore this email.
+                        </p>
+                    </div>
+                `
+            };
+
+            try {
+                await sendMail(mailOptions);
+            } catch (emailError) {
+                logger.error('Failed to send verification email:', emailError);
+                // Don't fail the signup if email fails
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully. Please check your email to verify your account.'
+        });
+
+    } catch (error) {
+        logger.error('Signup error:', error);
+
+        if (error.code === 11000) { // Duplicate key error
+            const field = error.keyPattern?.email ? 'email' : 'username';
+            const message = field === 'email'
+                ? 'An account with this email already exists'
+                : 'This username is already taken';
+            return res.status(400).json({
+                error: message,
+                field: field
+            });
+        }
+
+        res.status(500).json({ error: 'Server error during signup. Please try again.' });
+    }
+});
+
+// Login route
+router.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // Validation
+        if (!email || !password) {
+            return res.status(400).json({
+                error: 'Email and password are required',
+                field: !email ? 'email' : 'password'
+            });
+        }
+
+        // Find user
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(400).json({
+                error: 'Invalid email or password',
+                field: 'email'
+            });
+        }
+
+        // Check password
+        const isValidPassword = await user.comparePassword(password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                error: 'Invalid email or password',
+                field: 'password'
+            });
+        }
+
+        // Check if email is verified
+        if (!user.isEmailVerified) {
+            return res.status(400).json({
+                error: 'Please verify your email before logging in. Check your inbox for the verification link.'
+            });
+        }
+
+        // Update last login
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        // Set session
+        req.session.userId = user._id;
+
+        res.json({
+            success: true,
+            message: 'Login successful'
+        });
+
+    } catch (error) {
+        logger.error('Login error:', error);
+        res.status(500).json({ error: 'Server error during login. Please try again.' });
+    }
+});
+
+// Email verification route
+router.get('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.redirect('/?message=Invalid%20verification%20link&type=error');
+        }
+
+        const user = await User.findOne({
+            emailVerificationToken: token,
+            emailVerificationExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.redirect('/?message=Invalid%20or%20expired%20verification%20link&type=error');
+        }
+
+        user.isEmailVerified = true;
+        user.emailVerificationToken = null;
+        user.emailVerificationExpires = null;
+        await user.save();
+
+        res.redirect('/login?message=Email%20verified%20successfully!%20You%20can%20now%20log%20in&type=success');
+
+    } catch (error) {
+        logger.error('Email verification error:', error);
+        res.redirect('/?message=Email%20verification%20failed&type=error');
+    }
+});
+
+// Resend verification email route
+router.post('/api/auth/resend-verification', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(400).json({ error: 'User not found' });
+        }
+
+        if (user.isEmailVerified) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        // Generate new verification token
+        const verificationToken = user.generateEmailVerificationToken();
+        await user.save();
+
+        // Send verification email
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email?token=${verificationToken}`;
+
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: 'Verify Your Email - Communication Assessment Suite',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff; border: 1px solid #e6eef2; border-radius: 12px; padding: 24px;">
+                        <h2 style="color: #1f4e5f; margin-top: 0;">Email Verification 🎯</h2>
+                        <p>Please verify your email address to activate your account.</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${verificationUrl}" 
+                               style="background: linear-gradient(135deg, #1f4e5f, #163a46); color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+                                Verify Email Address
+                            </a>
+                        </div>
+                        <p>Or copy and paste this link in your browser:</p>
+                        <p style="word-break: break-all; color: #1f4e5f;">${verificationUrl}</p>
+                        <p style="color: #666; font-size: 14px;">This link will expire in 24 hours.</p>
+                    </div>
+                `
+            };
+
+            await sendMail(mailOptions);
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification email sent successfully'
+        });
+
+    } catch (error) {
+        logger.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+});
+
+// Forgot password route
+router.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        if (!validator.isEmail(email)) {
+            return res.status(400).json({ error: 'Please enter a valid email address' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            // Don't reveal if user exists or not for security
+            return res.json({
+                success: true,
+                message: 'If an account with this email exists, you will receive a password reset link.'
+            });
+        }
+
+        // Generate password reset token
+        const resetToken = user.generatePasswordResetToken();
+        await user.save();
+
+        // Send password reset email
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            const resetUrl = `${req.protocol}://${req.get('host')}/reset-password?token=${resetToken}`;
+
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: 'Password Reset - Communication Assessment Suite',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff; border: 1px solid #e6eef2; border-radius: 12px; padding: 24px;">
+                        <h2 style="color: #1f4e5f; margin-top: 0;">Password Reset Request 🔐</h2>
+                        <p>You requested a password reset for your Communication Assessment Suite account.</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${resetUrl}" 
+                               style="background: linear-gradient(135deg, #1f4e5f, #163a46); color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+                                Reset Password
+                            </a>
+                        </div>
+                        <p><strong>If the button above doesn't work, copy and paste this link in your browser:</strong></p>
+                        <p style="word-break: break-all; color: #1f4e5f; background: #f8f9fa; padding: 10px; border-radius: 5px; font-family: monospace;">${resetUrl}</p>
+                        <p style="color: #666; font-size: 14px;"><strong>Important:</strong> This link will expire in 1 hour.</p>
+                        <p style="color: #666; font-size: 14px;">If you didn't request this password reset, please ignore this email.</p>
+                    </div>
+                `
+            };
+
+            await sendMail(mailOptions);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account with this email exists, you will receive a password reset link.'
+        });
+
+    } catch (error) {
+        logger.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to process password reset request' });
+    }
+});
+
+// Reset password route
+router.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and password are required' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({
+                error: 'Password must be at least 8 characters long',
+                field: 'password'
+            });
+        }
+
+        // Check password strength
+        const hasUppercase = /[A-Z]/.test(password);
+        const hasLowercase = /[a-z]/.test(password);
+        const hasNumbers = /\d/.test(password);
+        const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+
+        if (!hasUppercase || !hasLowercase || !hasNumbers || !hasSpecialChar) {
+            return res.status(400).json({
+                error: 'Password must contain uppercase, lowercase, number, and special character',
+                field: 'password'
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetToken: token,
+            passwordResetExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired password reset token' });
+        }
+
+        // Update password and clear reset token
+        user.password = password;
+        user.passwordResetToken = null;
+        user.passwordResetExpires = null;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. You can now log in with your new password.'
+        });
+
+    } catch (error) {
+        logger.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Logout route
+router.post('/api/auth/logout', (req, res) => {
+    req.session.destroy((err) => {
+        if (err) {
+            logger.error('Logout error:', err);
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        res.json({ success: true, message: 'Logged out successfully' });
+    });
+});
+
+// Get current user info
+router.get('/api/auth/me', requireAuth, async (req, res) => {
+    try {
+        const invite = await getUsableInvite(req.user._id);
+
+        res.json({
+            id: req.user._id,
+            email: req.user.email,
+            username: req.user.username,
+            number_of_tests: req.user.number_of_tests,
+            testsTaken: req.user.testsTaken || 0,
+            isEmailVerified: req.user.isEmailVerified,
+            assessmentScores: req.user.assessmentScores,
+            tests_timestamps: req.user.tests_timestamps || [],
+            payments_timestamps: req.user.payments_timestamps || [],
+            createdAt: req.user.createdAt,
+            lastLoginAt: req.user.lastLoginAt,
+            pendingInvite: invite ? {
+                id: invite._id,
+                assessmentConfig: invite.assessmentConfig,
+                expiresAt: invite.expiresAt
+            } : null
+        });
+    } catch (error) {
+        logger.error('Error fetching user info:', error);
+        res.status(500).json({ error: 'Failed to fetch user info' });
+    }
+});
+
+// Get current user profile
+router.get('/api/user/profile', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('email username');
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({
+            success: true,
+            user: {
+                email: user.email,
+                username: user.username
+            }
+        });
+        
+    } catch (error) {
+        logger.error('❌ Error fetching user profile:', error);
+        res.status(500).json({ error: 'Failed to fetch user profile' });
+    }
+});
+
+module.exports = router;
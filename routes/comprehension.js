@@ -0,0 +1,226 @@
+// Reading Comprehension section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for a passage with the given number of questions; throws when no provider answers or the passage fails validation
+const requestComprehensionExercise = async (topic, difficulty, locale, itemCount) => {
+    const prompt = `Generate a reading comprehension exercise with the following specifications:
+
+Topic: ${topic || 'technology'}
+Difficulty: ${difficulty || 'intermediate'}
+
+Please provide:
+1. A reading passage (200-350 words)
+2. ${itemCount} multiple choice questions based on the passage
+3. Each question should have 4 options (A, B, C, D)
+4. Include the correct answer for each question
+
+Format your response as a JSON object with this exact structure:
+{
+  "passage": "The reading passage text here...",
+  "questions": [
+{
+  "question": "Question text here?",
+  "options": {
+    "A": "Option A text",
+    "B": "Option B text", 
+    "C": "Option C text",
+    "D": "Option D text"
+  },
+  "correct_answer": "A"
+}
+  ]
+}
+
+Make sure the passage is engaging and the questions test different comprehension skills like main idea, details, inference, and vocabulary. ${getLocaleContentInstruction(locale)} Keep the JSON keys and the answer letters exactly as shown.`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: "You are an expert educational content creator specializing in reading comprehension materials. Always respond with valid JSON format."
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ], 1500, 0.7);
+
+    return validateGeneratedContent('comprehension', completion.choices[0].message.content, { topic, difficulty, locale, itemCount });
+};
+
+// Generate reading comprehension content
+const generateComprehensionContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { topic, difficulty } = options;
+
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'comprehension');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    const bankOnly = await isQuestionBankOnly('comprehension');
+    let comprehensionData;
+    if (!bankOnly) {
+        const pooled = await checkOutContentPoolItems('comprehension', { topic: topic || 'technology', difficulty, locale, itemCount }, userId);
+        if (pooled) {
+            comprehensionData = pooled[0].content;
+        } else {
+            try {
+                [comprehensionData] = await requestComprehensionExercise(topic, difficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('AI comprehension exercise unavailable or invalid, using question bank content...', error.message);
+            }
+        }
+    }
+
+    if (!comprehensionData) {
+        const [bankItem] = await drawQuestionBankItems('comprehension', { topic, difficulty, language: locale.language }, 1);
+        if (!bankItem) {
+            throw new Error('No comprehension passages available in the question bank');
+        }
+        comprehensionData = bankItem.content;
+    }
+
+    // Bank and pooled passages may carry more questions than the template asks for
+    comprehensionData.questions = comprehensionData.questions.slice(0, itemCount);
+
+    // Store comprehension data for evaluation in session
+    await storeGeneratedContent(userId, sessionId, 'comprehension', {
+        'temporaryData.currentComprehension': comprehensionData
+    }, generationJob);
+
+    return {
+        success: true,
+        topic: topic || 'technology',
+        difficulty: difficulty || 'intermediate',
+        passage: comprehensionData.passage,
+        questions: comprehensionData.questions,
+        timestamp: new Date().toISOString()
+    };
+};
+
+registerContentGenerator('comprehension', generateComprehensionContent);
+registerContentPoolSource('comprehension', {
+    generate: requestComprehensionExercise,
+    // A passage can fill a test that asks for as many questions as it has, or fewer
+    match: itemCount => ({ [`content.questions.${itemCount - 1}`]: { $exists: true } })
+});
+
+router.post('/api/comprehension/generate', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateComprehensionContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Reading comprehension generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate reading comprehension content' });
+    }
+});
+
+// Evaluate comprehension quiz answers
+router.post('/api/comprehension/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const { userAnswers } = req.body;
+
+        if (!userAnswers) {
+            return res.status(400).json({
+                error: 'Answers are missing'
+            });
+        }
+
+        // Get comprehension data from session
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const comprehensionData = session.temporaryData.currentComprehension;
+
+        if (!comprehensionData) {
+            return res.status(400).json({
+                error: 'No comprehension data found in session. Please generate content first.'
+            });
+        }
+
+        // Calculate score
+        let correctAnswers = 0;
+        const totalQuestions = comprehensionData.questions.length;
+        const results = [];
+
+        comprehensionData.questions.forEach((question, index) => {
+            const userAnswer = userAnswers[index];
+            const correctAnswer = question.correct_answer;
+            const isCorrect = userAnswer === correctAnswer;
+
+            if (isCorrect) {
+                correctAnswers++;
+            }
+
+            results.push({
+                questionIndex: index + 1,
+                question: question.question,
+                userAnswer,
+                correctAnswer,
+                isCorrect,
+                options: question.options
+            });
+        });
+
+        const score = Math.round((correctAnswers / totalQuestions) * 100);
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.readingComprehension = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Process results for detailed storage - fix options format
+        const processedResults = results.map(result => ({
+            ...result,
+            options: Array.isArray(result.options) ? result.options :
+                (result.options ? Object.values(result.options) : [])
+        }));
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'comprehension', score, {
+            answerComparison: {
+                questions: processedResults,
+                passageText: comprehensionData.passage
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.comprehension': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            correctAnswers,
+            totalQuestions,
+            percentage: score,
+            results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Reading comprehension evaluation error:', error.message);
+        res.status(500).json({ error: 'Failed to evaluate reading comprehension quiz' });
+    }
+});
+
+module.exports = router;
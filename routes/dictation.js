@@ -0,0 +1,308 @@
+// Dictation section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { pickLocaleVoice, synthesizeSpeechToMongoDB } = require('../services/speech');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Longest answer accepted per sentence; reference sentences are 8-16 words
+const DICTATION_MAX_ANSWER_CHARACTERS = 500;
+
+// Cost of each alignment operation; a misspelt word still shows the candidate heard it
+const DICTATION_ERROR_COSTS = { correct: 0, spelling: 0.5, substitution: 1, omission: 1, insertion: 1 };
+
+// Split text into words, keeping the written form for display and a lowercase, punctuation-free form for matching
+const tokenizeDictationText = (text) => String(text || '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[-–—/]/g, ' ')
+    .split(/\s+/)
+    .map(word => ({
+        display: word.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, ''),
+        normalized: word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '').replace(/^'+|'+$/g, '')
+    }))
+    .filter(word => word.normalized);
+
+const characterEditDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// A typed word close enough to the reference word to be a spelling slip rather than a different word.
+// Short words ("in"/"on", "a"/"an") are always substitutions.
+const isSpellingError = (expected, actual) => {
+    if (expected.length < 4) {
+        return false;
+    }
+    return characterEditDistance(expected, actual) <= Math.max(1, Math.floor(expected.length / 4));
+};
+
+// Word-level edit distance between the reference and the typed answer, returned as the aligned operations
+const alignDictationWords = (referenceText, answerText) => {
+    const expected = tokenizeDictationText(referenceText);
+    const actual = tokenizeDictationText(answerText);
+
+    const substitutionType = (i, j) => {
+        if (expected[i].normalized === actual[j].normalized) return 'correct';
+        return isSpellingError(expected[i].normalized, actual[j].normalized) ? 'spelling' : 'substitution';
+    };
+
+    // cost[i][j]: cheapest alignment of the first i reference words with the first j typed words
+    const cost = Array.from({ length: expected.length + 1 }, () => new Array(actual.length + 1).fill(0));
+    for (let i = 1; i <= expected.length; i++) cost[i][0] = i * DICTATION_ERROR_COSTS.omission;
+    for (let j = 1; j <= actual.length; j++) cost[0][j] = j * DICTATION_ERROR_COSTS.insertion;
+    for (let i = 1; i <= expected.length; i++) {
+        for (let j = 1; j <= actual.length; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + DICTATION_ERROR_COSTS[substitutionType(i - 1, j - 1)],
+                cost[i - 1][j] + DICTATION_ERROR_COSTS.omission,
+                cost[i][j - 1] + DICTATION_ERROR_COSTS.insertion
+            );
+        }
+    }
+
+    // Walk back from the end, preferring to pair words over dropping them when costs tie
+    const operations = [];
+    let i = expected.length;
+    let j = actual.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0) {
+            const type = substitutionType(i - 1, j - 1);
+            if (cost[i][j] === cost[i - 1][j - 1] + DICTATION_ERROR_COSTS[type]) {
+                operations.push({ type, expected: expected[i - 1].display, actual: actual[j - 1].display });
+                i--;
+                j--;
+                continue;
+            }
+        }
+        if (i > 0 && cost[i][j] === cost[i - 1][j] + DICTATION_ERROR_COSTS.omission) {
+            operations.push({ type: 'omission', expected: expected[i - 1].display, actual: '' });
+            i--;
+        } else {
+            operations.push({ type: 'insertion', expected: '', actual: actual[j - 1].display });
+            j--;
+        }
+    }
+    operations.reverse();
+
+    return {
+        operations,
+        referenceWords: expected.length,
+        errorCost: cost[expected.length][actual.length]
+    };
+};
+
+// Ask the LLM for dictation sentences; throws when no provider answers or too few pass validation
+const requestDictationSentences = async (topic, difficulty, locale, itemCount) => {
+    const systemPrompt = `You write sentences for a ${locale.languageName} dictation test, where candidates type exactly what they hear. Write natural sentences of 8-16 words for ${difficulty} learners, about: ${topic}. Spell out numbers as words, avoid names and abbreviations that have more than one accepted spelling, and at advanced level include words that are commonly misspelt. ${getLocaleContentInstruction(locale)}`;
+
+    const userPrompt = `Generate ${itemCount} different dictation sentences about "${topic}" at ${difficulty} difficulty level. Return them as a JSON array of strings. Example: ["sentence 1", "sentence 2", "sentence 3"]`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('sentenceGeneration', [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        {
+            role: "user",
+            content: userPrompt
+        }
+    ], 400, 0.7);
+
+    const sentences = await validateGeneratedContent('dictation', completion.choices[0].message.content, { topic, difficulty, locale, itemCount, minItems: itemCount });
+    return sentences.slice(0, itemCount).map(content => content.text);
+};
+
+// Generate the template's number of dictation sentences with TTS audio; only the audio goes to the client
+const generateDictationContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { topic, difficulty } = options;
+
+    const selectedTopic = topic || 'Workplace instructions';
+    const selectedDifficulty = difficulty || 'intermediate';
+
+    logger.info(`Generating dictation content with topic: ${selectedTopic}, difficulty: ${selectedDifficulty}`);
+
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'dictation');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    const bankOnly = await isQuestionBankOnly('dictation');
+    let dictationSentences;
+    let sentences;
+    if (!bankOnly) {
+        // Pooled sentences were spoken when they were generated
+        const pooled = await checkOutContentPoolItems('dictation', { topic: selectedTopic, difficulty: selectedDifficulty, locale, itemCount }, userId);
+        if (pooled) {
+            dictationSentences = pooled.map(item => ({ text: item.content.text, audioUrl: item.audio.audioUrl }));
+        } else {
+            try {
+                sentences = await requestDictationSentences(selectedTopic, selectedDifficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('Dictation sentences unavailable or too few, using question bank sentences...', error.message);
+            }
+        }
+    }
+
+    if (!dictationSentences && !sentences) {
+        const bankItems = await drawQuestionBankItems('dictation', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, itemCount);
+        sentences = bankItems.map(item => item.content.text);
+        if (sentences.length === 0) {
+            throw new Error('No dictation sentences available in the question bank');
+        }
+    }
+
+    if (!dictationSentences) {
+        dictationSentences = [];
+        for (let i = 0; i < sentences.length; i++) {
+            const audioUrl = await synthesizeSpeechToMongoDB(
+                sentences[i],
+                `dictation_${Date.now()}_${i + 1}.mp3`,
+                userId,
+                'dictation',
+                { localeCode: locale.code }
+            );
+            dictationSentences.push({ text: sentences[i], audioUrl });
+        }
+    }
+
+    await storeGeneratedContent(userId, sessionId, 'dictation', {
+        'temporaryData.dictationSentences': dictationSentences,
+        'temporaryData.selectedTopics.dictation': selectedTopic,
+        'temporaryData.selectedDifficulties.dictation': selectedDifficulty
+    }, generationJob);
+
+    return {
+        success: true,
+        items: dictationSentences.map(sentence => ({ audioUrl: sentence.audioUrl })),
+        totalSentences: dictationSentences.length,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty,
+        timestamp: new Date().toISOString()
+    };
+};
+
+registerContentGenerator('dictation', generateDictationContent);
+registerContentPoolSource('dictation', {
+    perItem: true,
+    generate: requestDictationSentences,
+    speech: (content, difficulty, locale) => ({ text: content.text, voice: pickLocaleVoice(locale.code) })
+});
+
+router.post('/api/dictation/generate', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateDictationContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Dictation generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate dictation content' });
+    }
+});
+
+// Score all typed sentences against the references with a word-level edit distance
+router.post('/api/dictation/submit', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const { answers } = req.body;
+
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Answers are missing' });
+        }
+
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const sentences = session.temporaryData.dictationSentences || [];
+
+        if (sentences.length === 0) {
+            return res.status(400).json({ error: 'No dictation found in session. Please generate it first.' });
+        }
+
+        const errorCounts = { spelling: 0, substitution: 0, omission: 0, insertion: 0 };
+        let totalReferenceWords = 0;
+        let totalErrorCost = 0;
+
+        const results = sentences.map((sentence, index) => {
+            const userAnswer = String(answers[index] || '').trim().slice(0, DICTATION_MAX_ANSWER_CHARACTERS);
+            const { operations, referenceWords, errorCost } = alignDictationWords(sentence.text, userAnswer);
+
+            operations.forEach(operation => {
+                if (operation.type !== 'correct') {
+                    errorCounts[operation.type]++;
+                }
+            });
+            totalReferenceWords += referenceWords;
+            totalErrorCost += errorCost;
+
+            return {
+                questionIndex: index + 1,
+                question: `Sentence ${index + 1}`,
+                userAnswer,
+                correctAnswer: sentence.text,
+                isCorrect: errorCost === 0,
+                wordDiff: operations
+            };
+        });
+
+        const score = totalReferenceWords > 0
+            ? Math.round(Math.max(0, 1 - totalErrorCost / totalReferenceWords) * 100)
+            : 0;
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.dictationAccuracy = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'dictation', score, {
+            answerComparison: {
+                questions: results
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.dictation': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            totalWords: totalReferenceWords,
+            errors: errorCounts,
+            results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Dictation scoring error:', error.message);
+        res.status(500).json({ error: 'Failed to score dictation' });
+    }
+});
+
+module.exports = router;
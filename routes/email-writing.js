@@ -0,0 +1,400 @@
+// Email Writing section
+const express = require('express');
+const logger = require('../config/logger');
+const { AssessmentSession } = require('../models');
+const { countWords } = require('../utils/text');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionLocale
+} = require('../services/assessment-session');
+const { ASSESSMENT_DEADLINE_GRACE_MS } = require('../services/assessment-timer');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry, parseRubricScores } = require('../services/llm');
+const {
+    normalizeBankDifficulty,
+    normalizeQuestionBankContent,
+    isQuestionBankOnly,
+    drawQuestionBankItems
+} = require('../services/question-bank');
+const { getLocaleContentInstruction, getLocaleGradingInstruction } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Word range and time the candidate gets for the reply, by difficulty
+const EMAIL_WRITING_LIMITS = {
+    beginner: { minWords: 50, maxWords: 120, timeLimitMinutes: 8 },
+    intermediate: { minWords: 80, maxWords: 180, timeLimitMinutes: 10 },
+    advanced: { minWords: 120, maxWords: 250, timeLimitMinutes: 12 }
+};
+
+// Hard cap on what is sent to the grader, well above any word limit
+const EMAIL_MAX_CHARACTERS = 5000;
+
+// Rubric criteria, each scored out of 20; the five add up to the section score
+const EMAIL_RUBRIC = [
+    { key: 'tone', label: 'TONE', description: 'Register and politeness suit the recipient and situation' },
+    { key: 'structure', label: 'STRUCTURE', description: 'Subject line, greeting, clear paragraphs, closing and sign-off' },
+    { key: 'grammar', label: 'GRAMMAR', description: 'Grammar, spelling, punctuation and word choice' },
+    { key: 'taskCompletion', label: 'TASK COMPLETION', description: 'Every requirement of the scenario is addressed' },
+    { key: 'conciseness', label: 'CONCISENESS', description: 'Gets to the point and stays within the word limit' }
+];
+
+// Plain-text version of a scenario, for the grading prompt and the stored result
+const formatEmailScenario = (scenario) => {
+    const lines = [`Situation: ${scenario.situation}`];
+    if (scenario.recipient) {
+        lines.push(`Write to: ${scenario.recipient}`);
+    }
+    if (scenario.incomingEmail) {
+        lines.push('', `Email received from ${scenario.incomingEmail.from || 'the recipient'}${scenario.incomingEmail.subject ? ` (subject: ${scenario.incomingEmail.subject})` : ''}:`, scenario.incomingEmail.body);
+    }
+    lines.push('', 'Your email must:', ...scenario.requirements.map(requirement => `- ${requirement}`));
+    lines.push('', `Length: ${scenario.minWords}-${scenario.maxWords} words, ${scenario.timeLimitMinutes} minutes`);
+    return lines.join('\n');
+};
+
+// Rough rubric scores from the text alone, used when no LLM is reachable
+const scoreEmailHeuristically = (scenario, subject, emailText) => {
+    const wordCount = countWords(emailText);
+    const lowerText = emailText.toLowerCase();
+    const paragraphs = emailText.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).length;
+    const hasGreeting = /^(dear|hello|hi|good (morning|afternoon|evening))\b/i.test(emailText.trim());
+    const hasSignOff = /(regards|sincerely|best|thank you|thanks|cheers)[,.!]?\s*\n?[^\n]*$/i.test(emailText.trim());
+    const sentences = emailText.split(/[.!?]+/).filter(sentence => sentence.trim());
+    const capitalizedSentences = sentences.filter(sentence => /^[A-Z"'(]/.test(sentence.trim())).length;
+
+    // A requirement counts as covered when most of its longer words appear in the email
+    const coveredRequirements = scenario.requirements.filter(requirement => {
+        const keywords = requirement.toLowerCase().split(/\W+/).filter(word => word.length > 4);
+        if (keywords.length === 0) return true;
+        return keywords.filter(word => lowerText.includes(word.slice(0, 5))).length / keywords.length >= 0.5;
+    }).length;
+
+    const withinLimit = wordCount >= scenario.minWords && wordCount <= scenario.maxWords;
+    const criteria = {
+        tone: /\b(please|thank|appreciate|apolog|sorry|kindly)/i.test(emailText) ? 14 : 10,
+        structure: 6 + (subject ? 3 : 0) + (hasGreeting ? 4 : 0) + (hasSignOff ? 4 : 0) + (paragraphs >= 2 ? 3 : 0),
+        grammar: sentences.length > 0 ? Math.round(8 + 8 * (capitalizedSentences / sentences.length)) : 8,
+        taskCompletion: Math.round(4 + 14 * (coveredRequirements / scenario.requirements.length)),
+        conciseness: withinLimit ? 15 : wordCount < scenario.minWords ? 8 : 6
+    };
+    const score = Object.values(criteria).reduce((sum, value) => sum + value, 0);
+
+    const feedback = `SCORE: ${score}/100
+
+${EMAIL_RUBRIC.map(criterion => `${criterion.label}: ${criteria[criterion.key]}/20`).join('\n')}
+
+**STRENGTHS:**
+- ${hasGreeting && hasSignOff ? 'Your email opens and closes in a professional way.' : 'You produced a complete reply to the scenario.'}
+- You addressed ${coveredRequirements} of ${scenario.requirements.length} points the scenario asked for.
+
+**AREAS FOR IMPROVEMENT:**
+1. ${subject ? 'Check that every requirement of the scenario is answered explicitly.' : 'Always add a clear, specific subject line.'}
+2. ${withinLimit ? 'Keep paragraphs short, with one idea each.' : `Stay within ${scenario.minWords}-${scenario.maxWords} words; your email had ${wordCount}.`}
+3. Proofread for grammar and punctuation before sending.
+
+**FINAL ASSESSMENT:**
+This score is an automatic estimate based on structure, length and coverage of the scenario.`;
+
+    return { criteria, score, feedback };
+};
+
+// Ask the LLM for a workplace email scenario; throws when no provider answers or the reply is invalid
+const requestEmailScenario = async (topic, difficulty, locale) => {
+    const limits = EMAIL_WRITING_LIMITS[difficulty];
+
+    const difficultyPrompts = {
+        beginner: 'a simple, everyday workplace situation with a friendly colleague; the reply needs two or three straightforward points',
+        intermediate: 'a typical workplace situation with a client, manager or another team; the reply needs three or four points',
+        advanced: 'a sensitive workplace situation (e.g. an unhappy client, a difficult negotiation or bad news to deliver) that calls for diplomacy; the reply needs four or five points'
+    };
+
+    const prompt = `Create a business email writing task for a communication assessment.
+
+Topic: ${topic}
+Difficulty: ${difficultyPrompts[difficulty]}
+Expected reply length: ${limits.minWords}-${limits.maxWords} words
+
+Respond with a JSON object with this exact structure:
+{
+  "situation": "Two or three sentences describing the candidate's role and what has happened",
+  "recipient": "Who the candidate writes to, with their role",
+  "incomingEmail": { "from": "Sender name", "subject": "Subject line", "body": "The email the candidate is replying to" },
+  "requirements": ["Point the reply must cover", "..."]
+}
+
+Set "incomingEmail" to null when the candidate starts a new email rather than replying. ${getLocaleContentInstruction(locale)} Keep the JSON keys exactly as shown.`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: `You are an expert in business communication who writes realistic workplace email tasks for ${locale.languageName} assessments. Always respond with valid JSON format.`
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ], 600, 0.8);
+
+    return validateGeneratedContent('email', completion.choices[0].message.content, { topic, difficulty, locale });
+};
+
+// Generate a workplace scenario for the candidate to reply to
+const generateEmailContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { topic, difficulty } = options;
+
+    // A task the candidate has been shown keeps its scenario and countdown for the rest of the attempt
+    const session = await AssessmentSession.findOne({ userId, sessionId });
+    const startedScenario = session && session.temporaryData.currentEmailScenario;
+    if (startedScenario && startedScenario.issuedAt) {
+        return {
+            success: true,
+            scenario: startedScenario,
+            topic: startedScenario.topic,
+            difficulty: startedScenario.difficulty,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const selectedTopic = topic || 'Project updates';
+    const selectedDifficulty = normalizeBankDifficulty(difficulty) || 'intermediate';
+    const limits = EMAIL_WRITING_LIMITS[selectedDifficulty];
+    const locale = await getSessionLocale(userId, sessionId);
+
+    const bankOnly = await isQuestionBankOnly('email');
+    let scenario;
+    if (!bankOnly) {
+        const pooled = await checkOutContentPoolItems('email', { topic: selectedTopic, difficulty: selectedDifficulty, locale }, userId);
+        if (pooled) {
+            scenario = pooled[0].content;
+        } else {
+            try {
+                [scenario] = await requestEmailScenario(selectedTopic, selectedDifficulty, locale);
+            } catch (error) {
+                logger.warn('AI email scenario unavailable or invalid, using question bank scenario...', error.message);
+            }
+        }
+    }
+
+    if (!scenario) {
+        const [bankItem] = await drawQuestionBankItems('email', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, 1);
+        if (!bankItem) {
+            throw new Error('No email writing scenarios available in the question bank');
+        }
+        scenario = normalizeQuestionBankContent('email', bankItem.content);
+    }
+
+    // issuedAt is set when the candidate is shown the task (startEmailTask), not when it is generated
+    const emailScenario = { ...scenario, topic: selectedTopic, difficulty: selectedDifficulty, ...limits, issuedAt: null };
+
+    // Store scenario for evaluation in session
+    await storeGeneratedContent(userId, sessionId, 'email', {
+        'temporaryData.currentEmailScenario': emailScenario
+    }, generationJob);
+
+    return {
+        success: true,
+        scenario: emailScenario,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty,
+        timestamp: new Date().toISOString()
+    };
+};
+
+// Start the reply's countdown, which evaluation checks against timeLimitMinutes.
+// A task already started keeps its clock, so reloading the page does not buy more time.
+const startEmailTask = async (userId, sessionId) => {
+    await AssessmentSession.updateOne(
+        {
+            userId,
+            sessionId,
+            'temporaryData.currentEmailScenario': { $ne: null },
+            'temporaryData.currentEmailScenario.issuedAt': null
+        },
+        { $set: { 'temporaryData.currentEmailScenario.issuedAt': new Date() } }
+    );
+
+    const session = await AssessmentSession.findOne({ userId, sessionId });
+    return session ? session.temporaryData.currentEmailScenario : null;
+};
+
+registerContentGenerator('email', generateEmailContent);
+registerContentPoolSource('email', { generate: requestEmailScenario });
+
+router.post('/api/email-writing/generate', requireAuth, async (req, res) => {
+    try {
+        const result = await generateEmailContent(req.user._id, req.session.id, req.body);
+        const scenario = await startEmailTask(req.user._id, req.session.id);
+        res.json({ ...result, scenario });
+    } catch (error) {
+        logger.error('Email writing generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate email writing task' });
+    }
+});
+
+// Start the countdown of a task generated ahead of time, just before it is shown
+router.post('/api/email-writing/start', requireAuth, async (req, res) => {
+    try {
+        const scenario = await startEmailTask(req.user._id, req.session.id);
+        if (!scenario) {
+            return res.status(400).json({ error: 'No email task found in session. Please generate a task first.' });
+        }
+
+        res.json({ success: true, scenario, serverTime: new Date() });
+    } catch (error) {
+        logger.error('Email writing start error:', error.message);
+        res.status(500).json({ error: 'Failed to start email writing task' });
+    }
+});
+
+// Grade the candidate's email against the rubric
+router.post('/api/email-writing/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const subject = String(req.body.subject || '').trim().slice(0, 200);
+        const emailText = String(req.body.emailText || '').trim();
+
+        if (!emailText) {
+            return res.status(400).json({ error: 'Email text is missing' });
+        }
+        if (emailText.length > EMAIL_MAX_CHARACTERS) {
+            return res.status(400).json({ error: `Email must be at most ${EMAIL_MAX_CHARACTERS} characters` });
+        }
+
+        // Get the current scenario from session
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const scenario = session.temporaryData.currentEmailScenario;
+
+        if (!scenario) {
+            return res.status(400).json({ error: 'No email task found in session. Please generate a task first.' });
+        }
+        if (!scenario.issuedAt) {
+            return res.status(400).json({ error: 'This email task has not been started yet', code: 'EMAIL_TASK_NOT_STARTED' });
+        }
+
+        const wordCount = countWords(emailText);
+        const scenarioText = formatEmailScenario(scenario);
+        const locale = await getSessionLocale(req.user._id, sessionId);
+
+        // The browser sends the email when its countdown ends; anything arriving after that, plus the grace period, is not graded
+        const submittedLate = Date.now() > new Date(scenario.issuedAt).getTime() + scenario.timeLimitMinutes * 60 * 1000 + ASSESSMENT_DEADLINE_GRACE_MS;
+
+        const prompt = `Grade this workplace email written by a candidate in a ${locale.languageName} communication assessment. ${getLocaleGradingInstruction(locale)}
+
+TASK GIVEN TO THE CANDIDATE:
+${scenarioText}
+
+CANDIDATE'S EMAIL:
+Subject: ${subject || '(no subject)'}
+
+${emailText}
+
+WORD COUNT: ${wordCount} (required ${scenario.minWords}-${scenario.maxWords})
+
+RUBRIC - score each criterion out of 20:
+${EMAIL_RUBRIC.map(criterion => `- ${criterion.label}: ${criterion.description}`).join('\n')}
+
+If the email is more than 10% outside the required length, CONCISENESS may not exceed 8/20.
+If a requirement is missing entirely, TASK COMPLETION may not exceed 12/20.
+
+PROVIDE FEEDBACK IN THIS FORMAT:
+
+SCORE: [sum of the five criteria]/100
+
+${EMAIL_RUBRIC.map(criterion => `${criterion.label}: [X]/20`).join('\n')}
+
+**STRENGTHS:**
+- [What the email did well]
+
+**AREAS FOR IMPROVEMENT:**
+1. [Specific issue] - [How to fix it, quoting the email where useful]
+2. [Specific issue] - [How to fix it]
+
+**FINAL ASSESSMENT:**
+[One paragraph on how ready this email is to send]`;
+
+        let completion;
+        let feedback;
+        if (submittedLate) {
+            logger.warn(`Email for session ${sessionId} arrived after its ${scenario.timeLimitMinutes} minute limit, scoring it 0`);
+            feedback = `SCORE: 0/100
+
+**FINAL ASSESSMENT:**
+This email was sent after the ${scenario.timeLimitMinutes} minute time limit and was not graded.`;
+        } else {
+            try {
+                // Try the configured LLM providers with retry logic
+                completion = await callLLMWithRetry('emailEvaluation', [
+                    {
+                        role: "system",
+                        content: "You are a business communication trainer who grades workplace emails strictly and consistently against a rubric."
+                    },
+                    {
+                        role: "user",
+                        content: prompt
+                    }
+                ], 900, 0.2);
+
+                feedback = completion.choices[0].message.content;
+            } catch (error) {
+                logger.warn('All LLM providers failed for email evaluation, using fallback scoring...');
+                feedback = scoreEmailHeuristically(scenario, subject, emailText).feedback;
+            }
+        }
+
+        // The criteria are the score; the SCORE line is only used when a criterion could not be read
+        const criteria = parseRubricScores(feedback, EMAIL_RUBRIC, 20);
+        let score;
+        if (criteria) {
+            score = Object.values(criteria).reduce((sum, value) => sum + value, 0);
+        } else {
+            const scoreMatch = feedback.match(/SCORE:\s*(\d+)/i);
+            score = scoreMatch ? Math.min(parseInt(scoreMatch[1], 10), 100) : 50;
+        }
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.emailWriting = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'email', score, {
+            aiEvaluation: {
+                feedback: feedback,
+                originalContent: scenarioText,
+                userResponse: `Subject: ${subject || '(no subject)'}\n\n${emailText}`
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.email': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            criteria,
+            wordCount,
+            feedback,
+            model: completion ? completion.model : 'fallback',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Email writing evaluation error:', error.message);
+        res.status(500).json({ error: 'Failed to evaluate email' });
+    }
+});
+
+module.exports = router;
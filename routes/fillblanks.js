@@ -0,0 +1,226 @@
+// Fill in the Blanks section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for fill-in-the-blank questions; throws when no provider answers or no question passes validation
+const requestFillBlanksQuestions = async (topic, difficulty, locale, itemCount) => {
+    const prompt = `Generate ${itemCount} grammar-based fill-in-the-blanks questions suitable for a communication assessment. Focus on the topic "${topic}" with ${difficulty} difficulty level. The questions should cover topics like verb forms, tenses, articles, and prepositions. For each question, provide 3 options and the correct answer.
+
+Format your response as a JSON object with this exact structure:
+{
+  "questions": [
+{
+  "question": "The sentence with a _____ that needs to be filled.",
+  "options": ["Option1", "Option2", "Option3"],
+  "correctAnswer": "Option1"
+}
+  ]
+}
+
+Make sure to include a variety of grammar concepts appropriate for the topic "${topic}" and ${difficulty} difficulty:
+- Verb tenses (past, present, future)
+- Articles (a, an, the)
+- Prepositions (in, on, at, for, with, etc.)
+- Subject-verb agreement
+- Modal verbs (can, could, should, would, etc.)
+- Comparative and superlative forms
+- Pronouns and possessives
+
+For ${difficulty} difficulty:
+- Beginner: Use simple vocabulary and basic grammar structures
+- Intermediate: Use moderate vocabulary and mixed grammar concepts
+- Advanced: Use complex vocabulary and sophisticated grammar patterns
+
+Each question should test a clear grammar rule and have one obviously correct answer. Tailor the content and vocabulary to match the "${topic}" theme. ${getLocaleContentInstruction(locale)}${locale.language === 'en' ? '' : ` The grammar concepts above are English examples; test their ${locale.languageName} equivalents instead.`} Keep the JSON keys exactly as shown.`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: "You are an expert grammar instructor creating fill-in-the-blanks exercises. Always respond with valid JSON format."
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ], 1500, 0.7);
+
+    const questions = await validateGeneratedContent('fillblanks', completion.choices[0].message.content, { topic, difficulty, locale, itemCount });
+    return questions.slice(0, itemCount);
+};
+
+// Generate fill-in-the-blanks questions
+const generateFillBlanksContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { topic, difficulty } = options;
+
+    // Default values if not provided
+    const selectedTopic = topic || 'Grammar patterns';
+    const selectedDifficulty = difficulty || 'intermediate';
+
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'fillblanks');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    logger.info(`🎯 Fill-in-the-blanks API: Generating questions with topic "${selectedTopic}" and difficulty "${selectedDifficulty}"`);
+    logger.info(`📝 Received parameters - topic: ${topic ? `"${topic}"` : 'undefined (using default)'}, difficulty: ${difficulty ? `"${difficulty}"` : 'undefined (using default)'}`);
+
+    const bankOnly = await isQuestionBankOnly('fillblanks');
+    let questions;
+    if (!bankOnly) {
+        const pooled = await checkOutContentPoolItems('fillblanks', { topic: selectedTopic, difficulty: selectedDifficulty, locale, itemCount }, userId);
+        if (pooled) {
+            questions = pooled.map(item => item.content);
+        } else {
+            try {
+                questions = await requestFillBlanksQuestions(selectedTopic, selectedDifficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('AI fill-in-the-blank questions unavailable or invalid, using question bank questions...', error.message);
+            }
+        }
+    }
+
+    if (!questions) {
+        const bankItems = await drawQuestionBankItems('fillblanks', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, itemCount);
+        if (bankItems.length === 0) {
+            throw new Error('No fill-in-the-blank questions available in the question bank');
+        }
+        questions = bankItems.map(item => item.content);
+    }
+
+    // Store questions for evaluation in session
+    await storeGeneratedContent(userId, sessionId, 'fillblanks', {
+        'temporaryData.currentFillBlanks': questions
+    }, generationJob);
+
+    logger.info(`✅ Fill-in-the-blanks: Successfully generated ${questions.length} questions for topic "${selectedTopic}" with difficulty "${selectedDifficulty}"`);
+
+    return {
+        success: true,
+        questions,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty,
+        timestamp: new Date().toISOString()
+    };
+};
+
+registerContentGenerator('fillblanks', generateFillBlanksContent);
+registerContentPoolSource('fillblanks', { perItem: true, generate: requestFillBlanksQuestions });
+
+router.post('/api/fillblanks/generate', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateFillBlanksContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Fill in the blanks generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate fill-in-the-blanks questions' });
+    }
+});
+
+// Evaluate fill-in-the-blanks answers
+router.post('/api/fillblanks/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const { userAnswers } = req.body;
+
+        if (!userAnswers) {
+            return res.status(400).json({
+                error: 'Answers are missing'
+            });
+        }
+
+        // Get questions from session
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const questions = session.temporaryData.currentFillBlanks;
+
+        if (!questions || questions.length === 0) {
+            return res.status(400).json({
+                error: 'No questions found in session. Please generate questions first.'
+            });
+        }
+
+        // Calculate score
+        let correctAnswers = 0;
+        const totalQuestions = questions.length;
+        const results = [];
+
+        questions.forEach((question, index) => {
+            const userAnswer = userAnswers[index];
+            const correctAnswer = question.correctAnswer;
+            const isCorrect = userAnswer === correctAnswer;
+
+            if (isCorrect) {
+                correctAnswers++;
+            }
+
+            results.push({
+                questionIndex: index + 1,
+                question: question.question,
+                userAnswer,
+                correctAnswer,
+                isCorrect,
+                options: question.options
+            });
+        });
+
+        const score = Math.round((correctAnswers / totalQuestions) * 100);
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.fillInTheBlanks = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Process results for detailed storage - fix options format
+        const processedResults = results.map(result => ({
+            ...result,
+            options: Array.isArray(result.options) ? result.options :
+                (result.options ? Object.values(result.options) : [])
+        }));
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'fillblanks', score, {
+            answerComparison: {
+                questions: processedResults
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.fillblanks': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            correctAnswers,
+            totalQuestions,
+            percentage: score,
+            results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Fill in the blanks evaluation error:', error.message);
+        res.status(500).json({ error: 'Failed to evaluate fill-in-the-blanks quiz' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+// Assessment invitations: the candidate landing page and recruiter management
+const express = require('express');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const logger = require('../config/logger');
+const { AssessmentInvite, AssessmentTemplate, Organization, QUESTION_BANK_DIFFICULTIES, User } = require('../models');
+const { parseEmailList, escapeRegExp } = require('../utils/text');
+const { validateAccountCredentials, deductOrganizationCredits } = require('../services/accounts');
+const { sendInvitationEmail } = require('../services/email');
+const {
+    INVITE_DEFAULT_EXPIRY_DAYS,
+    INVITE_MAX_EXPIRY_DAYS,
+    getAppBaseUrl,
+    getInviteUrl,
+    findInviteByToken,
+    closeInviteWithRefund
+} = require('../services/invites');
+const { requireAdminAuth, isRecruiter, resolveAdminOrganizationId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Invitation details for the invite landing page
+router.get('/api/invites/details', async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            return res.status(400).json({ error: 'Invitation token is required' });
+        }
+
+        const { invite, error, status } = await findInviteByToken(token);
+        if (!invite) {
+            return res.status(status).json({ error });
+        }
+
+        const [organization, existingUser] = await Promise.all([
+            Organization.findById(invite.organizationId).select('name'),
+            User.findOne({ email: invite.email }).select('_id')
+        ]);
+
+        res.json({
+            success: true,
+            invite: {
+                email: invite.email,
+                candidateName: invite.candidateName,
+                organizationName: organization ? organization.name : null,
+                expiresAt: invite.expiresAt,
+                status: invite.status
+            },
+            accountExists: Boolean(existingUser)
+        });
+
+    } catch (error) {
+        logger.error('Error loading invitation:', error);
+        res.status(500).json({ error: 'Failed to load invitation' });
+    }
+});
+
+// Accept an invitation: creates a verified account for new candidates, or signs in an existing one
+router.post('/api/invites/accept', async (req, res) => {
+    try {
+        const { token, username, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Invitation token and password are required' });
+        }
+
+        const { invite, error, status } = await findInviteByToken(token);
+        if (!invite) {
+            return res.status(status).json({ error });
+        }
+
+        let user = await User.findOne({ email: invite.email });
+
+        if (user) {
+            const isValidPassword = await user.comparePassword(password);
+            if (!isValidPassword) {
+                return res.status(400).json({ error: 'Invalid password', field: 'password' });
+            }
+
+            if (user.organizationId && !user.organizationId.equals(invite.organizationId)) {
+                return res.status(400).json({
+                    error: 'Your account already belongs to another organization. Please contact the recruiter.'
+                });
+            }
+
+            user.organizationId = invite.organizationId;
+            // The invitation link proves ownership of the email address
+            user.isEmailVerified = true;
+        } else {
+            if (!username) {
+                return res.status(400).json({ error: 'Username is required', field: 'username' });
+            }
+
+            const credentialError = validateAccountCredentials(username, password);
+            if (credentialError) {
+                return res.status(400).json(credentialError);
+            }
+
+            const usernameTaken = await User.findOne({ username: { $regex: new RegExp(`^${escapeRegExp(username)}$`, 'i') } });
+            if (usernameTaken) {
+                return res.status(400).json({ error: 'This username is already taken', field: 'username' });
+            }
+
+            user = new User({
+                email: invite.email,
+                username,
+                password,
+                number_of_tests: 0,
+                testsTaken: 0,
+                isEmailVerified: true,
+                organizationId: invite.organizationId
+            });
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        if (invite.status === 'pending') {
+            invite.status = 'accepted';
+            invite.userId = user._id;
+            invite.acceptedAt = new Date();
+            await invite.save();
+        } else if (!invite.userId.equals(user._id)) {
+            return res.status(400).json({ error: 'This invitation has already been accepted' });
+        }
+
+        req.session.userId = user._id;
+
+        res.json({
+            success: true,
+            message: 'Invitation accepted. You can start your assessment now.',
+            redirect: '/assessment'
+        });
+
+    } catch (error) {
+        logger.error('Error accepting invitation:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'This username is already taken', field: 'username' });
+        }
+
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// Send assessment invitations; each one reserves a credit from the organization pool
+router.post('/api/admin/invites', requireAdminAuth, async (req, res) => {
+    try {
+        const organizationId = resolveAdminOrganizationId(req, req.body.organizationId);
+        if (!organizationId) {
+            return res.status(400).json({ error: 'organizationId is required' });
+        }
+
+        const emails = parseEmailList(req.body.emails);
+        const invalidEmails = emails.filter(email => !validator.isEmail(email));
+        if (emails.length === 0 || invalidEmails.length > 0) {
+            return res.status(400).json({
+                error: invalidEmails.length > 0 ? `Invalid email(s): ${invalidEmails.join(', ')}` : 'At least one email is required'
+            });
+        }
+
+        const expiresInDays = parseInt(req.body.expiresInDays || INVITE_DEFAULT_EXPIRY_DAYS);
+        if (!expiresInDays || expiresInDays < 1 || expiresInDays > INVITE_MAX_EXPIRY_DAYS) {
+            return res.status(400).json({ error: `expiresInDays must be between 1 and ${INVITE_MAX_EXPIRY_DAYS}` });
+        }
+
+        const difficulty = req.body.difficulty || 'mixed';
+        if (!['mixed', ...QUESTION_BANK_DIFFICULTIES].includes(difficulty)) {
+            return res.status(400).json({ error: 'Invalid difficulty' });
+        }
+
+        const templateId = req.body.templateId || null;
+        if (templateId) {
+            const templateExists = mongoose.Types.ObjectId.isValid(templateId)
+                && await AssessmentTemplate.exists({ _id: templateId, status: 'active' });
+            if (!templateExists) {
+                return res.status(400).json({ error: 'Assessment template not found' });
+            }
+        }
+
+        const organization = await deductOrganizationCredits(
+            organizationId,
+            emails.length,
+            emails.map(() => ({ type: 'invite', tests: -1, adminId: req.admin._id }))
+        );
+
+        if (!organization) {
+            return res.status(400).json({
+                error: `Not enough credits in the organization pool (${emails.length} needed)`
+            });
+        }
+
+        const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+        const invites = await AssessmentInvite.insertMany(emails.map(email => ({
+            organizationId,
+            invitedBy: req.admin._id,
+            email,
+            candidateName: emails.length === 1 && req.body.candidateName ? String(req.body.candidateName).trim() : null,
+            assessmentConfig: { difficulty, templateId },
+            baseUrl: getAppBaseUrl(req),
+            expiresAt
+        })));
+
+        let emailsSent = 0;
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            for (const invite of invites) {
+                if (await sendInvitationEmail(invite, organization.name, getInviteUrl(invite))) {
+                    emailsSent++;
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Created ${invites.length} invitation(s), ${emailsSent} email(s) sent`,
+            creditBalance: organization.creditBalance,
+            invites: invites.map(invite => ({
+                id: invite._id,
+                email: invite.email,
+                expiresAt: invite.expiresAt,
+                inviteUrl: getInviteUrl(invite)
+            }))
+        });
+
+    } catch (error) {
+        logger.error('Error creating invitations:', error);
+        res.status(500).json({ error: 'Failed to create invitations' });
+    }
+});
+
+// List invitations for the organization
+router.get('/api/admin/invites', requireAdminAuth, async (req, res) => {
+    try {
+        const organizationId = resolveAdminOrganizationId(req, req.query.organizationId);
+        const query = organizationId ? { organizationId } : {};
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const invites = await AssessmentInvite.find(query)
+            .populate('attemptId', 'overallScore status')
+            .populate('assessmentConfig.templateId', 'name')
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({
+            success: true,
+            invites: invites.map(invite => ({
+                id: invite._id,
+                email: invite.email,
+                candidateName: invite.candidateName,
+                status: invite.status,
+                assessmentConfig: invite.assessmentConfig,
+                templateName: invite.assessmentConfig.templateId ? invite.assessmentConfig.templateId.name : null,
+                expiresAt: invite.expiresAt,
+                reminderSentAt: invite.reminderSentAt,
+                acceptedAt: invite.acceptedAt,
+                usedAt: invite.usedAt,
+                overallScore: invite.attemptId ? invite.attemptId.overallScore : null,
+                createdAt: invite.createdAt
+            }))
+        });
+
+    } catch (error) {
+        logger.error('Error fetching invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+// Withdraw an unused invitation and return its credit to the pool
+router.post('/api/admin/invites/:inviteId/revoke', requireAdminAuth, async (req, res) => {
+    try {
+        const { inviteId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ error: 'Invalid invite ID' });
+        }
+
+        const scope = isRecruiter(req.admin) ? { organizationId: req.admin.organizationId } : {};
+        const invite = await AssessmentInvite.findOne({ _id: inviteId, ...scope });
+        if (!invite) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        const revoked = await closeInviteWithRefund(invite, 'revoked');
+        if (!revoked) {
+            return res.status(400).json({ error: `Invitation is already ${invite.status}` });
+        }
+
+        res.json({
+            success: true,
+            message: `Invitation for ${invite.email} revoked and credit returned`
+        });
+
+    } catch (error) {
+        logger.error('Error revoking invitation:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
+// Send the invitation email again
+router.post('/api/admin/invites/:inviteId/resend', requireAdminAuth, async (req, res) => {
+    try {
+        const { inviteId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ error: 'Invalid invite ID' });
+        }
+
+        const scope = isRecruiter(req.admin) ? { organizationId: req.admin.organizationId } : {};
+        const invite = await AssessmentInvite.findOne({ _id: inviteId, ...scope }).populate('organizationId', 'name');
+        if (!invite) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        if (!['pending', 'accepted'].includes(invite.status) || invite.expiresAt <= new Date()) {
+            return res.status(400).json({ error: 'Only open invitations can be resent' });
+        }
+
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            return res.status(503).json({ error: 'Email is not configured' });
+        }
+
+        const sent = await sendInvitationEmail(invite, invite.organizationId.name, getInviteUrl(invite));
+        if (!sent) {
+            return res.status(500).json({ error: 'Failed to send invitation email' });
+        }
+
+        res.json({
+            success: true,
+            message: `Invitation resent to ${invite.email}`
+        });
+
+    } catch (error) {
+        logger.error('Error resending invitation:', error);
+        res.status(500).json({ error: 'Failed to resend invitation' });
+    }
+});
+
+module.exports = router;
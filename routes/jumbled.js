@@ -0,0 +1,318 @@
+// Jumbled Sentences section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const { User } = require('../models');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for the original sentences to jumble; throws when no provider answers or the reply is unusable
+const requestJumbledSentences = async (topic, difficulty, locale, itemCount) => {
+    // Create prompts to generate ORIGINAL sentences only (no jumbled output from the model)
+    const systemPrompt = `You are an assistant for a communication assessment. Generate clear, natural ${locale.languageName} sentences about the topic at the requested difficulty. ${getLocaleContentInstruction(locale)}
+
+Topic: ${topic}
+Difficulty: ${difficulty}
+
+Word/length guidance by difficulty:
+- Beginner: 5-8 words; simple vocabulary
+- Intermediate: 8-12 words; common vocabulary
+- Advanced: 12-15 words; varied vocabulary
+
+Strict formatting and punctuation rules:
+- Do NOT use commas or semicolons in any sentence.
+- Avoid other internal punctuation (e.g., colons, quotes, parentheses, opening ¿ or ¡). If needed, you may only end a sentence with a period (.) or a question mark (?).
+
+Return ONLY a valid JSON array of ${itemCount} sentences (strings). No explanations, no extra keys, no markdown.`;
+
+    const userPrompt = `Generate ${itemCount} different ${locale.languageName} sentences about "${topic}" at ${difficulty} difficulty. Return a JSON array of ${itemCount} strings.`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('sentenceGeneration', [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        {
+            role: "user",
+            content: userPrompt
+        }
+    ], 500, 0.7);
+
+    const sentences = await validateGeneratedContent('jumbled', completion.choices[0].message.content, { topic, difficulty, locale, itemCount });
+    return sentences.slice(0, itemCount).map(content => content.text);
+};
+
+// Generate jumbled sentences
+const generateJumbledContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    // Extract topic and difficulty from the request
+    const { topic = 'general', difficulty = 'intermediate' } = options;
+
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'jumbled');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    logger.info(`Generating jumbled sentences with topic: ${topic}, difficulty: ${difficulty}`);
+
+    const bankOnly = await isQuestionBankOnly('jumbled');
+    let sentences;
+    if (!bankOnly) {
+        const pooled = await checkOutContentPoolItems('jumbled', { topic, difficulty, locale, itemCount }, userId);
+        if (pooled) {
+            sentences = pooled.map(item => item.content.text);
+        } else {
+            try {
+                sentences = await requestJumbledSentences(topic, difficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('AI jumbled sentences unavailable or invalid, using question bank sentences...', error.message);
+            }
+        }
+    }
+
+    if (!sentences) {
+        const bankItems = await drawQuestionBankItems('jumbled', { topic, difficulty, language: locale.language }, itemCount);
+        if (bankItems.length === 0) {
+            throw new Error('No jumbled sentences available in the question bank');
+        }
+        sentences = bankItems.map(item => item.content.text);
+    }
+
+    // Build jumbled questions on the server, including punctuation tokens ('.' or '?') when present
+    const questions = buildJumbledQuestionsFromSentences(sentences);
+
+    // Reset jumbled sentences score at the start of assessment
+    const user = await User.findById(userId);
+    const currentScores = { ...user.assessmentScores };
+    currentScores.jumbledSentences = 0;
+    await saveAssessmentScores(userId, currentScores);
+
+    // Store questions and reset state in session, including topic and difficulty
+    await storeGeneratedContent(userId, sessionId, 'jumbled', {
+        'temporaryData.jumbledQuestions': questions,
+        'temporaryData.currentJumbledIndex': 0,
+        'temporaryData.jumbledAnswers': [], // Clear any previous answers
+        'temporaryData.selectedTopics.jumbled': topic,
+        'temporaryData.selectedDifficulties.jumbled': difficulty
+    }, generationJob);
+
+    if (questions.length === 0) {
+        throw new Error('Failed to generate questions.');
+    }
+
+    return {
+        jumbled: questions[0].jumbled,
+        totalQuestions: questions.length,
+        currentQuestion: 1,
+        topic: topic,
+        difficulty: difficulty
+    };
+};
+
+registerContentGenerator('jumbled', generateJumbledContent);
+registerContentPoolSource('jumbled', { perItem: true, generate: requestJumbledSentences });
+
+router.post('/api/jumbled/start', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateJumbledContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Jumbled sentences generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate jumbled sentences' });
+    }
+});
+
+// Submit jumbled sentence answer
+router.post('/api/jumbled/submit', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const { answer } = req.body;
+
+        // Get current session data
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const questions = session.temporaryData.jumbledQuestions;
+        const currentIndex = session.temporaryData.currentJumbledIndex || 0;
+
+        if (!questions || questions.length === 0) {
+            return res.status(400).json({ error: 'No questions found in session' });
+        }
+
+        const currentQuestion = questions[currentIndex];
+        if (!currentQuestion) {
+            return res.status(400).json({ error: 'No current question' });
+        }
+
+        // Simple scoring: check if answer matches original (case insensitive, trimmed)
+        const isCorrect = answer.toLowerCase().trim() === currentQuestion.original.toLowerCase().trim();
+
+        // Store this answer and result in session
+        const currentAnswers = session.temporaryData.jumbledAnswers || [];
+        currentAnswers.push({
+            questionIndex: currentIndex + 1,
+            question: currentQuestion.jumbled,
+            userAnswer: answer.trim(),
+            correctAnswer: currentQuestion.original,
+            isCorrect: isCorrect
+        });
+
+        // Update session with new answer
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.jumbledAnswers': currentAnswers
+        });
+
+        // Get current scores - don't update yet for individual questions
+        const currentScores = { ...req.user.assessmentScores };
+
+        const newIndex = currentIndex + 1;
+
+        if (newIndex < questions.length) {
+            // Next question
+            const nextQuestion = questions[newIndex];
+
+            // Update session with new index
+            await updateAssessmentSession(req.user._id, sessionId, {
+                'temporaryData.currentJumbledIndex': newIndex
+            });
+
+            // Save current score progress
+            await saveAssessmentScores(req.user._id, currentScores);
+
+            res.json({
+                correct: isCorrect,
+                correctAnswer: currentQuestion.original,
+                nextJumbled: nextQuestion.jumbled,
+                currentQuestion: newIndex + 1,
+                totalQuestions: questions.length
+            });
+        } else {
+            // Assessment complete - get stored answers from session
+            const storedAnswers = session.temporaryData.jumbledAnswers || [];
+
+            // Calculate final score based on all correct answers
+            const correctCount = storedAnswers.filter(answer => answer.isCorrect).length;
+            const finalScore = correctCount * 20; // 20 points per correct answer
+
+            // Update final score
+            currentScores.jumbledSentences = finalScore;
+
+            // If we have stored answers, use them; otherwise create empty placeholders (shouldn't happen)
+            let allResults;
+            if (storedAnswers.length > 0) {
+                allResults = storedAnswers.map(answer => ({
+                    questionIndex: answer.questionIndex,
+                    question: answer.question,
+                    userAnswer: answer.userAnswer,
+                    correctAnswer: answer.correctAnswer,
+                    isCorrect: answer.isCorrect,
+                    options: [] // Jumbled sentences don't have options, but keep consistent structure
+                }));
+            } else {
+                // Fallback (shouldn't happen with new implementation)
+                logger.warn('No stored jumbled answers found, creating empty placeholders');
+                allResults = questions.map((question, index) => ({
+                    questionIndex: index + 1,
+                    question: question.jumbled,
+                    userAnswer: 'Not recorded',
+                    correctAnswer: question.original,
+                    isCorrect: false,
+                    options: []
+                }));
+            }
+
+            await saveAssessmentScores(req.user._id, currentScores);
+
+            // Save detailed results with actual user answers
+            await saveDetailedResults(req.user._id, 'jumbled', finalScore, {
+                answerComparison: {
+                    questions: allResults
+                }
+            });
+
+            // Update session progress
+            await updateAssessmentSession(req.user._id, sessionId, {
+                'assessmentProgress.jumbled': true
+            });
+
+            res.json({
+                correct: isCorrect,
+                correctAnswer: currentQuestion.original,
+                complete: true,
+                finalScore: finalScore
+            });
+        }
+    } catch (error) {
+        logger.error('Error in jumbled submit:', error);
+        res.status(500).json({ error: 'Failed to process answer' });
+    }
+});
+
+// Build jumbled questions on the server. Punctuation rule:
+// - If the sentence ends with '.' or '?', include that punctuation as a separate token in the jumbled list.
+function buildJumbledQuestionsFromSentences(sentences) {
+    const tokenizeWithPunctuation = (sentence) => {
+        if (!sentence || typeof sentence !== 'string') return { tokens: [], trailing: '' };
+        const trimmed = sentence.trim();
+        let trailing = '';
+        if (/[.?]$/.test(trimmed)) {
+            trailing = trimmed.slice(-1); // '.' or '?'
+        }
+        // Remove trailing punctuation from the body for tokenization
+        const body = trailing ? trimmed.slice(0, -1) : trimmed;
+        // Split on whitespace; strip internal punctuation including commas
+        const tokens = body
+            .replace(/[!,;:'"()\[\]{}<>]/g, ' ')
+            .replace(/-/g, ' ')
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((t) => t.toLowerCase());
+        return { tokens, trailing };
+    };
+
+    const arraysEqual = (a, b) => {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    };
+
+    const shuffleDifferent = (arr) => {
+        if (arr.length < 2) return arr.slice();
+        const maxAttempts = 10;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const copy = arr.slice();
+            for (let i = copy.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [copy[i], copy[j]] = [copy[j], copy[i]];
+            }
+            if (!arraysEqual(copy, arr)) return copy;
+        }
+        // rotation fallback
+        return arr.slice(1).concat(arr[0]);
+    };
+
+    return sentences.map((s) => {
+        const original = typeof s === 'string' ? s.trim() : String(s || '').trim();
+        const { tokens, trailing } = tokenizeWithPunctuation(original);
+
+        // Include trailing punctuation as its own token if present; ensure lowercase for tokens
+        const withPunct = trailing ? tokens.concat([trailing]) : tokens.slice();
+        const jumbledTokens = shuffleDifferent(withPunct);
+        const jumbled = jumbledTokens.join(' / ');
+        return { original, jumbled };
+    });
+}
+
+module.exports = router;
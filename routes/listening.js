@@ -0,0 +1,323 @@
+// Listening Ability section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const {
+    pickAccentVoices,
+    getDifficultyProsody,
+    getBackgroundNoiseAmplitude,
+    synthesizeSpeechToMongoDB,
+    describeTtsAudio,
+    PRONUNCIATION_ERROR_STATUS,
+    assessSpokenItem
+} = require('../services/speech');
+const { cleanupUserAudioFiles, parseRecordingUpload } = require('../services/storage');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for listening sentences; throws when no provider answers or the reply is unusable
+const requestListeningSentences = async (topic, difficulty, locale, itemCount) => {
+    // Create enhanced prompts with topic and difficulty context
+    const systemPrompt = `You are a helpful assistant that generates ${locale.languageName} sentences for listening and pronunciation practice. Generate sentences that are 8-20 words long, appropriate for ${locale.languageName} learners at ${difficulty} level. Focus on the topic: ${topic}. Make sentences clear, natural, and contextually relevant to the topic. ${getLocaleContentInstruction(locale)}`;
+
+    const userPrompt = `Generate ${itemCount} different ${locale.languageName} sentences for listening practice about "${topic}" at ${difficulty} difficulty level. Each sentence should be meaningful, clear, and related to the topic. Return them as a JSON array of strings, with each sentence as a separate string in the array. Example: ["sentence 1", "sentence 2", "sentence 3"]`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('sentenceGeneration', [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        {
+            role: "user",
+            content: userPrompt
+        }
+    ], 300, 0.7);
+
+    const sentences = await validateGeneratedContent('listening', completion.choices[0].message.content, { topic, difficulty, locale, itemCount, minItems: itemCount });
+    return sentences.slice(0, itemCount).map(content => content.text);
+};
+
+// Generate the template's number of sentences and TTS for listening assessment and store them in session
+const generateListeningContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    // Get topic and difficulty from the request
+    const { topic, difficulty } = options;
+
+    // Default values if not provided
+    const selectedTopic = topic || 'general conversation';
+    const selectedDifficulty = difficulty || 'intermediate';
+
+    logger.info(`Generating listening content with topic: ${selectedTopic}, difficulty: ${selectedDifficulty}`);
+
+    // Get or create assessment session
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'listening');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    const bankOnly = await isQuestionBankOnly('listening');
+    let sentencesWithAudio;
+    let sentences;
+    if (!bankOnly) {
+        // Pooled sentences were spoken when they were generated
+        const pooled = await checkOutContentPoolItems('listening', { topic: selectedTopic, difficulty: selectedDifficulty, locale, itemCount }, userId);
+        if (pooled) {
+            sentencesWithAudio = pooled.map((item, i) => ({
+                text: item.content.text,
+                audioUrl: item.audio.audioUrl,
+                tts: describeTtsAudio(i + 1, item.audio.voice, item.audio.prosody, item.audio.noiseAmplitude)
+            }));
+        } else {
+            try {
+                sentences = await requestListeningSentences(selectedTopic, selectedDifficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('AI listening sentences unavailable or invalid, using question bank sentences...', error.message);
+            }
+        }
+    }
+
+    if (!sentencesWithAudio && !sentences) {
+        const bankItems = await drawQuestionBankItems('listening', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, itemCount);
+        sentences = bankItems.map(item => item.content.text);
+        if (sentences.length === 0) {
+            throw new Error('No listening sentences available in the question bank');
+        }
+    }
+
+    if (!sentencesWithAudio) {
+        // Generate TTS audio for all sentences, changing speaker and accent between sentences
+        sentencesWithAudio = [];
+        const voices = pickAccentVoices(locale.code, sentences.length);
+        const prosody = getDifficultyProsody(selectedDifficulty);
+        const noiseAmplitude = getBackgroundNoiseAmplitude(selectedDifficulty);
+
+        for (let i = 0; i < sentences.length; i++) {
+            const text = sentences[i];
+
+            // Generate TTS audio and save it to MongoDB
+            const audioUrl = await synthesizeSpeechToMongoDB(
+                text,
+                `listening_${Date.now()}_${i + 1}.mp3`,
+                userId,
+                'listening',
+                { localeCode: locale.code, voice: voices[i], prosody, noiseAmplitude }
+            );
+
+            sentencesWithAudio.push({
+                text: text,
+                audioUrl,
+                tts: describeTtsAudio(i + 1, voices[i], prosody, noiseAmplitude)
+            });
+        }
+    }
+
+    // Store sentences in session and reset index and accumulated results, including topic and difficulty
+    await storeGeneratedContent(userId, sessionId, 'listening', {
+        'temporaryData.listeningSentences': sentencesWithAudio,
+        'temporaryData.currentListeningIndex': 0,
+        'temporaryData.listeningResults': [],
+        'temporaryData.selectedTopics.listening': selectedTopic,
+        'temporaryData.selectedDifficulties.listening': selectedDifficulty
+    }, generationJob);
+
+    // Return the first sentence with topic and difficulty
+    return {
+        text: sentencesWithAudio[0].text,
+        audioUrl: sentencesWithAudio[0].audioUrl,
+        currentIndex: 1,
+        totalSentences: sentencesWithAudio.length,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty
+    };
+};
+
+registerContentGenerator('listening', generateListeningContent);
+registerContentPoolSource('listening', {
+    perItem: true,
+    generate: requestListeningSentences,
+    // Each pooled sentence gets its own speaker; a test draws several, so accents still vary between sentences
+    speech: (content, difficulty, locale) => ({
+        text: content.text,
+        voice: pickAccentVoices(locale.code, 1)[0],
+        prosody: getDifficultyProsody(difficulty),
+        noiseAmplitude: getBackgroundNoiseAmplitude(difficulty)
+    })
+});
+
+router.post('/api/listening/generate', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateListeningContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Listening generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate listening content' });
+    }
+});
+
+// Get next listening sentence from stored session
+router.post('/api/listening/get-next', requireAuth, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+
+        const sentences = session.temporaryData.listeningSentences || [];
+        const currentIndex = session.temporaryData.currentListeningIndex || 0;
+        const nextIndex = currentIndex + 1;
+
+        // Skipped sentences would leave the average over the answered ones only
+        const answered = (session.temporaryData.listeningResults || []).some(r => r.sentenceIndex === currentIndex + 1);
+        if (sentences.length > 0 && !answered) {
+            return res.status(409).json({
+                error: 'Record this sentence before moving on',
+                code: 'SENTENCE_NOT_ANSWERED'
+            });
+        }
+
+        if (nextIndex >= sentences.length) {
+            return res.json({
+                complete: true,
+                message: 'All listening sentences completed'
+            });
+        }
+
+        // Update index in session
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.currentListeningIndex': nextIndex
+        });
+
+        res.json({
+            text: sentences[nextIndex].text,
+            audioUrl: sentences[nextIndex].audioUrl,
+            currentIndex: nextIndex + 1,
+            totalSentences: sentences.length,
+            complete: false
+        });
+
+    } catch (error) {
+        logger.error('Error getting next listening sentence:', error);
+        res.status(500).json({ error: 'Failed to get next listening content' });
+    }
+});
+
+// Store listening results (called from frontend)
+router.post('/api/listening/store-result', requireAuth, requireAssessmentTimeRemaining, parseRecordingUpload, async (req, res) => {
+    if (!req.file || req.file.size === 0) {
+        return res.status(400).json({ error: 'A recording of the sentence is required' });
+    }
+
+    try {
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+
+        const currentListeningIndex = session.temporaryData.currentListeningIndex || 0;
+        const totalSentences = (session.temporaryData.listeningSentences || []).length;
+        const currentSentence = (session.temporaryData.listeningSentences || [])[currentListeningIndex];
+        const referenceText = currentSentence && currentSentence.text;
+        if (!referenceText) {
+            return res.status(409).json({ error: 'No listening sentence in progress' });
+        }
+
+        const assessment = await assessSpokenItem({
+            req,
+            session,
+            assessmentType: 'listening',
+            itemIndex: currentListeningIndex + 1,
+            referenceText
+        });
+        const pronunciationScore = assessment.pronunciationScore;
+
+        // Store individual sentence result
+        const sentenceResult = {
+            sentenceIndex: currentListeningIndex + 1,
+            pronunciationScore: assessment.pronunciationScore,
+            accuracyScore: assessment.accuracyScore,
+            fluencyScore: assessment.fluencyScore,
+            completenessScore: assessment.completenessScore,
+            prosodyScore: assessment.prosodyScore,
+            recognizedText: assessment.recognizedText,
+            referenceText: referenceText,
+            words: assessment.words
+        };
+
+        // Add to accumulated results; a retried sentence replaces its earlier result
+        const currentResults = (session.temporaryData.listeningResults || [])
+            .filter(r => r.sentenceIndex !== sentenceResult.sentenceIndex);
+        currentResults.push(sentenceResult);
+
+        // Update session with new result
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.listeningResults': currentResults
+        });
+
+        // Check if this is the last sentence
+        if (currentListeningIndex >= totalSentences - 1) {
+            // Average over every sentence handed out; one without a result counts as 0
+            const averageScore = (key) => Math.round(currentResults.reduce((sum, r) => sum + r[key], 0) / totalSentences);
+            const avgPronunciation = averageScore('pronunciationScore');
+            const avgAccuracy = averageScore('accuracyScore');
+            const avgFluency = averageScore('fluencyScore');
+            const avgCompleteness = averageScore('completenessScore');
+            const avgProsody = averageScore('prosodyScore');
+
+            // Update user's assessment scores with average
+            const currentScores = { ...req.user.assessmentScores };
+            currentScores.listeningAbility = avgPronunciation;
+            await saveAssessmentScores(req.user._id, currentScores);
+
+            // Save detailed results with all sentences
+            await saveDetailedResults(req.user._id, 'listening', avgPronunciation, {
+                pronunciationData: {
+                    pronunciationScore: avgPronunciation,
+                    accuracyScore: avgAccuracy,
+                    fluencyScore: avgFluency,
+                    completenessScore: avgCompleteness,
+                    prosodyScore: avgProsody,
+                    recognizedText: currentResults.map(r => r.recognizedText).join(' | '),
+                    referenceText: currentResults.map(r => r.referenceText).join(' | '),
+                    sentences: currentResults
+                },
+                audioItems: (session.temporaryData.listeningSentences || [])
+                    .map(sentence => sentence.tts)
+                    .filter(Boolean)
+            });
+
+            // This is the last sentence, mark assessment as complete and cleanup
+            await updateAssessmentSession(req.user._id, sessionId, {
+                'assessmentProgress.listening': true
+            });
+
+            // Cleanup audio files only after all sentences are completed
+            await cleanupUserAudioFiles(req.user._id, 'listening');
+            logger.info('All listening sentences completed - audio files cleaned up');
+        } else {
+            logger.info(`Listening sentence ${currentListeningIndex + 1}/${totalSentences} completed - keeping audio files`);
+        }
+
+        res.json({
+            success: true,
+            score: pronunciationScore,
+            result: sentenceResult
+        });
+    } catch (error) {
+        if (PRONUNCIATION_ERROR_STATUS[error.code]) {
+            return res.status(PRONUNCIATION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+        }
+        logger.error('Error storing listening result:', error);
+        res.status(500).json({ error: 'Failed to store result' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,349 @@
+// Organizations, recruiters and the recruiter dashboard
+const express = require('express');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { ASSESSMENT_SECTION_KEYS, Admin, AssessmentAttempt, Organization, User } = require('../models');
+const { parseEmailList, escapeRegExp } = require('../utils/text');
+const { deductOrganizationCredits } = require('../services/accounts');
+const { getScoreFieldName } = require('../services/assessment-session');
+const { getAttemptSections } = require('../services/templates');
+const {
+    requireAdminAuth,
+    requireSuperAdmin,
+    isRecruiter,
+    getAdminUserScope,
+    resolveAdminOrganizationId
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// List organizations with their recruiters and candidate counts
+router.get('/api/admin/organizations', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const organizations = await Organization.find({}).select('-creditTransactions').sort({ name: 1 });
+        const [recruiters, candidateCounts] = await Promise.all([
+            Admin.find({ role: 'recruiter' }).select('username organizationId'),
+            User.aggregate([
+                { $match: { organizationId: { $ne: null } } },
+                { $group: { _id: '$organizationId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            organizations: organizations.map(organization => {
+                const count = candidateCounts.find(c => c._id.equals(organization._id));
+                return {
+                    id: organization._id,
+                    name: organization.name,
+                    creditBalance: organization.creditBalance,
+                    candidateCount: count ? count.count : 0,
+                    recruiters: recruiters
+                        .filter(recruiter => recruiter.organizationId && recruiter.organizationId.equals(organization._id))
+                        .map(recruiter => recruiter.username),
+                    createdAt: organization.createdAt
+                };
+            })
+        });
+
+    } catch (error) {
+        logger.error('Error fetching organizations:', error);
+        res.status(500).json({ error: 'Failed to fetch organizations' });
+    }
+});
+
+// Create an organization
+router.post('/api/admin/organizations', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Organization name is required' });
+        }
+
+        const existing = await Organization.findOne({ name: { $regex: new RegExp(`^${escapeRegExp(name)}$`, 'i') } });
+        if (existing) {
+            return res.status(400).json({ error: 'An organization with this name already exists' });
+        }
+
+        const organization = await Organization.create({ name });
+
+        res.json({
+            success: true,
+            message: `Created organization ${organization.name}`,
+            organization: {
+                id: organization._id,
+                name: organization.name,
+                creditBalance: organization.creditBalance
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error creating organization:', error);
+        res.status(500).json({ error: 'Failed to create organization' });
+    }
+});
+
+// Create a recruiter login for an organization
+router.post('/api/admin/organizations/:organizationId/recruiters', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+        const { username, password } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(400).json({ error: 'Invalid organization ID' });
+        }
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+        }
+
+        const organization = await Organization.findById(organizationId);
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const existing = await Admin.findOne({ username: username.trim() });
+        if (existing) {
+            return res.status(400).json({ error: 'Username already taken' });
+        }
+
+        const recruiter = new Admin({
+            username: username.trim(),
+            password,
+            role: 'recruiter',
+            organizationId: organization._id
+        });
+        await recruiter.save();
+
+        res.json({
+            success: true,
+            message: `Created recruiter ${recruiter.username} for ${organization.name}`
+        });
+
+    } catch (error) {
+        logger.error('Error creating recruiter:', error);
+        res.status(500).json({ error: 'Failed to create recruiter' });
+    }
+});
+
+// Grant credits to an organization's pool without payment
+router.post('/api/admin/organizations/:organizationId/credits', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+        const tests = parseInt(req.body.tests);
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(400).json({ error: 'Invalid organization ID' });
+        }
+
+        if (!tests || tests <= 0) {
+            return res.status(400).json({ error: 'Number of tests must be greater than 0' });
+        }
+
+        const organization = await Organization.findByIdAndUpdate(
+            organizationId,
+            {
+                $inc: { creditBalance: tests },
+                $push: { creditTransactions: { type: 'grant', tests, adminId: req.admin._id } }
+            },
+            { new: true }
+        );
+
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Added ${tests} credits to ${organization.name}`,
+            creditBalance: organization.creditBalance
+        });
+
+    } catch (error) {
+        logger.error('Error granting organization credits:', error);
+        res.status(500).json({ error: 'Failed to grant organization credits' });
+    }
+});
+
+// Link existing candidate accounts to an organization by email. Superadmin only: recruiters get candidates
+// through accepted invitations, since linking gives the organization the candidate's past results.
+// The response is the same whichever emails have accounts, so it cannot be used to find out.
+router.post('/api/admin/candidates', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const organizationId = resolveAdminOrganizationId(req, req.body.organizationId);
+        if (!organizationId) {
+            return res.status(400).json({ error: 'organizationId is required' });
+        }
+
+        const organization = await Organization.findById(organizationId).select('name');
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const emails = parseEmailList(req.body.emails);
+        if (emails.length === 0) {
+            return res.status(400).json({ error: 'At least one candidate email is required' });
+        }
+
+        const result = await User.updateMany(
+            { email: { $in: emails }, organizationId: null },
+            { $set: { organizationId: organization._id } }
+        );
+        logger.info(`Linked ${result.modifiedCount} candidate(s) to organization ${organization._id}`);
+
+        res.json({
+            success: true,
+            message: `Candidate accounts with these emails that belong to no organization are now linked to ${organization.name}`
+        });
+
+    } catch (error) {
+        logger.error('Error adding candidates:', error);
+        res.status(500).json({ error: 'Failed to add candidates' });
+    }
+});
+
+// Assign the same number of tests to many candidates at once
+router.post('/api/admin/add-tests/bulk', requireAdminAuth, async (req, res) => {
+    try {
+        const tests = parseInt(req.body.tests);
+        const emails = parseEmailList(req.body.emails);
+
+        if (!tests || tests <= 0) {
+            return res.status(400).json({ error: 'Number of tests must be greater than 0' });
+        }
+
+        if (emails.length === 0) {
+            return res.status(400).json({ error: 'At least one candidate email is required' });
+        }
+
+        const users = await User.find({ email: { $in: emails }, ...getAdminUserScope(req.admin) }).select('email');
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'None of these candidates were found' });
+        }
+
+        const totalTests = tests * users.length;
+        let creditBalance = null;
+
+        if (isRecruiter(req.admin)) {
+            const organization = await deductOrganizationCredits(
+                req.admin.organizationId,
+                totalTests,
+                users.map(user => ({ type: 'assign', tests: -tests, userId: user._id, adminId: req.admin._id }))
+            );
+
+            if (!organization) {
+                return res.status(400).json({
+                    error: `Not enough credits in your organization pool (${totalTests} needed)`
+                });
+            }
+            creditBalance = organization.creditBalance;
+        }
+
+        await User.updateMany({ _id: { $in: users.map(user => user._id) } }, { $inc: { number_of_tests: tests } });
+
+        const foundEmails = users.map(user => user.email);
+
+        res.json({
+            success: true,
+            message: `Added ${tests} test(s) to ${users.length} candidate(s)`,
+            updated: foundEmails,
+            notFound: emails.filter(email => !foundEmails.includes(email)),
+            creditBalance
+        });
+
+    } catch (error) {
+        logger.error('Error bulk adding tests:', error);
+        res.status(500).json({ error: 'Failed to add tests' });
+    }
+});
+
+// Organization-level overview of candidates, credits and scores
+router.get('/api/admin/organization/dashboard', requireAdminAuth, async (req, res) => {
+    try {
+        const organizationId = resolveAdminOrganizationId(req, req.query.organizationId);
+        if (!organizationId) {
+            return res.status(400).json({ error: 'organizationId is required' });
+        }
+
+        const organization = await Organization.findById(organizationId);
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const candidates = await User.find({ organizationId })
+            .select('email username number_of_tests testsTaken');
+        const candidateIds = candidates.map(candidate => candidate._id);
+
+        const completedAttempts = await AssessmentAttempt.find({
+            userId: { $in: candidateIds },
+            status: 'completed'
+        }).select('-consolidatedFeedback').sort({ completedAt: -1 });
+
+        const average = (values) => values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : 0;
+
+        // Each section is averaged over the attempts whose template included it
+        const sectionAverages = {};
+        ASSESSMENT_SECTION_KEYS.forEach(key => {
+            const field = getScoreFieldName(key);
+            sectionAverages[field] = average(completedAttempts
+                .filter(attempt => getAttemptSections(attempt).includes(key))
+                .map(attempt => attempt.sectionScores[field] || 0));
+        });
+
+        const sumTransactions = (type) => organization.creditTransactions
+            .filter(transaction => transaction.type === type)
+            .reduce((sum, transaction) => sum + Math.abs(transaction.tests), 0);
+
+        const candidatesById = {};
+        candidates.forEach(candidate => {
+            candidatesById[candidate._id.toString()] = candidate;
+        });
+
+        res.json({
+            success: true,
+            organization: {
+                id: organization._id,
+                name: organization.name,
+                creditBalance: organization.creditBalance
+            },
+            stats: {
+                totalCandidates: candidates.length,
+                creditsPurchased: sumTransactions('purchase'),
+                creditsGranted: sumTransactions('grant'),
+                creditsAssigned: sumTransactions('assign'),
+                unusedCandidateTests: candidates.reduce((sum, candidate) => sum + (candidate.number_of_tests || 0), 0),
+                testsTaken: candidates.reduce((sum, candidate) => sum + (candidate.testsTaken || 0), 0),
+                completedAttempts: completedAttempts.length,
+                averageOverallScore: average(completedAttempts.map(attempt => attempt.overallScore || 0)),
+                sectionAverages
+            },
+            recentAttempts: completedAttempts.slice(0, 10).map(attempt => {
+                const candidate = candidatesById[attempt.userId.toString()];
+                return {
+                    id: attempt._id,
+                    userId: attempt.userId,
+                    email: candidate ? candidate.email : null,
+                    username: candidate ? candidate.username : null,
+                    testNumber: attempt.testNumber,
+                    overallScore: attempt.overallScore,
+                    passed: attempt.passed,
+                    cefrLevel: attempt.cefrLevel,
+                    completedAt: attempt.completedAt
+                };
+            }),
+            recentTransactions: organization.creditTransactions.slice(-20).reverse()
+        });
+
+    } catch (error) {
+        logger.error('Error building organization dashboard:', error);
+        res.status(500).json({ error: 'Failed to load organization dashboard' });
+    }
+});
+
+module.exports = router;
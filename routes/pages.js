@@ -0,0 +1,151 @@
+// HTML pages, the contact form and the health check
+const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const logger = require('../config/logger');
+const { Admin } = require('../models');
+const { sendMail } = require('../services/email');
+const { redirectIfNotAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Health check endpoint for Docker
+router.get('/api/health', (req, res) => {
+    // Check MongoDB connection
+    if (mongoose.connection.readyState === 1) {
+        res.status(200).json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            database: 'connected'
+        });
+    } else {
+        res.status(503).json({
+            status: 'unhealthy',
+            timestamp: new Date().toISOString(),
+            database: 'disconnected'
+        });
+    }
+});
+
+// Serve assessment page (protected)
+router.get('/assessment', redirectIfNotAuth, (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'assessment.html'));
+});
+
+// Serve dashboard page (protected)
+router.get('/dashboard', redirectIfNotAuth, (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'dashboard.html'));
+});
+
+// Serve purchase tests page (protected)
+router.get('/purchase', redirectIfNotAuth, (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'purchase.html'));
+});
+
+// Serve admin login page
+router.get('/admin/login', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'admin-login.html'));
+});
+
+// Serve admin page (requires authentication)
+router.get('/admin', async (req, res) => {
+    try {
+        const adminId = req.session.adminId;
+        if (!adminId) {
+            return res.redirect('/admin/login?message=Please%20log%20in%20to%20access%20admin%20panel&type=info');
+        }
+
+        const admin = await Admin.findById(adminId);
+        if (!admin) {
+            req.session.adminId = null;
+            return res.redirect('/admin/login?message=Session%20expired.%20Please%20log%20in%20again&type=warning');
+        }
+
+        res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+    } catch (error) {
+        logger.error('Admin page access error:', error);
+        return res.redirect('/admin/login?message=Authentication%20error&type=error');
+    }
+});
+
+// Serve auth pages
+router.get('/login', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'login.html'));
+});
+
+router.get('/invite', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'invite.html'));
+});
+
+router.get('/signup', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'signup.html'));
+});
+
+router.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'reset-password.html'));
+});
+
+// Serve contact page
+router.get('/contact', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'contact.html'));
+});
+
+// Contact form endpoint - sends email to support inbox
+router.post('/api/contact', async (req, res) => {
+    try {
+        const { fullName, email, company, phone, message } = req.body || {};
+
+        if (!fullName || !email || !message) {
+            return res.status(400).json({ error: 'Full name, email and message are required' });
+        }
+        if (!validator.isEmail(email)) {
+            return res.status(400).json({ error: 'Please provide a valid email address' });
+        }
+
+        const toAddress = 'mockinterview014@gmail.com';
+        const safeName = String(fullName).slice(0, 200);
+        const safeCompany = company ? String(company).slice(0, 200) : '';
+        const safePhone = phone ? String(phone).slice(0, 60) : '';
+        const safeMessage = String(message).slice(0, 5000);
+
+        const htmlBody = `
+            <div style="font-family: Arial, Helvetica, sans-serif; color:#0b1320;">
+                <h2 style="margin:0 0 10px;color:#1f4e5f;">New Contact Form Submission</h2>
+                <p style="margin:0 0 12px;">You have received a new message from the website contact form.</p>
+                <table cellpadding="8" cellspacing="0" style="border-collapse:collapse;border:1px solid #e2e8f0;">
+                    <tr><td style="background:#f8fafc;font-weight:600;">Full name</td><td>${safeName}</td></tr>
+                    <tr><td style="background:#f8fafc;font-weight:600;">Email</td><td>${email}</td></tr>
+                    ${safeCompany ? `<tr><td style=\"background:#f8fafc;font-weight:600;\">Company</td><td>${safeCompany}</td></tr>` : ''}
+                    ${safePhone ? `<tr><td style=\"background:#f8fafc;font-weight:600;\">Phone</td><td>${safePhone}</td></tr>` : ''}
+                </table>
+                <h3 style="margin:16px 0 6px;color:#1f4e5f;">Message</h3>
+                <div style="white-space:pre-wrap; border:1px solid #e2e8f0; padding:12px; border-radius:8px;">${safeMessage}</div>
+            </div>
+        `;
+
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+            to: toAddress,
+            replyTo: email,
+            subject: `Website Contact: ${safeName}`,
+            text: `New contact form submission\n\nName: ${safeName}\nEmail: ${email}\nCompany: ${safeCompany}\nPhone: ${safePhone}\n\nMessage:\n${safeMessage}`,
+            html: htmlBody
+        };
+
+        await sendMail(mailOptions);
+        return res.json({ message: 'Message sent successfully' });
+    } catch (error) {
+        logger.error('Contact form email send error:', error);
+        return res.status(500).json({ error: 'Failed to send message. Please try again later.' });
+    }
+});
+
+// Serve main HTML file (homepage)
+router.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+module.exports = router;
@@ -0,0 +1,839 @@
+// Candidate and organization payments, plans, coupons and invoices
+const express = require('express');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { Coupon, Payment, Plan } = require('../models');
+const {
+    getRazorpay,
+    RAZORPAY_WEBHOOK_SECRET,
+    capturePayment,
+    failPayment,
+    refundPayment,
+    isValidRazorpayWebhookSignature,
+    GST_RATE,
+    GST_STATES,
+    PAID_PAYMENT_STATUSES,
+    toPaise,
+    serializePlan,
+    buildPlan,
+    buildCoupon,
+    quoteOrder,
+    reserveCouponRedemption,
+    parseBillingDetails,
+    sendInvoicePdf
+} = require('../services/payments');
+const { requireAuth, requireAdminAuth, requireSuperAdmin, isRecruiter } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Price per organization test credit in INR
+const ORG_CREDIT_PRICE = parseInt(process.env.ORG_CREDIT_PRICE || '45');
+
+// Create Razorpay order
+router.post('/api/payment/create-order', requireAuth, async (req, res) => {
+    try {
+        const { planId, couponCode, customerName, customerEmail, customerPhone } = req.body;
+
+        logger.info('🔄 Creating payment order:', {
+            userId: req.user._id,
+            planId,
+            couponCode,
+            customerName,
+            customerEmail,
+            customerPhone
+        });
+
+        // Validate input
+        if (!planId || !customerName || !customerEmail || !customerPhone) {
+            logger.warn('❌ Payment order creation failed: Missing required fields');
+            return res.status(400).json({ 
+                error: 'Missing required fields',
+                required: ['planId', 'customerName', 'customerEmail', 'customerPhone']
+            });
+        }
+
+        // Validate email format
+        if (!validator.isEmail(customerEmail)) {
+            logger.warn('❌ Payment order creation failed: Invalid email format');
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        // Validate phone format (basic validation)
+        const phoneRegex = /^[\+]?[0-9\s\-\(\)]{10,15}$/;
+        if (!phoneRegex.test(customerPhone)) {
+            logger.warn('❌ Payment order creation failed: Invalid phone format');
+            return res.status(400).json({ error: 'Invalid phone number format' });
+        }
+
+        // Price the order from the plan on record; the client only chooses which plan
+        const plan = mongoose.Types.ObjectId.isValid(planId)
+            ? await Plan.findOne({ _id: planId, status: 'active' })
+            : null;
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        let billing;
+        let quote;
+        try {
+            billing = parseBillingDetails(req.body);
+            quote = await quoteOrder({
+                listAmount: plan.price,
+                couponCode,
+                userId: req.user._id,
+                organizationId: req.user.organizationId
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const { amount } = quote;
+        const planName = plan.name;
+        const testsCount = plan.testsCount;
+
+        // Create Razorpay order
+        const options = {
+            amount: toPaise(amount), // Razorpay expects amount in paise
+            currency: 'INR',
+            receipt: `ord_${Date.now().toString().slice(-8)}_${req.user._id.toString().slice(-6)}`, // Keep under 40 chars
+            notes: {
+                userId: req.user._id.toString(),
+                planName,
+                testsCount: testsCount.toString(),
+                couponCode: quote.coupon ? quote.coupon.code : '',
+                customerName,
+                customerEmail,
+                customerPhone
+            }
+        };
+
+        const razorpayOrder = await getRazorpay().orders.create(options);
+        logger.info('✅ Razorpay order created:', razorpayOrder.id);
+
+        // Save payment record in database
+        const payment = new Payment({
+            userId: req.user._id,
+            razorpayOrderId: razorpayOrder.id,
+            amount,
+            listAmount: quote.listAmount,
+            couponId: quote.coupon ? quote.coupon._id : null,
+            couponCode: quote.coupon ? quote.coupon.code : null,
+            discountAmount: quote.discountAmount,
+            planName,
+            planId: plan._id,
+            testsCount,
+            customerName,
+            customerEmail,
+            ...billing,
+            status: 'created',
+            ledger: [{ event: 'created', source: 'checkout', amount }]
+        });
+
+        await payment.save();
+        logger.info('✅ Payment record saved to database:', payment._id);
+
+        if (payment.couponId && !await reserveCouponRedemption(payment)) {
+            return res.status(400).json({ error: 'This coupon has been fully redeemed' });
+        }
+
+        res.json({
+            success: true,
+            orderId: razorpayOrder.id,
+            amount: razorpayOrder.amount,
+            currency: razorpayOrder.currency,
+            key: process.env.RAZORPAY_KEY_ID,
+            customerName,
+            customerEmail,
+            planName,
+            testsCount,
+            listAmount: quote.listAmount,
+            discountAmount: quote.discountAmount,
+            couponCode: quote.coupon ? quote.coupon.code : null
+        });
+
+    } catch (error) {
+        logger.error('❌ Error creating payment order:', error);
+        res.status(500).json({ 
+            error: 'Failed to create payment order',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Verify payment and allocate tests
+router.post('/api/payment/verify', requireAuth, async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        logger.info('🔄 Verifying payment:', {
+            userId: req.user._id,
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id
+        });
+
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            logger.warn('❌ Payment verification failed: Missing payment details');
+            return res.status(400).json({ error: 'Missing payment details' });
+        }
+
+        // Find payment record
+        const payment = await Payment.findOne({ 
+            razorpayOrderId: razorpay_order_id,
+            userId: req.user._id
+        });
+
+        if (!payment) {
+            logger.warn('❌ Payment verification failed: Payment record not found');
+            return res.status(404).json({ error: 'Payment record not found' });
+        }
+
+        // The webhook may have captured this payment first
+        if (!['created', 'failed'].includes(payment.status)) {
+            logger.warn('⚠️ Payment already verified:', razorpay_order_id);
+            return res.json({ 
+                success: true, 
+                message: 'Payment already verified',
+                testsAdded: payment.testsCount
+            });
+        }
+
+        // Verify signature
+        const expectedSignature = crypto
+            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(razorpay_order_id + '|' + razorpay_payment_id)
+            .digest('hex');
+
+        if (expectedSignature !== razorpay_signature) {
+            logger.warn('❌ Payment verification failed: Invalid signature');
+            await failPayment(payment, { razorpayPaymentId: razorpay_payment_id, reason: 'Invalid checkout signature', source: 'verify' });
+            return res.status(400).json({ error: 'Invalid payment signature' });
+        }
+
+        logger.info('✅ Payment signature verified successfully');
+
+        // Add tests to user account and record payment timestamp
+        const user = await capturePayment(payment, {
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature,
+            source: 'verify'
+        });
+
+        if (!user) {
+            return res.json({
+                success: true,
+                message: 'Payment already verified',
+                testsAdded: payment.testsCount
+            });
+        }
+
+        logger.info('✅ Tests allocated successfully:', {
+            userId: req.user._id,
+            testsAdded: payment.testsCount,
+            totalTests: user.number_of_tests
+        });
+
+        res.json({
+            success: true,
+            message: `Payment successful! ${payment.testsCount} tests added to your account.`,
+            testsAdded: payment.testsCount,
+            totalTests: user.number_of_tests,
+            paymentId: razorpay_payment_id
+        });
+
+    } catch (error) {
+        logger.error('❌ Error verifying payment:', error);
+        res.status(500).json({ 
+            error: 'Failed to verify payment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Get payment history for user
+router.get('/api/payment/history', requireAuth, async (req, res) => {
+    try {
+        const payments = await Payment.find({ 
+            userId: req.user._id,
+            status: { $in: ['paid', 'partially_refunded', 'refunded'] }
+        }).sort({ paidAt: -1 }).limit(10);
+
+        logger.info('✅ Payment history retrieved for user:', req.user._id);
+
+        res.json({
+            success: true,
+            payments: payments.map(payment => ({
+                id: payment._id,
+                planName: payment.planName,
+                testsCount: payment.testsCount,
+                amount: payment.amount,
+                listAmount: payment.listAmount,
+                discountAmount: payment.discountAmount,
+                couponCode: payment.couponCode,
+                paidAt: payment.paidAt,
+                paymentId: payment.razorpayPaymentId,
+                status: payment.status,
+                refundedAmount: payment.refundedAmount,
+                invoiceNumber: payment.invoice ? payment.invoice.number : null,
+                invoiceUrl: `/api/payment/${payment._id}/invoice`
+            }))
+        });
+
+    } catch (error) {
+        logger.error('❌ Error fetching payment history:', error);
+        res.status(500).json({ error: 'Failed to fetch payment history' });
+    }
+});
+
+// Razorpay webhook: captures payments whose checkout tab closed before /verify, records failures and
+// applies refunds. Signed with RAZORPAY_WEBHOOK_SECRET; safe to receive alongside /verify and on redelivery.
+router.post('/api/payment/webhook', async (req, res) => {
+    try {
+        if (!RAZORPAY_WEBHOOK_SECRET) {
+            logger.warn('⚠️ Razorpay webhook received but RAZORPAY_WEBHOOK_SECRET is not set');
+            return res.status(503).json({ error: 'Payment webhooks are not configured' });
+        }
+
+        const signature = req.get('x-razorpay-signature');
+        if (!signature || !req.rawBody || !isValidRazorpayWebhookSignature(req.rawBody, signature)) {
+            logger.warn('❌ Razorpay webhook rejected: Invalid signature');
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+
+        const { event, payload } = req.body;
+        const eventId = req.get('x-razorpay-event-id') || null;
+        const paymentEntity = payload && payload.payment ? payload.payment.entity : null;
+        const refundEntity = payload && payload.refund ? payload.refund.entity : null;
+
+        // Orders are matched by order ID; refund payloads may only carry the payment ID
+        let payment = null;
+        if (paymentEntity && paymentEntity.order_id) {
+            payment = await Payment.findOne({ razorpayOrderId: paymentEntity.order_id });
+        }
+        if (!payment && refundEntity && refundEntity.payment_id) {
+            payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+        }
+
+        // Unknown orders are acknowledged so Razorpay stops retrying them
+        if (!payment) {
+            logger.warn(`⚠️ Razorpay webhook ${event} for an unknown order`, { eventId });
+            return res.json({ success: true, ignored: true });
+        }
+
+        if (eventId && payment.ledger.some(entry => entry.eventId === eventId)) {
+            logger.info(`Razorpay webhook ${eventId} already processed`);
+            return res.json({ success: true, duplicate: true });
+        }
+
+        switch (event) {
+            case 'payment.captured':
+                if (paymentEntity.amount !== Math.round(payment.amount * 100)) {
+                    logger.error(`❌ Razorpay webhook amount ${paymentEntity.amount} does not match order ${payment.razorpayOrderId}`);
+                    return res.json({ success: true, ignored: true });
+                }
+                await capturePayment(payment, { razorpayPaymentId: paymentEntity.id, source: 'webhook', eventId });
+                break;
+            case 'payment.failed':
+                await failPayment(payment, {
+                    razorpayPaymentId: paymentEntity.id,
+                    reason: paymentEntity.error_description || null,
+                    source: 'webhook',
+                    eventId
+                });
+                break;
+            case 'refund.processed':
+                await refundPayment(payment, {
+                    refundId: refundEntity.id,
+                    amountInPaise: refundEntity.amount,
+                    source: 'webhook',
+                    eventId
+                });
+                break;
+            default:
+                logger.info(`Ignoring Razorpay webhook event ${event}`);
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('❌ Error processing Razorpay webhook:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
+// Create Razorpay order for an organization's credit pool (recruiters only)
+router.post('/api/admin/organization/payment/create-order', requireAdminAuth, async (req, res) => {
+    try {
+        if (!isRecruiter(req.admin)) {
+            return res.status(403).json({ error: 'Only recruiters can buy organization credits' });
+        }
+
+        if (!getRazorpay()) {
+            return res.status(503).json({ error: 'Payments are not configured' });
+        }
+
+        const testsCount = parseInt(req.body.testsCount);
+        const { customerName, customerEmail, couponCode } = req.body;
+
+        if (!testsCount || testsCount <= 0 || testsCount > 1000) {
+            return res.status(400).json({ error: 'testsCount must be between 1 and 1000' });
+        }
+
+        if (!customerName || !customerEmail || !validator.isEmail(customerEmail)) {
+            return res.status(400).json({ error: 'A billing name and valid email are required' });
+        }
+
+        // Organization credits are priced on the server, never by the client
+        let billing;
+        let quote;
+        try {
+            billing = parseBillingDetails(req.body);
+            quote = await quoteOrder({
+                listAmount: testsCount * ORG_CREDIT_PRICE,
+                couponCode,
+                organizationId: req.admin.organizationId
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const { amount } = quote;
+
+        const razorpayOrder = await getRazorpay().orders.create({
+            amount: toPaise(amount), // Razorpay expects amount in paise
+            currency: 'INR',
+            receipt: `org_${Date.now().toString().slice(-8)}_${req.admin.organizationId.toString().slice(-6)}`,
+            notes: {
+                organizationId: req.admin.organizationId.toString(),
+                adminId: req.admin._id.toString(),
+                testsCount: testsCount.toString(),
+                couponCode: quote.coupon ? quote.coupon.code : '',
+                customerName,
+                customerEmail
+            }
+        });
+
+        const payment = new Payment({
+            organizationId: req.admin.organizationId,
+            adminId: req.admin._id,
+            razorpayOrderId: razorpayOrder.id,
+            amount,
+            listAmount: quote.listAmount,
+            couponId: quote.coupon ? quote.coupon._id : null,
+            couponCode: quote.coupon ? quote.coupon.code : null,
+            discountAmount: quote.discountAmount,
+            planName: 'Organization Credits',
+            testsCount,
+            customerName,
+            customerEmail,
+            ...billing,
+            status: 'created',
+            ledger: [{ event: 'created', source: 'checkout', amount }]
+        });
+        await payment.save();
+
+        if (payment.couponId && !await reserveCouponRedemption(payment)) {
+            return res.status(400).json({ error: 'This coupon has been fully redeemed' });
+        }
+
+        logger.info('✅ Organization credit order created:', razorpayOrder.id);
+
+        res.json({
+            success: true,
+            orderId: razorpayOrder.id,
+            amount: razorpayOrder.amount,
+            currency: razorpayOrder.currency,
+            key: process.env.RAZORPAY_KEY_ID,
+            customerName,
+            customerEmail,
+            testsCount,
+            listAmount: quote.listAmount,
+            discountAmount: quote.discountAmount,
+            couponCode: quote.coupon ? quote.coupon.code : null
+        });
+
+    } catch (error) {
+        logger.error('❌ Error creating organization payment order:', error);
+        res.status(500).json({ error: 'Failed to create payment order' });
+    }
+});
+
+// Verify an organization credit payment and top up the pool
+router.post('/api/admin/organization/payment/verify', requireAdminAuth, async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return res.status(400).json({ error: 'Missing payment details' });
+        }
+
+        const payment = await Payment.findOne({
+            razorpayOrderId: razorpay_order_id,
+            organizationId: req.admin.organizationId
+        });
+
+        if (!payment || !req.admin.organizationId) {
+            return res.status(404).json({ error: 'Payment record not found' });
+        }
+
+        if (!['created', 'failed'].includes(payment.status)) {
+            return res.json({
+                success: true,
+                message: 'Payment already verified',
+                testsAdded: payment.testsCount
+            });
+        }
+
+        const expectedSignature = crypto
+            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(razorpay_order_id + '|' + razorpay_payment_id)
+            .digest('hex');
+
+        if (expectedSignature !== razorpay_signature) {
+            logger.warn('❌ Organization payment verification failed: Invalid signature');
+            await failPayment(payment, { razorpayPaymentId: razorpay_payment_id, reason: 'Invalid checkout signature', source: 'verify' });
+            return res.status(400).json({ error: 'Invalid payment signature' });
+        }
+
+        // Only the call that flips the status credits the pool, whether it is this one or the webhook
+        const organization = await capturePayment(payment, {
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature,
+            source: 'verify'
+        });
+
+        if (!organization) {
+            return res.json({
+                success: true,
+                message: 'Payment already verified',
+                testsAdded: payment.testsCount
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Payment successful! ${payment.testsCount} credits added to ${organization.name}.`,
+            testsAdded: payment.testsCount,
+            creditBalance: organization.creditBalance,
+            paymentId: razorpay_payment_id
+        });
+
+    } catch (error) {
+        logger.error('❌ Error verifying organization payment:', error);
+        res.status(500).json({ error: 'Failed to verify payment' });
+    }
+});
+
+// Active plans for the purchase page, with the states a buyer can bill to
+router.get('/api/payment/plans', async (req, res) => {
+    try {
+        const plans = await Plan.find({ status: 'active' }).sort({ sortOrder: 1, price: 1 });
+
+        res.json({
+            success: true,
+            plans: plans.map(serializePlan),
+            gstRate: GST_RATE,
+            billingStates: Object.keys(GST_STATES).map(code => ({ code, name: GST_STATES[code] }))
+        });
+
+    } catch (error) {
+        logger.error('❌ Error fetching pricing plans:', error);
+        res.status(500).json({ error: 'Failed to fetch pricing plans' });
+    }
+});
+
+// Preview a plan's price with a coupon before checkout
+router.post('/api/payment/quote', requireAuth, async (req, res) => {
+    try {
+        const { planId, couponCode } = req.body;
+
+        const plan = mongoose.Types.ObjectId.isValid(planId)
+            ? await Plan.findOne({ _id: planId, status: 'active' })
+            : null;
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        let quote;
+        try {
+            quote = await quoteOrder({
+                listAmount: plan.price,
+                couponCode,
+                userId: req.user._id,
+                organizationId: req.user.organizationId
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        res.json({
+            success: true,
+            plan: serializePlan(plan),
+            listAmount: quote.listAmount,
+            discountAmount: quote.discountAmount,
+            amount: quote.amount,
+            couponCode: quote.coupon ? quote.coupon.code : null
+        });
+
+    } catch (error) {
+        logger.error('❌ Error quoting payment:', error);
+        res.status(500).json({ error: 'Failed to price order' });
+    }
+});
+
+// Download the tax invoice for one of the candidate's paid orders
+router.get('/api/payment/:paymentId/invoice', requireAuth, async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ error: 'Invalid payment ID' });
+        }
+
+        const payment = await Payment.findOne({
+            _id: paymentId,
+            userId: req.user._id,
+            status: { $in: PAID_PAYMENT_STATUSES }
+        });
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        await sendInvoicePdf(res, payment);
+
+    } catch (error) {
+        logger.error('❌ Error generating invoice:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// Credit purchases for the recruiter's organization
+router.get('/api/admin/organization/payments', requireAdminAuth, async (req, res) => {
+    try {
+        if (!isRecruiter(req.admin)) {
+            return res.status(403).json({ error: 'Only recruiters have organization purchases' });
+        }
+
+        const payments = await Payment.find({
+            organizationId: req.admin.organizationId,
+            status: { $in: PAID_PAYMENT_STATUSES }
+        }).sort({ paidAt: -1 }).limit(20);
+
+        res.json({
+            success: true,
+            payments: payments.map(payment => ({
+                id: payment._id,
+                testsCount: payment.testsCount,
+                amount: payment.amount,
+                discountAmount: payment.discountAmount,
+                couponCode: payment.couponCode,
+                paidAt: payment.paidAt,
+                status: payment.status,
+                refundedAmount: payment.refundedAmount,
+                invoiceNumber: payment.invoice ? payment.invoice.number : null,
+                invoiceUrl: `/api/admin/organization/payments/${payment._id}/invoice`
+            }))
+        });
+
+    } catch (error) {
+        logger.error('❌ Error fetching organization payments:', error);
+        res.status(500).json({ error: 'Failed to fetch organization payments' });
+    }
+});
+
+// Download the tax invoice for an organization credit purchase
+router.get('/api/admin/organization/payments/:paymentId/invoice', requireAdminAuth, async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        if (!isRecruiter(req.admin)) {
+            return res.status(403).json({ error: 'Only recruiters have organization purchases' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ error: 'Invalid payment ID' });
+        }
+
+        const payment = await Payment.findOne({
+            _id: paymentId,
+            organizationId: req.admin.organizationId,
+            status: { $in: PAID_PAYMENT_STATUSES }
+        });
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        await sendInvoicePdf(res, payment);
+
+    } catch (error) {
+        logger.error('❌ Error generating organization invoice:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// List all plans, including archived ones
+router.get('/api/admin/plans', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const plans = await Plan.find({}).sort({ status: 1, sortOrder: 1, price: 1 });
+        res.json({ success: true, plans: plans });
+    } catch (error) {
+        logger.error('Error fetching pricing plans:', error);
+        res.status(500).json({ error: 'Failed to fetch pricing plans' });
+    }
+});
+
+// Create a pricing plan
+router.post('/api/admin/plans', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        let planData;
+        try {
+            planData = buildPlan(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const plan = await Plan.create(planData);
+
+        res.json({
+            success: true,
+            message: `Created plan "${plan.name}"`,
+            plan: plan
+        });
+
+    } catch (error) {
+        logger.error('Error creating pricing plan:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A plan with this name already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to create pricing plan' });
+    }
+});
+
+// Update a plan (set status to archive or restore it); orders already placed keep their price
+router.put('/api/admin/plans/:planId', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { planId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(planId)) {
+            return res.status(400).json({ error: 'Invalid plan ID' });
+        }
+
+        let planData;
+        try {
+            planData = buildPlan(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const plan = await Plan.findByIdAndUpdate(
+            planId,
+            { $set: { ...planData, updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Updated plan "${plan.name}"`,
+            plan: plan
+        });
+
+    } catch (error) {
+        logger.error('Error updating pricing plan:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A plan with this name already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to update pricing plan' });
+    }
+});
+
+// List coupons
+router.get('/api/admin/coupons', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const coupons = await Coupon.find({}).sort({ status: 1, createdAt: -1 });
+        res.json({ success: true, coupons: coupons });
+    } catch (error) {
+        logger.error('Error fetching coupons:', error);
+        res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+});
+
+// Create a coupon
+router.post('/api/admin/coupons', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        let couponData;
+        try {
+            couponData = buildCoupon(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const coupon = await Coupon.create({
+            ...couponData,
+            createdBy: req.admin._id
+        });
+
+        res.json({
+            success: true,
+            message: `Created coupon ${coupon.code}`,
+            coupon: coupon
+        });
+
+    } catch (error) {
+        logger.error('Error creating coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to create coupon' });
+    }
+});
+
+// Update a coupon (set status to disable or re-enable it); the redemption count is kept
+router.put('/api/admin/coupons/:couponId', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ error: 'Invalid coupon ID' });
+        }
+
+        let couponData;
+        try {
+            couponData = buildCoupon(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const coupon = await Coupon.findByIdAndUpdate(
+            couponId,
+            { $set: { ...couponData, updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Updated coupon ${coupon.code}`,
+            coupon: coupon
+        });
+
+    } catch (error) {
+        logger.error('Error updating coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to update coupon' });
+    }
+});
+
+module.exports = router;
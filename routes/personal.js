@@ -0,0 +1,301 @@
+// Personal Questions section
+const express = require('express');
+const PronunciationDetail = require('../public/js/pronunciation');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionLocale
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { getLocaleContentInstruction, getLocaleGradingInstruction } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for an interview question in a category; throws when no provider answers or the question fails validation
+const requestPersonalQuestion = async (category, difficulty, locale) => {
+    const prompt = `Generate a realistic tech company communication assessment question for a job interview.
+
+PARAMETERS:
+- Difficulty: ${difficulty || 'Medium'}
+- Category: ${category || 'General'}
+
+REQUIREMENTS:
+1. The question must be realistic and commonly asked in tech interviews
+2. It should test communication skills, not just technical knowledge
+3. The candidate should be able to answer in 30-90 seconds
+4. Include behavioral, situational, or explanation-based questions
+5. Make it challenging but fair
+
+CATEGORIES include:
+- Technical Communication: Explain complex concepts simply
+- Problem Solving: Describe how you approach problems
+- Teamwork: Collaboration and conflict resolution
+- Leadership: Leading projects or teams
+- Failure/Learning: Learning from mistakes
+- Innovation: Creative thinking and solutions
+
+Return ONLY the question, nothing else. Make it sound natural and conversational like a real interviewer would ask. ${getLocaleContentInstruction(locale)}`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: "You are a senior tech recruiter conducting communication assessments. Generate realistic, challenging interview questions that test a candidate's ability to communicate effectively."
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ], 200, 0.8);
+
+    const [question] = await validateGeneratedContent('personal', completion.choices[0].message.content, { topic: category, difficulty, locale });
+    return [question.text];
+};
+
+// Generate interview question
+const generatePersonalContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { difficulty, category } = options;
+    const locale = await getSessionLocale(userId, sessionId);
+
+    const bankOnly = await isQuestionBankOnly('personal');
+    let question;
+    if (!bankOnly) {
+        // Personal pools are keyed by question category
+        const pooled = await checkOutContentPoolItems('personal', { topic: category || 'General', difficulty, locale }, userId);
+        if (pooled) {
+            question = pooled[0].content.text;
+        } else {
+            try {
+                [question] = await requestPersonalQuestion(category, difficulty, locale);
+            } catch (error) {
+                logger.warn('All LLM providers failed for personal question, using question bank question...');
+            }
+        }
+    }
+
+    if (!question) {
+        const [bankItem] = await drawQuestionBankItems('personal', { topic: category, difficulty, language: locale.language }, 1);
+        if (!bankItem) {
+            throw new Error('No personal questions available in the question bank');
+        }
+        question = bankItem.content.text;
+    }
+
+    // Store current question for evaluation in session
+    await storeGeneratedContent(userId, sessionId, 'personal', {
+        'temporaryData.currentQuestion': question
+    }, generationJob);
+
+    return {
+        success: true,
+        question: question,
+        difficulty: difficulty || 'Medium',
+        category: category || 'General',
+        timestamp: new Date().toISOString()
+    };
+};
+
+registerContentGenerator('personal', generatePersonalContent);
+registerContentPoolSource('personal', { generate: requestPersonalQuestion });
+
+router.post('/api/personal/generate-question', requireAuth, async (req, res) => {
+    try {
+        res.json(await generatePersonalContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Personal question generation error:', error.message);
+        res.status(500).json({
+            error: 'Failed to generate question',
+            details: error.message
+        });
+    }
+});
+
+// Store personal assessment results and get AI feedback  
+router.post('/api/personal/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const { spokenResponse, azureResults, words } = req.body;
+
+        if (!spokenResponse) {
+            return res.status(400).json({
+                error: 'Response is missing'
+            });
+        }
+
+        // Get the current question from session
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const question = session.temporaryData.currentQuestion;
+
+        if (!question) {
+            return res.status(400).json({
+                error: 'No question found in session. Please generate a question first.'
+            });
+        }
+        const locale = await getSessionLocale(req.user._id, sessionId);
+
+        // Create assessment prompt
+        const prompt = `You are a senior tech interviewer conducting a communication assessment. Be HONEST and CONSTRUCTIVE in your evaluation.
+
+INTERVIEW QUESTION: "${question}"
+
+CANDIDATE'S SPOKEN RESPONSE: "${spokenResponse}"
+
+AZURE PRONUNCIATION ASSESSMENT DATA:
+${JSON.stringify(azureResults, null, 2)}
+
+EVALUATION CRITERIA:
+1. Content Quality (40%): Did they answer the question completely? Was the response logical and well-structured?
+2. Communication Clarity (30%): Was the message clear and easy to follow? Good use of examples?
+3. Pronunciation & Speech (20%): Based on Azure data - pronunciation accuracy, fluency, prosody
+4. Professional Delivery (10%): Confidence, pace, filler words, professionalism
+
+PROVIDE FEEDBACK IN THIS FORMAT:
+
+**OVERALL SCORE: [X/100]**
+
+**CONTENT ANALYSIS:**
+- [Assessment of their answer quality]
+- [What they covered well, what was missing]
+
+**COMMUNICATION EFFECTIVENESS:**
+- [Feedback on clarity, structure, examples]
+- [Points about organization and flow]
+
+**SPEECH & PRONUNCIATION (Based on Azure Data):**
+- [Specific feedback based on pronunciation scores]
+- [Speech quality and clarity observations]
+
+**AREAS FOR IMPROVEMENT:**
+1. [Specific area] - [Improvement suggestion]
+2. [Specific area] - [Improvement suggestion]
+3. [Specific area] - [Improvement suggestion]
+
+**STRENGTHS:**
+- [What they did well]
+- [Positive aspects to continue]
+
+**FINAL ASSESSMENT:**
+[One paragraph summary of overall performance and potential]
+
+${getLocaleGradingInstruction(locale)} Be constructive but honest to help them improve.`;
+
+        let completion;
+        let feedback;
+        try {
+            // Try the configured LLM providers with retry logic
+            completion = await callLLMWithRetry('personalGrading', [
+                {
+                    role: "system",
+                    content: "You are a senior tech company interviewer providing constructive feedback on communication assessments. Your feedback helps candidates improve through honest, detailed assessment."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ], 1500, 0.3);
+
+            feedback = completion.choices[0].message.content;
+        } catch (error) {
+            logger.warn('All LLM providers failed for personal evaluation, using fallback feedback...');
+            // Fallback feedback based on basic analysis
+            const responseLength = spokenResponse.split(' ').length;
+            const speechScore = azureResults.pronunciationScore || 60;
+
+            let lengthFeedback = responseLength < 20 ? "Your response was quite brief. Try to provide more detailed examples and explanations." :
+                responseLength > 100 ? "Your response was comprehensive. Good job providing detailed information." :
+                    "Your response length was appropriate for the question.";
+
+            let speechFeedback = speechScore >= 80 ? "Your pronunciation and speech clarity were excellent." :
+                speechScore >= 60 ? "Your pronunciation was generally clear with room for minor improvements." :
+                    "Focus on speaking more clearly and at a steady pace.";
+
+            feedback = `OVERALL SCORE: ${Math.min(Math.max(Math.round((responseLength * 2) + (speechScore * 0.5)), 40), 85)}/100
+
+**CONTENT ANALYSIS:**
+${lengthFeedback} Your response addressed the question and showed good communication effort.
+
+**COMMUNICATION EFFECTIVENESS:**
+You demonstrated the ability to structure your thoughts and communicate your ideas. Continue practicing to improve fluency and confidence.
+
+**SPEECH & PRONUNCIATION:**
+${speechFeedback}
+
+**AREAS FOR IMPROVEMENT:**
+1. Practice speaking with more confidence and clarity
+2. Use specific examples to support your points
+3. Work on maintaining steady pace and tone
+
+**STRENGTHS:**
+- Attempted to answer the question thoroughly
+- Showed willingness to communicate
+
+**FINAL ASSESSMENT:**
+You demonstrated basic communication skills with room for improvement in clarity and confidence. Keep practicing to enhance your interview performance.`;
+        }
+
+        // Extract score from feedback
+        const scoreMatch = feedback.match(/OVERALL SCORE:\s*(\d+)/i);
+        let score = scoreMatch ? parseInt(scoreMatch[1]) : 50;
+
+        // Also factor in Azure speech score
+        const speechScore = azureResults.pronunciationScore || 0;
+        score = Math.round((score * 0.8) + (speechScore * 0.2)); // Weight content 80%, speech 20%
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.personalQuestions = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'personal', score, {
+            pronunciationData: {
+                pronunciationScore: azureResults.pronunciationScore || 0,
+                accuracyScore: azureResults.accuracyScore || 0,
+                fluencyScore: azureResults.fluencyScore || 0,
+                completenessScore: azureResults.completenessScore || 0,
+                prosodyScore: azureResults.prosodyScore || 0,
+                recognizedText: azureResults.recognizedText || '',
+                referenceText: '',
+                words: PronunciationDetail.normalizeWords(words)
+            },
+            aiEvaluation: {
+                feedback: feedback,
+                originalContent: question,
+                userResponse: spokenResponse
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.personal': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            feedback,
+            model: completion ? completion.model : 'fallback',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Personal assessment error:', error.message);
+        res.status(500).json({
+            error: 'Failed to get assessment feedback',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
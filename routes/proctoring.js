@@ -0,0 +1,69 @@
+// Proctoring events reported by the assessment page
+const express = require('express');
+const logger = require('../config/logger');
+const {
+    ASSESSMENT_SECTION_KEYS,
+    AssessmentAttempt,
+    AssessmentSession,
+    PROCTOR_EVENT_TYPES,
+    ProctorEvent
+} = require('../models');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PROCTOR_MAX_EVENTS_PER_REQUEST = 50;
+const PROCTOR_MAX_EVENTS_PER_ATTEMPT = 500;
+
+// Record a batch of proctoring events against the current assessment session and its attempt
+router.post('/api/assessment/proctor-events', requireAuth, async (req, res) => {
+    try {
+        const { events } = req.body || {};
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ error: 'events must be a non-empty array' });
+        }
+
+        const sessionId = req.session.id;
+        const session = await AssessmentSession.findOne({ userId: req.user._id, sessionId });
+        // Finished attempts still take events: the last batch is sent alongside the final force-submit
+        const attempt = session && session.attemptId ? await AssessmentAttempt.findById(session.attemptId) : null;
+        if (!attempt) {
+            return res.status(409).json({ error: 'No assessment attempt for this session' });
+        }
+
+        const recorded = await ProctorEvent.countDocuments({ attemptId: attempt._id });
+        const room = Math.max(0, PROCTOR_MAX_EVENTS_PER_ATTEMPT - recorded);
+
+        const now = new Date();
+        const documents = events
+            .slice(0, Math.min(PROCTOR_MAX_EVENTS_PER_REQUEST, room))
+            .filter(event => event && PROCTOR_EVENT_TYPES.includes(event.type))
+            .map(event => {
+                const occurredAt = new Date(event.occurredAt);
+                return {
+                    userId: req.user._id,
+                    attemptId: attempt._id,
+                    sessionId,
+                    type: event.type,
+                    section: ASSESSMENT_SECTION_KEYS.includes(event.section) ? event.section : null,
+                    // Browser clocks are not trusted beyond "not in the future"
+                    occurredAt: isNaN(occurredAt.getTime()) || occurredAt > now ? now : occurredAt,
+                    details: event.details && typeof event.details === 'object' ? event.details : {}
+                };
+            });
+
+        if (documents.length > 0) {
+            await ProctorEvent.insertMany(documents);
+        }
+
+        res.json({
+            success: true,
+            recorded: documents.length
+        });
+    } catch (error) {
+        logger.error('Error recording proctoring events:', error);
+        res.status(500).json({ error: 'Failed to record proctoring events' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+// Admin management of the question bank
+const express = require('express');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { QUESTION_BANK_TYPES, QuestionBank, QuestionBankSetting } = require('../models');
+const { escapeRegExp } = require('../utils/text');
+const { buildQuestionBankItem, normalizeBankDifficulty } = require('../services/question-bank');
+const { requireAdminAuth, requireSuperAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List question bank items with optional filters
+router.get('/api/admin/question-bank', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { assessmentType, status, topic, difficulty, language } = req.query;
+        const query = {};
+
+        if (assessmentType) query.assessmentType = assessmentType;
+        if (status) query.status = status;
+        if (language) query.language = language;
+        if (topic) query.topic = new RegExp(escapeRegExp(topic), 'i');
+        if (difficulty) query.difficulty = normalizeBankDifficulty(difficulty);
+
+        const items = await QuestionBank.find(query).sort({ assessmentType: 1, updatedAt: -1 });
+
+        res.json({
+            success: true,
+            items: items
+        });
+
+    } catch (error) {
+        logger.error('Error fetching question bank:', error);
+        res.status(500).json({ error: 'Failed to fetch question bank' });
+    }
+});
+
+// Create a question bank item
+router.post('/api/admin/question-bank', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        let itemData;
+        try {
+            itemData = buildQuestionBankItem(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const item = await QuestionBank.create({
+            ...itemData,
+            source: 'admin',
+            createdBy: req.admin._id
+        });
+
+        res.json({
+            success: true,
+            message: `Added ${item.assessmentType} item to the question bank`,
+            item: item
+        });
+
+    } catch (error) {
+        logger.error('Error creating question bank item:', error);
+        res.status(500).json({ error: 'Failed to create question bank item' });
+    }
+});
+
+// Import many question bank items at once; invalid items are reported and skipped
+router.post('/api/admin/question-bank/import', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { items } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must be a non-empty array' });
+        }
+
+        if (items.length > 500) {
+            return res.status(400).json({ error: 'A single import is limited to 500 items' });
+        }
+
+        const validItems = [];
+        const errors = [];
+        items.forEach((payload, index) => {
+            try {
+                validItems.push({
+                    ...buildQuestionBankItem(payload),
+                    source: 'import',
+                    createdBy: req.admin._id
+                });
+            } catch (validationError) {
+                errors.push({ index, error: validationError.message });
+            }
+        });
+
+        if (validItems.length > 0) {
+            await QuestionBank.insertMany(validItems);
+        }
+
+        res.json({
+            success: true,
+            message: `Imported ${validItems.length} of ${items.length} items`,
+            imported: validItems.length,
+            errors: errors
+        });
+
+    } catch (error) {
+        logger.error('Error importing question bank items:', error);
+        res.status(500).json({ error: 'Failed to import question bank items' });
+    }
+});
+
+// Edit a question bank item (status can be set back to active to restore a retired item)
+router.put('/api/admin/question-bank/:itemId', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const item = await QuestionBank.findById(itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Question bank item not found' });
+        }
+
+        let itemData;
+        try {
+            itemData = buildQuestionBankItem({
+                assessmentType: req.body.assessmentType || item.assessmentType,
+                topic: req.body.topic !== undefined ? req.body.topic : item.topic,
+                difficulty: req.body.difficulty || item.difficulty,
+                language: req.body.language || item.language,
+                content: req.body.content !== undefined ? req.body.content : item.content
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        Object.assign(item, itemData);
+        if (req.body.status === 'active' || req.body.status === 'retired') {
+            item.status = req.body.status;
+            item.retiredAt = req.body.status === 'retired' ? (item.retiredAt || new Date()) : null;
+        }
+        item.updatedAt = new Date();
+        item.markModified('content');
+        await item.save();
+
+        res.json({
+            success: true,
+            message: 'Question bank item updated',
+            item: item
+        });
+
+    } catch (error) {
+        logger.error('Error updating question bank item:', error);
+        res.status(500).json({ error: 'Failed to update question bank item' });
+    }
+});
+
+// Retire a question bank item so generators stop serving it
+router.post('/api/admin/question-bank/:itemId/retire', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const item = await QuestionBank.findByIdAndUpdate(
+            itemId,
+            { $set: { status: 'retired', retiredAt: new Date(), updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!item) {
+            return res.status(404).json({ error: 'Question bank item not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Question bank item retired',
+            item: item
+        });
+
+    } catch (error) {
+        logger.error('Error retiring question bank item:', error);
+        res.status(500).json({ error: 'Failed to retire question bank item' });
+    }
+});
+
+// Get the bank-only setting and active item count for every section
+router.get('/api/admin/question-bank-settings', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const [settings, counts] = await Promise.all([
+            QuestionBankSetting.find({}).lean(),
+            QuestionBank.aggregate([
+                { $match: { status: 'active' } },
+                { $group: { _id: '$assessmentType', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            settings: QUESTION_BANK_TYPES.map(assessmentType => {
+                const setting = settings.find(s => s.assessmentType === assessmentType);
+                const count = counts.find(c => c._id === assessmentType);
+                return {
+                    assessmentType,
+                    bankOnly: Boolean(setting && setting.bankOnly),
+                    activeItems: count ? count.count : 0
+                };
+            })
+        });
+
+    } catch (error) {
+        logger.error('Error fetching question bank settings:', error);
+        res.status(500).json({ error: 'Failed to fetch question bank settings' });
+    }
+});
+
+// Pin a section to bank-only mode (or release it back to LLM generation)
+router.put('/api/admin/question-bank-settings/:assessmentType', requireAdminAuth, requireSuperAdmin, async (req, res) => {
+    try {
+        const { assessmentType } = req.params;
+        const { bankOnly } = req.body;
+
+        if (!QUESTION_BANK_TYPES.includes(assessmentType)) {
+            return res.status(400).json({ error: 'Invalid assessment type' });
+        }
+
+        if (typeof bankOnly !== 'boolean') {
+            return res.status(400).json({ error: 'bankOnly must be true or false' });
+        }
+
+        if (bankOnly) {
+            const activeItems = await QuestionBank.countDocuments({ assessmentType, status: 'active' });
+            if (activeItems === 0) {
+                return res.status(400).json({ error: 'Add active bank items before pinning this section to bank-only mode' });
+            }
+        }
+
+        const setting = await QuestionBankSetting.findOneAndUpdate(
+            { assessmentType },
+            { $set: { bankOnly, updatedBy: req.admin._id, updatedAt: new Date() } },
+            { new: true, upsert: true }
+        );
+
+        res.json({
+            success: true,
+            message: `${assessmentType} now uses ${bankOnly ? 'question bank content only' : 'LLM generation with bank fallback'}`,
+            setting: setting
+        });
+
+    } catch (error) {
+        logger.error('Error updating question bank setting:', error);
+        res.status(500).json({ error: 'Failed to update question bank setting' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+// Reading Ability section
+const express = require('express');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionTemplate
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const { PRONUNCIATION_ERROR_STATUS, assessSpokenItem } = require('../services/speech');
+const { parseRecordingUpload } = require('../services/storage');
+const { getLocaleContentInstruction, getTemplateSection } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for reading sentences; throws when no provider answers or the reply is unusable
+const requestReadingSentences = async (topic, difficulty, locale, itemCount) => {
+    // Create enhanced prompt with topic and difficulty context
+    const systemPrompt = `You are a helpful assistant that generates simple, clear ${locale.languageName} sentences for pronunciation practice. Generate sentences that are 8-20 words long, appropriate for ${locale.languageName} learners, and focus on common vocabulary and clear pronunciation patterns. ${getLocaleContentInstruction(locale)}
+
+Topic focus: ${topic}
+Difficulty level: ${difficulty}
+
+For ${difficulty} level:
+- Beginner: Use simple vocabulary, basic sentence structures, present tense focus
+- Intermediate: Use moderate vocabulary, varied sentence structures, multiple tenses
+- Advanced: Use sophisticated vocabulary, complex sentence structures, advanced grammar`;
+
+    const userPrompt = `Generate ${itemCount} different ${locale.languageName} sentences for pronunciation practice focused on "${topic}" at ${difficulty} difficulty level. Each sentence should be meaningful, appropriate for the topic, and match the difficulty level. Return them as a JSON array of strings, with each sentence as a separate string in the array. Example: ["sentence 1", "sentence 2", "sentence 3"]`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('sentenceGeneration', [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        {
+            role: "user",
+            content: userPrompt
+        }
+    ], 300, 0.7);
+
+    const sentences = await validateGeneratedContent('reading', completion.choices[0].message.content, { topic, difficulty, locale, itemCount, minItems: itemCount });
+    return sentences.slice(0, itemCount).map(content => content.text);
+};
+
+// Generate the template's number of sentences for reading assessment and store them in session
+const generateReadingContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    // Get or create assessment session
+    const template = await getSessionTemplate(userId, sessionId);
+    const { itemCount } = getTemplateSection(template, 'reading');
+    const locale = AssessmentLocales.getLocale(template.locale);
+
+    // Extract topic and difficulty from the request
+    const { topic, difficulty } = options;
+    const selectedTopic = topic || 'general topics';
+    const selectedDifficulty = difficulty || 'intermediate';
+
+    logger.info(`Generating reading sentences with topic: ${selectedTopic}, difficulty: ${selectedDifficulty}`);
+
+    const bankOnly = await isQuestionBankOnly('reading');
+    let sentences;
+    if (!bankOnly) {
+        const pooled = await checkOutContentPoolItems('reading', { topic: selectedTopic, difficulty: selectedDifficulty, locale, itemCount }, userId);
+        if (pooled) {
+            sentences = pooled.map(item => item.content.text);
+        } else {
+            try {
+                sentences = await requestReadingSentences(selectedTopic, selectedDifficulty, locale, itemCount);
+            } catch (error) {
+                logger.warn('AI reading sentences unavailable or invalid, using question bank sentences...', error.message);
+            }
+        }
+    }
+
+    if (!sentences) {
+        const bankItems = await drawQuestionBankItems('reading', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, itemCount);
+        sentences = bankItems.map(item => item.content.text);
+        if (sentences.length === 0) {
+            throw new Error('No reading sentences available in the question bank');
+        }
+    }
+
+    // Store sentences in session and reset index and accumulated results, including topic and difficulty
+    await storeGeneratedContent(userId, sessionId, 'reading', {
+        'temporaryData.readingSentences': sentences,
+        'temporaryData.currentReadingIndex': 0,
+        'temporaryData.readingResults': [],
+        'temporaryData.selectedTopics.reading': selectedTopic,
+        'temporaryData.selectedDifficulties.reading': selectedDifficulty
+    }, generationJob);
+
+    // Return the first sentence with topic and difficulty info
+    return {
+        sentence: sentences[0],
+        currentIndex: 1,
+        totalSentences: sentences.length,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty
+    };
+};
+
+registerContentGenerator('reading', generateReadingContent);
+registerContentPoolSource('reading', { perItem: true, generate: requestReadingSentences });
+
+router.post('/api/reading/generate-sentence', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateReadingContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Reading generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate reading sentences' });
+    }
+});
+
+// Get next reading sentence from stored session
+router.post('/api/reading/get-next-sentence', requireAuth, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+
+        const sentences = session.temporaryData.readingSentences || [];
+        const currentIndex = session.temporaryData.currentReadingIndex || 0;
+        const nextIndex = currentIndex + 1;
+
+        // Skipped sentences would leave the average over the answered ones only
+        const answered = (session.temporaryData.readingResults || []).some(r => r.sentenceIndex === currentIndex + 1);
+        if (sentences.length > 0 && !answered) {
+            return res.status(409).json({
+                error: 'Record this sentence before moving on',
+                code: 'SENTENCE_NOT_ANSWERED'
+            });
+        }
+
+        if (nextIndex >= sentences.length) {
+            return res.json({
+                complete: true,
+                message: 'All reading sentences completed'
+            });
+        }
+
+        // Update index in session
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.currentReadingIndex': nextIndex
+        });
+
+        res.json({
+            sentence: sentences[nextIndex],
+            currentIndex: nextIndex + 1,
+            totalSentences: sentences.length,
+            complete: false
+        });
+
+    } catch (error) {
+        logger.error('Error getting next reading sentence:', error);
+        res.status(500).json({ error: 'Failed to get next sentence' });
+    }
+});
+
+// Store pronunciation results (called from frontend)
+router.post('/api/reading/store-result', requireAuth, requireAssessmentTimeRemaining, parseRecordingUpload, async (req, res) => {
+    if (!req.file || req.file.size === 0) {
+        return res.status(400).json({ error: 'A recording of the sentence is required' });
+    }
+
+    try {
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+
+        const currentReadingIndex = session.temporaryData.currentReadingIndex || 0;
+        const totalSentences = (session.temporaryData.readingSentences || []).length;
+        // Scored against the sentence the server handed out, not text sent back by the browser
+        const referenceText = (session.temporaryData.readingSentences || [])[currentReadingIndex];
+        if (!referenceText) {
+            return res.status(409).json({ error: 'No reading sentence in progress' });
+        }
+
+        const assessment = await assessSpokenItem({
+            req,
+            session,
+            assessmentType: 'reading',
+            itemIndex: currentReadingIndex + 1,
+            referenceText
+        });
+        const pronunciationScore = assessment.pronunciationScore;
+
+        // Store individual sentence result
+        const sentenceResult = {
+            sentenceIndex: currentReadingIndex + 1,
+            pronunciationScore: assessment.pronunciationScore,
+            accuracyScore: assessment.accuracyScore,
+            fluencyScore: assessment.fluencyScore,
+            completenessScore: assessment.completenessScore,
+            prosodyScore: assessment.prosodyScore,
+            recognizedText: assessment.recognizedText,
+            referenceText: referenceText,
+            words: assessment.words
+        };
+
+        // Add to accumulated results; a retried sentence replaces its earlier result
+        const currentResults = (session.temporaryData.readingResults || [])
+            .filter(r => r.sentenceIndex !== sentenceResult.sentenceIndex);
+        currentResults.push(sentenceResult);
+
+        // Update session with new result
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.readingResults': currentResults
+        });
+
+        // Check if this is the last sentence
+        if (currentReadingIndex >= totalSentences - 1) {
+            // Average over every sentence handed out; one without a result counts as 0
+            const averageScore = (key) => Math.round(currentResults.reduce((sum, r) => sum + r[key], 0) / totalSentences);
+            const avgPronunciation = averageScore('pronunciationScore');
+            const avgAccuracy = averageScore('accuracyScore');
+            const avgFluency = averageScore('fluencyScore');
+            const avgCompleteness = averageScore('completenessScore');
+            const avgProsody = averageScore('prosodyScore');
+
+            // Update user's assessment scores with average
+            const currentScores = { ...req.user.assessmentScores };
+            currentScores.readingAbility = avgPronunciation;
+            await saveAssessmentScores(req.user._id, currentScores);
+
+            // Save detailed results with all sentences
+            await saveDetailedResults(req.user._id, 'reading', avgPronunciation, {
+                pronunciationData: {
+                    pronunciationScore: avgPronunciation,
+                    accuracyScore: avgAccuracy,
+                    fluencyScore: avgFluency,
+                    completenessScore: avgCompleteness,
+                    prosodyScore: avgProsody,
+                    recognizedText: currentResults.map(r => r.recognizedText).join(' | '),
+                    referenceText: currentResults.map(r => r.referenceText).join(' | '),
+                    sentences: currentResults
+                }
+            });
+
+            // Mark assessment as complete
+            await updateAssessmentSession(req.user._id, sessionId, {
+                'assessmentProgress.reading': true
+            });
+
+            logger.info('Reading assessment completed with all sentences:', currentResults.length);
+        }
+
+        res.json({
+            success: true,
+            score: pronunciationScore,
+            result: sentenceResult
+        });
+    } catch (error) {
+        if (PRONUNCIATION_ERROR_STATUS[error.code]) {
+            return res.status(PRONUNCIATION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+        }
+        logger.error('Error storing reading result:', error);
+        res.status(500).json({ error: 'Failed to store result' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+// Candidate speech recordings
+const express = require('express');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { AssessmentAttempt, AssessmentSession, RECORDED_SECTION_TYPES, SpeechRecording, User } = require('../models');
+const { streamSpeechRecording, parseRecordingUpload, storeSpeechRecording } = require('../services/storage');
+const { requireAuth, requireAdminAuth, getAdminUserScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RECORDING_MAX_ITEM_INDEX = 20;
+
+// Upload the candidate's audio for one spoken item of the current attempt
+router.post('/api/assessment/recordings', requireAuth, parseRecordingUpload, async (req, res) => {
+    try {
+        const { assessmentType } = req.body;
+        const itemIndex = parseInt(req.body.itemIndex);
+
+        if (!req.file || req.file.size === 0) {
+            return res.status(400).json({ error: 'audio file is required' });
+        }
+        if (!RECORDED_SECTION_TYPES.includes(assessmentType)) {
+            return res.status(400).json({ error: `assessmentType must be one of: ${RECORDED_SECTION_TYPES.join(', ')}` });
+        }
+        if (!Number.isInteger(itemIndex) || itemIndex < 1 || itemIndex > RECORDING_MAX_ITEM_INDEX) {
+            return res.status(400).json({ error: `itemIndex must be between 1 and ${RECORDING_MAX_ITEM_INDEX}` });
+        }
+
+        const sessionId = req.session.id;
+        const session = await AssessmentSession.findOne({ userId: req.user._id, sessionId });
+        // Finished attempts still take the upload: the last item's audio arrives while the section is being scored
+        const attempt = session && session.attemptId ? await AssessmentAttempt.findById(session.attemptId) : null;
+        if (!attempt) {
+            return res.status(409).json({ error: 'No assessment attempt for this session' });
+        }
+
+        let recording;
+        try {
+            recording = await storeSpeechRecording({
+                userId: req.user._id,
+                attemptId: attempt._id,
+                sessionId,
+                assessmentType,
+                itemIndex,
+                file: req.file
+            });
+        } catch (storeError) {
+            logger.error(`Failed to store ${assessmentType} recording ${itemIndex}:`, storeError);
+            return res.status(422).json({ error: 'Recording could not be processed' });
+        }
+
+        res.json({
+            success: true,
+            recording: {
+                id: recording._id,
+                assessmentType,
+                itemIndex,
+                url: `/api/assessment/recordings/${recording._id}`,
+                expiresAt: recording.expiresAt
+            }
+        });
+    } catch (error) {
+        logger.error('Error storing speech recording:', error);
+        res.status(500).json({ error: 'Failed to store recording' });
+    }
+});
+
+router.get('/api/assessment/recordings/:recordingId', requireAuth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await SpeechRecording.findOne({ _id: req.params.recordingId, userId: req.user._id });
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        await streamSpeechRecording(req, res, recording);
+    } catch (error) {
+        logger.error('Error serving speech recording:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to serve recording' });
+        }
+    }
+});
+
+// Recruiters can only play recordings of their own organization's candidates
+router.get('/api/admin/recordings/:recordingId', requireAdminAuth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await SpeechRecording.findById(req.params.recordingId);
+        const candidate = recording
+            ? await User.exists({ _id: recording.userId, ...getAdminUserScope(req.admin) })
+            : null;
+        if (!candidate) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        await streamSpeechRecording(req, res, recording);
+    } catch (error) {
+        logger.error('Error serving speech recording to admin:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to serve recording' });
+        }
+    }
+});
+
+module.exports = router;
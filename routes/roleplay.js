@@ -0,0 +1,481 @@
+// Role-Play Conversation section
+const express = require('express');
+const logger = require('../config/logger');
+const { countWords, escapeRegExp } = require('../utils/text');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionLocale
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry, parseRubricScores } = require('../services/llm');
+const {
+    normalizeBankDifficulty,
+    normalizeQuestionBankContent,
+    isQuestionBankOnly,
+    drawQuestionBankItems
+} = require('../services/question-bank');
+const { pickLocaleVoice, synthesizeSpeechToMongoDB } = require('../services/speech');
+const { getLocaleContentInstruction, getLocaleGradingInstruction } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The AI speaks first; a conversation has 4-6 exchanges of AI line and spoken answer
+const ROLEPLAY_MIN_EXCHANGES = 4;
+const ROLEPLAY_MAX_EXCHANGES = 6;
+
+// Longest transcript accepted for one spoken answer (about two minutes of speech)
+const ROLEPLAY_MAX_ANSWER_CHARACTERS = 2000;
+
+// Marker the AI appends when its concern has been dealt with and it is ready to end the call
+const ROLEPLAY_END_MARKER = '[END]';
+
+// Rubric criteria, each scored out of 25; the four add up to the section score
+const ROLEPLAY_RUBRIC = [
+    { key: 'responsiveness', label: 'RESPONSIVENESS', description: 'Answers what was actually said or asked, turn by turn, without ignoring questions' },
+    { key: 'empathy', label: 'EMPATHY', description: 'Acknowledges feelings, apologises where appropriate and keeps a respectful tone' },
+    { key: 'clarity', label: 'CLARITY', description: 'Clear, well-organised and easy-to-follow spoken English' },
+    { key: 'problemResolution', label: 'PROBLEM RESOLUTION', description: 'Moves towards a concrete solution with next steps, owners and timelines' }
+];
+
+// Lines used when no LLM can continue the dialogue: follow-ups in order, then a closing line
+const ROLEPLAY_FALLBACK_LINES = {
+    customer: {
+        followUps: [
+            "Okay. But what exactly are you going to do about it?",
+            "And when can I expect that to actually happen?",
+            "What happens if this goes wrong again?",
+            "Is there anything you can offer me for the trouble?",
+            "Will someone keep me updated, or do I have to chase you again?"
+        ],
+        closing: "Alright, thank you for sorting that out. I'll wait to hear from you."
+    },
+    manager: {
+        followUps: [
+            "I see. What do you think caused it?",
+            "What will you do differently from now on?",
+            "How should we handle this with the people affected?",
+            "Do you need anything from me or the team to make that work?",
+            "When can we check in on how it's going?"
+        ],
+        closing: "Okay, that sounds like a reasonable plan. Let's follow up on it next week."
+    }
+};
+
+const getRolePlaySpeakerLabel = (scenario, speaker) => speaker === 'ai'
+    ? `${scenario.personaName} (${scenario.aiRole})`
+    : 'Candidate';
+
+// Plain-text scenario as the candidate saw it, for the grading prompt and the stored result
+const formatRolePlayScenario = (scenario) => {
+    const lines = [`Situation: ${scenario.situation}`];
+    if (scenario.candidateRole) {
+        lines.push(`Candidate's role: ${scenario.candidateRole}`);
+    }
+    lines.push(`Speaking with: ${getRolePlaySpeakerLabel(scenario, 'ai')}`);
+    return lines.join('\n');
+};
+
+const formatRolePlayTranscript = (scenario, turns) => turns
+    .map(turn => `${getRolePlaySpeakerLabel(scenario, turn.speaker)}: ${turn.text}`)
+    .join('\n\n');
+
+// The AI's next line. Past the minimum number of exchanges it may end the call; at the maximum it must.
+const generateRolePlayLine = async (scenario, turns, locale) => {
+    const exchanges = turns.filter(turn => turn.speaker === 'candidate').length;
+    const mustClose = exchanges >= ROLEPLAY_MAX_EXCHANGES;
+    const mayClose = exchanges >= ROLEPLAY_MIN_EXCHANGES;
+
+    const systemPrompt = `You are role-playing ${scenario.personaName}, a ${scenario.aiRole}, in a spoken ${locale.languageName} communication assessment. The candidate plays: ${scenario.candidateRole || 'the person responsible'}.
+
+SITUATION: ${scenario.situation}
+YOUR CHARACTER: ${scenario.personaBrief || `A realistic ${scenario.aiRole} who wants the problem solved.`}
+
+RULES:
+- Stay in character and speak only as ${scenario.personaName}. Never mention that this is an assessment.
+- Speak ${locale.variety}, the way ${scenario.personaName} would on the phone.
+- Reply with ONE spoken turn of one to three sentences. No stage directions, no speaker name, no quotation marks.
+- React to what the candidate actually said: push back on vague answers, ask follow-up questions, and soften when they show empathy and offer a concrete solution.
+${mustClose
+        ? '- This is your last line: close the conversation politely in one or two sentences.'
+        : mayClose
+            ? `- If your concern has been fully dealt with, close the conversation politely and end your line with ${ROLEPLAY_END_MARKER}. Otherwise keep the conversation going.`
+            : '- Do not end the conversation yet; raise a question or concern the candidate still has to address.'}`;
+
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        ...turns.map(turn => ({
+            role: turn.speaker === 'ai' ? 'assistant' : 'user',
+            content: turn.text
+        }))
+    ];
+
+    let text = '';
+    try {
+        // Try the configured LLM providers with retry logic
+        const completion = await callLLMWithRetry('rolePlayDialogue', messages, 150, 0.8);
+        text = completion.choices[0].message.content.trim();
+    } catch (error) {
+        logger.warn('All LLM providers failed for role-play dialogue, using scripted line...');
+    }
+
+    const ended = mustClose || (mayClose && text.includes(ROLEPLAY_END_MARKER));
+    text = text
+        .replace(ROLEPLAY_END_MARKER, '')
+        .replace(new RegExp(`^${escapeRegExp(scenario.personaName)}\\s*:\\s*`, 'i'), '')
+        .replace(/^["“]|["”]$/g, '')
+        .trim();
+
+    if (!text) {
+        const fallback = ROLEPLAY_FALLBACK_LINES[scenario.aiRole];
+        text = mustClose ? fallback.closing : fallback.followUps[(exchanges - 1) % fallback.followUps.length];
+    }
+
+    return { text, ended };
+};
+
+// Rough rubric scores from the transcript alone, used when no LLM is reachable
+const scoreRolePlayHeuristically = (turns) => {
+    const answers = turns.filter(turn => turn.speaker === 'candidate').map(turn => turn.text);
+    const allText = answers.join(' ');
+    const averageWords = answers.length > 0 ? countWords(allText) / answers.length : 0;
+    const answersWith = (pattern) => answers.filter(answer => pattern.test(answer)).length;
+
+    const empathyAnswers = answersWith(/\b(sorry|apologi[sz]e|understand|frustrat|appreciate|thank)/i);
+    const solutionAnswers = answersWith(/\b(will|can|going to|by (monday|tuesday|wednesday|thursday|friday|tomorrow|today|next)|refund|replace|schedule|update|follow up|arrange|credit|discount)\b/i);
+    const completion = Math.min(1, answers.length / ROLEPLAY_MIN_EXCHANGES);
+
+    const criteria = {
+        responsiveness: Math.round((averageWords >= 15 ? 18 : averageWords >= 8 ? 14 : 9) * completion),
+        empathy: Math.min(22, 8 + empathyAnswers * 5),
+        clarity: averageWords >= 8 && averageWords <= 80 ? 16 : 11,
+        problemResolution: Math.min(22, 6 + solutionAnswers * 4)
+    };
+    const score = Object.values(criteria).reduce((sum, value) => sum + value, 0);
+
+    const feedback = `SCORE: ${score}/100
+
+${ROLEPLAY_RUBRIC.map(criterion => `${criterion.label}: ${criteria[criterion.key]}/25`).join('\n')}
+
+**STRENGTHS:**
+- You took part in ${answers.length} of at least ${ROLEPLAY_MIN_EXCHANGES} exchanges.
+- ${empathyAnswers > 0 ? 'You acknowledged the other person\'s feelings during the conversation.' : 'You kept the conversation going.'}
+
+**AREAS FOR IMPROVEMENT:**
+1. ${empathyAnswers > 0 ? 'Keep acknowledging feelings before moving to the solution.' : 'Acknowledge how the other person feels and apologise where it is appropriate.'}
+2. ${solutionAnswers >= 2 ? 'Confirm next steps and timelines at the end of the call.' : 'Offer a concrete solution with a clear next step and timeline.'}
+3. Answer each question directly before adding more detail.
+
+**FINAL ASSESSMENT:**
+This score is an automatic estimate based on the length of your answers and the language of empathy and resolution they contain.`;
+
+    return { criteria, score, feedback };
+};
+
+// Ask the LLM for a role-play scenario; throws when no provider answers or the reply is invalid
+const requestRoleplayScenario = async (topic, difficulty, locale) => {
+    const difficultyPrompts = {
+        beginner: 'a polite person with a simple problem that has an obvious fix',
+        intermediate: 'an annoyed but reasonable person with a problem that needs a clear plan',
+        advanced: 'an upset, demanding person who pushes back on vague answers and has a problem with no perfect fix'
+    };
+
+    const prompt = `Create a spoken role-play scenario for a customer-facing communication assessment.
+
+Topic: ${topic}
+The AI plays: ${difficultyPrompts[difficulty]}
+
+Respond with a JSON object with this exact structure:
+{
+  "aiRole": "customer" or "manager",
+  "personaName": "Name of the person the AI plays",
+  "candidateRole": "The candidate's job in this scenario",
+  "situation": "Two or three sentences telling the candidate what has happened",
+  "personaBrief": "Hidden instructions for the AI: what the person knows, feels and wants, and what would satisfy them",
+  "openingLine": "The first thing the person says, one to three sentences"
+}
+
+${getLocaleContentInstruction(locale)} Keep the JSON keys, and the "customer" or "manager" value of "aiRole", exactly as shown.`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: "You are an expert in customer service and workplace communication training who writes realistic role-play scenarios. Always respond with valid JSON format."
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ], 600, 0.8);
+
+    return validateGeneratedContent('roleplay', completion.choices[0].message.content, { topic, difficulty, locale });
+};
+
+// Set up a role-play scenario and speak the AI's opening line
+const generateRoleplayContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    const { topic, difficulty } = options;
+
+    const selectedTopic = topic || 'Escalated complaints';
+    const selectedDifficulty = normalizeBankDifficulty(difficulty) || 'intermediate';
+    const locale = await getSessionLocale(userId, sessionId);
+
+    const bankOnly = await isQuestionBankOnly('roleplay');
+    let scenario;
+    let openingAudio;
+    if (!bankOnly) {
+        // A pooled opening line was spoken when it was generated, in the voice the rest of the conversation keeps
+        const pooled = await checkOutContentPoolItems('roleplay', { topic: selectedTopic, difficulty: selectedDifficulty, locale }, userId);
+        if (pooled) {
+            scenario = pooled[0].content;
+            openingAudio = pooled[0].audio;
+        } else {
+            try {
+                [scenario] = await requestRoleplayScenario(selectedTopic, selectedDifficulty, locale);
+            } catch (error) {
+                logger.warn('AI role-play scenario unavailable or invalid, using question bank scenario...', error.message);
+            }
+        }
+    }
+
+    if (!scenario) {
+        const [bankItem] = await drawQuestionBankItems('roleplay', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, 1);
+        if (!bankItem) {
+            throw new Error('No role-play scenarios available in the question bank');
+        }
+        scenario = normalizeQuestionBankContent('roleplay', bankItem.content);
+    }
+
+    if (!openingAudio) {
+        // The same voice speaks every line of the conversation
+        const voice = pickLocaleVoice(locale.code);
+        openingAudio = {
+            voice,
+            audioUrl: await synthesizeSpeechToMongoDB(scenario.openingLine, `roleplay_${Date.now()}_1.mp3`, userId, 'roleplay', { localeCode: locale.code, voice })
+        };
+    }
+    const { voice, audioUrl } = openingAudio;
+
+    // Store the dialogue state in session
+    await storeGeneratedContent(userId, sessionId, 'roleplay', {
+        'temporaryData.rolePlay': {
+            scenario,
+            difficulty: selectedDifficulty,
+            voice,
+            turns: [{ speaker: 'ai', text: scenario.openingLine }],
+            complete: false
+        },
+        'temporaryData.selectedTopics.roleplay': selectedTopic,
+        'temporaryData.selectedDifficulties.roleplay': selectedDifficulty
+    }, generationJob);
+
+    return {
+        success: true,
+        // The persona brief stays on the server
+        scenario: {
+            aiRole: scenario.aiRole,
+            personaName: scenario.personaName,
+            candidateRole: scenario.candidateRole,
+            situation: scenario.situation
+        },
+        turn: { text: scenario.openingLine, audioUrl },
+        exchange: 1,
+        minExchanges: ROLEPLAY_MIN_EXCHANGES,
+        maxExchanges: ROLEPLAY_MAX_EXCHANGES,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty,
+        timestamp: new Date().toISOString()
+    };
+};
+
+registerContentGenerator('roleplay', generateRoleplayContent);
+registerContentPoolSource('roleplay', {
+    generate: requestRoleplayScenario,
+    speech: (content, difficulty, locale) => ({ text: content.openingLine, voice: pickLocaleVoice(locale.code) })
+});
+
+router.post('/api/roleplay/start', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateRoleplayContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Role-play generation error:', error.message);
+        res.status(500).json({ error: 'Failed to start role-play conversation' });
+    }
+});
+
+// Add the candidate's spoken answer to the dialogue and speak the AI's reply
+router.post('/api/roleplay/respond', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const spokenResponse = String(req.body.spokenResponse || '').trim();
+
+        if (!spokenResponse) {
+            return res.status(400).json({ error: 'Response is missing' });
+        }
+        if (spokenResponse.length > ROLEPLAY_MAX_ANSWER_CHARACTERS) {
+            return res.status(400).json({ error: `Response must be at most ${ROLEPLAY_MAX_ANSWER_CHARACTERS} characters` });
+        }
+
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const rolePlay = session.temporaryData.rolePlay;
+
+        if (!rolePlay) {
+            return res.status(400).json({ error: 'No role-play found in session. Please start one first.' });
+        }
+        if (rolePlay.complete) {
+            return res.status(409).json({ error: 'The role-play conversation has already ended' });
+        }
+
+        const turns = [...rolePlay.turns, { speaker: 'candidate', text: spokenResponse }];
+        const exchanges = turns.filter(turn => turn.speaker === 'candidate').length;
+        const locale = await getSessionLocale(req.user._id, sessionId);
+        const { text, ended } = await generateRolePlayLine(rolePlay.scenario, turns, locale);
+
+        const audioUrl = await synthesizeSpeechToMongoDB(text, `roleplay_${Date.now()}_${exchanges + 1}.mp3`, req.user._id, 'roleplay', {
+            localeCode: locale.code,
+            voice: rolePlay.voice || undefined
+        });
+        turns.push({ speaker: 'ai', text });
+
+        // Saved only once the reply is spoken, so a failed request can be retried with the same answer
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'temporaryData.rolePlay': { ...rolePlay, turns, complete: ended }
+        });
+
+        res.json({
+            success: true,
+            turn: { text, audioUrl },
+            exchange: exchanges + 1,
+            complete: ended,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Role-play response error:', error.message);
+        res.status(500).json({ error: 'Failed to continue role-play conversation' });
+    }
+});
+
+// Grade the whole conversation against the rubric
+router.post('/api/roleplay/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    try {
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const rolePlay = session.temporaryData.rolePlay;
+
+        if (!rolePlay || !rolePlay.turns.some(turn => turn.speaker === 'candidate')) {
+            return res.status(400).json({ error: 'No role-play answers found in session. Please answer at least once first.' });
+        }
+
+        const { scenario, turns } = rolePlay;
+        const exchanges = turns.filter(turn => turn.speaker === 'candidate').length;
+        const scenarioText = formatRolePlayScenario(scenario);
+        const transcript = formatRolePlayTranscript(scenario, turns);
+        const locale = await getSessionLocale(req.user._id, sessionId);
+
+        const prompt = `Grade the candidate in this spoken role-play from a ${locale.languageName} communication assessment. The candidate's answers were transcribed from speech, so ignore transcription punctuation. ${getLocaleGradingInstruction(locale)}
+
+SCENARIO:
+${scenarioText}
+What the ${scenario.aiRole} wanted: ${scenario.personaBrief || 'a clear, fair solution to the problem'}
+
+TRANSCRIPT (${exchanges} candidate turn${exchanges === 1 ? '' : 's'}${rolePlay.complete ? '' : ', ended before the conversation was finished'}):
+${transcript}
+
+RUBRIC - score each criterion out of 25 over the whole conversation:
+${ROLEPLAY_RUBRIC.map(criterion => `- ${criterion.label}: ${criterion.description}`).join('\n')}
+
+If the candidate answered fewer than ${ROLEPLAY_MIN_EXCHANGES} times, PROBLEM RESOLUTION may not exceed 12/25.
+
+PROVIDE FEEDBACK IN THIS FORMAT:
+
+SCORE: [sum of the four criteria]/100
+
+${ROLEPLAY_RUBRIC.map(criterion => `${criterion.label}: [X]/25`).join('\n')}
+
+**STRENGTHS:**
+- [What the candidate did well, quoting the transcript]
+
+**AREAS FOR IMPROVEMENT:**
+1. [Specific moment] - [What a stronger reply would have said]
+2. [Specific moment] - [What a stronger reply would have said]
+
+**FINAL ASSESSMENT:**
+[One paragraph on how ready the candidate is for customer-facing conversations]`;
+
+        let completion;
+        let feedback;
+        try {
+            // Try the configured LLM providers with retry logic
+            completion = await callLLMWithRetry('rolePlayEvaluation', [
+                {
+                    role: "system",
+                    content: "You are a customer service and workplace communication coach who grades role-play conversations strictly and consistently against a rubric."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ], 900, 0.2);
+
+            feedback = completion.choices[0].message.content;
+        } catch (error) {
+            logger.warn('All LLM providers failed for role-play evaluation, using fallback scoring...');
+            feedback = scoreRolePlayHeuristically(turns).feedback;
+        }
+
+        // The criteria are the score; the SCORE line is only used when a criterion could not be read
+        const criteria = parseRubricScores(feedback, ROLEPLAY_RUBRIC, 25);
+        let score;
+        if (criteria) {
+            score = Object.values(criteria).reduce((sum, value) => sum + value, 0);
+        } else {
+            const scoreMatch = feedback.match(/SCORE:\s*(\d+)/i);
+            score = scoreMatch ? Math.min(parseInt(scoreMatch[1], 10), 100) : 50;
+        }
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.rolePlayConversation = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'roleplay', score, {
+            aiEvaluation: {
+                feedback: feedback,
+                originalContent: scenarioText,
+                userResponse: transcript
+            }
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.roleplay': true,
+            'temporaryData.rolePlay.complete': true
+        });
+
+        res.json({
+            success: true,
+            score,
+            criteria,
+            exchanges,
+            feedback,
+            model: completion ? completion.model : 'fallback',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Role-play evaluation error:', error.message);
+        res.status(500).json({ error: 'Failed to evaluate role-play conversation' });
+    }
+});
+
+module.exports = router;
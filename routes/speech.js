@@ -0,0 +1,76 @@
+// Generated audio and browser speech recognition tokens
+const express = require('express');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { getGridFSBucket } = require('../config/database');
+const { AudioFile } = require('../models');
+const { azureSpeech } = require('../services/speech');
+const { requireAuth } = require('../middleware/auth');
+const { azureConfigLimiter } = require('../middleware/rate-limit');
+
+const router = express.Router();
+
+// Serve audio files from MongoDB
+router.get('/api/audio/:fileId', requireAuth, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+
+        // Verify the audio file belongs to the current user or is valid
+        const audioFile = await AudioFile.findOne({
+            fileId: new mongoose.Types.ObjectId(fileId),
+            userId: req.user._id
+        });
+
+        if (!audioFile) {
+            return res.status(404).json({ error: 'Audio file not found' });
+        }
+
+        // Stream the file from GridFS
+        const downloadStream = getGridFSBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId));
+
+        // Set appropriate headers
+        res.set({
+            'Content-Type': 'audio/mpeg',
+            'Content-Disposition': `inline; filename="${audioFile.filename}"`
+        });
+
+        downloadStream.pipe(res);
+
+        downloadStream.on('error', (error) => {
+            logger.error('Error streaming audio file:', error);
+            res.status(500).json({ error: 'Error streaming audio file' });
+        });
+
+    } catch (error) {
+        logger.error('Error serving audio file:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get Azure Speech token for frontend (secure approach)
+router.get('/api/azure-config', azureConfigLimiter, requireAuth, async (req, res) => {
+    try {
+        // Generate a temporary token instead of exposing the API key
+        const tokenResponse = await axios.post(
+            azureSpeech.tokenEndpoint,
+            null,
+            {
+                headers: {
+                    'Ocp-Apim-Subscription-Key': azureSpeech.key,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            }
+        );
+
+        res.json({
+            token: tokenResponse.data,
+            region: azureSpeech.region
+        });
+    } catch (error) {
+        logger.error('Error generating Azure token:', error);
+        res.status(500).json({ error: 'Failed to generate Azure token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+// Story Summarization section
+const express = require('express');
+const logger = require('../config/logger');
+const {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    saveAssessmentScores,
+    saveDetailedResults,
+    getSessionLocale
+} = require('../services/assessment-session');
+const { checkOutContentPoolItems, registerContentPoolSource } = require('../services/content-pool');
+const { validateGeneratedContent } = require('../services/content-validation');
+const { registerContentGenerator, storeGeneratedContent } = require('../services/generation-jobs');
+const { callLLMWithRetry } = require('../services/llm');
+const { isQuestionBankOnly, drawQuestionBankItems } = require('../services/question-bank');
+const {
+    pickAccentVoices,
+    getDifficultyProsody,
+    getBackgroundNoiseAmplitude,
+    synthesizeSpeechToMongoDB,
+    describeTtsAudio
+} = require('../services/speech');
+const { cleanupUserAudioFiles } = require('../services/storage');
+const { getLocaleContentInstruction, getLocaleGradingInstruction } = require('../services/templates');
+const { requireAssessmentTimeRemaining } = require('../middleware/assessment-time');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ask the LLM for a story; throws when no provider answers or the story fails validation
+const requestStory = async (topic, difficulty, locale) => {
+    // Create difficulty-appropriate prompts
+    const difficultyPrompts = {
+        beginner: "Tell me a very simple short story suitable for a 3rd grader. Use basic vocabulary and simple sentences. Around 50-60 words.",
+        intermediate: "Tell me a short story suitable for a 5th grader. Make it interesting but simple to understand and summarize. Around 60-80 words.",
+        advanced: "Tell me a moderately complex short story suitable for a 7th grader. Use varied vocabulary and sentence structures. Around 80-100 words."
+    };
+
+    const userPrompt = `${difficultyPrompts[difficulty]} The story should be about: ${topic}`;
+
+    // Try the configured LLM providers with retry logic
+    const completion = await callLLMWithRetry('contentGeneration', [
+        {
+            role: "system",
+            content: `You are a storyteller that creates engaging short stories suitable for comprehension assessment. Create stories based on the specified topic and difficulty level. Stories should have a clear beginning, middle, and end, and be appropriate for the target difficulty level. ${getLocaleContentInstruction(locale)}`
+        },
+        {
+            role: "user",
+            content: userPrompt
+        }
+    ], 150, 0.7);
+
+    const [story] = await validateGeneratedContent('story', completion.choices[0].message.content, { topic, difficulty, locale });
+    return [story.text];
+};
+
+// Story audio gets one accent voice, paced and noised for the difficulty
+const getStorySpeech = (difficulty, locale) => ({
+    voice: pickAccentVoices(locale.code, 1)[0],
+    prosody: getDifficultyProsody(difficulty),
+    noiseAmplitude: getBackgroundNoiseAmplitude(difficulty)
+});
+
+// Generate story and convert to audio
+const generateStoryContent = async (userId, sessionId, options = {}, generationJob = null) => {
+    // Extract topic and difficulty from the request
+    const { topic, difficulty } = options;
+
+    // Default values if not provided
+    const selectedTopic = topic || 'general stories';
+    const selectedDifficulty = difficulty || 'intermediate';
+
+    logger.info(`Generating story with topic: ${selectedTopic}, difficulty: ${selectedDifficulty}`);
+
+    // Get or create assessment session
+    const session = await getOrCreateAssessmentSession(userId, sessionId);
+    const locale = await getSessionLocale(userId, sessionId);
+
+    const bankOnly = await isQuestionBankOnly('story');
+    let storyText;
+    let storyAudio;
+    if (!bankOnly) {
+        // A pooled story was spoken when it was generated
+        const pooled = await checkOutContentPoolItems('story', { topic: selectedTopic, difficulty: selectedDifficulty, locale }, userId);
+        if (pooled) {
+            storyText = pooled[0].content.text;
+            storyAudio = pooled[0].audio;
+        } else {
+            try {
+                [storyText] = await requestStory(selectedTopic, selectedDifficulty, locale);
+            } catch (error) {
+                logger.warn('All LLM providers failed for story, using question bank story...');
+            }
+        }
+    }
+
+    if (!storyText) {
+        const [bankItem] = await drawQuestionBankItems('story', { topic: selectedTopic, difficulty: selectedDifficulty, language: locale.language }, 1);
+        if (!bankItem) {
+            throw new Error('No stories available in the question bank');
+        }
+        storyText = bankItem.content.text;
+    }
+
+    if (!storyAudio) {
+        // Convert story to speech using Azure TTS and save it to MongoDB
+        const speech = getStorySpeech(selectedDifficulty, locale);
+        storyAudio = {
+            ...speech,
+            audioUrl: await synthesizeSpeechToMongoDB(storyText, `story_${Date.now()}.mp3`, userId, 'story', {
+                localeCode: locale.code,
+                ...speech
+            })
+        };
+    }
+
+    // Store story for evaluation in session
+    await storeGeneratedContent(userId, sessionId, 'story', {
+        'temporaryData.currentStory': storyText,
+        'temporaryData.currentStoryAudio': describeTtsAudio(1, storyAudio.voice, storyAudio.prosody, storyAudio.noiseAmplitude)
+    }, generationJob);
+
+    return {
+        story: storyText,
+        audioUrl: storyAudio.audioUrl,
+        topic: selectedTopic,
+        difficulty: selectedDifficulty
+    };
+};
+
+registerContentGenerator('story', generateStoryContent);
+registerContentPoolSource('story', {
+    generate: requestStory,
+    speech: (content, difficulty, locale) => ({ text: content.text, ...getStorySpeech(difficulty, locale) })
+});
+
+router.post('/api/story/generate', requireAuth, async (req, res) => {
+    try {
+        res.json(await generateStoryContent(req.user._id, req.session.id, req.body));
+    } catch (error) {
+        logger.error('Story generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate story and audio' });
+    }
+});
+
+// Evaluate user's story summary
+router.post('/api/story/evaluate', requireAuth, requireAssessmentTimeRemaining, async (req, res) => {
+    const { userSummary } = req.body;
+
+    if (!userSummary) {
+        return res.status(400).json({ error: 'Summary is missing' });
+    }
+
+    try {
+        // Get the current story from session
+        const sessionId = req.session.id;
+        const session = await getOrCreateAssessmentSession(req.user._id, sessionId);
+        const originalStory = session.temporaryData.currentStory;
+
+        if (!originalStory) {
+            return res.status(400).json({ error: 'No story found in session. Please generate a story first.' });
+        }
+        const locale = await getSessionLocale(req.user._id, sessionId);
+        let completion;
+        try {
+            // Try the configured LLM providers with retry logic
+            completion = await callLLMWithRetry('storyEvaluation', [
+                {
+                    role: "system",
+                    content: `You are an assistant that evaluates a user's summary of a story. Provide a score out of 100 and detailed feedback focusing on completeness, accuracy, clarity, and understanding. ${getLocaleGradingInstruction(locale)}`
+                },
+                {
+                    role: "user",
+                    content: `Original Story:\n${originalStory}\n\nUser's Summary:\n${userSummary}\n\nEvaluate this summary and provide:\n1. A score out of 100\n2. Detailed feedback on what was good and what could be improved\n3. Assessment of key story elements captured\n\nFormat: Start with "SCORE: [number]/100" then provide detailed feedback.`
+                }
+            ], 300, 0.3);
+        } catch (error) {
+            logger.warn('All LLM providers failed for story evaluation, using fallback scoring...');
+            // Fallback scoring based on basic text analysis
+            const summaryWords = userSummary.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+            const storyWords = originalStory.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+
+            // Simple keyword matching for basic scoring
+            let matchCount = 0;
+            summaryWords.forEach(word => {
+                if (storyWords.includes(word)) matchCount++;
+            });
+
+            const score = Math.min(Math.max(Math.round((matchCount / Math.max(storyWords.length * 0.3, 1)) * 100), 30), 85);
+            const feedback = `SCORE: ${score}/100\n\nYour summary captured some key elements of the story. ${score >= 70 ? 'Good job identifying the main points!' : 'Try to include more specific details from the story.'} Focus on the main characters, setting, and key events when summarizing.`;
+
+            completion = { choices: [{ message: { content: feedback } }] };
+        }
+
+        const feedback = completion.choices[0].message.content;
+
+        // Extract score from feedback
+        const scoreMatch = feedback.match(/SCORE:\s*(\d+)/i);
+        const score = scoreMatch ? parseInt(scoreMatch[1]) : 50;
+
+        // Update user's assessment scores
+        const currentScores = { ...req.user.assessmentScores };
+        currentScores.storySummarization = score;
+
+        // Save to user's database record
+        await saveAssessmentScores(req.user._id, currentScores);
+
+        // Save detailed results
+        await saveDetailedResults(req.user._id, 'story', score, {
+            aiEvaluation: {
+                feedback: feedback,
+                originalContent: originalStory,
+                userResponse: userSummary
+            },
+            audioItems: session.temporaryData.currentStoryAudio ? [session.temporaryData.currentStoryAudio] : []
+        });
+
+        // Update session progress
+        await updateAssessmentSession(req.user._id, sessionId, {
+            'assessmentProgress.story': true
+        });
+
+        // Cleanup audio files for completed story assessment
+        await cleanupUserAudioFiles(req.user._id, 'story');
+
+        res.json({
+            score,
+            feedback,
+            originalStory
+        });
+
+    } catch (error) {
+        logger.error('Story evaluation error:', error.message);
+        res.status(500).json({ error: 'Failed to evaluate story summary' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// Account rules shared by signup, invitations and credit spending
+const { Organization } = require('../models');
+
+// Validate a new account's username and password; returns an error payload or null
+const validateAccountCredentials = (username, password) => {
+    if (username.length < 3 || username.length > 30) {
+        return { error: 'Username must be between 3 and 30 characters', field: 'username' };
+    }
+
+    // Check if username contains only valid characters (alphanumeric and underscore)
+    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
+        return { error: 'Username can only contain letters, numbers, and underscores', field: 'username' };
+    }
+
+    if (password.length < 8) {
+        return { error: 'Password must be at least 8 characters long', field: 'password' };
+    }
+
+    // Check password strength
+    const hasUppercase = /[A-Z]/.test(password);
+    const hasLowercase = /[a-z]/.test(password);
+    const hasNumbers = /\d/.test(password);
+    const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+
+    if (!hasUppercase || !hasLowercase || !hasNumbers || !hasSpecialChar) {
+        return { error: 'Password must contain uppercase, lowercase, number, and special character', field: 'password' };
+    }
+
+    return null;
+};
+
+// Atomically take credits from an organization's pool; returns null when the balance is too low
+const deductOrganizationCredits = async (organizationId, tests, transactions) => {
+    return Organization.findOneAndUpdate(
+        { _id: organizationId, creditBalance: { $gte: tests } },
+        {
+            $inc: { creditBalance: -tests },
+            $push: { creditTransactions: { $each: transactions } }
+        },
+        { new: true }
+    );
+};
+
+module.exports = { validateAccountCredentials, deductOrganizationCredits };
@@ -0,0 +1,305 @@
+// Assessment sessions, attempts and the per-section results saved as candidates finish sections
+const AssessmentScoring = require('../public/js/scoring');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    ASSESSMENT_SECTION_KEYS,
+    AssessmentAttempt,
+    AssessmentSession,
+    AssessmentTemplate,
+    DetailedResults,
+    User
+} = require('../models');
+const { resolveAssessmentTemplate, getTemplateScoringConfig, evaluateAttemptScores } = require('./templates');
+
+// Helper functions for assessment session management
+const getOrCreateAssessmentSession = async (userId, sessionId) => {
+    try {
+        let session = await AssessmentSession.findOne({
+            userId: userId,
+            sessionId: sessionId
+        });
+
+        if (!session) {
+            session = new AssessmentSession({
+                userId: userId,
+                sessionId: sessionId,
+                temporaryData: {
+                    jumbledQuestions: [],
+                    currentJumbledIndex: 0,
+                    currentStory: null,
+                    currentStoryAudio: null,
+                    currentQuestion: null,
+                    currentComprehension: null,
+                    currentFillBlanks: [],
+                    currentEmailScenario: null,
+                    dictationSentences: [],
+                    rolePlay: null
+                }
+            });
+            await session.save();
+        }
+
+        return session;
+    } catch (error) {
+        logger.error('Error getting/creating assessment session:', error);
+        throw error;
+    }
+};
+
+const updateAssessmentSession = async (userId, sessionId, updates) => {
+    try {
+        let session = await AssessmentSession.findOneAndUpdate(
+            { userId: userId, sessionId: sessionId },
+            { $set: updates },
+            { new: true, upsert: false }
+        );
+
+        // If session doesn't exist, create it first then apply updates
+        if (!session) {
+            session = await getOrCreateAssessmentSession(userId, sessionId);
+            session = await AssessmentSession.findOneAndUpdate(
+                { userId: userId, sessionId: sessionId },
+                { $set: updates },
+                { new: true, upsert: false }
+            );
+        }
+
+        return session;
+    } catch (error) {
+        logger.error('Error updating assessment session:', error);
+        throw error;
+    }
+};
+
+const clearAssessmentSession = async (userId, sessionId) => {
+    try {
+        await AssessmentSession.findOneAndDelete({
+            userId: userId,
+            sessionId: sessionId
+        });
+    } catch (error) {
+        logger.error('Error clearing assessment session:', error);
+    }
+};
+
+// Save assessment scores to user
+const saveAssessmentScores = async (userId, scores, incrementTestsTaken = false) => {
+    try {
+        const updateQuery = {
+            $set: { assessmentScores: scores }
+        };
+
+        // Increment testsTaken if this is a completed test
+        if (incrementTestsTaken) {
+            updateQuery.$inc = { testsTaken: 1 };
+        }
+
+        await User.findByIdAndUpdate(userId, updateQuery);
+    } catch (error) {
+        logger.error('Error saving assessment scores:', error);
+        throw error;
+    }
+};
+
+// Get the attempt currently being recorded for a user (most recent in-progress one)
+const getActiveAssessmentAttempt = async (userId) => {
+    return AssessmentAttempt.findOne({ userId: userId, status: 'in_progress' }).sort({ startedAt: -1 });
+};
+
+// Start a new assessment attempt, closing any attempt the user left unfinished
+const startAssessmentAttempt = async (userId, sessionId, testNumber, { inviteId = null, template = null } = {}) => {
+    try {
+        const unfinishedAttempts = await AssessmentAttempt.find({ userId: userId, status: 'in_progress' });
+        for (const unfinished of unfinishedAttempts) {
+            await finalizeAssessmentAttempt(unfinished, 'abandoned');
+        }
+
+        const attempt = new AssessmentAttempt({
+            userId: userId,
+            sessionId: sessionId,
+            testNumber: testNumber,
+            inviteId: inviteId,
+            templateId: template && template._id ? template._id : null,
+            locale: AssessmentLocales.getLocale(template && template.locale).code,
+            sections: template ? template.sections.map(section => section.key) : AssessmentScoring.STANDARD_SECTIONS,
+            scoringConfig: template ? getTemplateScoringConfig(template) : null
+        });
+        await attempt.save();
+
+        logger.info(`Assessment attempt ${attempt._id} started for user ${userId} (test #${testNumber})`);
+        return attempt;
+    } catch (error) {
+        logger.error('Error starting assessment attempt:', error);
+        throw error;
+    }
+};
+
+// Close an attempt: snapshot topics/difficulties from its session and compute the overall score
+const finalizeAssessmentAttempt = async (attempt, status = 'completed') => {
+    try {
+        if (!attempt) return null;
+
+        const session = await AssessmentSession.findOne({ attemptId: attempt._id });
+        if (session && session.temporaryData) {
+            attempt.selectedTopics = session.temporaryData.selectedTopics || {};
+            attempt.selectedDifficulties = session.temporaryData.selectedDifficulties || {};
+        }
+
+        // Unattempted sections of the template count as 0, matching the overall score shown to the candidate
+        const evaluation = evaluateAttemptScores(attempt);
+        attempt.overallScore = evaluation.overallScore;
+        attempt.passed = evaluation.passed;
+        attempt.cefrLevel = evaluation.cefrLevel;
+
+        if (attempt.status === 'in_progress') {
+            attempt.status = status;
+            attempt.completedAt = new Date();
+        }
+
+        await attempt.save();
+        logger.info(`Assessment attempt ${attempt._id} finalized as ${attempt.status} with overall score ${attempt.overallScore} (${attempt.cefrLevel}, ${attempt.passed ? 'passed' : 'not passed'})`);
+        return attempt;
+    } catch (error) {
+        logger.error('Error finalizing assessment attempt:', error);
+        throw error;
+    }
+};
+
+// Save detailed assessment results against the user's active attempt
+const saveDetailedResults = async (userId, assessmentType, score, detailedData) => {
+    try {
+        const attempt = await getActiveAssessmentAttempt(userId);
+        const attemptId = attempt ? attempt._id : null;
+
+        // Replace an earlier result for this section within the same attempt only;
+        // results from previous attempts are kept as history
+        await DetailedResults.deleteMany({ userId, assessmentType, attemptId });
+
+        // Save new detailed results
+        const detailedResult = new DetailedResults({
+            userId,
+            attemptId,
+            assessmentType,
+            score,
+            ...detailedData
+        });
+
+        await detailedResult.save();
+
+        if (attempt) {
+            await AssessmentAttempt.findByIdAndUpdate(attemptId, {
+                $set: { [`sectionScores.${getScoreFieldName(assessmentType)}`]: score },
+                $addToSet: { completedSections: assessmentType }
+            });
+        }
+
+        logger.info(`Detailed results saved for ${assessmentType} assessment`);
+    } catch (error) {
+        logger.error('Error saving detailed assessment results:', error);
+        throw error;
+    }
+};
+
+// Template bound to an assessment session, binding the resolved one if the session has none yet
+const getSessionTemplate = async (userId, sessionId) => {
+    const session = await getOrCreateAssessmentSession(userId, sessionId);
+
+    if (session.templateId) {
+        const template = await AssessmentTemplate.findById(session.templateId);
+        if (template) {
+            return template;
+        }
+    }
+
+    const template = await resolveAssessmentTemplate(userId);
+    if (template._id) {
+        await updateAssessmentSession(userId, sessionId, { templateId: template._id });
+    }
+
+    return template;
+};
+
+// Locale of the template bound to an assessment session, with its voices and prompt wording
+const getSessionLocale = async (userId, sessionId) => {
+    const template = await getSessionTemplate(userId, sessionId);
+    return AssessmentLocales.getLocale(template.locale);
+};
+
+// Reset unattempted sections to 0 in user's assessment scores
+const resetUnattemptedSectionsToZero = async (userId, session) => {
+    try {
+        // Get current user data
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // Define all assessment types
+        const allAssessmentTypes = ASSESSMENT_SECTION_KEYS;
+        
+        // Get current scores
+        const currentScores = { ...user.assessmentScores };
+        
+        // Check which sections were completed based on session progress and the attempt's detailed results
+        const completedSections = [];
+        const attempt = session && session.attemptId ? await AssessmentAttempt.findById(session.attemptId) : null;
+        
+        if (session && session.assessmentProgress) {
+            for (const assessmentType of allAssessmentTypes) {
+                const isCompletedInSession = session.assessmentProgress[assessmentType];
+                const hasDetailedResults = attempt
+                    ? attempt.completedSections.includes(assessmentType)
+                    : await DetailedResults.exists({ userId: userId, assessmentType: assessmentType });
+                
+                if (isCompletedInSession || hasDetailedResults) {
+                    completedSections.push(assessmentType);
+                }
+            }
+        }
+
+        // Reset unattempted sections to 0
+        let hasChanges = false;
+        for (const assessmentType of allAssessmentTypes) {
+            if (!completedSections.includes(assessmentType)) {
+                const scoreField = getScoreFieldName(assessmentType);
+                if (currentScores[scoreField] !== 0) {
+                    currentScores[scoreField] = 0;
+                    hasChanges = true;
+                    logger.info(`Reset ${assessmentType} score to 0 (was unattempted)`);
+                }
+            }
+        }
+
+        // Update database if there were changes
+        if (hasChanges) {
+            await saveAssessmentScores(userId, currentScores);
+            logger.info(`Updated assessment scores for user ${userId} - reset ${allAssessmentTypes.length - completedSections.length} unattempted sections to 0`);
+        }
+
+        return { completedSections, resetSections: allAssessmentTypes.length - completedSections.length };
+    } catch (error) {
+        logger.error('Error resetting unattempted sections:', error);
+        throw error;
+    }
+};
+
+// Helper function to get the correct score field name for each assessment type
+const getScoreFieldName = (assessmentType) => {
+    return AssessmentScoring.SECTION_SCORE_FIELDS[assessmentType] || assessmentType;
+};
+
+module.exports = {
+    getOrCreateAssessmentSession,
+    updateAssessmentSession,
+    clearAssessmentSession,
+    saveAssessmentScores,
+    getActiveAssessmentAttempt,
+    startAssessmentAttempt,
+    finalizeAssessmentAttempt,
+    saveDetailedResults,
+    getSessionTemplate,
+    getSessionLocale,
+    resetUnattemptedSectionsToZero,
+    getScoreFieldName
+};
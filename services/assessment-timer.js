@@ -0,0 +1,109 @@
+// Assessment time limits: expiry checks and the job that closes abandoned sessions
+const logger = require('../config/logger');
+const { AssessmentAttempt, AssessmentSession } = require('../models');
+const { finalizeAssessmentAttempt, resetUnattemptedSectionsToZero } = require('./assessment-session');
+
+// Submissions already in flight when the countdown reaches zero are still accepted for this long
+const ASSESSMENT_DEADLINE_GRACE_MS = 30 * 1000;
+
+const isAssessmentSessionExpired = (session) => {
+    return Boolean(session && session.deadlineAt && Date.now() > session.deadlineAt.getTime() + ASSESSMENT_DEADLINE_GRACE_MS);
+};
+
+// Timer state as sent to the client; the client counts down against serverTime, not its own clock
+const serializeAssessmentTimer = (session) => ({
+    startedAt: session ? session.startedAt : null,
+    deadlineAt: session ? session.deadlineAt : null,
+    serverTime: new Date(),
+    expired: isAssessmentSessionExpired(session)
+});
+
+// Start the session's countdown unless it is already running; concurrent callers start it only once.
+// A deadline reserved while content was queued is only ever brought forward, never pushed back.
+const startAssessmentClock = async (userId, sessionId, timeLimitMinutes) => {
+    const startedAt = new Date();
+    const deadlineAt = new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000);
+    const started = await AssessmentSession.findOneAndUpdate(
+        { userId, sessionId, startedAt: null },
+        [{
+            $set: {
+                startedAt,
+                deadlineAt: { $min: [{ $ifNull: ['$deadlineAt', deadlineAt] }, deadlineAt] }
+            }
+        }],
+        { new: true }
+    );
+    return started || AssessmentSession.findOne({ userId, sessionId });
+};
+
+// While queued content is generated the clock is not running, but the session still needs a deadline
+// in case the client never asks whether the content is ready: the longest wait for content plus the time limit
+const reserveAssessmentDeadline = (userId, sessionId, timeLimitMinutes, waitLimitMs) => {
+    return AssessmentSession.findOneAndUpdate(
+        { userId, sessionId },
+        { $set: { startedAt: null, deadlineAt: new Date(Date.now() + waitLimitMs + timeLimitMinutes * 60 * 1000) } },
+        { new: true }
+    );
+};
+
+// Close a session whose deadline has passed: unattempted sections score 0 and its attempt is finalized.
+// The expiredAt claim makes this safe to call from both the sweeper and late requests.
+const expireAssessmentSession = async (session) => {
+    const claimed = await AssessmentSession.findOneAndUpdate(
+        { _id: session._id, expiredAt: null },
+        { $set: { expiredAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        return false;
+    }
+
+    // Only the candidate's current attempt owns their latest scores; finished attempts are left alone
+    const attempt = claimed.attemptId
+        ? await AssessmentAttempt.findOne({ _id: claimed.attemptId, status: 'in_progress' })
+        : null;
+    if (attempt) {
+        await resetUnattemptedSectionsToZero(claimed.userId, claimed);
+        await finalizeAssessmentAttempt(attempt);
+    }
+
+    logger.info(`Assessment session ${claimed.sessionId} expired at its deadline ${claimed.deadlineAt.toISOString()}${attempt ? `, attempt ${attempt._id} finalized` : ''}`);
+    return true;
+};
+
+// Finalize sessions whose deadline passed without the candidate submitting, e.g. a closed tab
+const processExpiredAssessmentSessions = async () => {
+    try {
+        const expiredSessions = await AssessmentSession.find({
+            expiredAt: null,
+            deadlineAt: { $ne: null, $lt: new Date(Date.now() - ASSESSMENT_DEADLINE_GRACE_MS) }
+        });
+
+        for (const session of expiredSessions) {
+            try {
+                await expireAssessmentSession(session);
+            } catch (error) {
+                logger.error(`Error expiring assessment session ${session.sessionId}:`, error);
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Error processing expired assessment sessions:', error);
+    }
+};
+
+// Start deadline job - runs every minute
+const startAssessmentDeadlineJob = () => {
+    setTimeout(processExpiredAssessmentSessions, 10000);
+    setInterval(processExpiredAssessmentSessions, 60 * 1000);
+    logger.info('🔄 Assessment deadline job started - runs every minute to finalize expired sessions');
+};
+
+module.exports = {
+    ASSESSMENT_DEADLINE_GRACE_MS,
+    isAssessmentSessionExpired,
+    serializeAssessmentTimer,
+    startAssessmentClock,
+    reserveAssessmentDeadline,
+    expireAssessmentSession,
+    startAssessmentDeadlineJob
+};
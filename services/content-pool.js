@@ -0,0 +1,253 @@
+// Warm pools of validated section content, so starting a test waits on neither the LLM nor TTS
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const { AssessmentTemplate, ContentPoolItem, QUESTION_BANK_DIFFICULTIES } = require('../models');
+const { isQuestionBankOnly, normalizeBankDifficulty, normalizeQuestionBankContent } = require('./question-bank');
+const { synthesizeSpeech } = require('./speech');
+const { saveUnownedAudio, deleteUnownedAudio, copyAudioToUser } = require('./storage');
+const { getTemplateSection } = require('./templates');
+
+// Tests' worth of content kept ready per section, topic, difficulty and locale; 0 turns the pools off
+const CONTENT_POOL_SIZE = parseInt(process.env.CONTENT_POOL_SIZE || '5');
+// Candidates an item is served to before it is retired; never the same candidate twice
+const CONTENT_POOL_MAX_USES = parseInt(process.env.CONTENT_POOL_MAX_USES || '3');
+// Unserved content goes stale too, e.g. after a prompt change
+const CONTENT_POOL_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CONTENT_POOL_REFILL_MS = 60 * 1000;
+// Each generation is one LLM call plus TTS per item, so a run fills only a few pools
+const CONTENT_POOL_BATCHES_PER_RUN = 3;
+
+// Section key -> { generate, perItem, match, speech }:
+// - generate(topic, difficulty, locale, itemCount) resolves to one test's worth of question bank shaped content
+// - perItem: a test takes itemCount items (sentences, questions) rather than one (a story, a scenario)
+// - match(itemCount): extra filter an item must pass to fill a test of that size
+// - speech(content, difficulty, locale): { text, voice, prosody, noiseAmplitude } for sections served with audio
+const contentPoolSources = new Map();
+
+const registerContentPoolSource = (section, source) => {
+    contentPoolSources.set(section, source);
+};
+
+const getPoolKey = (section, { topic, difficulty, locale }) => ({
+    assessmentType: section,
+    topic,
+    difficulty: normalizeBankDifficulty(difficulty) || 'intermediate',
+    locale: locale.code
+});
+
+// Claim a test's worth of pooled content for a candidate, all or nothing.
+// Resolves to [{ content, audio }] where audio is the candidate's own copy with the voice it was spoken in,
+// or to null when the pool is short and the caller should generate the content itself.
+const checkOutContentPoolItems = async (section, { topic, difficulty, locale, itemCount = 1 }, userId) => {
+    const source = contentPoolSources.get(section);
+    if (CONTENT_POOL_SIZE <= 0 || !source) {
+        return null;
+    }
+
+    const count = source.perItem ? itemCount : 1;
+    const query = {
+        ...getPoolKey(section, { topic, difficulty, locale }),
+        ...(source.match ? source.match(itemCount) : {}),
+        useCount: { $lt: CONTENT_POOL_MAX_USES },
+        servedTo: { $ne: userId }
+    };
+
+    const claimed = [];
+    try {
+        while (claimed.length < count) {
+            const item = await ContentPoolItem.findOneAndUpdate(
+                query,
+                {
+                    $push: { servedTo: userId },
+                    $inc: { useCount: 1 },
+                    $set: { lastServedAt: new Date() }
+                },
+                { sort: { useCount: 1, createdAt: 1 }, new: true }
+            );
+            if (!item) {
+                break;
+            }
+            claimed.push(item);
+        }
+
+        if (claimed.length < count) {
+            logger.info(`${section} content pool for "${topic}" has ${claimed.length}/${count} items left for this candidate, generating instead`);
+            await releaseContentPoolItems(claimed, userId);
+            return null;
+        }
+
+        return await Promise.all(claimed.map(async (item, index) => ({
+            content: item.content,
+            audio: item.audio ? {
+                audioUrl: await copyAudioToUser(item.audio.fileId, `${section}_${Date.now()}_${index + 1}.mp3`, userId, section),
+                voice: item.audio.voice,
+                prosody: item.audio.prosody,
+                noiseAmplitude: item.audio.noiseAmplitude
+            } : null
+        })));
+    } catch (error) {
+        logger.warn(`Error checking out ${section} pool content, generating instead:`, error.message);
+        await releaseContentPoolItems(claimed, userId).catch(() => {});
+        return null;
+    }
+};
+
+// Hand claimed items back so other tests, and this candidate, may still use them
+const releaseContentPoolItems = async (items, userId) => {
+    if (items.length === 0) {
+        return;
+    }
+    await ContentPoolItem.updateMany(
+        { _id: { $in: items.map(item => item._id) } },
+        { $pull: { servedTo: userId }, $inc: { useCount: -1 } }
+    );
+};
+
+// Every section, topic, difficulty and locale an active template can ask for, with the largest item count asked
+const getContentPoolTargets = async () => {
+    const templates = await AssessmentTemplate.find({ status: 'active' }).lean();
+    const targets = new Map();
+
+    templates.forEach(template => {
+        const locale = AssessmentLocales.getLocale(template.locale);
+        template.sections.forEach(templateSection => {
+            if (!contentPoolSources.has(templateSection.key)) {
+                return;
+            }
+
+            const { itemCount, difficulty, topics } = getTemplateSection(template, templateSection.key);
+            const levels = difficulty === 'mixed' ? QUESTION_BANK_DIFFICULTIES : [normalizeBankDifficulty(difficulty) || 'intermediate'];
+
+            topics.forEach(topic => levels.forEach(level => {
+                const key = [templateSection.key, locale.code, topic, level].join('|');
+                const existing = targets.get(key);
+                if (!existing || existing.itemCount < itemCount) {
+                    targets.set(key, { section: templateSection.key, topic, difficulty: level, locale, itemCount });
+                }
+            }));
+        });
+    });
+
+    return [...targets.values()];
+};
+
+// Generate one test's worth of content for a pool, validate it and speak it ahead of time
+const fillContentPool = async ({ section, topic, difficulty, locale, itemCount }) => {
+    const source = contentPoolSources.get(section);
+    const contents = await source.generate(topic, difficulty, locale, itemCount);
+
+    let added = 0;
+    for (const rawContent of contents) {
+        let content;
+        try {
+            content = normalizeQuestionBankContent(section, rawContent);
+        } catch (error) {
+            logger.warn(`Discarded invalid ${section} pool content:`, error.message);
+            continue;
+        }
+
+        let audio = null;
+        if (source.speech) {
+            const { text, voice, prosody, noiseAmplitude = 0 } = source.speech(content, difficulty, locale);
+            const speech = await synthesizeSpeech(text, { localeCode: locale.code, voice, prosody, noiseAmplitude });
+            const fileId = await saveUnownedAudio(speech, `pool_${section}_${Date.now()}_${added + 1}.mp3`);
+            audio = { fileId, voice, prosody: prosody || null, noiseAmplitude };
+        }
+
+        await ContentPoolItem.create({ assessmentType: section, topic, difficulty, locale: locale.code, content, audio });
+        added++;
+    }
+    return added;
+};
+
+// Drop items served to their limit or gone stale, with their audio
+const retireContentPoolItems = async () => {
+    const retired = await ContentPoolItem.find({
+        $or: [
+            { useCount: { $gte: CONTENT_POOL_MAX_USES } },
+            { createdAt: { $lt: new Date(Date.now() - CONTENT_POOL_MAX_AGE_MS) } }
+        ]
+    }, { audio: 1 }).lean();
+
+    for (const item of retired) {
+        if (item.audio && item.audio.fileId) {
+            await deleteUnownedAudio(item.audio.fileId).catch(error => {
+                logger.warn(`Failed to delete pooled audio ${item.audio.fileId}:`, error.message);
+            });
+        }
+    }
+    await ContentPoolItem.deleteMany({ _id: { $in: retired.map(item => item._id) } });
+    return retired.length;
+};
+
+let replenishing = false;
+
+// Retire spent content, then top up the emptiest pools, a few per run
+const replenishContentPools = async () => {
+    if (replenishing) {
+        return;
+    }
+    replenishing = true;
+    try {
+        const retiredCount = await retireContentPoolItems();
+        if (retiredCount > 0) {
+            logger.info(`Retired ${retiredCount} spent or stale content pool items`);
+        }
+
+        const bankOnlySections = new Set();
+        for (const section of contentPoolSources.keys()) {
+            if (await isQuestionBankOnly(section)) {
+                bankOnlySections.add(section);
+            }
+        }
+
+        const deficits = [];
+        for (const target of await getContentPoolTargets()) {
+            if (bankOnlySections.has(target.section)) {
+                continue;
+            }
+            const source = contentPoolSources.get(target.section);
+            const wanted = CONTENT_POOL_SIZE * (source.perItem ? target.itemCount : 1);
+            const available = await ContentPoolItem.countDocuments({
+                ...getPoolKey(target.section, target),
+                ...(source.match ? source.match(target.itemCount) : {}),
+                useCount: { $lt: CONTENT_POOL_MAX_USES }
+            });
+            if (available < wanted) {
+                deficits.push({ target, fill: available / wanted });
+            }
+        }
+
+        deficits.sort((a, b) => a.fill - b.fill);
+        for (const { target } of deficits.slice(0, CONTENT_POOL_BATCHES_PER_RUN)) {
+            try {
+                const added = await fillContentPool(target);
+                logger.info(`Added ${added} ${target.section} items to the "${target.topic}" (${target.difficulty}, ${target.locale.code}) content pool`);
+            } catch (error) {
+                logger.warn(`Failed to replenish the ${target.section} "${target.topic}" content pool:`, error.message);
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Error replenishing content pools:', error);
+    } finally {
+        replenishing = false;
+    }
+};
+
+// Start content pool replenisher - runs every minute alongside the generation worker
+const startContentPoolReplenisher = () => {
+    if (CONTENT_POOL_SIZE <= 0) {
+        logger.info('Content pools disabled (CONTENT_POOL_SIZE=0) - section content is generated per test');
+        return;
+    }
+
+    setTimeout(replenishContentPools, 15000);
+    setInterval(replenishContentPools, CONTENT_POOL_REFILL_MS);
+    logger.info(`🔄 Content pool replenisher started - keeps ${CONTENT_POOL_SIZE} tests of content per section, topic and difficulty`);
+};
+
+module.exports = {
+    registerContentPoolSource,
+    checkOutContentPoolItems,
+    startContentPoolReplenisher
+};
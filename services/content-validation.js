@@ -0,0 +1,323 @@
+// Schemas and checks for LLM-generated section content, and targeted re-prompts that repair failing items
+const logger = require('../config/logger');
+const { countWords, escapeRegExp, extractJsonFromText, extractJsonObjectFromText } = require('../utils/text');
+const { callLLMWithRetry } = require('./llm');
+const { normalizeQuestionBankContent } = require('./question-bank');
+
+// A reply gets at most this many repair re-prompts; further failing items are dropped straight away
+const MAX_REPAIRS_PER_REPLY = 3;
+
+// Words no generated item may contain, by language; matched as whole words, case-insensitively
+const PROFANITY = {
+    en: ['fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'wanker', 'bollocks', 'slut', 'whore'],
+    es: ['mierda', 'puta', 'puto', 'joder', 'coño', 'cabrón', 'gilipollas', 'pendejo', 'carajo'],
+    fr: ['merde', 'putain', 'connard', 'connasse', 'salope', 'enculé']
+};
+const PROFANITY_PATTERNS = Object.fromEntries(Object.entries(PROFANITY).map(([language, words]) => [
+    language,
+    new RegExp(`(^|[^\\p{L}])(${words.map(escapeRegExp).join('|')})(?![\\p{L}])`, 'iu')
+]));
+
+// JSON schemas for one item of each section, in the subset getSchemaProblems understands:
+// type (a name or a list), required, properties, items, minItems, minLength and enum
+const TEXT_SCHEMA = { type: 'string', minLength: 1 };
+
+const COMPREHENSION_SCHEMA = {
+    type: 'object',
+    required: ['passage', 'questions'],
+    properties: {
+        passage: TEXT_SCHEMA,
+        questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['question', 'options', 'correct_answer'],
+                properties: {
+                    question: TEXT_SCHEMA,
+                    options: {
+                        type: 'object',
+                        required: ['A', 'B', 'C', 'D'],
+                        properties: { A: TEXT_SCHEMA, B: TEXT_SCHEMA, C: TEXT_SCHEMA, D: TEXT_SCHEMA }
+                    },
+                    correct_answer: { type: 'string', enum: ['A', 'B', 'C', 'D'] }
+                }
+            }
+        }
+    }
+};
+
+const FILL_BLANK_SCHEMA = {
+    type: 'object',
+    required: ['question', 'options', 'correctAnswer'],
+    properties: {
+        question: TEXT_SCHEMA,
+        options: { type: 'array', minItems: 2, items: TEXT_SCHEMA },
+        correctAnswer: TEXT_SCHEMA
+    }
+};
+
+const EMAIL_SCHEMA = {
+    type: 'object',
+    required: ['situation', 'recipient', 'incomingEmail', 'requirements'],
+    properties: {
+        situation: TEXT_SCHEMA,
+        recipient: TEXT_SCHEMA,
+        incomingEmail: {
+            type: ['object', 'null'],
+            required: ['from', 'subject', 'body'],
+            properties: { from: { type: 'string' }, subject: { type: 'string' }, body: TEXT_SCHEMA }
+        },
+        requirements: { type: 'array', minItems: 1, items: TEXT_SCHEMA }
+    }
+};
+
+const ROLEPLAY_SCHEMA = {
+    type: 'object',
+    required: ['aiRole', 'personaName', 'candidateRole', 'situation', 'personaBrief', 'openingLine'],
+    properties: {
+        aiRole: TEXT_SCHEMA,
+        personaName: TEXT_SCHEMA,
+        candidateRole: TEXT_SCHEMA,
+        situation: TEXT_SCHEMA,
+        personaBrief: TEXT_SCHEMA,
+        openingLine: TEXT_SCHEMA
+    }
+};
+
+// Stories are asked for at "around" a length, so they get some leeway either side
+const STORY_WORD_LIMITS = {
+    beginner: [35, 80],
+    intermediate: [45, 100],
+    advanced: [60, 125]
+};
+
+const getTypeName = (value) => {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+};
+
+// Problems with a value against a schema, with the path to each, e.g. "questions[2].options: missing D"
+const getSchemaProblems = (value, schema, path = 'item') => {
+    const types = [].concat(schema.type || []);
+    const type = getTypeName(value);
+    if (types.length > 0 && !types.includes(type)) {
+        return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+    }
+
+    const problems = [];
+    if (type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            problems.push(`${path}: must not be empty`);
+        }
+        if (schema.enum && !schema.enum.includes(value.trim())) {
+            problems.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        }
+    }
+    if (type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            problems.push(`${path}: needs at least ${schema.minItems} entries`);
+        }
+        if (schema.items) {
+            value.forEach((entry, index) => problems.push(...getSchemaProblems(entry, schema.items, `${path}[${index}]`)));
+        }
+    }
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                problems.push(`${path}: missing ${key}`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) {
+                problems.push(...getSchemaProblems(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+    }
+    return problems;
+};
+
+const checkWordCount = (label, text, min, max) => {
+    const words = countWords(text);
+    return words < min || words > max ? [`${label} has ${words} words; it must have ${min}-${max}`] : [];
+};
+
+// Compare items ignoring case, punctuation and spacing
+const toComparableText = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const checkUniqueValues = (label, values) => {
+    const comparable = values.map(toComparableText);
+    return new Set(comparable).size < comparable.length ? [`${label} must all be different`] : [];
+};
+
+const collectText = (value) => {
+    if (typeof value === 'string') return [value];
+    if (value && typeof value === 'object') return Object.values(value).flatMap(collectText);
+    return [];
+};
+
+const checkProfanity = (content, locale) => {
+    const patterns = [...new Set(['en', locale.language])].map(language => PROFANITY_PATTERNS[language]).filter(Boolean);
+    const found = collectText(content).flatMap(text => patterns.map(pattern => text.match(pattern)).filter(Boolean));
+    return found.length > 0 ? [`contains inappropriate language ("${found[0][2]}")`] : [];
+};
+
+const checkSentence = (min, max) => (content) => checkWordCount('The sentence', content.text, min, max);
+
+// Per section: the reply's format ('array' of items, one JSON 'object' or plain 'text'), where its items are,
+// the schema an item must match, the semantic checks on its normalized content and the text two duplicates share
+const CONTENT_RULES = {
+    reading: { format: 'array', schema: TEXT_SCHEMA, check: checkSentence(8, 20), key: content => content.text },
+    listening: { format: 'array', schema: TEXT_SCHEMA, check: checkSentence(8, 20), key: content => content.text },
+    dictation: { format: 'array', schema: TEXT_SCHEMA, check: checkSentence(8, 16), key: content => content.text },
+    jumbled: {
+        format: 'array',
+        schema: TEXT_SCHEMA,
+        // Candidates rebuild the sentence from its words, so internal punctuation would give the answer away
+        check: content => [
+            ...checkWordCount('The sentence', content.text, 5, 15),
+            ...(/[,;:]/.test(content.text) ? ['The sentence must not contain commas, semicolons or colons'] : [])
+        ],
+        key: content => content.text
+    },
+    story: {
+        format: 'text',
+        schema: TEXT_SCHEMA,
+        check: (content, { difficulty }) => checkWordCount('The story', content.text, ...(STORY_WORD_LIMITS[difficulty] || STORY_WORD_LIMITS.intermediate)),
+        key: content => content.text
+    },
+    personal: {
+        format: 'text',
+        schema: TEXT_SCHEMA,
+        check: content => checkWordCount('The question', content.text, 5, 60),
+        key: content => content.text
+    },
+    comprehension: {
+        format: 'object',
+        schema: COMPREHENSION_SCHEMA,
+        check: (content, { itemCount = 1 }) => [
+            ...checkWordCount('The passage', content.passage, 200, 350),
+            ...(content.questions.length < itemCount ? [`There are ${content.questions.length} questions; ${itemCount} are needed`] : []),
+            ...checkUniqueValues('The questions', content.questions.map(question => question.question)),
+            ...content.questions.flatMap((question, index) => checkUniqueValues(`The options of question ${index + 1}`, Object.values(question.options)))
+        ],
+        key: content => content.passage
+    },
+    fillblanks: {
+        format: 'object',
+        items: reply => reply.questions,
+        schema: FILL_BLANK_SCHEMA,
+        check: content => [
+            ...((content.question.match(/_{2,}/g) || []).length !== 1 ? ['The question must contain exactly one blank (_____)'] : []),
+            ...checkUniqueValues('The options', content.options)
+        ],
+        key: content => content.question
+    },
+    email: {
+        format: 'object',
+        schema: EMAIL_SCHEMA,
+        check: content => checkUniqueValues('The requirements', content.requirements),
+        key: content => content.situation
+    },
+    roleplay: {
+        format: 'object',
+        schema: ROLEPLAY_SCHEMA,
+        check: content => checkWordCount('The opening line', content.openingLine, 3, 60),
+        key: content => content.situation
+    }
+};
+
+// Schema, shape and semantic problems of one item; content is the item as question bank content when it has none
+const reviewItem = (section, item, context) => {
+    const rules = CONTENT_RULES[section];
+    const schemaProblems = getSchemaProblems(item, rules.schema);
+    if (schemaProblems.length > 0) {
+        return { problems: schemaProblems };
+    }
+
+    let content;
+    try {
+        content = normalizeQuestionBankContent(section, item);
+    } catch (error) {
+        return { problems: [error.message] };
+    }
+    return { content, problems: [...rules.check(content, context), ...checkProfanity(content, context.locale)] };
+};
+
+// Ask the model to fix only the listed problems of one item; resolves to the replacement item
+const requestItemRepair = async (section, item, problems, { topic, difficulty, locale }) => {
+    const isText = typeof item === 'string';
+    const completion = await callLLMWithRetry('contentRepair', [
+        {
+            role: "system",
+            content: `You repair items written for a ${locale.languageName} communication assessment (section: ${section}, topic: ${topic}, difficulty: ${difficulty}). Fix every listed problem and change nothing else. ${isText ? 'Respond with only the corrected text.' : 'Respond with only the corrected item as a JSON object with the same keys.'}`
+        },
+        {
+            role: "user",
+            content: `Item:\n${isText ? item : JSON.stringify(item, null, 2)}\n\nProblems:\n${problems.map(problem => `- ${problem}`).join('\n')}`
+        }
+    ], isText ? 400 : 1500, 0.3);
+
+    const reply = completion.choices[0].message.content.trim();
+    return isText ? reply.replace(/^["“]|["”]$/g, '').trim() : extractJsonObjectFromText(reply);
+};
+
+// Parse a model reply for a section and return its items as question bank content. Failing items get one
+// targeted re-prompt each; items still failing are logged and dropped. Throws when the reply cannot be parsed
+// or fewer than minItems items pass.
+const validateGeneratedContent = async (section, reply, { topic, difficulty, locale, itemCount, minItems = 1 }) => {
+    const rules = CONTENT_RULES[section];
+    const context = { topic, difficulty, locale, itemCount };
+
+    const parsed = rules.format === 'text' ? String(reply || '').trim() : extractJsonFromText(reply, rules.format);
+    if (!parsed) {
+        throw new Error(`The ${section} reply is not ${rules.format === 'text' ? 'usable text' : `a JSON ${rules.format}`}`);
+    }
+    const items = rules.items ? rules.items(parsed) : [].concat(parsed);
+    if (!Array.isArray(items)) {
+        throw new Error(`The ${section} reply has no items`);
+    }
+
+    const accepted = [];
+    const seen = new Set();
+    let repairs = 0;
+
+    const review = (item) => {
+        const result = reviewItem(section, item, context);
+        if (result.problems.length === 0 && seen.has(toComparableText(rules.key(result.content)))) {
+            result.problems.push('The item duplicates another item; write a different one');
+        }
+        return result;
+    };
+
+    for (const [index, item] of items.entries()) {
+        let { content, problems } = review(item);
+
+        if (problems.length > 0 && repairs < MAX_REPAIRS_PER_REPLY) {
+            repairs++;
+            try {
+                const repaired = review(await requestItemRepair(section, item, problems, context));
+                if (repaired.problems.length === 0) {
+                    logger.info(`Repaired ${section} item ${index + 1} (${problems.join('; ')})`);
+                }
+                ({ content, problems } = repaired);
+            } catch (error) {
+                problems = [...problems, `repair failed: ${error.message}`];
+            }
+        }
+
+        if (problems.length > 0) {
+            logger.warn(`Dropped invalid ${section} item ${index + 1}: ${problems.join('; ')}`);
+            continue;
+        }
+        seen.add(toComparableText(rules.key(content)));
+        accepted.push(content);
+    }
+
+    if (accepted.length < minItems) {
+        throw new Error(`Only ${accepted.length} of ${items.length} ${section} items passed validation; ${minItems} needed`);
+    }
+    return accepted;
+};
+
+module.exports = { validateGeneratedContent };
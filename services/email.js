@@ -0,0 +1,459 @@
+// Outgoing email: the shared transporter plus the report and invitation messages
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+const { escapeHtml } = require('../utils/text');
+
+// Email transporter setup; setExternalClients can replace it through setEmailTransporter
+let emailTransporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    requireTLS: true,
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+    }
+});
+
+const setEmailTransporter = (transporter) => {
+    emailTransporter = transporter;
+};
+
+const sendMail = (mailOptions) => emailTransporter.sendMail(mailOptions);
+
+// Test email configuration on startup
+const verifyEmailTransporter = () => {
+    emailTransporter.verify(function (error, success) {
+        if (error) {
+            logger.error('Email configuration error:', error);
+            logger.warn('Email verification will not work. Please check your email settings in .env file.');
+        } else {
+            logger.info('Email server is ready to send messages');
+        }
+    });
+};
+
+// Function to send assessment report email
+const sendAssessmentReportEmail = async (userEmail, username, assessmentData) => {
+    try {
+        const { scores, feedback, completedCount, totalCount, overallScore, evaluation, sections, reportPdf } = assessmentData;
+        
+        // Create HTML email template
+        const htmlTemplate = `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Assessment Report - Communication Assessment Suite</title>
+                <style>
+                    body {
+                        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                        line-height: 1.6;
+                        color: #333;
+                        max-width: 600px;
+                        margin: 0 auto;
+                        padding: 20px;
+                        background-color: #f8f9fa;
+                    }
+                    .container {
+                        background: #ffffff;
+                        border-radius: 12px;
+                        padding: 30px;
+                        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                        border: 1px solid #e6eef2;
+                    }
+                    .header {
+                        text-align: center;
+                        border-bottom: 3px solid #1f4e5f;
+                        padding-bottom: 20px;
+                        margin-bottom: 30px;
+                    }
+                    .header h1 {
+                        color: #1f4e5f;
+                        margin: 0;
+                        font-size: 28px;
+                        font-weight: bold;
+                    }
+                    .header p {
+                        color: #666;
+                        margin: 10px 0 0 0;
+                        font-size: 16px;
+                    }
+                    .summary {
+                        background: linear-gradient(135deg, #1f4e5f, #163a46);
+                        color: white;
+                        padding: 20px;
+                        border-radius: 8px;
+                        text-align: center;
+                        margin-bottom: 30px;
+                    }
+                    .summary h2 {
+                        margin: 0 0 10px 0;
+                        font-size: 24px;
+                    }
+                    .overall-score {
+                        font-size: 48px;
+                        font-weight: bold;
+                        margin: 10px 0;
+                        text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
+                    }
+                    .result-status {
+                        font-size: 16px;
+                        font-weight: 600;
+                    }
+                    .completion-status {
+                        font-size: 14px;
+                        opacity: 0.9;
+                        margin-top: 10px;
+                    }
+                    .scores-section {
+                        margin-bottom: 30px;
+                    }
+                    .scores-section h3 {
+                        color: #1f4e5f;
+                        border-bottom: 2px solid #e6eef2;
+                        padding-bottom: 10px;
+                        margin-bottom: 20px;
+                        font-size: 20px;
+                    }
+                    .score-item {
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        padding: 12px 0;
+                        border-bottom: 1px dashed #e0e0e0;
+                    }
+                    .score-item:last-child {
+                        border-bottom: none;
+                    }
+                    .score-name {
+                        font-weight: 600;
+                        color: #333;
+                        flex: 1;
+                    }
+                    .score-value {
+                        font-weight: bold;
+                        font-size: 18px;
+                        color: #1f4e5f;
+                        min-width: 60px;
+                        text-align: right;
+                    }
+                    .score-bar {
+                        width: 100px;
+                        height: 8px;
+                        background: #e0e0e0;
+                        border-radius: 4px;
+                        margin: 0 15px;
+                        overflow: hidden;
+                    }
+                    .score-fill {
+                        height: 100%;
+                        background: linear-gradient(90deg, #1f4e5f, #2a6478);
+                        border-radius: 4px;
+                        transition: width 0.3s ease;
+                    }
+                    .feedback-section {
+                        background: #f8f9fa;
+                        border-left: 4px solid #1f4e5f;
+                        padding: 20px;
+                        margin: 30px 0;
+                        border-radius: 0 8px 8px 0;
+                    }
+                    .feedback-section h3 {
+                        color: #1f4e5f;
+                        margin-top: 0;
+                        font-size: 20px;
+                    }
+                    .feedback-content {
+                        white-space: pre-wrap;
+                        line-height: 1.7;
+                        color: #444;
+                        font-size: 14px;
+                    }
+                    .footer {
+                        text-align: center;
+                        margin-top: 40px;
+                        padding-top: 20px;
+                        border-top: 1px solid #e6eef2;
+                        color: #666;
+                        font-size: 12px;
+                    }
+                    .footer a {
+                        color: #1f4e5f;
+                        text-decoration: none;
+                    }
+                    .not-attempted {
+                        color: #dc3545;
+                        font-style: italic;
+                    }
+                    .completed {
+                        color: #28a745;
+                    }
+                    @media (max-width: 600px) {
+                        body {
+                            padding: 10px;
+                        }
+                        .container {
+                            padding: 20px;
+                        }
+                        .overall-score {
+                            font-size: 36px;
+                        }
+                        .score-item {
+                            flex-direction: column;
+                            align-items: flex-start;
+                            gap: 8px;
+                        }
+                        .score-bar {
+                            width: 100%;
+                            margin: 8px 0;
+                        }
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>📊 Assessment Report</h1>
+                        <p>Communication Assessment Suite</p>
+                    </div>
+                    
+                    <div class="summary">
+                        <h2>Hello ${username}!</h2>
+                        <div class="overall-score">${overallScore}/100</div>
+                        ${evaluation ? `
+                        <div class="result-status">
+                            CEFR ${evaluation.cefrLevel} (${evaluation.cefrLabel}) &middot; ${evaluation.passed ? 'Passed' : 'Not passed'}
+                        </div>
+                        ` : ''}
+                        <div class="completion-status">
+                            ${completedCount} out of ${totalCount} assessments completed
+                        </div>
+                    </div>
+                    
+                    <div class="scores-section">
+                        <h3>📈 Individual Section Scores</h3>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Reading Ability (Pronunciation)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.readingAbility}%"></div>
+                            </div>
+                            <span class="score-value ${scores.readingAbility > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.readingAbility > 0 ? scores.readingAbility + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Listening Ability (Comprehension & Repetition)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.listeningAbility}%"></div>
+                            </div>
+                            <span class="score-value ${scores.listeningAbility > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.listeningAbility > 0 ? scores.listeningAbility + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Jumbled Sentences (Grammar & Construction)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.jumbledSentences}%"></div>
+                            </div>
+                            <span class="score-value ${scores.jumbledSentences > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.jumbledSentences > 0 ? scores.jumbledSentences + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Story Summarization (Comprehension & Storytelling)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.storySummarization}%"></div>
+                            </div>
+                            <span class="score-value ${scores.storySummarization > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.storySummarization > 0 ? scores.storySummarization + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Personal Questions (Interview Skills)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.personalQuestions}%"></div>
+                            </div>
+                            <span class="score-value ${scores.personalQuestions > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.personalQuestions > 0 ? scores.personalQuestions + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Reading Comprehension (Text Analysis)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.readingComprehension}%"></div>
+                            </div>
+                            <span class="score-value ${scores.readingComprehension > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.readingComprehension > 0 ? scores.readingComprehension + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        
+                        <div class="score-item">
+                            <span class="score-name">Fill in the Blanks (Grammar Mastery)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.fillInTheBlanks}%"></div>
+                            </div>
+                            <span class="score-value ${scores.fillInTheBlanks > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.fillInTheBlanks > 0 ? scores.fillInTheBlanks + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        ${sections && sections.includes('email') ? `
+                        <div class="score-item">
+                            <span class="score-name">Email Writing (Professional Correspondence)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.emailWriting}%"></div>
+                            </div>
+                            <span class="score-value ${scores.emailWriting > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.emailWriting > 0 ? scores.emailWriting + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        ` : ''}
+                        ${sections && sections.includes('dictation') ? `
+                        <div class="score-item">
+                            <span class="score-name">Dictation (Listening & Spelling Accuracy)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.dictationAccuracy}%"></div>
+                            </div>
+                            <span class="score-value ${scores.dictationAccuracy > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.dictationAccuracy > 0 ? scores.dictationAccuracy + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        ` : ''}
+                        ${sections && sections.includes('roleplay') ? `
+                        <div class="score-item">
+                            <span class="score-name">Role-Play Conversation (Customer & Workplace Dialogue)</span>
+                            <div class="score-bar">
+                                <div class="score-fill" style="width: ${scores.rolePlayConversation}%"></div>
+                            </div>
+                            <span class="score-value ${scores.rolePlayConversation > 0 ? 'completed' : 'not-attempted'}">
+                                ${scores.rolePlayConversation > 0 ? scores.rolePlayConversation + '/100' : 'Not Attempted'}
+                            </span>
+                        </div>
+                        ` : ''}
+                    </div>
+                    
+                    ${feedback ? `
+                    <div class="feedback-section">
+                        <h3>💬 Detailed Analysis & Feedback</h3>
+                        <div class="feedback-content">${feedback}</div>
+                    </div>
+                    ` : ''}
+                    
+                    <div class="footer">
+                        <p>
+                            Generated on ${new Date().toLocaleDateString('en-US', { 
+                                year: 'numeric', 
+                                month: 'long', 
+                                day: 'numeric',
+                                hour: '2-digit',
+                                minute: '2-digit'
+                            })}
+                        </p>
+                        <p>
+                            <a href="https://skilltesseract.com">Skill Tesseract</a> | 
+                            <a href="mailto:mockinterview014@gmail.com">Support</a>
+                        </p>
+                        <p style="margin-top: 20px; color: #999; font-size: 11px;">
+                            This is an automated assessment report. Please do not reply to this email.
+                        </p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: userEmail,
+            subject: `📊 Your Communication Assessment Report - Overall Score: ${overallScore}/100`,
+            html: htmlTemplate
+        };
+
+        // Attach the full PDF report when one could be generated
+        if (reportPdf) {
+            mailOptions.attachments = [{
+                filename: 'assessment-report.pdf',
+                content: reportPdf,
+                contentType: 'application/pdf'
+            }];
+        }
+
+        await sendMail(mailOptions);
+        logger.info(`Assessment report email sent successfully to ${userEmail}`);
+        return true;
+    } catch (error) {
+        logger.error('Error sending assessment report email:', error);
+        return false;
+    }
+};
+
+// Send (or remind about) an assessment invitation
+const sendInvitationEmail = async (invite, organizationName, inviteUrl, isReminder = false) => {
+    try {
+        const greeting = invite.candidateName ? `Hi ${escapeHtml(invite.candidateName)},` : 'Hi,';
+        const expiryText = new Date(invite.expiresAt).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: invite.email,
+            subject: isReminder
+                ? `⏰ Reminder: your ${organizationName} communication assessment expires soon`
+                : `📝 ${organizationName} has invited you to a communication assessment`,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff; border: 1px solid #e6eef2; border-radius: 12px; padding: 24px;">
+                    <h2 style="color: #1f4e5f; margin-top: 0;">
+                        ${isReminder ? 'Your assessment invitation expires soon' : 'You have been invited to an assessment 🎯'}
+                    </h2>
+                    <p>${greeting}</p>
+                    <p>
+                        <strong>${escapeHtml(organizationName)}</strong> has invited you to take the Skill Tesseract
+                        communication assessment. It covers reading, listening, grammar, comprehension and a short interview question,
+                        and takes about 20 minutes. The assessment is free for you.
+                    </p>
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${inviteUrl}"
+                           style="background: linear-gradient(135deg, #1f4e5f, #163a46); color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+                            Start My Assessment
+                        </a>
+                    </div>
+                    <p>Or copy and paste this link in your browser:</p>
+                    <p style="word-break: break-all; color: #1f4e5f;">${inviteUrl}</p>
+                    <p style="color: #666; font-size: 14px;">This invitation can be used once and expires on ${expiryText}.</p>
+                    <p style="color: #666; font-size: 14px;">Please use a quiet room and a device with a working microphone.</p>
+                    <hr style="margin: 30px 0; border: none; border-top: 1px solid #e6eef2;">
+                    <p style="color: #666; font-size: 12px;">
+                        If you weren't expecting this invitation, you can ignore this email.
+                    </p>
+                </div>
+            `
+        };
+
+        await sendMail(mailOptions);
+        logger.info(`Assessment invitation ${isReminder ? 'reminder ' : ''}sent to ${invite.email}`);
+        return true;
+    } catch (error) {
+        logger.error('Error sending assessment invitation email:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    setEmailTransporter,
+    sendMail,
+    verifyEmailTransporter,
+    sendAssessmentReportEmail,
+    sendInvitationEmail
+};
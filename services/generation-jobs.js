@@ -0,0 +1,189 @@
+// Queue for section content generation and the worker that drains it
+const os = require('os');
+const logger = require('../config/logger');
+const { AssessmentSession, GenerationJob } = require('../models');
+const { updateAssessmentSession } = require('./assessment-session');
+
+// A failed job waits 5s, 10s, 20s ... before its next attempt
+const GENERATION_RETRY_BASE_MS = 5000;
+// A running job whose worker has not finished it in this long is assumed lost and claimed again
+const GENERATION_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const GENERATION_WORKER_CONCURRENCY = parseInt(process.env.GENERATION_WORKER_CONCURRENCY || '2');
+const GENERATION_WORKER_POLL_MS = 1000;
+// The assessment stops waiting for content after this long, e.g. when no worker is running;
+// sections still missing are generated when the candidate reaches them
+const GENERATION_WAIT_LIMIT_MS = 3 * 60 * 1000;
+
+// Section key -> async (userId, sessionId, options, generationJob) returning the section's generate response;
+// generationJob is set when the worker runs it and is passed on to storeGeneratedContent
+const contentGenerators = new Map();
+
+const registerContentGenerator = (section, generator) => {
+    contentGenerators.set(section, generator);
+};
+
+// Queue content for each { key, options } section. Jobs left from an earlier start of this session are dropped;
+// one still running finds itself gone when it comes to store its content, and stores nothing.
+const enqueueSectionContent = async (userId, sessionId, attemptId, sections) => {
+    await GenerationJob.deleteMany({ userId, sessionId });
+
+    return GenerationJob.insertMany(sections.map(section => ({
+        userId,
+        sessionId,
+        attemptId,
+        section: section.key,
+        options: section.options || {}
+    })));
+};
+
+// Save a generator's content to the assessment session; resolves to false when it was discarded.
+// Content generated on demand always wins: the section's job is cancelled, and a job that finishes later,
+// was cancelled or deleted, or was taken over by another worker stores nothing, so it cannot replace
+// content the candidate is already working through.
+const storeGeneratedContent = async (userId, sessionId, section, updates, generationJob = null) => {
+    if (!generationJob) {
+        await GenerationJob.updateMany(
+            { userId, sessionId, section, status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'cancelled', lockedAt: null, lockedBy: null } }
+        );
+        await updateAssessmentSession(userId, sessionId, {
+            ...updates,
+            [`temporaryData.generatedOnDemand.${section}`]: true
+        });
+        return true;
+    }
+
+    const current = await GenerationJob.exists({ _id: generationJob._id, status: 'running', attempts: generationJob.attempts });
+    const stored = current && await AssessmentSession.updateOne(
+        { userId, sessionId, [`temporaryData.generatedOnDemand.${section}`]: { $ne: true } },
+        { $set: updates }
+    );
+    return Boolean(stored && stored.matchedCount > 0);
+};
+
+// Progress of the session's jobs as sent to the client; content is included once a section is ready
+const getSessionContentStatus = async (userId, sessionId) => {
+    const jobs = await GenerationJob.find({ userId, sessionId }).sort({ createdAt: 1 });
+
+    const sections = {};
+    jobs.forEach(job => {
+        sections[job.section] = {
+            status: job.status,
+            attempts: job.attempts,
+            content: job.status === 'completed' ? job.result : null
+        };
+    });
+
+    const settled = jobs.every(job => ['completed', 'failed', 'cancelled'].includes(job.status));
+    const waitedTooLong = jobs.some(job => Date.now() - job.createdAt.getTime() > GENERATION_WAIT_LIMIT_MS);
+
+    return {
+        sections,
+        ready: settled || waitedTooLong
+    };
+};
+
+// Take the next due job, or one whose worker died mid-run; attempts counts every claim
+const claimNextGenerationJob = (workerId) => {
+    const now = new Date();
+    return GenerationJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                { status: 'running', lockedAt: { $lt: new Date(now.getTime() - GENERATION_LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+const runGenerationJob = async (job) => {
+    try {
+        const generator = contentGenerators.get(job.section);
+        if (!generator) {
+            throw new Error(`No content generator registered for section ${job.section}`);
+        }
+
+        const result = await generator(job.userId, job.sessionId, job.options, job);
+
+        // Only this claim of the job may finish it; see storeGeneratedContent
+        const completed = await GenerationJob.updateOne({ _id: job._id, status: 'running', attempts: job.attempts }, {
+            $set: { status: 'completed', result, completedAt: new Date(), lockedAt: null, lockedBy: null }
+        });
+        if (completed.matchedCount > 0) {
+            logger.info(`Generated ${job.section} content for session ${job.sessionId} (attempt ${job.attempts})`);
+        } else {
+            logger.info(`Discarded ${job.section} content for session ${job.sessionId}: the job was cancelled or taken over while it ran`);
+        }
+    } catch (error) {
+        const exhausted = job.attempts >= job.maxAttempts;
+        const delay = GENERATION_RETRY_BASE_MS * Math.pow(2, job.attempts - 1);
+
+        await GenerationJob.updateOne({ _id: job._id, status: 'running', attempts: job.attempts }, {
+            $set: {
+                status: exhausted ? 'failed' : 'queued',
+                runAt: new Date(Date.now() + delay),
+                lastError: error.message,
+                lockedAt: null,
+                lockedBy: null
+            }
+        });
+
+        if (exhausted) {
+            logger.error(`${job.section} content generation for session ${job.sessionId} failed after ${job.attempts} attempts:`, error.message);
+        } else {
+            logger.warn(`${job.section} content generation for session ${job.sessionId} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s:`, error.message);
+        }
+    }
+};
+
+// Poll for due jobs and run up to `concurrency` of them at a time.
+// Runs inside the server by default; worker.js runs it as a process of its own.
+const startGenerationWorker = (concurrency = GENERATION_WORKER_CONCURRENCY) => {
+    const workerId = `${os.hostname()}:${process.pid}`;
+    let running = 0;
+    let polling = false;
+
+    const poll = async () => {
+        if (polling) {
+            return;
+        }
+        polling = true;
+        try {
+            while (running < concurrency) {
+                const job = await claimNextGenerationJob(workerId);
+                if (!job) {
+                    break;
+                }
+                running++;
+                runGenerationJob(job)
+                    .catch(error => logger.error(`Error recording ${job.section} generation job ${job._id}:`, error))
+                    .finally(() => {
+                        running--;
+                    });
+            }
+        } catch (error) {
+            logger.error('❌ Error polling generation jobs:', error);
+        } finally {
+            polling = false;
+        }
+    };
+
+    setInterval(poll, GENERATION_WORKER_POLL_MS);
+    logger.info(`🔄 Generation worker ${workerId} started - up to ${concurrency} jobs at a time`);
+};
+
+module.exports = {
+    GENERATION_WAIT_LIMIT_MS,
+    registerContentGenerator,
+    storeGeneratedContent,
+    enqueueSectionContent,
+    getSessionContentStatus,
+    claimNextGenerationJob,
+    runGenerationJob,
+    startGenerationWorker
+};
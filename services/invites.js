@@ -0,0 +1,164 @@
+// Invitation links, reminders and expiry
+const jwt = require('jsonwebtoken');
+const logger = require('../config/logger');
+const { AssessmentInvite, Organization } = require('../models');
+const { sendInvitationEmail } = require('./email');
+
+const INVITE_TOKEN_SECRET = process.env.INVITE_TOKEN_SECRET || process.env.SESSION_SECRET;
+const INVITE_DEFAULT_EXPIRY_DAYS = 7;
+const INVITE_MAX_EXPIRY_DAYS = 30;
+// How long before expiry the reminder email goes out
+const INVITE_REMINDER_HOURS = parseInt(process.env.INVITE_REMINDER_HOURS || '24');
+
+// Public base URL for links in emails
+const getAppBaseUrl = (req) => process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// Signed token carried in the invitation link; it expires together with the invite
+const signInviteToken = (invite) => {
+    return jwt.sign(
+        {
+            inviteId: invite._id.toString(),
+            email: invite.email,
+            exp: Math.floor(new Date(invite.expiresAt).getTime() / 1000)
+        },
+        INVITE_TOKEN_SECRET
+    );
+};
+
+const getInviteUrl = (invite) => `${invite.baseUrl}/invite?token=${encodeURIComponent(signInviteToken(invite))}`;
+
+// Resolve an invite from its token, rejecting tampered, expired or already-finished invites
+const findInviteByToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, INVITE_TOKEN_SECRET);
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return { error: expired ? 'This invitation has expired' : 'Invalid invitation link', status: expired ? 410 : 400 };
+    }
+
+    const invite = await AssessmentInvite.findById(payload.inviteId);
+    if (!invite || invite.email !== payload.email) {
+        return { error: 'Invalid invitation link', status: 400 };
+    }
+
+    if (invite.status === 'expired' || invite.expiresAt <= new Date()) {
+        return { error: 'This invitation has expired', status: 410 };
+    }
+
+    if (invite.status === 'revoked') {
+        return { error: 'This invitation has been withdrawn', status: 410 };
+    }
+
+    if (invite.status === 'used') {
+        return { error: 'This invitation has already been used', status: 410 };
+    }
+
+    return { invite };
+};
+
+// Return an unused invite's credit to the organization pool and close it
+const closeInviteWithRefund = async (invite, status) => {
+    const closed = await AssessmentInvite.findOneAndUpdate(
+        { _id: invite._id, status: { $in: ['pending', 'accepted'] } },
+        { $set: { status } },
+        { new: true }
+    );
+
+    // Another request already closed or used it
+    if (!closed) {
+        return null;
+    }
+
+    await Organization.findByIdAndUpdate(invite.organizationId, {
+        $inc: { creditBalance: 1 },
+        $push: { creditTransactions: { type: 'refund', tests: 1, userId: invite.userId, adminId: invite.invitedBy } }
+    });
+
+    return closed;
+};
+
+// Accepted invite the candidate can still start an assessment with
+const getUsableInvite = async (userId) => {
+    return AssessmentInvite.findOne({
+        userId,
+        status: 'accepted',
+        expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1 });
+};
+
+// Mark the candidate's oldest usable invite used and return it; of concurrent starts only one gets it
+const claimUsableInvite = async (userId) => {
+    return AssessmentInvite.findOneAndUpdate(
+        { userId, status: 'accepted', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'used', usedAt: new Date() } },
+        { sort: { expiresAt: 1 }, new: true }
+    );
+};
+
+// Hand a claimed invite back when the attempt it was claimed for could not be started
+const releaseInviteClaim = async (invite) => {
+    await AssessmentInvite.updateOne(
+        { _id: invite._id, status: 'used', attemptId: null },
+        { $set: { status: 'accepted', usedAt: null } }
+    );
+};
+
+// Expire overdue invites (refunding their credit) and send reminders for those about to expire
+const processAssessmentInvites = async () => {
+    try {
+        const now = new Date();
+
+        const overdue = await AssessmentInvite.find({
+            status: { $in: ['pending', 'accepted'] },
+            expiresAt: { $lte: now }
+        });
+
+        for (const invite of overdue) {
+            await closeInviteWithRefund(invite, 'expired');
+        }
+
+        if (overdue.length > 0) {
+            logger.info(`🧹 Expired ${overdue.length} unused assessment invites and refunded their credits`);
+        }
+
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            return;
+        }
+
+        const dueForReminder = await AssessmentInvite.find({
+            status: { $in: ['pending', 'accepted'] },
+            reminderSentAt: null,
+            expiresAt: { $gt: now, $lte: new Date(now.getTime() + INVITE_REMINDER_HOURS * 60 * 60 * 1000) }
+        }).populate('organizationId', 'name');
+
+        for (const invite of dueForReminder) {
+            const sent = await sendInvitationEmail(invite, invite.organizationId.name, getInviteUrl(invite), true);
+            if (sent) {
+                await AssessmentInvite.updateOne({ _id: invite._id }, { $set: { reminderSentAt: new Date() } });
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Error processing assessment invites:', error);
+    }
+};
+
+// Start invite job - runs every hour
+const startInviteJob = () => {
+    setTimeout(processAssessmentInvites, 15000);
+    setInterval(processAssessmentInvites, 60 * 60 * 1000);
+    logger.info('🔄 Assessment invite job started - runs every hour to expire invites and send reminders');
+};
+
+module.exports = {
+    INVITE_DEFAULT_EXPIRY_DAYS,
+    INVITE_MAX_EXPIRY_DAYS,
+    getAppBaseUrl,
+    getInviteUrl,
+    findInviteByToken,
+    closeInviteWithRefund,
+    getUsableInvite,
+    claimUsableInvite,
+    releaseInviteClaim,
+    startInviteJob
+};
@@ -0,0 +1,167 @@
+// LLM providers and the task-routed, retrying chat completion call
+const OpenAI = require('openai');
+const logger = require('../config/logger');
+
+// Tasks that can be routed to their own model. Each task reads <PROVIDER>_MODEL_<TASK>
+// (e.g. OPENAI_MODEL_CONSOLIDATED_FEEDBACK) and falls back to <PROVIDER>_MODEL.
+const LLM_TASKS = {
+    sentenceGeneration: 'SENTENCE_GENERATION',       // reading, listening and jumbled sentences
+    contentGeneration: 'CONTENT_GENERATION',         // stories, interview questions, passages, fill-in-the-blanks, email and role-play scenarios
+    contentRepair: 'CONTENT_REPAIR',                 // re-prompts that fix generated items failing validation
+    storyEvaluation: 'STORY_EVALUATION',
+    personalGrading: 'PERSONAL_GRADING',
+    emailEvaluation: 'EMAIL_EVALUATION',
+    rolePlayDialogue: 'ROLE_PLAY_DIALOGUE',          // the customer's or manager's lines during a role-play
+    rolePlayEvaluation: 'ROLE_PLAY_EVALUATION',
+    consolidatedFeedback: 'CONSOLIDATED_FEEDBACK'
+};
+
+// Supported providers. All of them speak the OpenAI chat completions API.
+const LLM_PROVIDER_DEFINITIONS = {
+    openai: {
+        envPrefix: 'OPENAI',
+        defaultModel: 'gpt-3.5-turbo',
+        isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+        createClient: () => new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY
+        })
+    },
+    deepseek: {
+        envPrefix: 'DEEPSEEK',
+        defaultModel: 'deepseek-chat',
+        isConfigured: () => Boolean(process.env.DEEPSEEK_API_KEY),
+        createClient: () => new OpenAI({
+            apiKey: process.env.DEEPSEEK_API_KEY,
+            baseURL: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com'
+        })
+    },
+    azure: {
+        // For Azure OpenAI the "model" is the deployment name
+        envPrefix: 'AZURE_OPENAI',
+        defaultModel: process.env.AZURE_OPENAI_DEPLOYMENT,
+        isConfigured: () => Boolean(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_DEPLOYMENT),
+        createClient: () => new OpenAI.AzureOpenAI({
+            apiKey: process.env.AZURE_OPENAI_API_KEY,
+            endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+            apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+        })
+    },
+    local: {
+        // Any OpenAI-compatible server (Ollama, vLLM, LM Studio, ...)
+        envPrefix: 'LOCAL_LLM',
+        defaultModel: process.env.LOCAL_LLM_MODEL,
+        isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL && process.env.LOCAL_LLM_MODEL),
+        createClient: () => new OpenAI({
+            apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+            baseURL: process.env.LOCAL_LLM_BASE_URL
+        })
+    }
+};
+
+// Build the ordered failover chain from LLM_PROVIDER_ORDER, skipping providers without credentials
+const initializeLLMProviders = () => {
+    const order = (process.env.LLM_PROVIDER_ORDER || 'openai,deepseek,azure,local')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const providers = [];
+    for (const name of order) {
+        const definition = LLM_PROVIDER_DEFINITIONS[name];
+        if (!definition) {
+            logger.warn(`Unknown LLM provider "${name}" in LLM_PROVIDER_ORDER - skipping`);
+            continue;
+        }
+        if (!definition.isConfigured()) {
+            continue;
+        }
+        providers.push({ name, definition, client: definition.createClient() });
+    }
+
+    if (providers.length === 0) {
+        logger.warn('No LLM provider is configured - AI generation will use the question bank');
+    } else {
+        logger.info(`LLM providers enabled in order: ${providers.map(p => p.name).join(' -> ')}`);
+    }
+
+    return providers;
+};
+
+let llmProviders = initializeLLMProviders();
+
+// Send every LLM call through one OpenAI-compatible client instead of the configured providers
+const setOpenAIClient = (client) => {
+    llmProviders = [{ name: 'openai', definition: LLM_PROVIDER_DEFINITIONS.openai, client }];
+};
+
+// Resolve the model a provider should use for a task
+const getModelForTask = (provider, task) => {
+    const { envPrefix, defaultModel } = provider.definition;
+    const taskSuffix = LLM_TASKS[task];
+    return (taskSuffix && process.env[`${envPrefix}_MODEL_${taskSuffix}`]) ||
+        process.env[`${envPrefix}_MODEL`] ||
+        defaultModel;
+};
+
+// Helper function for LLM calls with retry logic and provider failover.
+// Each provider is retried with exponential backoff before moving on to the next one.
+const callLLMWithRetry = async (task, messages, maxTokens = 300, temperature = 0.7, maxRetries = 2) => {
+    if (!LLM_TASKS[task]) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    if (llmProviders.length === 0) {
+        throw new Error('No LLM provider configured');
+    }
+
+    let lastError;
+
+    for (const provider of llmProviders) {
+        const model = getModelForTask(provider, task);
+
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                logger.info(`LLM ${provider.name}/${model} (${task}) attempt ${attempt}/${maxRetries}`);
+                const completion = await provider.client.chat.completions.create({
+                    model: model,
+                    messages: messages,
+                    max_tokens: maxTokens,
+                    temperature: temperature
+                });
+
+                logger.info(`LLM ${provider.name} attempt ${attempt} succeeded`);
+                completion.provider = provider.name;
+                return completion;
+            } catch (error) {
+                logger.warn(`LLM ${provider.name} attempt ${attempt} failed:`, error.message);
+                lastError = error;
+
+                if (attempt < maxRetries) {
+                    // Wait before retry (exponential backoff)
+                    const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s...
+                    logger.info(`Waiting ${waitTime}ms before retry...`);
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                }
+            }
+        }
+
+        logger.warn(`LLM provider ${provider.name} exhausted, failing over to next provider`);
+    }
+
+    logger.error(`All LLM providers failed. Last error:`, lastError.message);
+    throw lastError;
+};
+
+// Rubric scores from "TONE: 15/20" style lines; null unless every criterion is present
+const parseRubricScores = (feedback, rubric, maxPoints) => {
+    const criteria = {};
+    for (const criterion of rubric) {
+        const match = feedback.match(new RegExp(`${criterion.label}:\\s*(\\d+)\\s*/\\s*${maxPoints}`, 'i'));
+        if (!match) {
+            return null;
+        }
+        criteria[criterion.key] = Math.min(parseInt(match[1], 10), maxPoints);
+    }
+    return criteria;
+};
+
+module.exports = { setOpenAIClient, callLLMWithRetry, parseRubricScores };
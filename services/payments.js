@@ -0,0 +1,724 @@
+// Razorpay orders and the payment lifecycle, pricing plans, coupons and GST invoices
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const logger = require('../config/logger');
+const { Coupon, InvoiceCounter, Organization, Payment, Plan, User } = require('../models');
+const { escapeHtml } = require('../utils/text');
+const { deductOrganizationCredits } = require('./accounts');
+const { renderHtmlToPdf } = require('./report');
+
+// Initialize Razorpay (optional - only if credentials are provided)
+let razorpay = null;
+
+if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+    razorpay = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+    logger.info('✅ Razorpay payment gateway initialized');
+} else {
+    logger.warn('⚠️  Razorpay credentials not found - payment features will be disabled');
+}
+
+// The Razorpay client, or null when payments are disabled
+const getRazorpay = () => razorpay;
+
+const setRazorpay = (client) => {
+    razorpay = client;
+};
+
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || null;
+
+// Add a paid order's tests to whoever bought them: a candidate's own balance or an organization's pool
+const creditPaymentTests = async (payment) => {
+    if (payment.organizationId) {
+        return Organization.findByIdAndUpdate(
+            payment.organizationId,
+            {
+                $inc: { creditBalance: payment.testsCount },
+                $push: {
+                    creditTransactions: {
+                        type: 'purchase',
+                        tests: payment.testsCount,
+                        amount: payment.amount,
+                        paymentId: payment.razorpayPaymentId,
+                        adminId: payment.adminId
+                    }
+                }
+            },
+            { new: true }
+        );
+    }
+
+    return User.findByIdAndUpdate(
+        payment.userId,
+        {
+            $inc: { number_of_tests: payment.testsCount },
+            $push: {
+                payments_timestamps: {
+                    timestamp: new Date(),
+                    amount: payment.amount,
+                    testsCount: payment.testsCount,
+                    paymentId: payment.razorpayPaymentId
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Mark an order paid and credit its tests. /verify and the webhook both land here; only the call that
+// flips the status credits, so a payment confirmed by both is counted once. Returns the credited account,
+// or null when the payment had already been captured.
+const capturePayment = async (payment, { razorpayPaymentId, razorpaySignature = null, source, eventId = null }) => {
+    const update = {
+        razorpayPaymentId,
+        status: 'paid',
+        paidAt: new Date(),
+        failureReason: null
+    };
+    if (razorpaySignature) {
+        update.razorpaySignature = razorpaySignature;
+    }
+
+    const paidPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['created', 'failed'] } },
+        {
+            $set: update,
+            $push: { ledger: { event: 'captured', source, eventId, amount: payment.amount } }
+        },
+        { new: true }
+    );
+
+    if (!paidPayment) {
+        return null;
+    }
+
+    const account = await creditPaymentTests(paidPayment);
+
+    // A use given back when an earlier attempt failed is taken again, even past the cap: the buyer has paid
+    if (paidPayment.couponId) {
+        const retaken = await Payment.updateOne({ _id: paidPayment._id, couponReserved: false }, { $set: { couponReserved: true } });
+        if (retaken.modifiedCount > 0) {
+            await Coupon.updateOne({ _id: paidPayment.couponId }, { $inc: { redemptionCount: 1 } });
+        }
+    }
+
+    // The tests are already credited; an invoice that fails here is numbered when first downloaded
+    try {
+        await issueInvoice(paidPayment);
+    } catch (error) {
+        logger.error(`❌ Error issuing invoice for order ${paidPayment.razorpayOrderId}:`, error);
+    }
+
+    logger.info(`✅ Payment ${razorpayPaymentId} captured via ${source}: ${paidPayment.testsCount} tests credited`, {
+        orderId: paidPayment.razorpayOrderId,
+        userId: paidPayment.userId,
+        organizationId: paidPayment.organizationId
+    });
+    return account;
+};
+
+// Record a failed payment attempt; a later successful attempt on the same order can still capture it
+const failPayment = async (payment, { razorpayPaymentId = null, reason = null, source, eventId = null }) => {
+    const failedPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['created', 'failed'] } },
+        {
+            $set: { status: 'failed', failureReason: reason },
+            $push: { ledger: { event: 'failed', source, eventId, note: reason || (razorpayPaymentId ? `Payment ${razorpayPaymentId} failed` : null) } }
+        },
+        { new: true }
+    );
+
+    if (failedPayment && failedPayment.couponId) {
+        await releaseCouponRedemption(failedPayment);
+    }
+    if (failedPayment) {
+        logger.warn(`❌ Payment for order ${failedPayment.razorpayOrderId} failed via ${source}: ${reason || 'no reason given'}`);
+    }
+    return failedPayment;
+};
+
+// Apply a processed refund once per refund ID and take back a matching share of the tests.
+// Tests the buyer already used cannot be reclaimed, so at most the unused balance is deducted.
+const refundPayment = async (payment, { refundId, amountInPaise, source, eventId = null }) => {
+    const refundAmount = amountInPaise / 100;
+    const alreadyDeducted = payment.refunds.reduce((sum, refund) => sum + refund.testsDeducted, 0);
+    const testsToDeduct = Math.min(
+        payment.testsCount - alreadyDeducted,
+        Math.ceil(payment.testsCount * refundAmount / payment.amount)
+    );
+
+    const refundedPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['paid', 'partially_refunded'] }, 'refunds.refundId': { $ne: refundId } },
+        {
+            $inc: { refundedAmount: refundAmount },
+            $push: {
+                refunds: { refundId, amount: refundAmount, testsDeducted: 0 },
+                ledger: { event: 'refunded', source, eventId, amount: refundAmount, note: `Refund ${refundId}` }
+            }
+        },
+        { new: true }
+    );
+
+    if (!refundedPayment) {
+        return null;
+    }
+
+    let testsDeducted = 0;
+    if (refundedPayment.organizationId) {
+        const organization = await Organization.findById(refundedPayment.organizationId);
+        testsDeducted = Math.min(organization.creditBalance, testsToDeduct);
+        if (testsDeducted > 0) {
+            await deductOrganizationCredits(refundedPayment.organizationId, testsDeducted, [{
+                type: 'payment_refund',
+                tests: -testsDeducted,
+                amount: -refundAmount,
+                paymentId: refundedPayment.razorpayPaymentId
+            }]);
+        }
+    } else {
+        const user = await User.findById(refundedPayment.userId);
+        testsDeducted = Math.min(user.number_of_tests, testsToDeduct);
+        if (testsDeducted > 0) {
+            await User.updateOne(
+                { _id: user._id, number_of_tests: { $gte: testsDeducted } },
+                { $inc: { number_of_tests: -testsDeducted } }
+            );
+        }
+    }
+
+    const fullyRefunded = refundedPayment.refundedAmount >= refundedPayment.amount;
+    if (fullyRefunded && refundedPayment.couponId) {
+        await releaseCouponRedemption(refundedPayment);
+    }
+    await Payment.updateOne(
+        { _id: refundedPayment._id, 'refunds.refundId': refundId },
+        {
+            $set: {
+                status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                'refunds.$.testsDeducted': testsDeducted
+            }
+        }
+    );
+
+    logger.info(`↩️ Refund ${refundId} of ₹${refundAmount} applied to order ${refundedPayment.razorpayOrderId}: ${testsDeducted} of ${testsToDeduct} tests deducted`);
+    return refundedPayment;
+};
+
+const isValidRazorpayWebhookSignature = (rawBody, signature) => {
+    const expected = Buffer.from(crypto.createHmac('sha256', RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const GST_RATE = parseFloat(process.env.GST_RATE || '18');
+
+// SAC 999293: commercial training and coaching services
+const INVOICE_SAC_CODE = process.env.INVOICE_SAC_CODE || '999293';
+
+// Invoice numbers may be at most 16 characters; PREFIX/26-27/00001 leaves four for the prefix
+const INVOICE_PREFIX = (process.env.INVOICE_PREFIX || 'ST').slice(0, 4);
+
+const INVOICE_SELLER = {
+    name: process.env.INVOICE_SELLER_NAME || 'Skill Tesseract',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    stateCode: process.env.INVOICE_SELLER_STATE_CODE || ''
+};
+
+// GST state codes, used for the place of supply
+const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Plans created on first start, matching the original purchase page
+const DEFAULT_PLANS = [
+    { name: 'Starter', testsCount: 1, price: 59, originalPrice: 99, badge: 'New', sortOrder: 1 },
+    { name: 'Popular', testsCount: 5, price: 249, originalPrice: 399, badge: 'Best Value', sortOrder: 2 },
+    { name: 'Pro', testsCount: 10, price: 479, originalPrice: 699, badge: 'Save More', sortOrder: 3 }
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const formatRupees = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+const seedPlans = async () => {
+    const existing = await Plan.countDocuments({});
+    if (existing > 0) {
+        return;
+    }
+
+    await Plan.insertMany(DEFAULT_PLANS);
+    logger.info(`Seeded ${DEFAULT_PLANS.length} pricing plans`);
+};
+
+const serializePlan = (plan) => ({
+    id: plan._id,
+    name: plan.name,
+    testsCount: plan.testsCount,
+    price: plan.price,
+    originalPrice: plan.originalPrice,
+    badge: plan.badge
+});
+
+// Validate a plan payload from the admin panel and return the fields to store
+const buildPlan = (payload) => {
+    const { name, testsCount, price, originalPrice, badge, sortOrder, status } = payload || {};
+
+    if (!name || !String(name).trim()) {
+        throw new Error('Plan name is required');
+    }
+
+    const tests = parseInt(testsCount);
+    if (!(tests >= 1 && tests <= 1000)) {
+        throw new Error('Tests must be between 1 and 1000');
+    }
+
+    const planPrice = Number(price);
+    if (!(planPrice >= 1)) {
+        throw new Error('Price must be at least ₹1');
+    }
+
+    const listPrice = originalPrice === undefined || originalPrice === null || originalPrice === ''
+        ? null
+        : Number(originalPrice);
+    if (listPrice !== null && !(listPrice >= planPrice)) {
+        throw new Error('The original price cannot be below the price');
+    }
+
+    if (status !== undefined && !['active', 'archived'].includes(status)) {
+        throw new Error('Status must be active or archived');
+    }
+
+    return {
+        name: String(name).trim(),
+        testsCount: tests,
+        price: roundCurrency(planPrice),
+        originalPrice: listPrice === null ? null : roundCurrency(listPrice),
+        badge: String(badge || '').trim().slice(0, 30),
+        sortOrder: parseInt(sortOrder) || 0,
+        ...(status ? { status } : {})
+    };
+};
+
+// Validate a coupon payload from the admin panel and return the fields to store
+const buildCoupon = (payload) => {
+    const {
+        code, description, discountType, discountValue, expiresAt,
+        maxRedemptions, maxRedemptionsPerAccount, organizationIds, status
+    } = payload || {};
+
+    const couponCode = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,30}$/.test(couponCode)) {
+        throw new Error('Coupon codes are 3-30 letters, digits, dashes or underscores');
+    }
+
+    if (!['percent', 'flat'].includes(discountType)) {
+        throw new Error('Discount type must be percent or flat');
+    }
+
+    const value = Number(discountValue);
+    if (discountType === 'percent' && !(value > 0 && value <= 100)) {
+        throw new Error('Percent discounts must be more than 0 and at most 100');
+    }
+    if (discountType === 'flat' && !(value > 0)) {
+        throw new Error('Flat discounts must be more than ₹0');
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+        throw new Error('Invalid expiry date');
+    }
+
+    const parseCap = (cap, label) => {
+        if (cap === undefined || cap === null || cap === '') {
+            return null;
+        }
+        const limit = parseInt(cap);
+        if (!(limit >= 1)) {
+            throw new Error(`${label} must be at least 1`);
+        }
+        return limit;
+    };
+
+    const organizations = Array.isArray(organizationIds) ? organizationIds : [];
+    if (organizations.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid organization ID');
+    }
+
+    if (status !== undefined && !['active', 'disabled'].includes(status)) {
+        throw new Error('Status must be active or disabled');
+    }
+
+    return {
+        code: couponCode,
+        description: String(description || '').trim(),
+        discountType,
+        discountValue: value,
+        expiresAt: expiry,
+        maxRedemptions: parseCap(maxRedemptions, 'Total uses'),
+        maxRedemptionsPerAccount: parseCap(maxRedemptionsPerAccount, 'Uses per account'),
+        organizationIds: organizations,
+        ...(status ? { status } : {})
+    };
+};
+
+// Price an order, applying a coupon if one is given. Throws with a message for the buyer when the
+// coupon cannot be used. The total cap is checked here for quotes; an order enforces it by reserving a
+// use (reserveCouponRedemption), and the per-account cap counts paid orders.
+const quoteOrder = async ({ listAmount, couponCode, userId = null, organizationId = null }) => {
+    if (!couponCode || !String(couponCode).trim()) {
+        return { listAmount, discountAmount: 0, amount: listAmount, coupon: null };
+    }
+
+    const coupon = await Coupon.findOne({ code: String(couponCode).trim().toUpperCase(), status: 'active' });
+    if (!coupon) {
+        throw new Error('Coupon code not found');
+    }
+
+    if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+        throw new Error('This coupon has expired');
+    }
+
+    if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+        throw new Error('This coupon has been fully redeemed');
+    }
+
+    if (coupon.organizationIds.length > 0 && !coupon.organizationIds.some(id => organizationId && id.equals(organizationId))) {
+        throw new Error('This coupon is not valid for your account');
+    }
+
+    if (coupon.maxRedemptionsPerAccount !== null) {
+        const used = await Payment.countDocuments({
+            couponId: coupon._id,
+            status: { $in: PAID_PAYMENT_STATUSES },
+            ...(userId ? { userId } : { organizationId })
+        });
+        if (used >= coupon.maxRedemptionsPerAccount) {
+            throw new Error('You have already used this coupon');
+        }
+    }
+
+    const discount = coupon.discountType === 'percent'
+        ? listAmount * coupon.discountValue / 100
+        : coupon.discountValue;
+
+    // Razorpay does not accept orders under ₹1
+    const discountAmount = roundCurrency(Math.min(discount, listAmount - 1));
+
+    return {
+        listAmount,
+        discountAmount,
+        amount: roundCurrency(listAmount - discountAmount),
+        coupon
+    };
+};
+
+// An unpaid order this old is taken to be abandoned and gives its coupon use back once the coupon runs out
+const COUPON_RESERVATION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Give back a payment's use of its coupon; does nothing if it holds none, so it is safe to repeat
+const releaseCouponRedemption = async (payment) => {
+    const released = await Payment.updateOne({ _id: payment._id, couponReserved: true }, { $set: { couponReserved: false } });
+    if (released.modifiedCount > 0) {
+        await Coupon.updateOne({ _id: payment.couponId }, { $inc: { redemptionCount: -1 } });
+    }
+};
+
+// Hold one of the coupon's uses for a new order, so checkouts running at once cannot go over the cap.
+// Resolves to false, failing the order, when none are left.
+const reserveCouponRedemption = async (payment) => {
+    const takeUse = () => Coupon.updateOne(
+        {
+            _id: payment.couponId,
+            $or: [
+                { maxRedemptions: null },
+                { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+            ]
+        },
+        { $inc: { redemptionCount: 1 } }
+    );
+
+    let taken = await takeUse();
+    if (taken.modifiedCount === 0) {
+        const abandoned = await Payment.find({
+            couponId: payment.couponId,
+            couponReserved: true,
+            status: 'created',
+            createdAt: { $lt: new Date(Date.now() - COUPON_RESERVATION_TIMEOUT_MS) }
+        });
+        await Promise.all(abandoned.map(releaseCouponRedemption));
+        taken = abandoned.length > 0 ? await takeUse() : taken;
+    }
+
+    if (taken.modifiedCount === 0) {
+        await failPayment(payment, { reason: 'Coupon fully redeemed', source: 'checkout' });
+        return false;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { $set: { couponReserved: true } });
+    return true;
+};
+
+// Place of supply and optional GSTIN from a checkout form; a GSTIN fixes the state to the one that issued it
+const parseBillingDetails = ({ billingState, customerGstin }) => {
+    const gstin = customerGstin ? String(customerGstin).trim().toUpperCase() : null;
+    if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        throw new Error('Invalid GSTIN');
+    }
+
+    const state = gstin ? gstin.slice(0, 2) : (billingState ? String(billingState) : null);
+    if (state && !GST_STATES[state]) {
+        throw new Error('Invalid billing state');
+    }
+
+    return { billingState: state, customerGstin: gstin };
+};
+
+// Split the GST included in a payment: CGST and SGST inside the seller's state, IGST across states
+const computeInvoiceTax = (payment) => {
+    const taxableValue = roundCurrency(payment.amount * 100 / (100 + GST_RATE));
+    const tax = roundCurrency(payment.amount - taxableValue);
+    const interState = Boolean(INVOICE_SELLER.stateCode && payment.billingState && payment.billingState !== INVOICE_SELLER.stateCode);
+
+    if (interState) {
+        return { taxableValue, gstRate: GST_RATE, cgst: 0, sgst: 0, igst: tax };
+    }
+
+    const cgst = roundCurrency(tax / 2);
+    return { taxableValue, gstRate: GST_RATE, cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+};
+
+// Indian financial year (April to March, in IST) as "26-27"
+const getFinancialYear = (date) => {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+};
+
+const formatInvoiceNumber = (financialYear, seq) => `${INVOICE_PREFIX}/${financialYear}/${String(seq).padStart(5, '0')}`;
+
+// Record the number the financial year's counter last took on the payment it was taken for, then free the
+// counter. A number the payment cannot use, because it was numbered in the meantime, is given back.
+const completeInvoiceReservation = async (financialYear) => {
+    const counter = await InvoiceCounter.findById(financialYear);
+    if (!counter || !counter.reservedFor) {
+        return;
+    }
+
+    const number = formatInvoiceNumber(financialYear, counter.seq);
+    const reserved = await Payment.findById(counter.reservedFor);
+    if (reserved && !reserved.invoice.number) {
+        const issued = await Payment.updateOne(
+            { _id: reserved._id, 'invoice.number': null },
+            { $set: { invoice: { number, issuedAt: reserved.paidAt || new Date(), ...computeInvoiceTax(reserved) } } }
+        );
+        if (issued.modifiedCount > 0) {
+            logger.info(`🧾 Issued invoice ${number} for order ${reserved.razorpayOrderId}`);
+        }
+    }
+
+    const numbered = reserved && await Payment.exists({ _id: reserved._id, 'invoice.number': number });
+    await InvoiceCounter.updateOne(
+        { _id: financialYear, seq: counter.seq, reservedFor: counter.reservedFor },
+        numbered ? { $set: { reservedFor: null } } : { $set: { reservedFor: null }, $inc: { seq: -1 } }
+    );
+};
+
+// Number and price the tax invoice for a paid order. GST invoice numbers must run without gaps, so the
+// counter takes a number and records the payment it is for in one update, and takes no other until the
+// number is on that payment; whichever request comes next finishes the job if this one stops halfway.
+const issueInvoice = async (payment) => {
+    if (payment.invoice && payment.invoice.number) {
+        return payment;
+    }
+
+    const financialYear = getFinancialYear(payment.paidAt || new Date());
+    await InvoiceCounter.updateOne({ _id: financialYear }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const current = await Payment.findById(payment._id);
+        if (current.invoice && current.invoice.number) {
+            return current;
+        }
+
+        await InvoiceCounter.updateOne(
+            { _id: financialYear, reservedFor: null },
+            { $inc: { seq: 1 }, $set: { reservedFor: payment._id } }
+        );
+        await completeInvoiceReservation(financialYear);
+    }
+    throw new Error(`Invoice for payment ${payment._id} is still being issued`);
+};
+
+const buildInvoiceHtml = (payment) => {
+    const { invoice } = payment;
+    const dateOptions = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Kolkata' };
+    const placeOfSupply = payment.billingState || INVOICE_SELLER.stateCode;
+    const halfRate = invoice.gstRate / 2;
+
+    const taxRows = invoice.igst > 0
+        ? `<tr><td colspan="3">IGST @ ${invoice.gstRate}%</td><td class="num">${formatRupees(invoice.igst)}</td></tr>`
+        : `
+            <tr><td colspan="3">CGST @ ${halfRate}%</td><td class="num">${formatRupees(invoice.cgst)}</td></tr>
+            <tr><td colspan="3">SGST/UTGST @ ${halfRate}%</td><td class="num">${formatRupees(invoice.sgst)}</td></tr>
+        `;
+
+    return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <title>Tax Invoice ${escapeHtml(invoice.number)}</title>
+            <style>
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; font-size: 12px; line-height: 1.5; margin: 0; }
+                .header { border-bottom: 3px solid #1f4e5f; padding-bottom: 12px; margin-bottom: 20px; display: flex; justify-content: space-between; }
+                .header h1 { color: #1f4e5f; margin: 0; font-size: 24px; }
+                .header p { margin: 2px 0; color: #666; }
+                .parties { display: flex; gap: 24px; margin-bottom: 20px; }
+                .parties div { flex: 1; }
+                h3 { color: #1f4e5f; font-size: 13px; margin: 0 0 6px 0; }
+                table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+                th, td { border: 1px solid #e0e0e0; padding: 6px 8px; text-align: left; vertical-align: top; }
+                th { background: #f0f5f7; color: #1f4e5f; }
+                td.num, th.num { text-align: right; white-space: nowrap; }
+                tr.total td { font-weight: bold; background: #f0f5f7; }
+                .note { color: #666; margin-top: 4px; }
+                .footer { margin-top: 30px; color: #999; font-size: 10px; text-align: center; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <div>
+                    <h1>Tax Invoice</h1>
+                    <p><strong>${escapeHtml(INVOICE_SELLER.name)}</strong></p>
+                    ${INVOICE_SELLER.address ? `<p>${escapeHtml(INVOICE_SELLER.address)}</p>` : ''}
+                    ${INVOICE_SELLER.gstin ? `<p>GSTIN: ${escapeHtml(INVOICE_SELLER.gstin)}</p>` : ''}
+                </div>
+                <div>
+                    <p>Invoice No: <strong>${escapeHtml(invoice.number)}</strong></p>
+                    <p>Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN', dateOptions)}</p>
+                    <p>Place of Supply: ${placeOfSupply ? `${escapeHtml(GST_STATES[placeOfSupply] || placeOfSupply)} (${escapeHtml(placeOfSupply)})` : '-'}</p>
+                    <p>Tax payable on reverse charge: No</p>
+                </div>
+            </div>
+
+            <div class="parties">
+                <div>
+                    <h3>Billed To</h3>
+                    <div>${escapeHtml(payment.customerName)}</div>
+                    <div>${escapeHtml(payment.customerEmail)}</div>
+                    ${payment.customerGstin ? `<div>GSTIN: ${escapeHtml(payment.customerGstin)}</div>` : ''}
+                    ${payment.billingState ? `<div>State: ${escapeHtml(GST_STATES[payment.billingState] || payment.billingState)}</div>` : ''}
+                </div>
+                <div>
+                    <h3>Payment</h3>
+                    <div>Razorpay payment ID: ${escapeHtml(payment.razorpayPaymentId || '-')}</div>
+                    <div>Order ID: ${escapeHtml(payment.razorpayOrderId)}</div>
+                </div>
+            </div>
+
+            <table>
+                <thead>
+                    <tr><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Taxable Value</th></tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>
+                            ${escapeHtml(payment.planName)} - ${payment.testsCount} communication assessment test${payment.testsCount === 1 ? '' : 's'}
+                            ${payment.discountAmount > 0 ? `<div class="note">List price ${formatRupees(payment.listAmount)}, less ${formatRupees(payment.discountAmount)} coupon ${escapeHtml(payment.couponCode || '')}</div>` : ''}
+                        </td>
+                        <td>${escapeHtml(INVOICE_SAC_CODE)}</td>
+                        <td class="num">1</td>
+                        <td class="num">${formatRupees(invoice.taxableValue)}</td>
+                    </tr>
+                    ${taxRows}
+                    <tr class="total"><td colspan="3">Total (inclusive of GST)</td><td class="num">${formatRupees(payment.amount)}</td></tr>
+                </tbody>
+            </table>
+
+            <div class="footer">
+                This is a computer-generated invoice and does not require a signature.
+            </div>
+        </body>
+        </html>
+    `;
+};
+
+// Send a paid order's invoice as a PDF download, numbering it first for orders paid before invoicing existed
+const sendInvoicePdf = async (res, payment) => {
+    const invoicedPayment = await issueInvoice(payment);
+    const pdf = await renderHtmlToPdf(buildInvoiceHtml(invoicedPayment));
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="invoice-${invoicedPayment.invoice.number.replace(/\//g, '-')}.pdf"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+};
+
+module.exports = {
+    getRazorpay,
+    setRazorpay,
+    RAZORPAY_WEBHOOK_SECRET,
+    capturePayment,
+    failPayment,
+    refundPayment,
+    isValidRazorpayWebhookSignature,
+    GST_RATE,
+    GST_STATES,
+    PAID_PAYMENT_STATUSES,
+    toPaise,
+    seedPlans,
+    serializePlan,
+    buildPlan,
+    buildCoupon,
+    quoteOrder,
+    reserveCouponRedemption,
+    parseBillingDetails,
+    sendInvoicePdf
+};
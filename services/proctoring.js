@@ -0,0 +1,48 @@
+// Summaries of proctoring events for reviewers and reports
+const { PROCTOR_EVENT_TYPES, ProctorEvent } = require('../models');
+
+const PROCTOR_EVENT_LABELS = {
+    tab_hidden: 'Tab switches',
+    window_blur: 'Window focus lost',
+    paste: 'Paste events',
+    devtools_open: 'Developer tools opened',
+    fullscreen_exit: 'Fullscreen exits'
+};
+
+// Leaving the test this many times (tab switches, focus loss, fullscreen exits) flags it for review
+const PROCTOR_REVIEW_THRESHOLD = 3;
+
+// Integrity summary of an attempt's events: counts per type and an overall level.
+// Any paste or developer tools use needs review; otherwise it depends on how often the candidate left the test.
+const summarizeProctorEvents = (events) => {
+    const counts = {};
+    PROCTOR_EVENT_TYPES.forEach(type => {
+        counts[type] = 0;
+    });
+    events.forEach(event => {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+    });
+
+    const departures = counts.tab_hidden + counts.window_blur + counts.fullscreen_exit;
+    let level = 'clean';
+    if (counts.paste > 0 || counts.devtools_open > 0 || departures >= PROCTOR_REVIEW_THRESHOLD) {
+        level = 'review';
+    } else if (departures > 0) {
+        level = 'minor';
+    }
+
+    return {
+        level,
+        totalEvents: events.length,
+        counts,
+        labels: PROCTOR_EVENT_LABELS,
+        firstEventAt: events.length > 0 ? events[0].occurredAt : null,
+        lastEventAt: events.length > 0 ? events[events.length - 1].occurredAt : null
+    };
+};
+
+const getAttemptProctorEvents = async (attemptId) => {
+    return ProctorEvent.find({ attemptId }).sort({ occurredAt: 1 }).select('-__v');
+};
+
+module.exports = { summarizeProctorEvents, getAttemptProctorEvents };
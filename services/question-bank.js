@@ -0,0 +1,441 @@
+// Question bank content: defaults, validation and drawing items for a section
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const { QUESTION_BANK_DIFFICULTIES, QUESTION_BANK_TYPES, QuestionBank, QuestionBankSetting } = require('../models');
+const { escapeRegExp } = require('../utils/text');
+
+// Build a question bank document from an admin payload, throwing on invalid input
+const buildQuestionBankItem = (payload) => {
+    const { assessmentType, topic, difficulty, language, content } = payload || {};
+
+    if (!QUESTION_BANK_TYPES.includes(assessmentType)) {
+        throw new Error(`assessmentType must be one of: ${QUESTION_BANK_TYPES.join(', ')}`);
+    }
+
+    const bankDifficulty = normalizeBankDifficulty(difficulty || 'intermediate');
+    if (!bankDifficulty) {
+        throw new Error(`difficulty must be one of: ${QUESTION_BANK_DIFFICULTIES.join(', ')}`);
+    }
+
+    const bankLanguage = language || 'en';
+    if (!AssessmentLocales.LANGUAGES.includes(bankLanguage)) {
+        throw new Error(`language must be one of: ${AssessmentLocales.LANGUAGES.join(', ')}`);
+    }
+
+    return {
+        assessmentType,
+        topic: topic && String(topic).trim() ? String(topic).trim() : 'general',
+        difficulty: bankDifficulty,
+        language: bankLanguage,
+        content: normalizeQuestionBankContent(assessmentType, content)
+    };
+};
+
+// Content the bank starts with so every section has something to serve when the LLM is down
+const DEFAULT_QUESTION_BANK_ITEMS = {
+    reading: [
+        "The quick brown fox jumps over the lazy dog every morning.",
+        "Learning English pronunciation takes practice and patience every day.",
+        "She sells beautiful seashells by the peaceful seashore.",
+        "The weather is absolutely beautiful and sunny today.",
+        "I love reading interesting books in my free time.",
+        "Please speak clearly and slowly for better understanding.",
+        "The cat is sleeping peacefully on the warm windowsill.",
+        "We are going to the park tomorrow morning.",
+        "Technology has changed the way we communicate with each other.",
+        "Fresh vegetables and fruits are important for good health."
+    ].map(text => ({ topic: 'general', content: { text } })),
+    listening: [
+        "The sun is shining brightly in the clear blue sky.",
+        "Children are playing happily in the neighborhood park.",
+        "My grandmother makes the best chocolate chip cookies.",
+        "The library is open from nine to five on weekdays.",
+        "Students study hard to prepare for their final exams.",
+        "Technology has changed how we communicate with others.",
+        "Fresh vegetables and fruits are essential for good health.",
+        "The meeting will start at ten o'clock sharp.",
+        "She enjoys reading mystery novels in her free time.",
+        "The weather forecast predicts rain for tomorrow."
+    ].map(text => ({ topic: 'general', content: { text } })),
+    jumbled: [
+        "The sun shines brightly in the morning sky.",
+        "Students study hard for their important exams.",
+        "Children play happily in the school playground.",
+        "The library opens at nine o'clock every day.",
+        "Fresh vegetables are good for your health."
+    ].map(text => ({ topic: 'general', content: { text } })),
+    story: [
+        "Once upon a time, there was a young girl named Emma who loved to explore. One sunny morning, she discovered a hidden path in the forest behind her house. Following the path, she found a beautiful garden filled with colorful flowers and singing birds. In the center of the garden stood an old oak tree with a small door at its base. Emma knocked gently, and a friendly fairy appeared. The fairy thanked Emma for finding the secret garden and granted her one wish. Emma wished for all children to have access to books and education. The fairy smiled and promised to make it happen. From that day forward, Emma became known as the girl who brought knowledge to her community.",
+        "Tom was a hardworking baker who owned a small shop in the village. Every morning, he would wake up before sunrise to prepare fresh bread and pastries for his customers. One day, a mysterious old woman entered his shop and asked for help. She had no money but was very hungry. Without hesitation, Tom gave her a warm loaf of bread and a cup of tea. The old woman smiled and revealed that she was actually a magical being testing people's kindness. As a reward for his generosity, she blessed his bakery. From that day on, Tom's bread became the most delicious in the entire region, and people traveled from far and wide to taste it.",
+        "Sarah was a marine biologist who dedicated her life to protecting ocean creatures. During one of her research expeditions, she discovered that a group of dolphins was trapped in a polluted bay. The water was contaminated with plastic waste, making it dangerous for the dolphins to survive. Sarah immediately contacted environmental organizations and local authorities. Together, they organized a massive cleanup effort. Volunteers from around the world came to help remove the pollution and rescue the dolphins. After weeks of hard work, the bay was clean again, and the dolphins were safely relocated to cleaner waters. Sarah's dedication inspired many others to protect marine life."
+    ].map(text => ({ topic: 'general', content: { text } })),
+    personal: [
+        ['Technical Communication', "Tell me about a time when you had to explain a complex technical concept to someone without a technical background. How did you approach it?"],
+        ['Problem Solving', "Describe a challenging project you worked on. What obstacles did you face and how did you overcome them?"],
+        ['Problem Solving', "Can you walk me through your problem-solving process when you encounter a difficult technical issue?"],
+        ['Teamwork', "Tell me about a time when you disagreed with a team member or colleague. How did you handle the situation?"],
+        ['Failure/Learning', "Describe a situation where you had to learn a new technology or skill quickly. How did you approach the learning process?"],
+        ['Failure/Learning', "Tell me about a time when you made a mistake in your work. How did you handle it and what did you learn?"],
+        ['Innovation', "How do you stay updated with the latest trends and technologies in your field?"],
+        ['General', "Describe a time when you had to work under pressure or tight deadlines. How did you manage your time and priorities?"],
+        ['Teamwork', "Tell me about a project where you had to collaborate with people from different departments or backgrounds."],
+        ['General', "What motivates you in your work, and how do you maintain that motivation during challenging times?"]
+    ].map(([topic, text]) => ({ topic, content: { text } })),
+    comprehension: [{
+        topic: 'technology',
+        content: {
+            passage: "Technology has revolutionized the way we communicate and work in the modern world. From smartphones to cloud computing, digital innovations have transformed nearly every aspect of our daily lives. Social media platforms connect people across continents, while video conferencing tools enable remote collaboration. However, this rapid technological advancement also brings challenges such as privacy concerns, digital addiction, and the need for continuous learning to keep up with new developments. As we move forward, it's important to balance the benefits of technology with mindful usage and consideration of its impact on society.",
+            questions: [
+                {
+                    question: "What is the main topic of this passage?",
+                    options: {
+                        A: "The history of smartphones",
+                        B: "Technology's impact on modern life",
+                        C: "Social media platforms",
+                        D: "Privacy concerns online"
+                    },
+                    correct_answer: "B"
+                },
+                {
+                    question: "According to the passage, what enables remote collaboration?",
+                    options: {
+                        A: "Social media platforms",
+                        B: "Smartphones",
+                        C: "Video conferencing tools",
+                        D: "Cloud computing"
+                    },
+                    correct_answer: "C"
+                },
+                {
+                    question: "What challenge is mentioned regarding technological advancement?",
+                    options: {
+                        A: "High costs",
+                        B: "Limited availability",
+                        C: "Privacy concerns",
+                        D: "Slow internet speeds"
+                    },
+                    correct_answer: "C"
+                },
+                {
+                    question: "What does the passage suggest about using technology?",
+                    options: {
+                        A: "It should be avoided completely",
+                        B: "It requires mindful and balanced usage",
+                        C: "It's only useful for work",
+                        D: "It's too complicated for most people"
+                    },
+                    correct_answer: "B"
+                }
+            ]
+        }
+    }],
+    fillblanks: [
+        { question: "She _____ to the store every morning.", options: ["go", "goes", "going"], correctAnswer: "goes" },
+        { question: "The book is _____ the table.", options: ["in", "on", "at"], correctAnswer: "on" },
+        { question: "I have _____ apple in my bag.", options: ["a", "an", "the"], correctAnswer: "an" },
+        { question: "They _____ finished their homework yesterday.", options: ["have", "has", "had"], correctAnswer: "had" },
+        { question: "This is _____ interesting movie I've ever seen.", options: ["more", "most", "the most"], correctAnswer: "the most" },
+        { question: "Can you help me _____ this problem?", options: ["with", "for", "about"], correctAnswer: "with" },
+        { question: "She speaks English _____ than her brother.", options: ["good", "better", "best"], correctAnswer: "better" },
+        { question: "We _____ going to the park tomorrow.", options: ["is", "are", "am"], correctAnswer: "are" },
+        { question: "The children _____ playing in the garden.", options: ["is", "are", "was"], correctAnswer: "are" },
+        { question: "I _____ like to have some coffee, please.", options: ["will", "would", "should"], correctAnswer: "would" }
+    ].map(content => ({ topic: 'general', content })),
+    email: [
+        {
+            topic: 'Deadline extensions',
+            content: {
+                situation: "You are a project coordinator. A supplier has told you that a shipment of components will arrive five days late, which means your team cannot deliver the first phase of a client project on Friday as promised.",
+                recipient: "Ms. Priya Nair, the client's project manager",
+                incomingEmail: null,
+                requirements: [
+                    "Explain the delay and its cause briefly",
+                    "Propose a new delivery date",
+                    "Offer something to reduce the impact on the client",
+                    "Apologise without blaming the supplier excessively"
+                ]
+            }
+        },
+        {
+            topic: 'Customer complaints',
+            content: {
+                situation: "You work in customer support for an online software company. A customer was charged twice for their annual subscription and has written in.",
+                recipient: "Mr. Daniel Brooks, the customer",
+                incomingEmail: {
+                    from: "Daniel Brooks",
+                    subject: "Charged twice!!",
+                    body: "I just checked my bank statement and you have taken the annual fee twice. This is not acceptable. I want my money back immediately or I will cancel."
+                },
+                requirements: [
+                    "Acknowledge the problem and apologise",
+                    "Confirm that the duplicate payment will be refunded and when",
+                    "Tell the customer what to do if the refund does not arrive",
+                    "Keep a calm, professional tone"
+                ]
+            }
+        },
+        {
+            topic: 'Meeting requests',
+            content: {
+                situation: "You are a team lead. Your team needs a one-hour meeting with the finance department next week to agree on the budget for a new training programme.",
+                recipient: "Mr. Arjun Mehta, the finance manager, whom you have not met before",
+                incomingEmail: null,
+                requirements: [
+                    "Introduce yourself and the purpose of the meeting",
+                    "Suggest two possible time slots",
+                    "Say what you will prepare before the meeting",
+                    "Ask for a reply by a specific day"
+                ]
+            }
+        }
+    ],
+    dictation: [
+        "Please submit your expense reports before the end of the month.",
+        "The train to the airport leaves from platform four every twenty minutes.",
+        "Our customer service team is available between eight and six on weekdays.",
+        "Remember to wear your safety helmet whenever you enter the warehouse.",
+        "The dentist has rescheduled your appointment to Thursday afternoon.",
+        "This laptop comes with a two-year warranty and free technical support.",
+        "Switch off the projector and close the windows before leaving the room.",
+        "The pharmacy across the street is closed for renovation until next week.",
+        "Visitors must sign in at reception and collect a temporary badge.",
+        "The quarterly meeting has been moved to the conference room on the third floor."
+    ].map(text => ({ topic: 'general', content: { text } })),
+    roleplay: [
+        {
+            topic: 'Delayed orders',
+            content: {
+                aiRole: 'customer',
+                personaName: 'Sarah Collins',
+                candidateRole: 'Customer support agent for an online furniture store',
+                situation: "A customer is calling about a sofa that was due to be delivered three days ago. The warehouse has confirmed it will be delivered next Tuesday.",
+                personaBrief: "You took a day off work to wait for the delivery and nobody told you it was late. You are frustrated but reasonable. You want to know exactly when it will arrive and whether you will get anything for the inconvenience. You calm down if the agent apologises sincerely and offers a concrete solution.",
+                openingLine: "Hi, I'm calling about my sofa. It was supposed to arrive on Monday, I stayed home all day, and nothing came. Nobody even called me. What is going on?"
+            }
+        },
+        {
+            topic: 'Billing disputes',
+            content: {
+                aiRole: 'customer',
+                personaName: 'Mr. Rahul Verma',
+                candidateRole: 'Account manager at an internet service provider',
+                situation: "A long-standing customer has noticed that his monthly bill went up without warning. A promotional discount on his plan expired last month.",
+                personaBrief: "You have been a customer for six years. Nobody told you the discount would end and you feel taken for granted. You are thinking of switching to a competitor. You stay if you are offered a fair deal and a clear explanation.",
+                openingLine: "Good afternoon. My bill this month is almost four hundred rupees higher than usual and I never agreed to any change. Can you explain why I'm paying more?"
+            }
+        },
+        {
+            topic: 'Missed deadlines',
+            content: {
+                aiRole: 'manager',
+                personaName: 'Anita Desai',
+                candidateRole: 'Team member responsible for the monthly client report',
+                situation: "Your manager has asked to speak with you because the monthly client report you own was sent two days late, and the client noticed.",
+                personaBrief: "You are disappointed but want to solve the problem, not blame anyone. You want to understand what went wrong, hear what the candidate will change, and agree on how to reassure the client. You appreciate ownership and a specific plan.",
+                openingLine: "Thanks for making time. I wanted to talk about the client report. It went out two days late and the client has already asked me about it. Can you walk me through what happened?"
+            }
+        }
+    ]
+};
+
+// Insert the default items for any assessment type that has no bank content yet
+const seedQuestionBank = async () => {
+    // Items added before the bank had languages are all English
+    await QuestionBank.updateMany({ language: { $exists: false } }, { $set: { language: 'en' } });
+
+    for (const assessmentType of QUESTION_BANK_TYPES) {
+        const existing = await QuestionBank.countDocuments({ assessmentType });
+        if (existing > 0) {
+            continue;
+        }
+
+        const items = DEFAULT_QUESTION_BANK_ITEMS[assessmentType].map(item => ({
+            assessmentType,
+            topic: item.topic,
+            difficulty: 'intermediate',
+            language: 'en',
+            content: item.content,
+            source: 'seed'
+        }));
+
+        await QuestionBank.insertMany(items);
+        logger.info(`Seeded question bank with ${items.length} ${assessmentType} items`);
+    }
+};
+
+// Map the difficulty labels used by the different sections onto the bank's levels
+const normalizeBankDifficulty = (difficulty) => {
+    if (!difficulty) {
+        return null;
+    }
+
+    const value = String(difficulty).trim().toLowerCase();
+    const aliases = { easy: 'beginner', medium: 'intermediate', hard: 'advanced' };
+    const normalized = aliases[value] || value;
+    return QUESTION_BANK_DIFFICULTIES.includes(normalized) ? normalized : null;
+};
+
+// Validate item content for an assessment type and return it in the shape the generators serve
+const normalizeQuestionBankContent = (assessmentType, content) => {
+    if (['reading', 'listening', 'jumbled', 'story', 'personal', 'dictation'].includes(assessmentType)) {
+        const text = typeof content === 'string' ? content : content && content.text;
+        if (!text || !String(text).trim()) {
+            throw new Error('Content text is required');
+        }
+        return { text: String(text).trim() };
+    }
+
+    if (assessmentType === 'comprehension') {
+        if (!content || !content.passage || !Array.isArray(content.questions) || content.questions.length === 0) {
+            throw new Error('Comprehension content needs a passage and at least one question');
+        }
+
+        const questions = content.questions.map((question, index) => {
+            let options = question.options;
+            if (Array.isArray(options)) {
+                options = { A: options[0], B: options[1], C: options[2], D: options[3] };
+            }
+            // Accept the legacy `correct` key but always store `correct_answer`
+            const correctAnswer = String(question.correct_answer || question.correct || '').trim().toUpperCase();
+
+            if (!question.question || !options || ['A', 'B', 'C', 'D'].some(key => !options[key])) {
+                throw new Error(`Question ${index + 1} needs question text and options A-D`);
+            }
+            if (!['A', 'B', 'C', 'D'].includes(correctAnswer)) {
+                throw new Error(`Question ${index + 1} needs a correct_answer of A, B, C or D`);
+            }
+
+            return {
+                question: question.question,
+                options: { A: options.A, B: options.B, C: options.C, D: options.D },
+                correct_answer: correctAnswer
+            };
+        });
+
+        return { passage: String(content.passage).trim(), questions };
+    }
+
+    if (assessmentType === 'fillblanks') {
+        if (!content || !content.question || !Array.isArray(content.options) || content.options.length < 2) {
+            throw new Error('Fill-in-the-blank content needs a question and at least two options');
+        }
+        if (!content.options.includes(content.correctAnswer)) {
+            throw new Error('correctAnswer must be one of the options');
+        }
+        return {
+            question: content.question,
+            options: content.options,
+            correctAnswer: content.correctAnswer
+        };
+    }
+
+    if (assessmentType === 'email') {
+        const requirements = content && Array.isArray(content.requirements)
+            ? content.requirements.map(requirement => String(requirement || '').trim()).filter(Boolean)
+            : [];
+        if (!content || !content.situation || !String(content.situation).trim() || requirements.length === 0) {
+            throw new Error('Email writing content needs a situation and at least one requirement');
+        }
+
+        // The reply may answer an email the candidate received, or start a new thread
+        const incomingEmail = content.incomingEmail;
+        if (incomingEmail && (!incomingEmail.body || !String(incomingEmail.body).trim())) {
+            throw new Error('incomingEmail needs a body');
+        }
+
+        return {
+            situation: String(content.situation).trim(),
+            recipient: String(content.recipient || '').trim(),
+            incomingEmail: incomingEmail ? {
+                from: String(incomingEmail.from || '').trim(),
+                subject: String(incomingEmail.subject || '').trim(),
+                body: String(incomingEmail.body).trim()
+            } : null,
+            requirements: requirements.slice(0, 6)
+        };
+    }
+
+    if (assessmentType === 'roleplay') {
+        const aiRole = String((content && content.aiRole) || '').trim().toLowerCase();
+        if (!ROLEPLAY_AI_ROLES.includes(aiRole)) {
+            throw new Error(`aiRole must be one of: ${ROLEPLAY_AI_ROLES.join(', ')}`);
+        }
+        if (!content.situation || !String(content.situation).trim() || !content.openingLine || !String(content.openingLine).trim()) {
+            throw new Error('Role-play content needs a situation and an openingLine');
+        }
+
+        return {
+            aiRole,
+            personaName: String(content.personaName || '').trim() || (aiRole === 'manager' ? 'Your manager' : 'The customer'),
+            candidateRole: String(content.candidateRole || '').trim(),
+            situation: String(content.situation).trim(),
+            // What the AI knows and wants; never shown to the candidate
+            personaBrief: String(content.personaBrief || '').trim(),
+            openingLine: String(content.openingLine).trim()
+        };
+    }
+
+    throw new Error(`Unknown assessment type: ${assessmentType}`);
+};
+
+// Whether an admin has pinned a section to serve bank content only
+const isQuestionBankOnly = async (assessmentType) => {
+    const setting = await QuestionBankSetting.findOne({ assessmentType }).lean();
+    return Boolean(setting && setting.bankOnly);
+};
+
+// Draw random active items, preferring the requested topic and difficulty and relaxing them when the bank is thin
+const drawQuestionBankItems = async (assessmentType, { topic, difficulty, language = 'en' } = {}, count = 1) => {
+    const bankDifficulty = normalizeBankDifficulty(difficulty);
+    const topicFilter = topic ? { topic: new RegExp(`^${escapeRegExp(String(topic).trim())}$`, 'i') } : null;
+
+    const filters = [
+        topicFilter && bankDifficulty ? { ...topicFilter, difficulty: bankDifficulty } : null,
+        topicFilter,
+        bankDifficulty ? { difficulty: bankDifficulty } : null,
+        {}
+    ].filter(Boolean);
+
+    const items = [];
+    for (const filter of filters) {
+        if (items.length >= count) {
+            break;
+        }
+
+        const sampled = await QuestionBank.aggregate([
+            {
+                $match: {
+                    assessmentType,
+                    status: 'active',
+                    // Topic and difficulty are widened when the bank runs short, the language never is
+                    language,
+                    _id: { $nin: items.map(item => item._id) },
+                    ...filter
+                }
+            },
+            { $sample: { size: count - items.length } }
+        ]);
+        items.push(...sampled);
+    }
+
+    if (items.length > 0) {
+        await QuestionBank.updateMany(
+            { _id: { $in: items.map(item => item._id) } },
+            { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+        );
+    }
+
+    return items;
+};
+
+// Who the AI plays; the candidate is the agent or the team member
+const ROLEPLAY_AI_ROLES = ['customer', 'manager'];
+
+module.exports = {
+    buildQuestionBankItem,
+    seedQuestionBank,
+    normalizeBankDifficulty,
+    normalizeQuestionBankContent,
+    isQuestionBankOnly,
+    drawQuestionBankItems
+};
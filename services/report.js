@@ -0,0 +1,313 @@
+// HTML and PDF assessment reports
+const puppeteer = require('puppeteer');
+const AssessmentLocales = require('../public/js/locales');
+const { DetailedResults } = require('../models');
+const { escapeHtml } = require('../utils/text');
+const { summarizeProctorEvents, getAttemptProctorEvents } = require('./proctoring');
+const { getAttemptSections, evaluateAttemptScores } = require('./templates');
+
+const REPORT_SECTIONS = [
+    { key: 'reading', scoreField: 'readingAbility', name: 'Reading Ability (Pronunciation)' },
+    { key: 'listening', scoreField: 'listeningAbility', name: 'Listening Ability (Comprehension & Repetition)' },
+    { key: 'jumbled', scoreField: 'jumbledSentences', name: 'Jumbled Sentences (Grammar & Construction)' },
+    { key: 'story', scoreField: 'storySummarization', name: 'Story Summarization (Comprehension & Storytelling)' },
+    { key: 'personal', scoreField: 'personalQuestions', name: 'Personal Questions (Interview Skills)' },
+    { key: 'comprehension', scoreField: 'readingComprehension', name: 'Reading Comprehension (Text Analysis)' },
+    { key: 'fillblanks', scoreField: 'fillInTheBlanks', name: 'Fill in the Blanks (Grammar Mastery)' },
+    { key: 'email', scoreField: 'emailWriting', name: 'Email Writing (Professional Correspondence)' },
+    { key: 'dictation', scoreField: 'dictationAccuracy', name: 'Dictation (Listening & Spelling Accuracy)' },
+    { key: 'roleplay', scoreField: 'rolePlayConversation', name: 'Role-Play Conversation (Customer & Workplace Dialogue)' }
+];
+
+// Render LLM feedback (plain text with **bold** markers) as safe HTML
+const formatFeedbackHtml = (text) => {
+    return escapeHtml(text)
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
+};
+
+const buildPronunciationReportHtml = (pronunciationData) => {
+    const sentences = pronunciationData.sentences || [];
+    const summary = `
+        <p class="metrics">
+            Pronunciation <strong>${pronunciationData.pronunciationScore || 0}</strong> &middot;
+            Accuracy <strong>${pronunciationData.accuracyScore || 0}</strong> &middot;
+            Fluency <strong>${pronunciationData.fluencyScore || 0}</strong> &middot;
+            Completeness <strong>${pronunciationData.completenessScore || 0}</strong>
+            ${pronunciationData.prosodyScore ? `&middot; Prosody <strong>${pronunciationData.prosodyScore}</strong>` : ''}
+        </p>
+    `;
+
+    if (sentences.length === 0) {
+        return summary + (pronunciationData.recognizedText
+            ? `<p><strong>Recognized speech:</strong> ${escapeHtml(pronunciationData.recognizedText)}</p>`
+            : '');
+    }
+
+    const rows = sentences.map((sentence, index) => `
+        <tr>
+            <td>${sentence.sentenceIndex || index + 1}</td>
+            <td>${escapeHtml(sentence.referenceText)}</td>
+            <td>${escapeHtml(sentence.recognizedText)}</td>
+            <td class="num">${sentence.pronunciationScore || 0}</td>
+            <td class="num">${sentence.accuracyScore || 0}</td>
+            <td class="num">${sentence.fluencyScore || 0}</td>
+            <td class="num">${sentence.completenessScore || 0}</td>
+            <td class="num">${sentence.prosodyScore || '-'}</td>
+        </tr>
+    `).join('');
+
+    return summary + `
+        <table>
+            <thead>
+                <tr>
+                    <th>#</th><th>Reference</th><th>Recognized</th>
+                    <th>Pron.</th><th>Acc.</th><th>Flu.</th><th>Comp.</th><th>Pros.</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+};
+
+// Typed answer with each dictation error marked; missed words are shown in brackets
+const formatWordDiffHtml = (wordDiff) => wordDiff.map(operation => {
+    if (operation.type === 'correct') {
+        return escapeHtml(operation.actual);
+    }
+    if (operation.type === 'omission') {
+        return `<span class="diff-omission">[${escapeHtml(operation.expected)}]</span>`;
+    }
+    if (operation.type === 'insertion') {
+        return `<span class="diff-insertion"><del>${escapeHtml(operation.actual)}</del></span>`;
+    }
+    return `<span class="diff-${operation.type}"><del>${escapeHtml(operation.actual)}</del> ${escapeHtml(operation.expected)}</span>`;
+}).join(' ');
+
+const buildAnswerComparisonReportHtml = (answerComparison) => {
+    const passage = answerComparison.passageText
+        ? `<div class="passage"><strong>Passage:</strong> ${escapeHtml(answerComparison.passageText)}</div>`
+        : '';
+
+    const rows = (answerComparison.questions || []).map(question => `
+        <tr class="${question.isCorrect ? 'correct' : 'incorrect'}">
+            <td>${question.questionIndex}</td>
+            <td>${escapeHtml(question.question)}</td>
+            <td>${question.wordDiff && question.wordDiff.length > 0 && question.userAnswer
+                ? formatWordDiffHtml(question.wordDiff)
+                : escapeHtml(question.userAnswer || 'No answer')}</td>
+            <td>${escapeHtml(question.correctAnswer)}</td>
+            <td class="num">${question.isCorrect ? '&#10003;' : '&#10007;'}</td>
+        </tr>
+    `).join('');
+
+    return passage + `
+        <table>
+            <thead>
+                <tr><th>#</th><th>Question</th><th>Your answer</th><th>Correct answer</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+};
+
+// Prompts and responses keep their line breaks (email scenarios and replies are multi-paragraph)
+const formatMultilineHtml = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+const buildAIEvaluationReportHtml = (aiEvaluation) => `
+    ${aiEvaluation.originalContent ? `<p><strong>Prompt:</strong> ${formatMultilineHtml(aiEvaluation.originalContent)}</p>` : ''}
+    ${aiEvaluation.userResponse ? `<p><strong>Response:</strong> ${formatMultilineHtml(aiEvaluation.userResponse)}</p>` : ''}
+    ${aiEvaluation.feedback ? `<div class="feedback">${formatFeedbackHtml(aiEvaluation.feedback)}</div>` : ''}
+`;
+
+// Build the printable HTML for one assessment attempt
+const buildAssessmentReportHtml = ({ username, email, attempt, detailedResults, integrity }) => {
+    const resultsByType = {};
+    detailedResults.forEach(result => {
+        resultsByType[result.assessmentType] = result;
+    });
+
+    // Only the sections the attempt's template included, in the order they were taken
+    const reportSections = getAttemptSections(attempt).map(key => REPORT_SECTIONS.find(section => section.key === key));
+    const evaluation = evaluateAttemptScores(attempt);
+
+    const scoreRows = reportSections.map(section => {
+        const result = resultsByType[section.key];
+        const score = result ? Math.round(result.score) : null;
+        const sectionResult = evaluation.sections.find(item => item.key === section.key);
+        return `
+            <tr>
+                <td>${section.name}</td>
+                <td class="num">${score !== null ? `${score}/100` : '<span class="not-attempted">Not Attempted</span>'}</td>
+                <td class="num">${sectionResult.passScore}</td>
+                <td class="num">${sectionResult.weight}</td>
+                <td class="num ${sectionResult.passed ? 'passed' : 'failed'}">${sectionResult.passed ? 'Pass' : 'Fail'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const sectionDetails = reportSections.filter(section => resultsByType[section.key]).map(section => {
+        const result = resultsByType[section.key];
+        const hasPronunciation = ['reading', 'listening', 'personal'].includes(section.key) && result.pronunciationData;
+        const hasAnswers = result.answerComparison && result.answerComparison.questions && result.answerComparison.questions.length > 0;
+        const hasEvaluation = result.aiEvaluation && (result.aiEvaluation.feedback || result.aiEvaluation.userResponse);
+
+        return `
+            <div class="section">
+                <h3>${section.name} <span class="section-score">${Math.round(result.score)}/100</span></h3>
+                ${hasPronunciation ? buildPronunciationReportHtml(result.pronunciationData) : ''}
+                ${hasAnswers ? buildAnswerComparisonReportHtml(result.answerComparison) : ''}
+                ${hasEvaluation ? buildAIEvaluationReportHtml(result.aiEvaluation) : ''}
+            </div>
+        `;
+    }).join('');
+
+    const dateOptions = { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+    const integrityLevels = {
+        clean: 'No integrity events recorded',
+        minor: 'Minor events recorded',
+        review: 'Needs review'
+    };
+    const integrityRows = integrity
+        ? Object.keys(integrity.counts).map(type => `
+            <tr>
+                <td>${integrity.labels[type]}</td>
+                <td class="num">${integrity.counts[type]}</td>
+            </tr>
+        `).join('')
+        : '';
+
+    return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <title>Assessment Report - Communication Assessment Suite</title>
+            <style>
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; font-size: 12px; line-height: 1.5; margin: 0; }
+                .header { border-bottom: 3px solid #1f4e5f; padding-bottom: 12px; margin-bottom: 20px; }
+                .header h1 { color: #1f4e5f; margin: 0; font-size: 24px; }
+                .header p { color: #666; margin: 4px 0 0 0; }
+                .summary { background: #1f4e5f; color: white; padding: 16px; border-radius: 8px; margin-bottom: 20px; }
+                .summary .overall-score { font-size: 36px; font-weight: bold; }
+                .summary .result-status { font-size: 14px; font-weight: 600; margin-bottom: 4px; }
+                td.passed { color: #28a745; }
+                .integrity { font-weight: 600; }
+                .integrity-clean { color: #28a745; }
+                .integrity-minor { color: #b7791f; }
+                .integrity-review { color: #dc3545; }
+                td.failed { color: #dc3545; }
+                h2 { color: #1f4e5f; border-bottom: 2px solid #e6eef2; padding-bottom: 6px; font-size: 16px; }
+                h3 { color: #1f4e5f; font-size: 14px; margin-bottom: 6px; }
+                .section { page-break-inside: avoid; margin-bottom: 18px; }
+                .section-score { float: right; }
+                table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+                th, td { border: 1px solid #e0e0e0; padding: 5px 6px; text-align: left; vertical-align: top; }
+                th { background: #f0f5f7; color: #1f4e5f; }
+                td.num { text-align: center; white-space: nowrap; }
+                tr.correct td:last-child { color: #28a745; }
+                tr.incorrect td:last-child { color: #dc3545; }
+                .diff-spelling { color: #b7791f; }
+                .diff-substitution, .diff-omission { color: #dc3545; }
+                .diff-insertion { color: #999; }
+                .not-attempted { color: #dc3545; font-style: italic; }
+                .passage, .feedback { background: #f8f9fa; border-left: 4px solid #1f4e5f; padding: 8px 12px; margin: 8px 0; }
+                .metrics { margin: 4px 0; }
+                .footer { margin-top: 30px; color: #999; font-size: 10px; text-align: center; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <h1>Assessment Report</h1>
+                <p>Skill Tesseract &middot; Communication Assessment Suite</p>
+            </div>
+
+            <div class="summary">
+                <div>${escapeHtml(username)} &lt;${escapeHtml(email)}&gt; &middot; Test #${attempt.testNumber}</div>
+                <div class="overall-score">${evaluation.overallScore}/100</div>
+                <div class="result-status">
+                    CEFR ${evaluation.cefrLevel} (${evaluation.cefrLabel}) &middot;
+                    ${evaluation.passed ? 'Passed' : 'Not passed'} (pass mark ${evaluation.passScore}/100)
+                </div>
+                <div>
+                    ${attempt.completedSections.length} out of ${reportSections.length} assessments completed &middot;
+                    ${escapeHtml(AssessmentLocales.getLocale(attempt.locale).label)} &middot;
+                    Started ${new Date(attempt.startedAt).toLocaleDateString('en-US', dateOptions)}
+                    ${attempt.completedAt ? `&middot; Finished ${new Date(attempt.completedAt).toLocaleDateString('en-US', dateOptions)}` : ''}
+                </div>
+            </div>
+
+            <h2>Section Scores</h2>
+            <table>
+                <thead>
+                    <tr><th>Section</th><th>Score</th><th>Pass mark</th><th>Weight</th><th>Result</th></tr>
+                </thead>
+                <tbody>${scoreRows}</tbody>
+            </table>
+
+            ${integrity ? `
+            <h2>Integrity Summary</h2>
+            <p class="integrity integrity-${integrity.level}">${integrityLevels[integrity.level]}</p>
+            <table>
+                <tbody>${integrityRows}</tbody>
+            </table>
+            ` : ''}
+
+            ${attempt.consolidatedFeedback ? `
+            <h2>Detailed Analysis &amp; Feedback</h2>
+            <div class="feedback">${formatFeedbackHtml(attempt.consolidatedFeedback)}</div>
+            ` : ''}
+
+            <h2>Section Details</h2>
+            ${sectionDetails || '<p>No sections were completed in this attempt.</p>'}
+
+            <div class="footer">
+                Generated on ${new Date().toLocaleDateString('en-US', dateOptions)} &middot; skilltesseract.com
+            </div>
+        </body>
+        </html>
+    `;
+};
+
+// Render an assessment attempt to a PDF buffer with headless Chrome
+const generateAssessmentReportPdf = async (user, attempt) => {
+    const detailedResults = await DetailedResults.find({ userId: user._id, attemptId: attempt._id })
+        .sort({ completedAt: 1 });
+
+    const proctorEvents = await getAttemptProctorEvents(attempt._id);
+
+    const html = buildAssessmentReportHtml({
+        username: user.username,
+        email: user.email,
+        attempt,
+        detailedResults,
+        integrity: summarizeProctorEvents(proctorEvents)
+    });
+
+    return renderHtmlToPdf(html);
+};
+
+// Print an HTML document to an A4 PDF buffer with headless Chrome
+const renderHtmlToPdf = async (html) => {
+    const browser = await puppeteer.launch({
+        headless: true,
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        const pdf = await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' }
+        });
+        return Buffer.from(pdf);
+    } finally {
+        await browser.close();
+    }
+};
+
+module.exports = { generateAssessmentReportPdf, renderHtmlToPdf };
@@ -0,0 +1,270 @@
+// Azure Speech: text-to-speech for listening, story, dictation and role-play audio, and pronunciation assessment of recordings
+const fs = require('fs');
+const axios = require('axios');
+const path = require('path');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const PronunciationDetail = require('../public/js/pronunciation');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const { escapeHtml } = require('../utils/text');
+const { getSessionLocale } = require('./assessment-session');
+const { saveAudioToMongoDB, transcodeAudio, storeSpeechRecording } = require('./storage');
+
+// Azure Speech credentials and endpoints; setExternalClients can point them at another host
+const azureSpeech = {
+    key: process.env.AZURE_SPEECH_KEY,
+    region: process.env.AZURE_SPEECH_REGION,
+    // Short-audio recognition; callers add ?language= for the assessment's locale
+    sttEndpoint: `https://${process.env.AZURE_SPEECH_REGION}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1`,
+    ttsEndpoint: `https://${process.env.AZURE_SPEECH_REGION}.tts.speech.microsoft.com/cognitiveservices/v1`,
+    tokenEndpoint: `https://${process.env.AZURE_SPEECH_REGION}.api.cognitive.microsoft.com/sts/v1.0/issueToken`
+};
+
+// A random voice from the locale's pool
+const pickLocaleVoice = (localeCode) => {
+    const locale = AssessmentLocales.getLocale(localeCode);
+    const voice = locale.voices[Math.floor(Math.random() * locale.voices.length)];
+    return { ...voice, locale: locale.code };
+};
+
+// One voice per item for listening and story audio, drawn from every accent of the locale's language.
+// The pool is shuffled and then cycled, so consecutive items change speaker until the pool runs out.
+const pickAccentVoices = (localeCode, count) => {
+    const pool = AssessmentLocales.getAccentVoices(localeCode);
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return Array.from({ length: count }, (_, i) => pool[i % pool.length]);
+};
+
+// Listening and story audio speaks faster, with shorter pauses, as the difficulty rises.
+// noiseAmplitude is the level of the background noise mixed in when TTS_BACKGROUND_NOISE enables it.
+const TTS_DIFFICULTY_PROSODY = {
+    beginner: { rate: '-10%', sentencePause: '700ms', commaPause: '300ms', noiseAmplitude: 0.01 },
+    intermediate: { rate: '+0%', sentencePause: '450ms', commaPause: '200ms', noiseAmplitude: 0.02 },
+    advanced: { rate: '+15%', sentencePause: '250ms', commaPause: '100ms', noiseAmplitude: 0.035 }
+};
+
+// Other sections keep the voice's natural pacing
+const DEFAULT_TTS_PROSODY = { rate: 'medium' };
+
+// TTS_BACKGROUND_NOISE: 'off' (default), 'advanced' (advanced-level audio only) or 'all'
+const TTS_BACKGROUND_NOISE = ['off', 'advanced', 'all'].includes(process.env.TTS_BACKGROUND_NOISE)
+    ? process.env.TTS_BACKGROUND_NOISE
+    : 'off';
+
+const getDifficultyProsody = (difficulty) => TTS_DIFFICULTY_PROSODY[difficulty] || TTS_DIFFICULTY_PROSODY.intermediate;
+
+// Amplitude of the noise to mix into audio at this difficulty, or 0 for clean audio
+const getBackgroundNoiseAmplitude = (difficulty) => {
+    if (TTS_BACKGROUND_NOISE === 'all' || (TTS_BACKGROUND_NOISE === 'advanced' && difficulty === 'advanced')) {
+        return getDifficultyProsody(difficulty).noiseAmplitude;
+    }
+    return 0;
+};
+
+// Mix generated pink noise under speech. Noise is optional, so an FFmpeg failure keeps the clean audio.
+const mixBackgroundNoise = async (audioBuffer, amplitude) => {
+    const basePath = path.join(os.tmpdir(), `tts-${crypto.randomUUID()}`);
+    const inputPath = `${basePath}.input.mp3`;
+    const outputPath = `${basePath}.mp3`;
+
+    try {
+        await fs.promises.writeFile(inputPath, audioBuffer);
+        await new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .noVideo()
+                // amix halves each input, so the mix is brought back to the speech's own level
+                .complexFilter([
+                    `anoisesrc=color=pink:amplitude=${amplitude}:sample_rate=16000[noise]`,
+                    '[0:a][noise]amix=inputs=2:duration=first,volume=2[mixed]'
+                ], 'mixed')
+                .audioCodec('libmp3lame')
+                .audioChannels(1)
+                .audioFrequency(16000)
+                .audioBitrate('128k')
+                .format('mp3')
+                .on('end', resolve)
+                .on('error', reject)
+                .save(outputPath);
+        });
+        return await fs.promises.readFile(outputPath);
+    } catch (error) {
+        logger.warn('Background noise mixing failed, keeping clean TTS audio:', error.message);
+        return audioBuffer;
+    } finally {
+        await fs.promises.rm(inputPath, { force: true });
+        await fs.promises.rm(outputPath, { force: true });
+    }
+};
+
+// Speak text with Azure TTS and return the MP3.
+// Pass a voice to keep one speaker across several calls; otherwise each call picks from the locale's pool.
+// A prosody from getDifficultyProsody sets the speaking rate and pauses; noiseAmplitude > 0 mixes in background noise.
+const synthesizeSpeech = async (text, {
+    localeCode = AssessmentLocales.DEFAULT_LOCALE,
+    voice = pickLocaleVoice(localeCode),
+    prosody = DEFAULT_TTS_PROSODY,
+    noiseAmplitude = 0
+} = {}) => {
+    const voiceLocale = voice.locale || AssessmentLocales.getLocale(localeCode).code;
+    const pauses = prosody.sentencePause
+        ? `<mstts:silence type="Sentenceboundary-exact" value="${prosody.sentencePause}"/>
+                    <mstts:silence type="Comma-exact" value="${prosody.commaPause}"/>`
+        : '';
+    const ssml = `
+            <speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xmlns:mstts='https://www.w3.org/2001/mstts' xml:lang='${voiceLocale}'>
+                <voice xml:lang='${voiceLocale}' xml:gender='${voice.gender}' name='${voice.name}'>
+                    ${pauses}
+                    <prosody rate="${prosody.rate}" pitch="+0Hz">
+                        ${escapeHtml(text)}
+                    </prosody>
+                </voice>
+            </speak>
+        `;
+
+    const ttsResponse = await axios.post(azureSpeech.ttsEndpoint, ssml, {
+        headers: {
+            'Ocp-Apim-Subscription-Key': azureSpeech.key,
+            'Content-Type': 'application/ssml+xml',
+            'X-Microsoft-OutputFormat': 'audio-16khz-128kbitrate-mono-mp3'
+        },
+        responseType: 'arraybuffer'
+    });
+
+    return noiseAmplitude > 0
+        ? mixBackgroundNoise(Buffer.from(ttsResponse.data), noiseAmplitude)
+        : ttsResponse.data;
+};
+
+// Speak text, store the MP3 in GridFS and return the URL the owner can play it from
+const synthesizeSpeechToMongoDB = async (text, filename, userId, assessmentType, options = {}) => {
+    const audio = await synthesizeSpeech(text, options);
+    const fileId = await saveAudioToMongoDB(audio, filename, userId, assessmentType);
+    return `/api/audio/${fileId}`;
+};
+
+// How one listening sentence or story was spoken, kept with the results so scores are compared on equal terms
+const describeTtsAudio = (itemIndex, voice, prosody, noiseAmplitude) => ({
+    itemIndex,
+    voice: voice.name,
+    voiceLocale: voice.locale,
+    gender: voice.gender,
+    rate: prosody.rate,
+    backgroundNoise: noiseAmplitude
+});
+
+// Reading and listening scores come from the server's own Azure call on the uploaded audio;
+// whatever the browser's SDK computed is only shown to the candidate while this runs.
+const PRONUNCIATION_ERROR_STATUS = {
+    RECORDING_UNREADABLE: 422,
+    NO_SPEECH: 422,
+    SPEECH_SERVICE_UNAVAILABLE: 503
+};
+
+const pronunciationError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const roundScore = (value) => Math.round(Number(value) || 0);
+
+// Azure short-audio REST call with the Pronunciation-Assessment header; returns the fields the browser SDK reports
+const requestAzurePronunciationAssessment = async (wavBuffer, referenceText, localeCode = AssessmentLocales.DEFAULT_LOCALE) => {
+    if (!azureSpeech.key || !azureSpeech.region) {
+        throw pronunciationError('SPEECH_SERVICE_UNAVAILABLE', 'Speech scoring is not configured');
+    }
+
+    const assessmentConfig = {
+        ReferenceText: referenceText,
+        GradingSystem: 'HundredMark',
+        Granularity: 'Phoneme',
+        Dimension: 'Comprehensive',
+        EnableMiscue: true,
+        // Azure only scores prosody for US English; other locales report no prosody score
+        EnableProsodyAssessment: localeCode === 'en-US',
+        PhonemeAlphabet: 'IPA'
+    };
+
+    let data;
+    try {
+        const response = await axios.post(`${azureSpeech.sttEndpoint}?language=${localeCode}&format=detailed`, wavBuffer, {
+            headers: {
+                'Ocp-Apim-Subscription-Key': azureSpeech.key,
+                'Content-Type': 'audio/wav; codecs=audio/pcm; samplerate=16000',
+                'Pronunciation-Assessment': Buffer.from(JSON.stringify(assessmentConfig)).toString('base64'),
+                'Accept': 'application/json'
+            },
+            timeout: 30000
+        });
+        data = response.data || {};
+    } catch (error) {
+        logger.error('Azure pronunciation assessment failed:', error.response ? error.response.status : error.message);
+        throw pronunciationError('SPEECH_SERVICE_UNAVAILABLE', 'Speech scoring is temporarily unavailable. Please try again.');
+    }
+
+    const best = Array.isArray(data.NBest) ? data.NBest[0] : null;
+    if (data.RecognitionStatus !== 'Success' || !best) {
+        throw pronunciationError('NO_SPEECH', 'No speech was detected in the recording. Please try again.');
+    }
+
+    // Newer API versions nest the scores under PronunciationAssessment
+    const scores = best.PronunciationAssessment || best;
+    return {
+        pronunciationScore: roundScore(scores.PronScore),
+        accuracyScore: roundScore(scores.AccuracyScore),
+        fluencyScore: roundScore(scores.FluencyScore),
+        completenessScore: roundScore(scores.CompletenessScore),
+        prosodyScore: roundScore(scores.ProsodyScore),
+        recognizedText: data.DisplayText || best.Display || '',
+        words: PronunciationDetail.normalizeWords(best.Words)
+    };
+};
+
+// Score one uploaded answer against the reference text, keeping the recording for reviewers as well
+const assessSpokenItem = async ({ req, session, assessmentType, itemIndex, referenceText }) => {
+    let wavBuffer;
+    try {
+        wavBuffer = await transcodeAudio(req.file.buffer, 'wav');
+    } catch (error) {
+        logger.error(`Failed to transcode ${assessmentType} answer ${itemIndex}:`, error);
+        throw pronunciationError('RECORDING_UNREADABLE', 'Recording could not be processed');
+    }
+
+    const locale = await getSessionLocale(req.user._id, session.sessionId);
+    const assessment = await requestAzurePronunciationAssessment(wavBuffer, referenceText, locale.code);
+
+    if (session.attemptId) {
+        try {
+            await storeSpeechRecording({
+                userId: req.user._id,
+                attemptId: session.attemptId,
+                sessionId: session.sessionId,
+                assessmentType,
+                itemIndex,
+                file: req.file
+            });
+        } catch (error) {
+            logger.error(`Failed to keep ${assessmentType} recording ${itemIndex}:`, error);
+        }
+    }
+
+    return assessment;
+};
+
+module.exports = {
+    azureSpeech,
+    pickLocaleVoice,
+    pickAccentVoices,
+    getDifficultyProsody,
+    getBackgroundNoiseAmplitude,
+    synthesizeSpeech,
+    synthesizeSpeechToMongoDB,
+    describeTtsAudio,
+    PRONUNCIATION_ERROR_STATUS,
+    assessSpokenItem
+};
@@ -0,0 +1,398 @@
+// GridFS storage for generated audio and candidate recordings, and the jobs that clean it up
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getGridFSBucket } = require('../config/database');
+const { AudioFile, ContentPoolItem, SpeechRecording } = require('../models');
+
+// Helper functions for audio file management
+const saveAudioToMongoDB = async (audioBuffer, filename, userId, assessmentType) => {
+    try {
+        const uploadStream = getGridFSBucket().openUploadStream(filename);
+        const fileId = uploadStream.id;
+
+        // Save file to GridFS
+        uploadStream.end(audioBuffer);
+
+        // Create tracking record
+        const audioFile = new AudioFile({
+            fileId: fileId,
+            userId: userId,
+            assessmentType: assessmentType,
+            filename: filename
+        });
+
+        await audioFile.save();
+
+        return fileId;
+    } catch (error) {
+        logger.error('Error saving audio to MongoDB:', error);
+        throw error;
+    }
+};
+
+// Store audio that no candidate owns yet, e.g. pooled content; the caller keeps track of the file
+const saveUnownedAudio = (audioBuffer, filename) => new Promise((resolve, reject) => {
+    const uploadStream = getGridFSBucket().openUploadStream(filename);
+    uploadStream.on('finish', () => resolve(uploadStream.id));
+    uploadStream.on('error', reject);
+    uploadStream.end(audioBuffer);
+});
+
+const deleteUnownedAudio = async (fileId) => {
+    await getGridFSBucket().delete(new mongoose.Types.ObjectId(fileId));
+};
+
+// Give a candidate their own copy of stored audio, tracked and cleaned up like freshly generated audio
+const copyAudioToUser = async (fileId, filename, userId, assessmentType) => {
+    const chunks = [];
+    for await (const chunk of getGridFSBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId))) {
+        chunks.push(chunk);
+    }
+    const copyId = await saveAudioToMongoDB(Buffer.concat(chunks), filename, userId, assessmentType);
+    return `/api/audio/${copyId}`;
+};
+
+const deleteAudioFromMongoDB = async (fileId) => {
+    try {
+        // Simply delete the tracking record - let the middleware handle GridFS cleanup
+        // This avoids the race condition where both this function and middleware try to delete the same GridFS file
+        const result = await AudioFile.deleteOne({ fileId: fileId });
+        if (result.deletedCount > 0) {
+            logger.info(`Successfully deleted tracking record for file: ${fileId}`);
+        } else {
+            logger.warn(`Tracking record for file ${fileId} not found or already deleted`);
+        }
+        
+    } catch (error) {
+        logger.error('Error deleting audio from MongoDB:', error);
+        throw error; // Re-throw to let caller handle
+    }
+};
+
+const cleanupUserAudioFiles = async (userId, assessmentType = null) => {
+    try {
+        const query = { userId: userId };
+        if (assessmentType) {
+            query.assessmentType = assessmentType;
+        }
+
+        const audioFiles = await AudioFile.find(query);
+
+        for (const audioFile of audioFiles) {
+            await deleteAudioFromMongoDB(audioFile.fileId);
+        }
+    } catch (error) {
+        logger.error('Error cleaning up audio files:', error);
+    }
+};
+
+// Cleanup orphaned GridFS files that don't have tracking records
+const cleanupOrphanedGridFSFiles = async () => {
+    try {
+        logger.info('Starting orphaned GridFS files cleanup...');
+        
+        // Get all GridFS files
+        const gridfsFiles = await getGridFSBucket().find({}).toArray();
+        
+        // Get all tracked file IDs (TTS audio and candidate recordings share the bucket)
+        const trackedFiles = await AudioFile.find({}, { fileId: 1 }).lean();
+        const trackedRecordings = await SpeechRecording.find({}, { fileId: 1 }).lean();
+        const pooledAudio = await ContentPoolItem.find({ 'audio.fileId': { $ne: null } }, { 'audio.fileId': 1 }).lean();
+        const trackedFileIds = new Set([
+            ...[...trackedFiles, ...trackedRecordings].map(f => f.fileId.toString()),
+            ...pooledAudio.map(item => item.audio.fileId.toString())
+        ]);
+        
+        let orphanedCount = 0;
+        
+        for (const gridfsFile of gridfsFiles) {
+            const fileIdStr = gridfsFile._id.toString();
+            
+            // If GridFS file is not tracked, it's orphaned
+            if (!trackedFileIds.has(fileIdStr)) {
+                try {
+                    await getGridFSBucket().delete(gridfsFile._id);
+                    orphanedCount++;
+                } catch (deleteError) {
+                    logger.error(`Failed to delete orphaned GridFS file ${fileIdStr}:`, deleteError);
+                }
+            }
+        }
+        
+        logger.info(`Orphaned GridFS cleanup completed. Deleted ${orphanedCount} orphaned files.`);
+        return orphanedCount;
+    } catch (error) {
+        logger.error('Error during orphaned GridFS cleanup:', error);
+        return 0;
+    }
+};
+
+// Cleanup expired audio files and their GridFS data
+const cleanupExpiredAudioFiles = async () => {
+    try {
+        logger.info('Starting expired audio files cleanup...');
+        
+        // Find expired audio files (older than 1 hour)
+        const oneHourAgo = new Date(Date.now() - 3600 * 1000);
+        const expiredFiles = await AudioFile.find({
+            createdAt: { $lt: oneHourAgo }
+        });
+        
+        let cleanedCount = 0;
+        
+        for (const expiredFile of expiredFiles) {
+            try {
+                // Delete from GridFS first
+                await getGridFSBucket().delete(new mongoose.Types.ObjectId(expiredFile.fileId));
+                
+                // Delete tracking record
+                await AudioFile.deleteOne({ _id: expiredFile._id });
+                
+                cleanedCount++;
+                logger.info(`Cleaned up expired audio file: ${expiredFile.fileId}`);
+            } catch (deleteError) {
+                logger.error(`Failed to cleanup expired file ${expiredFile.fileId}:`, deleteError);
+            }
+        }
+        
+        logger.info(`Expired audio files cleanup completed. Cleaned ${cleanedCount} files.`);
+        return cleanedCount;
+    } catch (error) {
+        logger.error('Error during expired audio files cleanup:', error);
+        return 0;
+    }
+};
+
+// Cleanup candidate recordings past their retention period
+const cleanupExpiredRecordings = async () => {
+    try {
+        const expiredRecordings = await SpeechRecording.find({ expiresAt: { $lt: new Date() } });
+
+        let cleanedCount = 0;
+        for (const recording of expiredRecordings) {
+            try {
+                await deleteSpeechRecording(recording);
+                cleanedCount++;
+            } catch (deleteError) {
+                logger.error(`Failed to cleanup expired recording ${recording._id}:`, deleteError);
+            }
+        }
+
+        if (cleanedCount > 0) {
+            logger.info(`Expired recordings cleanup completed. Cleaned ${cleanedCount} recordings.`);
+        }
+        return cleanedCount;
+    } catch (error) {
+        logger.error('Error during expired recordings cleanup:', error);
+        return 0;
+    }
+};
+
+// Start scheduled cleanup jobs
+const startCleanupJobs = () => {
+    logger.info('Starting cleanup jobs...');
+    
+    // Run audio cleanup every 30 minutes
+    const cleanupInterval = 30 * 60 * 1000; // 30 minutes
+    
+    // Initial cleanup run
+    setTimeout(async () => {
+        await cleanupExpiredAudioFiles();
+        await cleanupExpiredRecordings();
+        await cleanupOrphanedGridFSFiles();
+    }, 10000); // Run first cleanup after 10 seconds
+    
+    // Schedule regular cleanup
+    setInterval(async () => {
+        try {
+            await cleanupExpiredAudioFiles();
+            await cleanupExpiredRecordings();
+            await cleanupOrphanedGridFSFiles();
+        } catch (error) {
+            logger.error('Error in scheduled cleanup:', error);
+        }
+    }, cleanupInterval);
+    
+    logger.info(`Audio file cleanup jobs scheduled to run every ${cleanupInterval / 60000} minutes`);
+};
+
+const RECORDING_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const recordingUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: RECORDING_MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Browsers record webm/opus or mp4/aac depending on vendor. Recordings are stored as mono MP3 so any player can use them;
+// the pronunciation assessment gets 16 kHz PCM WAV, the format the Azure short-audio endpoint expects.
+const TRANSCODE_PROFILES = {
+    mp3: command => command.audioCodec('libmp3lame').audioChannels(1).audioFrequency(22050).audioBitrate('48k').format('mp3'),
+    wav: command => command.audioCodec('pcm_s16le').audioChannels(1).audioFrequency(16000).format('wav')
+};
+
+const transcodeAudio = async (audioBuffer, outputFormat) => {
+    const basePath = path.join(os.tmpdir(), `recording-${crypto.randomUUID()}`);
+    const inputPath = `${basePath}.input`;
+    const outputPath = `${basePath}.${outputFormat}`;
+
+    try {
+        await fs.promises.writeFile(inputPath, audioBuffer);
+        await new Promise((resolve, reject) => {
+            TRANSCODE_PROFILES[outputFormat](ffmpeg(inputPath).noVideo())
+                .on('end', resolve)
+                .on('error', reject)
+                .save(outputPath);
+        });
+        return await fs.promises.readFile(outputPath);
+    } finally {
+        await fs.promises.rm(inputPath, { force: true });
+        await fs.promises.rm(outputPath, { force: true });
+    }
+};
+
+const uploadToGridFS = (buffer, filename, metadata) => {
+    return new Promise((resolve, reject) => {
+        const uploadStream = getGridFSBucket().openUploadStream(filename, { metadata });
+        uploadStream.on('error', reject);
+        uploadStream.on('finish', () => resolve(uploadStream.id));
+        uploadStream.end(buffer);
+    });
+};
+
+// Remove a recording's audio and then its record; an already-missing file is not an error
+const deleteSpeechRecording = async (recording) => {
+    try {
+        await getGridFSBucket().delete(recording.fileId);
+    } catch (error) {
+        if (!(error.message && error.message.includes('File not found'))) {
+            throw error;
+        }
+    }
+    await SpeechRecording.deleteOne({ _id: recording._id });
+};
+
+// An attempt's recordings grouped by section, each with the URL the viewer streams it from
+const getAttemptRecordings = async (attemptId, urlPrefix) => {
+    const grouped = {};
+    if (!attemptId) {
+        return grouped;
+    }
+
+    const recordings = await SpeechRecording.find({ attemptId }).sort({ assessmentType: 1, itemIndex: 1 });
+    recordings.forEach(recording => {
+        grouped[recording.assessmentType] = grouped[recording.assessmentType] || [];
+        grouped[recording.assessmentType].push({
+            id: recording._id,
+            itemIndex: recording.itemIndex,
+            url: `${urlPrefix}/${recording._id}`,
+            createdAt: recording.createdAt,
+            expiresAt: recording.expiresAt
+        });
+    });
+    return grouped;
+};
+
+// Stream a recording's MP3, honouring Range requests so players can seek
+const streamSpeechRecording = async (req, res, recording) => {
+    const [file] = await getGridFSBucket().find({ _id: recording.fileId }).toArray();
+    if (!file) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    res.set({
+        'Content-Type': 'audio/mpeg',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'private, max-age=3600'
+    });
+
+    let streamOptions = {};
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    if (range && (range[1] || range[2])) {
+        const start = range[1] ? parseInt(range[1]) : Math.max(0, file.length - parseInt(range[2]));
+        const end = range[1] && range[2] ? Math.min(parseInt(range[2]), file.length - 1) : file.length - 1;
+        if (start > end || start >= file.length) {
+            res.set('Content-Range', `bytes */${file.length}`);
+            return res.status(416).end();
+        }
+
+        res.status(206).set({
+            'Content-Range': `bytes ${start}-${end}/${file.length}`,
+            'Content-Length': end - start + 1
+        });
+        streamOptions = { start, end: end + 1 };
+    } else {
+        res.set('Content-Length', file.length);
+    }
+
+    const downloadStream = getGridFSBucket().openDownloadStream(file._id, streamOptions);
+    downloadStream.on('error', (error) => {
+        logger.error(`Error streaming recording ${recording._id}:`, error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to stream recording' });
+        } else {
+            res.end();
+        }
+    });
+    downloadStream.pipe(res);
+};
+
+// Parses a multipart request carrying one recording in the `audio` field into req.file
+const parseRecordingUpload = (req, res, next) => {
+    recordingUpload.single('audio')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE' ? 'Recording is too large' : 'Invalid recording upload';
+            return res.status(400).json({ error: message });
+        }
+        next();
+    });
+};
+
+// Keep an uploaded answer for reviewers as MP3; a retake of the same item replaces the earlier recording
+const storeSpeechRecording = async ({ userId, attemptId, sessionId, assessmentType, itemIndex, file }) => {
+    const audioBuffer = await transcodeAudio(file.buffer, 'mp3');
+
+    const filename = `recording_${assessmentType}_${attemptId}_${itemIndex}_${Date.now()}.mp3`;
+    const fileId = await uploadToGridFS(audioBuffer, filename, {
+        kind: 'recording',
+        userId,
+        attemptId
+    });
+
+    const previousRecordings = await SpeechRecording.find({ attemptId, assessmentType, itemIndex });
+    const recording = await SpeechRecording.create({
+        fileId,
+        userId,
+        attemptId,
+        sessionId,
+        assessmentType,
+        itemIndex,
+        sourceMimeType: file.mimetype || null,
+        sizeBytes: audioBuffer.length
+    });
+
+    for (const previous of previousRecordings) {
+        await deleteSpeechRecording(previous);
+    }
+
+    return recording;
+};
+
+module.exports = {
+    saveAudioToMongoDB,
+    saveUnownedAudio,
+    deleteUnownedAudio,
+    copyAudioToUser,
+    cleanupUserAudioFiles,
+    startCleanupJobs,
+    transcodeAudio,
+    getAttemptRecordings,
+    streamSpeechRecording,
+    parseRecordingUpload,
+    storeSpeechRecording
+};
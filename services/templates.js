@@ -0,0 +1,244 @@
+// Assessment templates and the locale instructions added to prompts
+const AssessmentScoring = require('../public/js/scoring');
+const AssessmentLocales = require('../public/js/locales');
+const logger = require('../config/logger');
+const {
+    ASSESSMENT_SECTION_KEYS,
+    AssessmentInvite,
+    AssessmentTemplate,
+    QUESTION_BANK_DIFFICULTIES
+} = require('../models');
+
+// Item count each section was designed around, and the most a template may ask for
+const SECTION_ITEM_COUNTS = {
+    reading: { default: 5, max: 10 },
+    listening: { default: 5, max: 10 },
+    jumbled: { default: 5, max: 10 },
+    story: { default: 1, max: 1 },
+    personal: { default: 1, max: 1 },
+    comprehension: { default: 5, max: 10 },
+    fillblanks: { default: 10, max: 20 },
+    email: { default: 1, max: 1 },
+    dictation: { default: 5, max: 10 },
+    roleplay: { default: 1, max: 1 }
+};
+
+// Topic pools used when a template section does not list its own (personal topics are interview categories)
+const DEFAULT_SECTION_TOPICS = {
+    reading: ['Daily conversations', 'Business communication', 'Academic presentations', 'News and current events', 'Travel and culture', 'Health and wellness', 'Technology and innovation', 'Environmental topics'],
+    listening: ['Interviews and dialogues', 'News broadcasts', 'Educational lectures', 'Travel announcements', 'Business meetings', 'Cultural discussions', 'Scientific explanations', 'Entertainment content'],
+    jumbled: ['Everyday activities', 'Work and career', 'Education and learning', 'Family and relationships', 'Hobbies and interests', 'Food and cooking', 'Transportation', 'Social situations'],
+    story: ['Adventure stories', 'Historical tales', 'Science fiction', 'Mystery and detective', 'Biographical stories', 'Folklore and legends', 'Contemporary fiction', 'Educational narratives'],
+    personal: ['General', 'Technical Communication', 'Problem Solving', 'Teamwork', 'Leadership', 'Failure/Learning', 'Innovation'],
+    comprehension: ['Technology'],
+    fillblanks: ['Grammar patterns', 'Vocabulary building', 'Idiomatic expressions', 'Academic writing', 'Business correspondence', 'Conversational English', 'Technical terminology', 'Cultural contexts'],
+    email: ['Project updates', 'Customer complaints', 'Meeting requests', 'Deadline extensions', 'Team announcements', 'Vendor negotiations', 'Onboarding', 'Incident reports'],
+    dictation: ['Office announcements', 'Customer service', 'Travel and transport', 'Health and safety', 'Schedules and appointments', 'Product information', 'Workplace instructions', 'Everyday errands'],
+    roleplay: ['Billing disputes', 'Delayed orders', 'Service outages', 'Product returns', 'Escalated complaints', 'Missed deadlines', 'Workload and priorities', 'Performance feedback']
+};
+
+// The original fixed test: every section in the original order with a 20 minute limit
+const DEFAULT_ASSESSMENT_TEMPLATE = {
+    name: 'Standard Communication Assessment',
+    description: 'All seven sections in the standard order',
+    sections: AssessmentScoring.STANDARD_SECTIONS.map(key => ({
+        key,
+        itemCount: SECTION_ITEM_COUNTS[key].default,
+        difficulty: 'mixed',
+        topics: DEFAULT_SECTION_TOPICS[key],
+        weight: AssessmentScoring.DEFAULT_SECTION_WEIGHT,
+        passScore: AssessmentScoring.DEFAULT_SECTION_PASS_SCORE
+    })),
+    passScore: AssessmentScoring.DEFAULT_OVERALL_PASS_SCORE,
+    timeLimitMinutes: 20,
+    locale: AssessmentLocales.DEFAULT_LOCALE,
+    isDefault: true
+};
+
+// Create the default template on first start
+const seedAssessmentTemplates = async () => {
+    const existing = await AssessmentTemplate.countDocuments({});
+    if (existing > 0) {
+        return;
+    }
+
+    await AssessmentTemplate.create(DEFAULT_ASSESSMENT_TEMPLATE);
+    logger.info(`Seeded default assessment template "${DEFAULT_ASSESSMENT_TEMPLATE.name}"`);
+};
+
+// A 0-100 score threshold from the admin panel; blank means the default, out of range returns null
+const parseScoreThreshold = (value, defaultValue) => {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    const threshold = Number(value);
+    return threshold >= 0 && threshold <= 100 ? threshold : null;
+};
+
+// Validate a template payload from the admin panel and return the fields to store
+const buildAssessmentTemplate = (payload) => {
+    const { name, description, sections, timeLimitMinutes, passScore, locale } = payload || {};
+
+    if (!name || !String(name).trim()) {
+        throw new Error('Template name is required');
+    }
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+        throw new Error('A template needs at least one section');
+    }
+
+    const seen = new Set();
+    const normalizedSections = sections.map(section => {
+        const key = section && section.key;
+        if (!ASSESSMENT_SECTION_KEYS.includes(key)) {
+            throw new Error(`Section key must be one of: ${ASSESSMENT_SECTION_KEYS.join(', ')}`);
+        }
+        if (seen.has(key)) {
+            throw new Error(`Section ${key} is listed more than once`);
+        }
+        seen.add(key);
+
+        const limits = SECTION_ITEM_COUNTS[key];
+        const itemCount = section.itemCount === undefined ? limits.default : parseInt(section.itemCount);
+        if (!itemCount || itemCount < 1 || itemCount > limits.max) {
+            throw new Error(`${key} item count must be between 1 and ${limits.max}`);
+        }
+
+        const difficulty = section.difficulty || 'mixed';
+        if (!['mixed', ...QUESTION_BANK_DIFFICULTIES].includes(difficulty)) {
+            throw new Error(`${key} difficulty must be mixed or one of: ${QUESTION_BANK_DIFFICULTIES.join(', ')}`);
+        }
+
+        const topics = (Array.isArray(section.topics) ? section.topics : String(section.topics || '').split(','))
+            .map(topic => String(topic).trim())
+            .filter(Boolean);
+
+        const weight = [undefined, null, ''].includes(section.weight) ? AssessmentScoring.DEFAULT_SECTION_WEIGHT : Number(section.weight);
+        if (!(weight >= 0.1 && weight <= 10)) {
+            throw new Error(`${key} weight must be between 0.1 and 10`);
+        }
+
+        const sectionPassScore = parseScoreThreshold(section.passScore, AssessmentScoring.DEFAULT_SECTION_PASS_SCORE);
+        if (sectionPassScore === null) {
+            throw new Error(`${key} pass score must be between 0 and 100`);
+        }
+
+        return { key, itemCount, difficulty, topics, weight, passScore: sectionPassScore };
+    });
+
+    const overallPassScore = parseScoreThreshold(passScore, AssessmentScoring.DEFAULT_OVERALL_PASS_SCORE);
+    if (overallPassScore === null) {
+        throw new Error('passScore must be between 0 and 100');
+    }
+
+    const minutes = parseInt(timeLimitMinutes);
+    if (!minutes || minutes < 1 || minutes > 180) {
+        throw new Error('timeLimitMinutes must be between 1 and 180');
+    }
+
+    const localeCode = locale || AssessmentLocales.DEFAULT_LOCALE;
+    if (!AssessmentLocales.isLocale(localeCode)) {
+        throw new Error(`locale must be one of: ${AssessmentLocales.LOCALE_CODES.join(', ')}`);
+    }
+
+    return {
+        name: String(name).trim(),
+        description: description ? String(description).trim() : '',
+        sections: normalizedSections,
+        passScore: overallPassScore,
+        timeLimitMinutes: minutes,
+        locale: localeCode
+    };
+};
+
+// Template for a user's next assessment: their open invitation's template, else the default
+const resolveAssessmentTemplate = async (userId) => {
+    const invite = await AssessmentInvite.findOne({
+        userId,
+        status: 'accepted',
+        expiresAt: { $gt: new Date() },
+        'assessmentConfig.templateId': { $ne: null }
+    }).sort({ expiresAt: 1 });
+
+    if (invite) {
+        const invitedTemplate = await AssessmentTemplate.findOne({ _id: invite.assessmentConfig.templateId, status: 'active' });
+        if (invitedTemplate) {
+            return invitedTemplate;
+        }
+    }
+
+    const template = await AssessmentTemplate.findOne({ isDefault: true, status: 'active' })
+        || await AssessmentTemplate.findOne({ status: 'active' }).sort({ createdAt: 1 });
+
+    return template || DEFAULT_ASSESSMENT_TEMPLATE;
+};
+
+// Prompt line that makes generated content match the locale: its language, spelling, names and places
+const getLocaleContentInstruction = (locale) => locale.language === 'en'
+    ? `Write in ${locale.variety}, using its spelling, vocabulary, names, places and currency.`
+    : `Write entirely in ${locale.variety}, in natural everyday ${locale.languageName} with local names, places and currency. Do not use English.`;
+
+// Prompt line for graders; feedback stays in English so reviewers and the reports can read it
+const getLocaleGradingInstruction = (locale) => locale.language === 'en'
+    ? `The candidate is assessed in ${locale.variety}; treat its spelling, vocabulary and accent as correct.`
+    : `The candidate is assessed in ${locale.variety}. Judge their ${locale.languageName}, quote their words in ${locale.languageName}, and write the feedback itself in English.`;
+
+// A section's settings within a template; sections the template leaves out fall back to their defaults
+const getTemplateSection = (template, key) => {
+    const section = template.sections.find(templateSection => templateSection.key === key);
+    return {
+        key,
+        itemCount: section ? section.itemCount : SECTION_ITEM_COUNTS[key].default,
+        difficulty: section ? section.difficulty : 'mixed',
+        topics: section && section.topics.length > 0 ? section.topics : DEFAULT_SECTION_TOPICS[key],
+        weight: section && section.weight ? section.weight : AssessmentScoring.DEFAULT_SECTION_WEIGHT,
+        passScore: section && typeof section.passScore === 'number' ? section.passScore : AssessmentScoring.DEFAULT_SECTION_PASS_SCORE
+    };
+};
+
+// Template as sent to the client, with topic pools filled in
+const serializeAssessmentTemplate = (template) => ({
+    id: template._id || null,
+    name: template.name,
+    description: template.description,
+    sections: template.sections.map(section => getTemplateSection(template, section.key)),
+    passScore: getTemplateScoringConfig(template).passScore,
+    timeLimitMinutes: template.timeLimitMinutes,
+    locale: AssessmentLocales.getLocale(template.locale).code
+});
+
+// Weights and pass thresholds of a template, in the shape the shared scoring module takes
+const getTemplateScoringConfig = (template) => AssessmentScoring.normalizeConfig({
+    sections: template.sections.map(section => getTemplateSection(template, section.key)),
+    passScore: template.passScore
+});
+
+// Sections an attempt is scored over; attempts from before templates include the standard seven
+const getAttemptSections = (attempt) => {
+    return attempt && attempt.sections && attempt.sections.length > 0 ? attempt.sections : AssessmentScoring.STANDARD_SECTIONS;
+};
+
+// Scoring config an attempt is evaluated with; attempts from before weights use equal weights and default thresholds
+const getAttemptScoringConfig = (attempt) => {
+    return AssessmentScoring.normalizeConfig(attempt && attempt.scoringConfig ? attempt.scoringConfig : getAttemptSections(attempt));
+};
+
+// Overall score, pass/fail and CEFR band for an attempt's section scores (or other score fields, e.g. the user's latest)
+const evaluateAttemptScores = (attempt, scoreFields = attempt.sectionScores) => {
+    return AssessmentScoring.evaluateAssessment(AssessmentScoring.fromScoreFields(scoreFields), getAttemptScoringConfig(attempt));
+};
+
+module.exports = {
+    SECTION_ITEM_COUNTS,
+    seedAssessmentTemplates,
+    buildAssessmentTemplate,
+    resolveAssessmentTemplate,
+    getLocaleContentInstruction,
+    getLocaleGradingInstruction,
+    getTemplateSection,
+    serializeAssessmentTemplate,
+    getTemplateScoringConfig,
+    getAttemptSections,
+    getAttemptScoringConfig,
+    evaluateAttemptScores
+};
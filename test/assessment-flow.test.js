@@ -0,0 +1,406 @@
+// End-to-end run of the standard seven-section test against an in-memory MongoDB, with OpenAI,
+// Azure Speech, Razorpay and SMTP replaced by the local stand-ins in test/fakes.
+// Recordings are transcoded by the server, so FFmpeg has to be on the PATH as it is in production.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const OpenAI = require('openai');
+const Razorpay = require('razorpay');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const AssessmentScoring = require('../public/js/scoring');
+const { startFakeOpenAI } = require('./fakes/openai');
+const { startFakeAzureSpeech } = require('./fakes/azure-speech');
+const { startFakeRazorpay } = require('./fakes/razorpay');
+const { startFakeSmtp } = require('./fakes/smtp');
+
+const AZURE_KEY = 'fake-azure-speech-key';
+const AZURE_SCORE = 85;
+const RAZORPAY_KEY_ID = 'rzp_test_fake';
+const RAZORPAY_KEY_SECRET = 'fake_razorpay_secret';
+
+const CANDIDATE = {
+    email: 'candidate@example.com',
+    username: 'flow_candidate',
+    password: 'Candidate#2026'
+};
+
+// Generated content, shaped the way each prompt asks for it
+const SENTENCES = [
+    'Our team meets every Monday morning to plan the work for the week.',
+    'Please send the final report to the client before the end of the day.',
+    'The new training program helps employees learn useful skills very quickly.',
+    'Customers can return any product within thirty days of their purchase.',
+    'The manager asked everyone to share their ideas during the meeting.'
+];
+
+const STORY = 'Maya found a lost puppy outside the library on a rainy afternoon. She carried it home and made posters with her brother. The next morning an old man knocked on the door, smiling with relief. The puppy belonged to him, and he thanked Maya with a basket of fresh apples.';
+
+const INTERVIEW_QUESTION = 'Tell me about a time you had to explain a technical problem to someone without a technical background.';
+
+const COMPREHENSION = {
+    // 200-350 words, as the passage validator requires
+    passage: 'Remote work has changed how many companies operate. Only a few years ago most employees travelled to an office every morning, and working from home was a rare privilege. ' +
+        'Today teams rely on video calls, shared documents and chat tools to stay connected across cities and even time zones. ' +
+        'A designer in one country can review a plan with an engineer in another without either of them leaving the kitchen table. ' +
+        'Opinions about the change are divided. Some employees enjoy the flexibility and the time saved on commuting, which they now spend with their families or on exercise. ' +
+        'Parents in particular value being able to start early and finish in time to collect their children from school. ' +
+        'Others miss the energy of working side by side. They say that quick questions are harder to ask, that new colleagues take longer to learn the job and that the line between work and rest has become blurred. ' +
+        'Managers have had to adapt as well. Instead of counting the hours people spend at their desks, they have learned to measure results rather than hours, agreeing clear goals and checking progress in regular meetings. ' +
+        'To balance the needs of different people, many offices now follow a hybrid schedule that mixes home and office days. ' +
+        'Employees come in for workshops, planning sessions and team lunches, and they stay at home for tasks that need quiet concentration.',
+    questions: [
+        { question: 'What is the passage mainly about?', options: { A: 'Remote work', B: 'Office design', C: 'Commuting costs', D: 'Video games' }, correct_answer: 'A' },
+        { question: 'Which tool is mentioned?', options: { A: 'Fax machines', B: 'Chat tools', C: 'Printers', D: 'Radios' }, correct_answer: 'B' },
+        { question: 'What do some employees miss?', options: { A: 'Long meetings', B: 'Commuting', C: 'Working side by side', D: 'Paper forms' }, correct_answer: 'C' },
+        { question: 'What do managers now measure?', options: { A: 'Hours', B: 'Emails', C: 'Breaks', D: 'Results' }, correct_answer: 'D' },
+        { question: 'What schedule do many offices follow?', options: { A: 'Hybrid', B: 'Night shift', C: 'Four days', D: 'Seasonal' }, correct_answer: 'A' }
+    ]
+};
+
+const FILL_BLANKS = {
+    questions: [
+        { question: 'She _____ to the office every day.', options: ['go', 'goes', 'going'], correctAnswer: 'goes' },
+        { question: 'They have lived here _____ 2015.', options: ['since', 'for', 'from'], correctAnswer: 'since' },
+        { question: 'I saw _____ elephant at the zoo.', options: ['a', 'an', 'the'], correctAnswer: 'an' },
+        { question: 'The meeting starts _____ nine o\'clock.', options: ['in', 'on', 'at'], correctAnswer: 'at' },
+        { question: 'He _____ finished the report yesterday.', options: ['has', 'had', 'have'], correctAnswer: 'had' },
+        { question: 'This task is _____ than the last one.', options: ['easy', 'easier', 'easiest'], correctAnswer: 'easier' },
+        { question: 'You _____ wear a helmet on the site.', options: ['must', 'might', 'would'], correctAnswer: 'must' },
+        { question: 'The book on the desk is _____.', options: ['my', 'mine', 'me'], correctAnswer: 'mine' },
+        { question: 'We _____ dinner when the phone rang.', options: ['ate', 'were eating', 'eat'], correctAnswer: 'were eating' },
+        { question: 'Neither of the answers _____ correct.', options: ['is', 'are', 'be'], correctAnswer: 'is' }
+    ]
+};
+
+const STORY_SCORE = 78;
+const PERSONAL_SCORE = 72;
+const PERSONAL_SPEECH_SCORE = 80;
+
+// The fake routes on the model name, which the test sets per task below
+const TASK_MODELS = {
+    SENTENCE_GENERATION: 'fake-sentence-generation',
+    CONTENT_GENERATION: 'fake-content-generation',
+    CONTENT_REPAIR: 'fake-content-repair',
+    STORY_EVALUATION: 'fake-story-evaluation',
+    PERSONAL_GRADING: 'fake-personal-grading',
+    CONSOLIDATED_FEEDBACK: 'fake-consolidated-feedback'
+};
+
+const replyToPrompt = ({ model, messages }) => {
+    const prompt = messages.map(message => message.content).join('\n');
+
+    switch (model) {
+        case TASK_MODELS.SENTENCE_GENERATION:
+            return JSON.stringify(SENTENCES);
+        case TASK_MODELS.CONTENT_GENERATION:
+            if (prompt.includes('You are a storyteller')) return STORY;
+            if (prompt.includes('interview questions')) return INTERVIEW_QUESTION;
+            if (prompt.includes('reading comprehension')) return JSON.stringify(COMPREHENSION);
+            if (prompt.includes('fill-in-the-blanks')) return JSON.stringify(FILL_BLANKS);
+            return null;
+        case TASK_MODELS.CONTENT_REPAIR:
+            // The fixtures above pass validation, so nothing should need repairing; see the last test
+            return null;
+        case TASK_MODELS.STORY_EVALUATION:
+            return `SCORE: ${STORY_SCORE}/100\n\nThe summary covers the main events and the ending.`;
+        case TASK_MODELS.PERSONAL_GRADING:
+            return `**OVERALL SCORE: ${PERSONAL_SCORE}/100**\n\n**CONTENT ANALYSIS:**\n- Clear example with a concrete outcome.`;
+        case TASK_MODELS.CONSOLIDATED_FEEDBACK:
+            return 'Solid pronunciation and grammar. Summaries need more detail.';
+        default:
+            return null;
+    }
+};
+
+// One second of 16 kHz mono silence; the fake recognizer only checks that audio arrived
+const createWavRecording = () => {
+    const sampleRate = 16000;
+    const data = Buffer.alloc(sampleRate * 2);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+};
+
+// An HTTP client that keeps the session cookie like a browser and never throws on status codes
+const createBrowser = (baseURL) => {
+    const cookies = new Map();
+    const client = axios.create({ baseURL, maxRedirects: 0, validateStatus: () => true });
+
+    client.interceptors.request.use(config => {
+        if (cookies.size > 0) {
+            config.headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        return config;
+    });
+    client.interceptors.response.use(response => {
+        (response.headers['set-cookie'] || []).forEach(cookie => {
+            const [pair] = cookie.split(';');
+            const separator = pair.indexOf('=');
+            cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+        });
+        return response;
+    });
+
+    return client;
+};
+
+const uploadRecording = (browser, url) => {
+    const form = new FormData();
+    form.append('audio', new Blob([createWavRecording()], { type: 'audio/wav' }), 'answer.wav');
+    return browser.post(url, form);
+};
+
+const expectOk = (response, label) => {
+    assert.equal(response.status, 200, `${label} answered ${response.status}: ${JSON.stringify(response.data)}`);
+    return response.data;
+};
+
+describe('seven-section assessment flow', () => {
+    let mongo;
+    let server;
+    let browser;
+    let fakes;
+    let template;
+    const sectionScores = {};
+
+    before(async () => {
+        process.env.SESSION_SECRET = 'test-session-secret';
+        // Emails are only sent when credentials are configured; the fake SMTP server ignores them
+        process.env.EMAIL_USER = 'assessments@example.com';
+        process.env.EMAIL_PASS = 'unused';
+        process.env.RAZORPAY_KEY_ID = RAZORPAY_KEY_ID;
+        process.env.RAZORPAY_KEY_SECRET = RAZORPAY_KEY_SECRET;
+        Object.entries(TASK_MODELS).forEach(([task, model]) => {
+            process.env[`OPENAI_MODEL_${task}`] = model;
+        });
+
+        fakes = {
+            openai: await startFakeOpenAI({ reply: replyToPrompt }),
+            azureSpeech: await startFakeAzureSpeech({ key: AZURE_KEY, score: AZURE_SCORE }),
+            razorpay: await startFakeRazorpay({ keyId: RAZORPAY_KEY_ID, keySecret: RAZORPAY_KEY_SECRET }),
+            smtp: await startFakeSmtp()
+        };
+
+        mongo = await MongoMemoryServer.create();
+
+        const { createApp, setExternalClients, connectDatabase } = require('../server');
+        await connectDatabase(mongo.getUri('communication-assessment-test'), {});
+
+        const razorpay = new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET });
+        // The SDK has no host option; its axios instance is the only way to reach the fake
+        razorpay.api.rq.defaults.baseURL = fakes.razorpay.url;
+
+        setExternalClients({
+            openai: new OpenAI({ apiKey: 'fake-openai-key', baseURL: `${fakes.openai.url}/v1`, maxRetries: 0 }),
+            azureSpeech: { key: AZURE_KEY, region: 'local', ...fakes.azureSpeech.endpoints },
+            razorpay,
+            emailTransporter: nodemailer.createTransport({
+                host: fakes.smtp.host,
+                port: fakes.smtp.port,
+                secure: false,
+                ignoreTLS: true
+            })
+        });
+        const app = createApp();
+
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        browser = createBrowser(`http://127.0.0.1:${server.address().port}`);
+    });
+
+    after(async () => {
+        if (server) {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+        await mongoose.disconnect();
+        if (mongo) {
+            await mongo.stop();
+        }
+        if (fakes) {
+            await Promise.all(Object.values(fakes).map(fake => fake.close()));
+        }
+    });
+
+    it('signs up, verifies the email link and logs in', async () => {
+        const signup = await browser.post('/api/auth/signup', CANDIDATE);
+        assert.equal(signup.status, 201, JSON.stringify(signup.data));
+
+        const email = await fakes.smtp.waitForMessage(message => message.to.includes(CANDIDATE.email));
+        const link = email.body.match(/\/api\/auth\/verify-email\?token=[a-f0-9]+/);
+        assert.ok(link, 'the verification email has a link');
+
+        const verify = await browser.get(link[0]);
+        assert.equal(verify.status, 302);
+        assert.match(verify.headers.location, /verified/i);
+
+        expectOk(await browser.post('/api/auth/login', { email: CANDIDATE.email, password: CANDIDATE.password }), 'login');
+    });
+
+    it('buys a test through Razorpay', async () => {
+        const { plans } = expectOk(await browser.get('/api/payment/plans'), 'plans');
+        const plan = plans[0];
+
+        const order = expectOk(await browser.post('/api/payment/create-order', {
+            planId: plan.id,
+            customerName: 'Flow Candidate',
+            customerEmail: CANDIDATE.email,
+            customerPhone: '9876543210'
+        }), 'create-order');
+        assert.ok(fakes.razorpay.orders.has(order.orderId));
+
+        const verified = expectOk(await browser.post('/api/payment/verify', fakes.razorpay.checkout(order.orderId)), 'verify');
+        assert.equal(verified.testsAdded, plan.testsCount);
+    });
+
+    it('starts a session on the default template', async () => {
+        ({ template } = expectOk(await browser.post('/api/assessment/prepare'), 'prepare'));
+        assert.deepEqual(template.sections.map(section => section.key), AssessmentScoring.STANDARD_SECTIONS);
+
+        const created = expectOk(await browser.post('/api/assessment/create-session'), 'create-session');
+        assert.ok(created.attemptId);
+        assert.ok(created.timer);
+    });
+
+    it('scores reading aloud from uploaded recordings', async () => {
+        const first = expectOk(await browser.post('/api/reading/generate-sentence', { topic: 'Business communication', difficulty: 'intermediate' }), 'reading generate');
+        assert.equal(first.sentence, SENTENCES[0]);
+
+        for (let i = 0; i < first.totalSentences; i++) {
+            if (i > 0) {
+                const next = expectOk(await browser.post('/api/reading/get-next-sentence'), 'reading next');
+                assert.equal(next.sentence, SENTENCES[i]);
+            }
+            const result = expectOk(await uploadRecording(browser, '/api/reading/store-result'), `reading answer ${i + 1}`);
+            assert.equal(result.score, AZURE_SCORE);
+        }
+        sectionScores.reading = AZURE_SCORE;
+    });
+
+    it('scores listening repetitions and records each sentence\'s voice', async () => {
+        const first = expectOk(await browser.post('/api/listening/generate', { topic: 'Business meetings', difficulty: 'advanced' }), 'listening generate');
+        assert.match(first.audioUrl, /^\/api\/audio\//);
+
+        const audio = await browser.get(first.audioUrl, { responseType: 'arraybuffer' });
+        assert.equal(audio.status, 200);
+
+        for (let i = 0; i < first.totalSentences; i++) {
+            if (i > 0) {
+                expectOk(await browser.post('/api/listening/get-next'), 'listening next');
+            }
+            expectOk(await uploadRecording(browser, '/api/listening/store-result'), `listening answer ${i + 1}`);
+        }
+        sectionScores.listening = AZURE_SCORE;
+
+        const results = expectOk(await browser.get('/api/assessment/detailed-results'), 'detailed results');
+        assert.equal(results.listening.audioItems.length, SENTENCES.length);
+        results.listening.audioItems.forEach(item => assert.equal(item.rate, '+15%'));
+    });
+
+    it('scores jumbled sentences', async () => {
+        const first = expectOk(await browser.post('/api/jumbled/start', { topic: 'Workplace', difficulty: 'intermediate' }), 'jumbled start');
+
+        let result;
+        for (let i = 0; i < first.totalQuestions; i++) {
+            result = expectOk(await browser.post('/api/jumbled/submit', { answer: SENTENCES[i] }), `jumbled answer ${i + 1}`);
+            assert.equal(result.correct, true);
+        }
+        assert.equal(result.complete, true);
+        sectionScores.jumbled = result.finalScore;
+    });
+
+    it('grades the story summary', async () => {
+        const story = expectOk(await browser.post('/api/story/generate', { topic: 'Kindness', difficulty: 'beginner' }), 'story generate');
+        assert.equal(story.story, STORY);
+
+        const result = expectOk(await browser.post('/api/story/evaluate', {
+            userSummary: 'Maya found a lost puppy, made posters and returned it to its owner, who thanked her with apples.'
+        }), 'story evaluate');
+        assert.equal(result.score, STORY_SCORE);
+        sectionScores.story = result.score;
+    });
+
+    it('grades the spoken interview answer', async () => {
+        const question = expectOk(await browser.post('/api/personal/generate-question', { difficulty: 'Medium', category: 'Technical Communication' }), 'personal question');
+        assert.equal(question.question, INTERVIEW_QUESTION);
+
+        const result = expectOk(await browser.post('/api/personal/evaluate', {
+            spokenResponse: 'I once explained a database outage to our sales team by comparing it to a library that had lost its catalogue.',
+            azureResults: {
+                pronunciationScore: PERSONAL_SPEECH_SCORE,
+                accuracyScore: PERSONAL_SPEECH_SCORE,
+                fluencyScore: PERSONAL_SPEECH_SCORE,
+                completenessScore: PERSONAL_SPEECH_SCORE,
+                recognizedText: 'I once explained a database outage to our sales team.'
+            },
+            words: []
+        }), 'personal evaluate');
+        assert.equal(result.score, Math.round(PERSONAL_SCORE * 0.8 + PERSONAL_SPEECH_SCORE * 0.2));
+        sectionScores.personal = result.score;
+    });
+
+    it('scores reading comprehension', async () => {
+        const content = expectOk(await browser.post('/api/comprehension/generate', { topic: 'Workplace trends', difficulty: 'intermediate' }), 'comprehension generate');
+
+        const result = expectOk(await browser.post('/api/comprehension/evaluate', {
+            userAnswers: COMPREHENSION.questions.map(question => question.correct_answer)
+        }), 'comprehension evaluate');
+        assert.equal(result.totalQuestions, content.questions.length);
+        assert.equal(result.score, 100);
+        sectionScores.comprehension = result.score;
+    });
+
+    it('scores fill in the blanks', async () => {
+        expectOk(await browser.post('/api/fillblanks/generate', { topic: 'Grammar patterns', difficulty: 'intermediate' }), 'fillblanks generate');
+
+        // One wrong answer out of ten
+        const answers = FILL_BLANKS.questions.map(question => question.correctAnswer);
+        answers[0] = 'go';
+        const result = expectOk(await browser.post('/api/fillblanks/evaluate', { userAnswers: answers }), 'fillblanks evaluate');
+        assert.equal(result.score, 90);
+        sectionScores.fillblanks = result.score;
+    });
+
+    it('closes the attempt with consolidated feedback and emails the report', async () => {
+        const feedback = expectOk(await browser.get('/api/assessment/consolidated-feedback'), 'consolidated feedback');
+        const expected = AssessmentScoring.evaluateAssessment(sectionScores, {
+            sections: template.sections,
+            passScore: template.passScore
+        });
+
+        assert.equal(feedback.feedback, 'Solid pronunciation and grammar. Summaries need more detail.');
+        assert.equal(feedback.overallScore, expected.overallScore);
+        assert.equal(feedback.passed, expected.passed);
+        assert.equal(feedback.cefrLevel, expected.cefrLevel);
+        assert.equal(feedback.emailSent, true);
+
+        const report = await fakes.smtp.waitForMessage(message => message.to.includes(CANDIDATE.email) && message.raw.includes('Assessment Report'));
+        assert.ok(report);
+
+        const { attempts } = expectOk(await browser.get('/api/assessment/attempts'), 'attempts');
+        assert.equal(attempts.length, 1);
+        assert.equal(attempts[0].status, 'completed');
+        assert.deepEqual([...attempts[0].completedSections].sort(), [...AssessmentScoring.STANDARD_SECTIONS].sort());
+
+        // Only the spoken sections reached the recognizer: five reading and five listening answers
+        assert.equal(fakes.azureSpeech.requests.stt.length, 10);
+        assert.ok(fakes.openai.requests.some(request => request.model === TASK_MODELS.CONSOLIDATED_FEEDBACK));
+        // Every generated fixture was accepted as it was
+        assert.ok(!fakes.openai.requests.some(request => request.model === TASK_MODELS.CONTENT_REPAIR));
+    });
+});
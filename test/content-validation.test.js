@@ -0,0 +1,132 @@
+// validateGeneratedContent on its own: schema and semantic checks, duplicates, profanity and the repair
+// re-prompts, with the LLM replaced by a stand-in client that answers each repair from the test's reply().
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AssessmentLocales = require('../public/js/locales');
+const { setOpenAIClient } = require('../services/llm');
+const { validateGeneratedContent } = require('../services/content-validation');
+
+const CONTEXT = {
+    topic: 'Workplace',
+    difficulty: 'intermediate',
+    locale: AssessmentLocales.getLocale('en-US'),
+    itemCount: 3
+};
+
+const SENTENCES = [
+    'Our team meets every Monday morning to plan the work for the week.',
+    'Please send the final report to the client before the end of the day.',
+    'The new training program helps employees learn useful skills very quickly.'
+];
+
+const FILL_BLANK = { question: 'She _____ to the office every day.', options: ['go', 'goes', 'going'], correctAnswer: 'goes' };
+
+describe('validateGeneratedContent', () => {
+    // Every repair request, as the messages sent for it
+    let repairs;
+    // The repaired item the stand-in answers with; the item is returned unchanged when it is not set
+    let reply;
+
+    beforeEach(() => {
+        repairs = [];
+        reply = null;
+        setOpenAIClient({
+            chat: {
+                completions: {
+                    create: async ({ model, messages }) => {
+                        repairs.push(messages);
+                        const item = messages[1].content.match(/^Item:\n([\s\S]*?)\n\nProblems:/)[1];
+                        return { model, choices: [{ message: { content: reply ? reply(item) : item } }] };
+                    }
+                }
+            }
+        });
+    });
+
+    const getRepairProblems = (index = 0) => repairs[index][1].content.split('Problems:\n')[1];
+
+    it('accepts valid items as question bank content without repairs', async () => {
+        const items = await validateGeneratedContent('reading', `Here you go:\n${JSON.stringify(SENTENCES)}`, CONTEXT);
+        assert.deepEqual(items, SENTENCES.map(text => ({ text })));
+        assert.equal(repairs.length, 0);
+    });
+
+    it('rejects a reply that is not in the section\'s format', async () => {
+        await assert.rejects(validateGeneratedContent('reading', 'Sorry, I cannot help with that.', CONTEXT), /not a JSON array/);
+        await assert.rejects(validateGeneratedContent('comprehension', '[]', CONTEXT), /not a JSON object/);
+    });
+
+    it('drops an item that fails its schema and throws when too few are left', async () => {
+        const passage = Array.from({ length: 220 }, () => 'word').join(' ');
+        const comprehension = JSON.stringify({
+            passage,
+            questions: [{ question: 'What is it about?', options: { A: 'One', B: 'Two', C: 'Three' }, correct_answer: 'E' }]
+        });
+
+        await assert.rejects(validateGeneratedContent('comprehension', comprehension, CONTEXT), /Only 0 of 1 comprehension items passed validation/);
+        assert.equal(repairs.length, 1);
+        assert.match(getRepairProblems(), /item\.questions\[0\]\.options: missing D/);
+        assert.match(getRepairProblems(), /item\.questions\[0\]\.correct_answer: must be one of A, B, C, D/);
+    });
+
+    it('keeps an item once its repair passes', async () => {
+        reply = () => JSON.stringify(FILL_BLANK);
+
+        const items = await validateGeneratedContent('fillblanks', JSON.stringify({
+            questions: [{ ...FILL_BLANK, question: 'She _____ to the office _____ day.' }]
+        }), CONTEXT);
+
+        assert.deepEqual(items, [FILL_BLANK]);
+        assert.equal(repairs.length, 1);
+        assert.match(getRepairProblems(), /exactly one blank/);
+    });
+
+    it('treats items differing only in case and punctuation as duplicates', async () => {
+        const duplicate = SENTENCES[0].toUpperCase().replace('.', '!');
+        reply = () => SENTENCES[1];
+
+        const items = await validateGeneratedContent('reading', JSON.stringify([SENTENCES[0], duplicate]), CONTEXT);
+
+        assert.deepEqual(items.map(item => item.text), [SENTENCES[0], SENTENCES[1]]);
+        assert.match(getRepairProblems(), /duplicates another item/);
+    });
+
+    it('drops items with profanity, matched as whole words', async () => {
+        const profane = 'The manager said the new shit system would be ready next week.';
+        // "Scunthorpe" contains a listed word but is not profanity
+        const clean = 'The team from Scunthorpe finished the training project ahead of schedule.';
+
+        const items = await validateGeneratedContent('reading', JSON.stringify([profane, clean]), CONTEXT);
+
+        assert.deepEqual(items.map(item => item.text), [clean]);
+        assert.equal(repairs.length, 1);
+        assert.match(getRepairProblems(), /inappropriate language \("shit"\)/);
+    });
+
+    it('drops a fill-in-the-blank question whose answer is not one of its options', async () => {
+        const items = await validateGeneratedContent('fillblanks', JSON.stringify({
+            questions: [{ ...FILL_BLANK, correctAnswer: 'gone' }, FILL_BLANK]
+        }), CONTEXT);
+
+        assert.deepEqual(items, [FILL_BLANK]);
+        assert.equal(repairs.length, 1);
+        assert.match(getRepairProblems(), /correctAnswer must be one of the options/);
+    });
+
+    it('drops jumbled sentences with commas, semicolons or colons', async () => {
+        const items = await validateGeneratedContent('jumbled', JSON.stringify([
+            'After lunch, the team reviewed the budget together.',
+            'The team reviewed the budget together after lunch.'
+        ]), CONTEXT);
+
+        assert.deepEqual(items.map(item => item.text), ['The team reviewed the budget together after lunch.']);
+        assert.match(getRepairProblems(), /must not contain commas, semicolons or colons/);
+    });
+
+    it('sends at most three repairs per reply', async () => {
+        const tooShort = ['Too short.', 'Also short.', 'Short again.', 'Still short.'];
+
+        await assert.rejects(validateGeneratedContent('reading', JSON.stringify([...tooShort, SENTENCES[0]]), { ...CONTEXT, minItems: 2 }), /Only 1 of 5/);
+        assert.equal(repairs.length, 3);
+    });
+});
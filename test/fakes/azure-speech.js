@@ -0,0 +1,83 @@
+// Local stand-in for the Azure Speech REST endpoints the server calls: text-to-speech,
+// short-audio recognition with pronunciation assessment, and the STS token issuer.
+const http = require('http');
+const { listen, close, readBody, sendJson } = require('./http');
+
+const TTS_PATH = '/cognitiveservices/v1';
+const STT_PATH = '/speech/recognition/conversation/cognitiveservices/v1';
+const TOKEN_PATH = '/sts/v1.0/issueToken';
+
+// Not decodable audio; the server stores TTS output without reading it
+const FAKE_MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(1021)]);
+
+// Every recording "says" the reference text; score sets all of its pronunciation scores
+const startFakeAzureSpeech = async ({ key, score = 85 }) => {
+    const requests = { tts: [], stt: [], token: 0 };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+
+        if (req.headers['ocp-apim-subscription-key'] !== key) {
+            return sendJson(res, 401, { error: { code: '401', message: 'Access denied due to invalid subscription key' } });
+        }
+
+        if (req.method === 'POST' && pathname === TTS_PATH) {
+            requests.tts.push(body.toString('utf8'));
+            res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+            return res.end(FAKE_MP3);
+        }
+
+        if (req.method === 'POST' && pathname === STT_PATH) {
+            const config = JSON.parse(Buffer.from(req.headers['pronunciation-assessment'] || '', 'base64').toString('utf8') || '{}');
+            requests.stt.push({ language: searchParams.get('language'), referenceText: config.ReferenceText, bytes: body.length });
+            if (body.length === 0) {
+                return sendJson(res, 200, { RecognitionStatus: 'NoMatch' });
+            }
+
+            const text = config.ReferenceText || '';
+            const scores = {
+                AccuracyScore: score,
+                FluencyScore: score,
+                CompletenessScore: score,
+                PronScore: score,
+                ...(config.EnableProsodyAssessment ? { ProsodyScore: score } : {})
+            };
+            return sendJson(res, 200, {
+                RecognitionStatus: 'Success',
+                DisplayText: text,
+                NBest: [{
+                    Display: text,
+                    PronunciationAssessment: scores,
+                    Words: text.split(/\s+/).filter(Boolean).map(word => ({
+                        Word: word.replace(/[^\p{L}\p{N}']/gu, ''),
+                        PronunciationAssessment: { AccuracyScore: score, ErrorType: 'None' }
+                    }))
+                }]
+            });
+        }
+
+        if (req.method === 'POST' && pathname === TOKEN_PATH) {
+            requests.token++;
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end(`fake-speech-token-${requests.token}`);
+        }
+
+        sendJson(res, 404, { error: { message: `Unknown route ${req.method} ${pathname}` } });
+    });
+
+    const url = await listen(server);
+    return {
+        url,
+        requests,
+        // The setExternalClients({ azureSpeech }) settings that send the app's speech calls here
+        endpoints: {
+            ttsEndpoint: `${url}${TTS_PATH}`,
+            sttEndpoint: `${url}${STT_PATH}`,
+            tokenEndpoint: `${url}${TOKEN_PATH}`
+        },
+        close: () => close(server)
+    };
+};
+
+module.exports = { startFakeAzureSpeech };
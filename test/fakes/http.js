@@ -0,0 +1,31 @@
+// Helpers shared by the local stand-ins for the external HTTP APIs
+
+// Listen on a free port on the loopback interface and return the server's base URL
+const listen = (server) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+});
+
+const close = (server) => new Promise(resolve => {
+    server.close(() => resolve());
+    // Keep-alive connections from the app's HTTP clients would otherwise hold the server open
+    if (server.closeAllConnections) {
+        server.closeAllConnections();
+    }
+});
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+module.exports = { listen, close, readBody, sendJson };
@@ -0,0 +1,51 @@
+// Local stand-in for the OpenAI chat completions API.
+// Point an OpenAI client at `${fake.url}/v1`; every request is kept in fake.requests.
+const http = require('http');
+const { listen, close, readBody, sendJson } = require('./http');
+
+// reply(body) returns the assistant's message for a parsed request body. body.model is the model the
+// app asked for, which tests can set per task with OPENAI_MODEL_<TASK>. Returning nothing (or throwing)
+// answers 500, so the app's fallbacks can be exercised too.
+const startFakeOpenAI = async ({ reply }) => {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+            return sendJson(res, 404, { error: { message: `Unknown route ${req.method} ${req.url}` } });
+        }
+        if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
+            return sendJson(res, 401, { error: { message: 'Missing API key' } });
+        }
+
+        const body = JSON.parse((await readBody(req)).toString('utf8'));
+        requests.push(body);
+
+        let content;
+        try {
+            content = await reply(body);
+        } catch (error) {
+            content = null;
+        }
+        if (typeof content !== 'string') {
+            return sendJson(res, 500, { error: { message: 'The fake has no reply for this request' } });
+        }
+
+        sendJson(res, 200, {
+            id: `chatcmpl-fake-${requests.length}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: body.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        });
+    });
+
+    const url = await listen(server);
+    return { url, requests, close: () => close(server) };
+};
+
+module.exports = { startFakeOpenAI };
@@ -0,0 +1,73 @@
+// Local stand-in for the Razorpay orders API, plus the checkout step the browser normally does
+const http = require('http');
+const crypto = require('crypto');
+const { listen, close, readBody, sendJson } = require('./http');
+
+const startFakeRazorpay = async ({ keyId, keySecret }) => {
+    const orders = new Map();
+    const expectedAuth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+
+        if (req.headers.authorization !== expectedAuth) {
+            return sendJson(res, 401, { error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+        }
+
+        if (req.method === 'POST' && req.url === '/v1/orders') {
+            const { amount, currency, receipt, notes } = JSON.parse(body.toString('utf8'));
+            if (!Number.isInteger(amount) || amount < 100) {
+                return sendJson(res, 400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be atleast INR 1.00' } });
+            }
+
+            const order = {
+                id: `order_${crypto.randomBytes(7).toString('hex')}`,
+                entity: 'order',
+                amount,
+                amount_paid: 0,
+                amount_due: amount,
+                currency,
+                receipt,
+                status: 'created',
+                attempts: 0,
+                notes: notes || {},
+                created_at: Math.floor(Date.now() / 1000)
+            };
+            orders.set(order.id, order);
+            return sendJson(res, 200, order);
+        }
+
+        const orderMatch = req.method === 'GET' && req.url.match(/^\/v1\/orders\/([\w-]+)$/);
+        if (orderMatch) {
+            const order = orders.get(orderMatch[1]);
+            return order
+                ? sendJson(res, 200, order)
+                : sendJson(res, 400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+
+        sendJson(res, 404, { error: { code: 'NOT_FOUND', description: `Unknown route ${req.method} ${req.url}` } });
+    });
+
+    // Pay an order the way Razorpay Checkout does and return the fields the browser posts to /api/payment/verify
+    const checkout = (orderId) => {
+        const order = orders.get(orderId);
+        if (!order) {
+            throw new Error(`Unknown order ${orderId}`);
+        }
+        order.status = 'paid';
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+
+        const paymentId = `pay_${crypto.randomBytes(7).toString('hex')}`;
+        return {
+            razorpay_order_id: orderId,
+            razorpay_payment_id: paymentId,
+            razorpay_signature: crypto.createHmac('sha256', keySecret).update(`${orderId}|${paymentId}`).digest('hex')
+        };
+    };
+
+    const url = await listen(server);
+    return { url, orders, checkout, close: () => close(server) };
+};
+
+module.exports = { startFakeRazorpay };
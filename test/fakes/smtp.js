@@ -0,0 +1,118 @@
+// Local stand-in for the SMTP server nodemailer sends through. It accepts every message
+// (no TLS, no authentication) and keeps it in fake.messages.
+const net = require('net');
+
+// Undo the quoted-printable encoding nodemailer uses for HTML bodies, so links can be matched
+const decodeQuotedPrintable = (text) => text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const startFakeSmtp = async () => {
+    const messages = [];
+    const waiters = [];
+    const sockets = new Set();
+
+    const deliver = (message) => {
+        messages.push(message);
+        waiters.slice().forEach(waiter => {
+            if (waiter.predicate(message)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(message);
+            }
+        });
+    };
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf8');
+
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null; // collecting lines after DATA until the lone "."
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+        reply('220 fake-smtp ESMTP ready');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        const raw = data.join('\r\n');
+                        deliver({ from: envelope.from, to: envelope.to, raw, body: decodeQuotedPrintable(raw) });
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        reply('250 OK: message queued');
+                    } else {
+                        // Dot-stuffed lines lose their leading dot
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO') {
+                    reply('250-fake-smtp');
+                    reply('250 8BITMIME');
+                } else if (command === 'HELO') {
+                    reply('250 fake-smtp');
+                } else if (command === 'MAIL') {
+                    envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'RSET') {
+                    envelope = { from: null, to: [] };
+                    reply('250 OK');
+                } else if (command === 'NOOP') {
+                    reply('250 OK');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('502 Command not implemented');
+                }
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+
+    // Resolve with the first message (already received or still to come) that matches
+    const waitForMessage = (predicate, timeoutMs = 10000) => {
+        const existing = messages.find(predicate);
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                reject(new Error('Timed out waiting for an email'));
+            }, timeoutMs);
+            waiters.push(waiter);
+        });
+    };
+
+    const close = () => new Promise(resolve => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(() => resolve());
+    });
+
+    return { host: '127.0.0.1', port: server.address().port, messages, waitForMessage, close };
+};
+
+module.exports = { startFakeSmtp };
@@ -0,0 +1,286 @@
+// Queued section content, the assessment clock that waits for it and the warm content pools, against an
+// in-memory MongoDB. The queued reading generator is replaced with a stand-in so each test decides when a
+// job runs and whether it fails; content generated on demand comes from the seeded question bank.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const AssessmentLocales = require('../public/js/locales');
+
+const CANDIDATE = {
+    email: 'queued@example.com',
+    username: 'queued_candidate',
+    password: 'Candidate#2026'
+};
+
+const WORKER_ID = 'test-worker';
+const GENERATION_WAIT_LIMIT_MS = 3 * 60 * 1000;
+// Leeway for the time between the server setting a date and the test reading it
+const CLOCK_TOLERANCE_MS = 5000;
+
+const QUEUED_SENTENCE = 'This sentence was generated by the queue worker.';
+
+// An HTTP client that keeps the session cookie like a browser and never throws on status codes
+const createBrowser = (baseURL) => {
+    const cookies = new Map();
+    const client = axios.create({ baseURL, maxRedirects: 0, validateStatus: () => true });
+
+    client.interceptors.request.use(config => {
+        if (cookies.size > 0) {
+            config.headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        return config;
+    });
+    client.interceptors.response.use(response => {
+        (response.headers['set-cookie'] || []).forEach(cookie => {
+            const [pair] = cookie.split(';');
+            const separator = pair.indexOf('=');
+            cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+        });
+        return response;
+    });
+
+    return client;
+};
+
+const expectOk = (response, label) => {
+    assert.equal(response.status, 200, `${label} answered ${response.status}: ${JSON.stringify(response.data)}`);
+    return response.data;
+};
+
+const assertCloseTo = (actual, expected, label) => {
+    assert.ok(Math.abs(new Date(actual).getTime() - expected) < CLOCK_TOLERANCE_MS, `${label} was ${actual}, expected about ${new Date(expected).toISOString()}`);
+};
+
+describe('queued section content', () => {
+    let mongo;
+    let server;
+    let browser;
+    let candidate;
+    let models;
+    let generationJobs;
+    let contentPool;
+    let template;
+    // Failures the stand-in reading generator throws before it succeeds
+    let readingFailures = 0;
+
+    // Start a test that queues only the reading section
+    const startQueuedAssessment = async () => {
+        ({ template } = expectOk(await browser.post('/api/assessment/prepare'), 'prepare'));
+        const created = expectOk(await browser.post('/api/assessment/create-session', {
+            sections: [
+                { key: 'reading', options: { topic: 'Queued topic', difficulty: 'beginner' } },
+                { key: 'not-a-section', options: {} }
+            ]
+        }), 'create-session');
+        return created;
+    };
+
+    const getSession = () => models.AssessmentSession.findOne({ userId: candidate._id });
+
+    before(async () => {
+        process.env.SESSION_SECRET = 'test-session-secret';
+
+        mongo = await MongoMemoryServer.create();
+
+        const { createApp, connectDatabase } = require('../server');
+        await connectDatabase(mongo.getUri('communication-assessment-queue-test'), {});
+
+        models = require('../models');
+        generationJobs = require('../services/generation-jobs');
+        contentPool = require('../services/content-pool');
+
+        // Registered after the app so it replaces the real reading generator for queued jobs only
+        generationJobs.registerContentGenerator('reading', async (userId, sessionId, options, generationJob) => {
+            if (readingFailures > 0) {
+                readingFailures--;
+                throw new Error('The LLM is unavailable');
+            }
+            await generationJobs.storeGeneratedContent(userId, sessionId, 'reading', {
+                'temporaryData.readingSentences': [QUEUED_SENTENCE],
+                'temporaryData.currentReadingIndex': 0,
+                'temporaryData.readingResults': []
+            }, generationJob);
+            return { sentence: QUEUED_SENTENCE, currentIndex: 1, totalSentences: 1, topic: options.topic };
+        });
+
+        const app = createApp();
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        browser = createBrowser(`http://127.0.0.1:${server.address().port}`);
+
+        candidate = await models.User.create({ ...CANDIDATE, isEmailVerified: true, number_of_tests: 10 });
+        expectOk(await browser.post('/api/auth/login', { email: CANDIDATE.email, password: CANDIDATE.password }), 'login');
+    });
+
+    after(async () => {
+        if (server) {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+        await mongoose.disconnect();
+        if (mongo) {
+            await mongo.stop();
+        }
+    });
+
+    it('queues the requested sections and reserves a deadline that allows for the wait', async () => {
+        const created = await startQueuedAssessment();
+
+        assert.deepEqual(created.queuedSections, ['reading']);
+        assert.equal(created.timer.startedAt, null);
+        assertCloseTo(created.timer.deadlineAt, Date.now() + GENERATION_WAIT_LIMIT_MS + template.timeLimitMinutes * 60 * 1000, 'reserved deadline');
+
+        const jobs = await models.GenerationJob.find({ userId: candidate._id });
+        assert.equal(jobs.length, 1);
+        assert.equal(jobs[0].status, 'queued');
+        assert.equal(jobs[0].options.topic, 'Queued topic');
+        assert.equal(jobs[0].options.difficulty, 'beginner');
+
+        const content = expectOk(await browser.get('/api/assessment/content'), 'content');
+        assert.equal(content.ready, false);
+        assert.equal(content.sections.reading.status, 'queued');
+        assert.equal(content.timer.startedAt, null);
+    });
+
+    it('retries a failed job after 5 then 10 seconds', async () => {
+        readingFailures = 2;
+
+        for (const delay of [5000, 10000]) {
+            const job = await generationJobs.claimNextGenerationJob(WORKER_ID);
+            assert.ok(job, 'the job is due');
+            await generationJobs.runGenerationJob(job);
+
+            const retried = await models.GenerationJob.findById(job._id);
+            assert.equal(retried.status, 'queued');
+            assert.equal(retried.lastError, 'The LLM is unavailable');
+            assertCloseTo(retried.runAt, Date.now() + delay, `retry after attempt ${retried.attempts}`);
+
+            // Not claimed again before its retry is due
+            assert.equal(await generationJobs.claimNextGenerationJob(WORKER_ID), null);
+            await models.GenerationJob.updateOne({ _id: job._id }, { $set: { runAt: new Date() } });
+        }
+
+        const job = await generationJobs.claimNextGenerationJob(WORKER_ID);
+        assert.equal(job.attempts, 3);
+        await generationJobs.runGenerationJob(job);
+
+        const completed = await models.GenerationJob.findById(job._id);
+        assert.equal(completed.status, 'completed');
+        assert.equal(completed.result.sentence, QUEUED_SENTENCE);
+    });
+
+    it('starts the clock once the content is ready and brings the reserved deadline forward', async () => {
+        const reserved = (await getSession()).deadlineAt.getTime();
+
+        const content = expectOk(await browser.get('/api/assessment/content'), 'content');
+        assert.equal(content.ready, true);
+        assert.equal(content.sections.reading.content.sentence, QUEUED_SENTENCE);
+        assertCloseTo(content.timer.startedAt, Date.now(), 'clock start');
+        assertCloseTo(content.timer.deadlineAt, Date.now() + template.timeLimitMinutes * 60 * 1000, 'deadline');
+        assert.ok(new Date(content.timer.deadlineAt).getTime() < reserved, 'the deadline was brought forward');
+
+        // Asking again does not restart the clock
+        const again = expectOk(await browser.get('/api/assessment/content'), 'content again');
+        assert.equal(again.timer.startedAt, content.timer.startedAt);
+        assert.equal(again.timer.deadlineAt, content.timer.deadlineAt);
+    });
+
+    it('keeps content generated on demand over a job that finishes later', async () => {
+        await startQueuedAssessment();
+        const job = await generationJobs.claimNextGenerationJob(WORKER_ID);
+        assert.ok(job, 'the new job is due');
+
+        // The candidate reaches reading while the worker is still generating it
+        const onDemand = expectOk(await browser.post('/api/reading/generate-sentence', { topic: 'Queued topic', difficulty: 'beginner' }), 'reading generate');
+        assert.notEqual(onDemand.sentence, QUEUED_SENTENCE);
+        assert.equal((await models.GenerationJob.findById(job._id)).status, 'cancelled');
+
+        await generationJobs.runGenerationJob(job);
+
+        const session = await getSession();
+        assert.equal(session.temporaryData.readingSentences[0], onDemand.sentence);
+        assert.equal((await models.GenerationJob.findById(job._id)).status, 'cancelled');
+
+        const content = expectOk(await browser.get('/api/assessment/content'), 'content');
+        assert.equal(content.ready, true);
+        assert.equal(content.sections.reading.status, 'cancelled');
+        assert.equal(content.sections.reading.content, null);
+    });
+
+    it('discards a job left running from an earlier start of the session', async () => {
+        await startQueuedAssessment();
+        const staleJob = await generationJobs.claimNextGenerationJob(WORKER_ID);
+
+        await startQueuedAssessment();
+        assert.equal(await models.GenerationJob.exists({ _id: staleJob._id }), null);
+
+        await generationJobs.runGenerationJob(staleJob);
+        assert.notEqual((await getSession()).temporaryData.readingSentences[0], QUEUED_SENTENCE);
+
+        const job = await generationJobs.claimNextGenerationJob(WORKER_ID);
+        await generationJobs.runGenerationJob(job);
+        assert.equal((await getSession()).temporaryData.readingSentences[0], QUEUED_SENTENCE);
+    });
+
+    it('keeps an email task and its countdown when the candidate asks for another', async () => {
+        await startQueuedAssessment();
+
+        const first = expectOk(await browser.post('/api/email-writing/generate', { topic: 'Project updates', difficulty: 'beginner' }), 'email generate');
+        assert.ok(first.scenario.issuedAt, 'the countdown started');
+
+        const again = expectOk(await browser.post('/api/email-writing/generate', { topic: 'Customer complaints', difficulty: 'advanced' }), 'email generate again');
+        assert.deepEqual(again.scenario, first.scenario);
+        assert.equal((await getSession()).temporaryData.currentEmailScenario.issuedAt.toISOString(), first.scenario.issuedAt);
+
+        // A new attempt gets a new task
+        await startQueuedAssessment();
+        assert.equal((await getSession()).temporaryData.currentEmailScenario, null);
+    });
+
+    describe('content pools', () => {
+        const locale = AssessmentLocales.getLocale('en-US');
+        const pool = { topic: 'Pooled topic', difficulty: 'beginner', locale, itemCount: 3 };
+
+        const fillPool = (count) => models.ContentPoolItem.insertMany(Array.from({ length: count }, (_, index) => ({
+            assessmentType: 'reading',
+            topic: pool.topic,
+            difficulty: pool.difficulty,
+            locale: locale.code,
+            content: { text: `Pooled sentence number ${index + 1} for the reading section.` }
+        })));
+
+        it('hands back a partial checkout so the items stay available', async () => {
+            await fillPool(2);
+
+            assert.equal(await contentPool.checkOutContentPoolItems('reading', pool, candidate._id), null);
+
+            const items = await models.ContentPoolItem.find({ topic: pool.topic });
+            items.forEach(item => {
+                assert.equal(item.useCount, 0);
+                assert.equal(item.servedTo.length, 0);
+            });
+        });
+
+        it('checks out a whole test and never serves the same candidate twice', async () => {
+            await fillPool(1);
+
+            const checkedOut = await contentPool.checkOutContentPoolItems('reading', pool, candidate._id);
+            assert.equal(checkedOut.length, 3);
+            checkedOut.forEach(item => assert.equal(item.audio, null));
+
+            const items = await models.ContentPoolItem.find({ topic: pool.topic });
+            items.forEach(item => {
+                assert.equal(item.useCount, 1);
+                assert.deepEqual([...item.servedTo].map(String), [String(candidate._id)]);
+            });
+
+            // The same candidate gets nothing, another one the same items
+            assert.equal(await contentPool.checkOutContentPoolItems('reading', pool, candidate._id), null);
+            const otherCandidate = new mongoose.Types.ObjectId();
+            assert.equal((await contentPool.checkOutContentPoolItems('reading', pool, otherCandidate)).length, 3);
+        });
+    });
+});
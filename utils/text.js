@@ -0,0 +1,63 @@
+// Small text helpers
+// Normalize a list of emails from an array or a comma/newline separated string
+const parseEmailList = (emails) => {
+    const list = Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/);
+    return [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+};
+
+const countWords = (text) => String(text || '').trim().split(/\s+/).filter(Boolean).length;
+
+// Escape text for literal use inside a RegExp
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escape text for safe interpolation into HTML
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Extract a JSON array or object ('array' | 'object') from free-form model text, e.g. one wrapped in a
+// markdown fence or followed by an explanation; null when the text holds none
+function extractJsonFromText(text, kind = 'array') {
+    if (!text || typeof text !== 'string') return null;
+    const isKind = value => kind === 'array'
+        ? Array.isArray(value)
+        : Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+    // Try direct JSON parse first
+    try {
+        const direct = JSON.parse(text);
+        if (isKind(direct)) return direct;
+    } catch (_) { }
+
+    // Fallback: find the outermost [...] or {...} block and parse
+    const [open, close] = kind === 'array' ? ['[', ']'] : ['{', '}'];
+    const start = text.indexOf(open);
+    const end = text.lastIndexOf(close);
+    if (start !== -1 && end !== -1 && end > start) {
+        try {
+            const value = JSON.parse(text.slice(start, end + 1));
+            if (isKind(value)) return value;
+        } catch (_) { }
+    }
+    return null;
+}
+
+function extractJsonObjectFromText(text) {
+    return extractJsonFromText(text, 'object');
+}
+
+module.exports = {
+    parseEmailList,
+    countWords,
+    escapeRegExp,
+    escapeHtml,
+    extractJsonFromText,
+    extractJsonObjectFromText
+};
@@ -0,0 +1,22 @@
+// Generation worker: runs queued section content jobs (LLM text and TTS audio) and keeps the content pools full, in a process of its own.
+// Start it with `npm run worker` and set GENERATION_WORKER=external on the web server.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const logger = require('./config/logger');
+const { initializeGridFS, MONGODB_URI, mongoOptions } = require('./config/database');
+const { startContentPoolReplenisher } = require('./services/content-pool');
+const { startGenerationWorker } = require('./services/generation-jobs');
+
+// The section routers register their content generators with the queue as they load
+require('./app');
+
+mongoose.connect(MONGODB_URI, mongoOptions).then(() => {
+    logger.info('Connected to MongoDB');
+    initializeGridFS();
+    startGenerationWorker();
+    startContentPoolReplenisher();
+}).catch(err => {
+    logger.error('MongoDB connection error:', err);
+    process.exit(1);
+});